@@ -2,13 +2,115 @@
 import React, { useState } from 'react';
 
 const API_URL = 'http://localhost:5000/api/analyze';
+const KEYWORDS_URL = 'http://localhost:5000/api/analyze/keywords';
+const FILES_URL = 'http://localhost:5000/api/analyze/files';
+const DOCUMENT_TYPES = '.txt,.text,.md,.markdown,.html,.htm,.docx,.pdf';
+
+// "2 min 5 sec" from a number of seconds
+const formatDuration = (seconds) => {
+  if (seconds < 60) return `${seconds} sec`;
+  const minutes = Math.floor(seconds / 60);
+  return seconds % 60 === 0 ? `${minutes} min` : `${minutes} min ${seconds % 60} sec`;
+};
+
+// Plain-language band of a Flesch Reading Ease score
+const describeReadingEase = (score) => {
+  if (score >= 90) return 'Very easy';
+  if (score >= 70) return 'Easy';
+  if (score >= 60) return 'Plain English';
+  if (score >= 50) return 'Fairly difficult';
+  if (score >= 30) return 'Difficult';
+  return 'Very difficult';
+};
+
+// Card of the results grid; `note` is an optional line under the value
+function StatCard({ title, value, note, background, color }) {
+  return (
+    <div style={{
+      backgroundColor: background,
+      padding: '20px',
+      borderRadius: '8px',
+      boxShadow: '0 4px 6px rgba(0,0,0,0.1)',
+      textAlign: 'center'
+    }}>
+      <h3 style={{ fontSize: '14px', fontWeight: '500', marginBottom: '8px', color: '#6b7280' }}>
+        {title}
+      </h3>
+      <p style={{ fontSize: '2rem', fontWeight: '800', color }}>
+        {value}
+      </p>
+      {note && (
+        <p style={{ fontSize: '13px', color: '#6b7280', marginTop: '4px' }}>
+          {note}
+        </p>
+      )}
+    </div>
+  );
+}
+
+const formatPositions = (positions) =>
+  (positions.length > 5 ? `${positions.slice(0, 5).join(', ')}, …` : positions.join(', '));
+
+// Ranked phrases from /api/analyze/keywords; `scores` are [label, key] columns
+function PhraseTable({ title, rows, scores, empty }) {
+  const cellStyle = { padding: '10px 14px', borderBottom: '1px solid #e5e7eb', color: '#1f2937', fontSize: '14px' };
+  const headerStyle = { ...cellStyle, borderBottom: '1px solid #d1d5db', textAlign: 'left', fontWeight: '600', color: '#4b5563' };
+
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <h4 style={{ fontSize: '1rem', fontWeight: '600', marginBottom: '8px', color: '#374151' }}>{title}</h4>
+      {rows.length === 0 ? (
+        <p style={{ color: '#6b7280', fontSize: '14px' }}>{empty}</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{
+            width: '100%',
+            backgroundColor: 'white',
+            border: '1px solid #d1d5db',
+            borderRadius: '8px',
+            borderCollapse: 'collapse'
+          }}>
+            <thead style={{ backgroundColor: '#f3f4f6' }}>
+              <tr>
+                <th style={headerStyle}>Phrase</th>
+                <th style={headerStyle}>Count</th>
+                {scores.map(([label]) => <th key={label} style={headerStyle}>{label}</th>)}
+                <th style={headerStyle}>Word Positions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, index) => (
+                <tr key={row.phrase} style={{ backgroundColor: index % 2 === 0 ? 'white' : '#f9fafb' }}>
+                  <td style={{ ...cellStyle, fontWeight: '600' }}>{row.phrase}</td>
+                  <td style={cellStyle}>{row.count}</td>
+                  {scores.map(([label, key]) => <td key={label} style={cellStyle}>{row[key]}</td>)}
+                  <td style={{ ...cellStyle, color: '#6b7280' }}>{formatPositions(row.positions)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
 
 function App() {
   const [inputText, setInputText] = useState('');
   const [results, setResults] = useState(null);
+  const [keywords, setKeywords] = useState(null);
+  // Uploaded documents: the server's per-file results and which one is shown (null: totals)
+  const [fileResults, setFileResults] = useState(null);
+  const [selectedFile, setSelectedFile] = useState(null);
+  const [dragging, setDragging] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [serverConnected, setServerConnected] = useState(null);
+  // Word frequency options (stop words and grouping)
+  const [removeStopWords, setRemoveStopWords] = useState(false);
+  const [stopWordLanguage, setStopWordLanguage] = useState('en');
+  const [customStopWords, setCustomStopWords] = useState('');
+  const [groupBy, setGroupBy] = useState('word');
 
   // Check server connection on mount
   React.useEffect(() => {
@@ -27,40 +129,170 @@ function App() {
     checkServer();
   }, []);
 
+  // Word counts, phrases and documents are analyzed with the same options
+  const frequencyOptions = () => ({
+    language: stopWordLanguage,
+    stopWords: removeStopWords,
+    customStopWords: customStopWords.split(',').map((word) => word.trim()).filter(Boolean),
+    groupBy,
+  });
+
+  // POST to the server; rejects with the server's error message
+  const post = async (url, options) => {
+    const response = await fetch(url, { method: 'POST', ...options });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP error! Status: ${response.status}`);
+    }
+    return response.json();
+  };
+
+  const showError = (err) => {
+    // Provide more helpful error messages
+    if (err.message === 'Failed to fetch' || err.name === 'TypeError') {
+      setError('Cannot connect to server. Please make sure the server is running on http://localhost:5000');
+    } else {
+      setError(err.message);
+    }
+  };
+
   const handleAnalyze = async () => {
     setLoading(true);
     setError(null);
     setResults(null);
+    setKeywords(null);
+    setFileResults(null);
 
     try {
-      const response = await fetch(API_URL, {
-        method: 'POST',
+      const body = JSON.stringify({ text: inputText, frequency: frequencyOptions() });
+      const [data, keywordData] = await Promise.all([API_URL, KEYWORDS_URL].map((url) => post(url, {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ text: inputText }),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `HTTP error! Status: ${response.status}`);
-      }
+        body,
+      })));
 
-      const data = await response.json();
       setResults(data);
+      setKeywords(keywordData);
 
     } catch (err) {
-      // Provide more helpful error messages
-      if (err.message === 'Failed to fetch' || err.name === 'TypeError') {
-        setError('Cannot connect to server. Please make sure the server is running on http://localhost:5000');
-      } else {
-        setError(err.message);
+      showError(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Upload dropped or chosen documents; shows the totals of several files, else the one file
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList);
+    if (files.length === 0 || loading) return;
+
+    setLoading(true);
+    setError(null);
+    setResults(null);
+    setKeywords(null);
+    setFileResults(null);
+
+    try {
+      const form = new FormData();
+      files.forEach((file) => form.append('files', file));
+      form.append('options', JSON.stringify({ frequency: frequencyOptions() }));
+      const data = await post(FILES_URL, { body: form });
+
+      setFileResults(data);
+      setSelectedFile(data.totals ? null : 0);
+      setResults(data.totals || data.files[0].result || null);
+      if (!data.totals && data.files[0].error) {
+        setError(data.files[0].error);
       }
+    } catch (err) {
+      showError(err);
     } finally {
       setLoading(false);
     }
   };
 
+  const showFile = (index) => {
+    setSelectedFile(index);
+    setResults(index === null ? fileResults.totals : fileResults.files[index].result);
+  };
+
+  const renderFiles = () => {
+    if (!fileResults || fileResults.files.length < 2) return null;
+
+    const cellStyle = { padding: '10px 14px', borderBottom: '1px solid #e5e7eb', color: '#1f2937', fontSize: '14px' };
+    const headerStyle = { ...cellStyle, borderBottom: '1px solid #d1d5db', textAlign: 'left', fontWeight: '600', color: '#4b5563' };
+    const viewButton = (index, enabled = true) => (
+      <button
+        onClick={() => showFile(index)}
+        disabled={!enabled || selectedFile === index}
+        style={{
+          padding: '4px 12px',
+          border: '1px solid #4f46e5',
+          borderRadius: '6px',
+          backgroundColor: selectedFile === index ? '#4f46e5' : 'white',
+          color: selectedFile === index ? 'white' : '#4f46e5',
+          cursor: enabled && selectedFile !== index ? 'pointer' : 'default',
+          opacity: enabled ? 1 : 0.4
+        }}
+      >
+        {selectedFile === index ? 'Showing' : 'View'}
+      </button>
+    );
+
+    return (
+      <div style={{ marginTop: '32px' }}>
+        <h2 style={{ fontSize: '1.75rem', fontWeight: '600', marginBottom: '16px', color: '#374151' }}>
+          📁 Uploaded Files
+        </h2>
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{
+            width: '100%',
+            backgroundColor: 'white',
+            border: '1px solid #d1d5db',
+            borderRadius: '8px',
+            borderCollapse: 'collapse'
+          }}>
+            <thead style={{ backgroundColor: '#f3f4f6' }}>
+              <tr>
+                <th style={headerStyle}>File</th>
+                <th style={headerStyle}>Type</th>
+                <th style={headerStyle}>Words</th>
+                <th style={headerStyle}>Reading Time</th>
+                <th style={headerStyle}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {fileResults.files.map((file, index) => (
+                <tr key={`${file.filename}-${index}`} style={{ backgroundColor: index % 2 === 0 ? 'white' : '#f9fafb' }}>
+                  <td style={{ ...cellStyle, fontWeight: '600' }}>{file.filename}</td>
+                  <td style={cellStyle}>{file.format}</td>
+                  {file.error ? (
+                    <td colSpan="2" style={{ ...cellStyle, color: '#991b1b' }}>{file.error}</td>
+                  ) : (
+                    <>
+                      <td style={cellStyle}>{file.result.word_count}</td>
+                      <td style={cellStyle}>{formatDuration(file.result.reading_time.reading_seconds)}</td>
+                    </>
+                  )}
+                  <td style={cellStyle}>{viewButton(index, !file.error)}</td>
+                </tr>
+              ))}
+              <tr style={{ backgroundColor: '#eef2ff' }}>
+                <td style={{ ...cellStyle, fontWeight: '700' }}>All files</td>
+                <td style={cellStyle}>{fileResults.totals.file_count} read</td>
+                <td style={{ ...cellStyle, fontWeight: '700' }}>{fileResults.totals.word_count}</td>
+                <td style={cellStyle}>{formatDuration(fileResults.totals.reading_time.reading_seconds)}</td>
+                <td style={cellStyle}>{viewButton(null)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  };
+
   const renderResults = () => {
     if (!results) return null;
 
@@ -68,6 +300,22 @@ function App() {
     const frequencyArray = Object.entries(results.word_frequency)
       .sort(([, countA], [, countB]) => countB - countA); 
 
+    // Optional sections, present unless the request left them out
+    const statistics = results.text_statistics;
+    const readability = results.readability;
+    const timing = results.reading_time;
+    const score = (value) => (value === null ? 'N/A' : value.toFixed(1));
+    const groups = results.word_groups;
+    const cellStyle = { padding: '12px 16px', borderBottom: '1px solid #e5e7eb', color: '#1f2937' };
+    const headerStyle = {
+      padding: '12px 16px',
+      borderBottom: '1px solid #d1d5db',
+      textAlign: 'left',
+      fontSize: '14px',
+      fontWeight: '600',
+      color: '#4b5563'
+    };
+
     return (
       <div style={{ marginTop: '32px', paddingTop: '24px', borderTop: '2px solid #e5e7eb' }}>
         <h2 style={{ fontSize: '1.75rem', fontWeight: '600', marginBottom: '20px', color: '#374151' }}>
@@ -129,12 +377,84 @@ function App() {
               {results.longest_words.length > 0 ? results.longest_words.join(', ') : 'N/A'}
             </p>
           </div>
+
+          {statistics && (
+            <>
+              <StatCard title="Sentences" value={statistics.sentence_count} background="#ede9fe" color="#7c3aed" />
+              <StatCard title="Paragraphs" value={statistics.paragraph_count} background="#ede9fe" color="#7c3aed" />
+              <StatCard
+                title="Avg. Sentence Length"
+                value={statistics.average_sentence_length.toFixed(1)}
+                note="words per sentence"
+                background="#ede9fe"
+                color="#7c3aed"
+              />
+              <StatCard
+                title="Syllables"
+                value={statistics.syllable_count}
+                note={`${statistics.average_syllables_per_word.toFixed(2)} per word (estimated)`}
+                background="#ede9fe"
+                color="#7c3aed"
+              />
+            </>
+          )}
+
+          {timing && (
+            <>
+              <StatCard
+                title="Reading Time"
+                value={formatDuration(timing.reading_seconds)}
+                note={`at ${timing.reading_wpm} words per minute`}
+                background="#fce7f3"
+                color="#db2777"
+              />
+              <StatCard
+                title="Speaking Time"
+                value={formatDuration(timing.speaking_seconds)}
+                note={`at ${timing.speaking_wpm} words per minute`}
+                background="#fce7f3"
+                color="#db2777"
+              />
+            </>
+          )}
         </div>
 
+        {/* Readability Scores */}
+        {readability && (
+          <>
+            <h3 style={{ fontSize: '1.25rem', fontWeight: '600', marginBottom: '12px', color: '#374151' }}>
+              📖 Readability
+            </h3>
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+              gap: '16px',
+              marginBottom: '24px'
+            }}>
+              <StatCard
+                title="Flesch Reading Ease"
+                value={score(readability.flesch_reading_ease)}
+                note={readability.flesch_reading_ease === null ? null : describeReadingEase(readability.flesch_reading_ease)}
+                background="#e0f2fe"
+                color="#0369a1"
+              />
+              <StatCard title="Flesch-Kincaid Grade" value={score(readability.flesch_kincaid_grade)} note="US grade level" background="#e0f2fe" color="#0369a1" />
+              <StatCard title="Gunning Fog" value={score(readability.gunning_fog)} note="years of schooling" background="#e0f2fe" color="#0369a1" />
+              <StatCard title="SMOG Index" value={score(readability.smog_index)} note="US grade level" background="#e0f2fe" color="#0369a1" />
+              <StatCard title="Coleman-Liau" value={score(readability.coleman_liau_index)} note="US grade level" background="#e0f2fe" color="#0369a1" />
+            </div>
+          </>
+        )}
+
         {/* Word Frequency Table */}
         <h3 style={{ fontSize: '1.25rem', fontWeight: '600', marginBottom: '12px', color: '#374151' }}>
           📊 Word Frequency
         </h3>
+        {results.stop_words_removed > 0 && (
+          <p style={{ marginBottom: '12px', color: '#6b7280', fontSize: '14px' }}>
+            {results.stop_words_removed} stop word{results.stop_words_removed === 1 ? '' : 's'} left out of the counts.
+          </p>
+        )}
         <div style={{ overflowX: 'auto' }}>
             <table style={{
               width: '100%',
@@ -190,6 +510,79 @@ function App() {
                 </tbody>
             </table>
         </div>
+
+        {/* Stem / Lemma Groups */}
+        {groups && (
+          <>
+            <h3 style={{ fontSize: '1.25rem', fontWeight: '600', margin: '24px 0 12px', color: '#374151' }}>
+              🌱 Grouped by {results.frequency.groupBy === 'stem' ? 'Stem' : 'Lemma'}
+            </h3>
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{
+                width: '100%',
+                backgroundColor: 'white',
+                border: '1px solid #d1d5db',
+                borderRadius: '8px',
+                boxShadow: '0 4px 6px rgba(0,0,0,0.1)',
+                borderCollapse: 'collapse'
+              }}>
+                <thead style={{ backgroundColor: '#f3f4f6' }}>
+                  <tr>
+                    <th style={headerStyle}>{results.frequency.groupBy === 'stem' ? 'Stem' : 'Lemma'}</th>
+                    <th style={headerStyle}>Count</th>
+                    <th style={headerStyle}>Forms</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {groups.map((group, index) => (
+                    <tr key={group.key} style={{ backgroundColor: index % 2 === 0 ? 'white' : '#f9fafb' }}>
+                      <td style={cellStyle}>{group.key}</td>
+                      <td style={{ ...cellStyle, fontWeight: '600' }}>{group.count}</td>
+                      <td style={{ ...cellStyle, color: '#4b5563' }}>
+                        {Object.entries(group.forms)
+                          .map(([form, count]) => `${form} (${count})`)
+                          .join(', ')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        {/* Phrases, Collocations and Keywords */}
+        {keywords && (
+          <>
+            <h3 style={{ fontSize: '1.25rem', fontWeight: '600', margin: '24px 0 12px', color: '#374151' }}>
+              🔑 Keywords &amp; Phrases
+            </h3>
+            <PhraseTable
+              title="Keywords (RAKE)"
+              rows={keywords.keywords}
+              scores={[['Score', 'score']]}
+              empty="No keywords found."
+            />
+            <PhraseTable
+              title="Collocations"
+              rows={keywords.collocations}
+              scores={[['Log-Likelihood', 'log_likelihood'], ['PMI', 'pmi']]}
+              empty={`No word pairs occur ${keywords.extraction.minCount}+ times.`}
+            />
+            <PhraseTable
+              title="Top Bigrams"
+              rows={keywords.ngrams.bigrams}
+              scores={[['Share', 'score']]}
+              empty={`No two-word phrases occur ${keywords.extraction.minCount}+ times.`}
+            />
+            <PhraseTable
+              title="Top Trigrams"
+              rows={keywords.ngrams.trigrams}
+              scores={[['Share', 'score']]}
+              empty={`No three-word phrases occur ${keywords.extraction.minCount}+ times.`}
+            />
+          </>
+        )}
       </div>
     );
   };
@@ -232,6 +625,106 @@ function App() {
             resize: 'vertical'
           }}
         ></textarea>
+
+        {/* Document Drop Zone */}
+        <div
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDragging(true);
+          }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={(e) => {
+            e.preventDefault();
+            setDragging(false);
+            handleFiles(e.dataTransfer.files);
+          }}
+          style={{
+            marginBottom: '16px',
+            padding: '20px',
+            border: `2px dashed ${dragging ? '#4f46e5' : '#d1d5db'}`,
+            borderRadius: '8px',
+            backgroundColor: dragging ? '#eef2ff' : '#f9fafb',
+            textAlign: 'center',
+            color: '#4b5563',
+            fontSize: '14px'
+          }}
+        >
+          📄 Drop .txt, .md, .html, .docx or .pdf files here, or{' '}
+          <label style={{ color: '#4f46e5', fontWeight: '600', cursor: 'pointer' }}>
+            browse
+            <input
+              type="file"
+              multiple
+              accept={DOCUMENT_TYPES}
+              onChange={(e) => {
+                handleFiles(e.target.files);
+                e.target.value = '';
+              }}
+              style={{ display: 'none' }}
+            />
+          </label>
+        </div>
+
+        {/* Word Frequency Options */}
+        <div style={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          alignItems: 'center',
+          gap: '16px',
+          marginBottom: '16px',
+          fontSize: '14px',
+          color: '#374151'
+        }}>
+          <label>
+            <input
+              type="checkbox"
+              checked={removeStopWords}
+              onChange={(e) => setRemoveStopWords(e.target.checked)}
+              style={{ marginRight: '6px' }}
+            />
+            Remove stop words
+          </label>
+          <label>
+            Language{' '}
+            <select
+              value={stopWordLanguage}
+              onChange={(e) => {
+                setStopWordLanguage(e.target.value);
+                // Stems and lemmas are English only
+                if (e.target.value !== 'en') setGroupBy('word');
+              }}
+            >
+              <option value="en">English</option>
+              <option value="es">Spanish</option>
+              <option value="fr">French</option>
+              <option value="de">German</option>
+              <option value="it">Italian</option>
+              <option value="pt">Portuguese</option>
+              <option value="ru">Russian</option>
+            </select>
+          </label>
+          <label>
+            Group by{' '}
+            <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)}>
+              <option value="word">Word</option>
+              <option value="stem" disabled={stopWordLanguage !== 'en'}>Stem (English)</option>
+              <option value="lemma" disabled={stopWordLanguage !== 'en'}>Lemma (English)</option>
+            </select>
+          </label>
+          <input
+            type="text"
+            placeholder="Custom stop words, comma-separated"
+            value={customStopWords}
+            onChange={(e) => setCustomStopWords(e.target.value)}
+            style={{
+              flex: '1 1 220px',
+              padding: '6px 10px',
+              border: '1px solid #d1d5db',
+              borderRadius: '6px',
+              fontSize: '14px'
+            }}
+          />
+        </div>
         
         {/* Analyze Button */}
         <button 
@@ -293,6 +786,7 @@ function App() {
           </div>
         )}
 
+        {renderFiles()}
         {renderResults()}
       </div>
     </div>
@@ -0,0 +1,198 @@
+// task-1/server/documents.js
+// Plain text from uploaded documents: .txt, .md, .html, .docx (mammoth) and .pdf (pdf-parse).
+// Markup is stripped, but block elements, list items and paragraphs stay on lines of their
+// own so sentence and paragraph counts still work on the extracted text.
+
+const path = require('path');
+const mammoth = require('mammoth');
+const { PDFParse } = require('pdf-parse');
+
+const DOCUMENT_FORMATS = {
+    '.txt': 'text',
+    '.text': 'text',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.html': 'html',
+    '.htm': 'html',
+    '.docx': 'docx',
+    '.pdf': 'pdf'
+};
+
+// A file that was accepted but whose text could not be read
+class DocumentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DocumentError';
+    }
+}
+
+// Format of an uploaded file by its extension; undefined when unsupported
+function documentFormat(filename) {
+    return DOCUMENT_FORMATS[path.extname(filename).toLowerCase()];
+}
+
+// Text files may be UTF-8 (with or without a byte order mark) or UTF-16 with one
+function decodeText(buffer) {
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+        return new TextDecoder('utf-16le').decode(buffer);
+    }
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+        return new TextDecoder('utf-16be').decode(buffer);
+    }
+    return new TextDecoder('utf-8').decode(buffer); // drops a UTF-8 byte order mark
+}
+
+// HTML 4's Latin-1 entities, &nbsp; (U+00A0) to &yuml; (U+00FF), in code point order
+const LATIN1_ENTITIES = (
+    'nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr deg plusmn sup2 sup3 ' +
+    'acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest Agrave Aacute Acirc Atilde Auml ' +
+    'Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ETH Ntilde Ograve Oacute Ocirc Otilde ' +
+    'Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig agrave aacute acirc atilde auml aring aelig ' +
+    'ccedil egrave eacute ecirc euml igrave iacute icirc iuml eth ntilde ograve oacute ocirc otilde ouml divide ' +
+    'oslash ugrave uacute ucirc uuml yacute thorn yuml'
+).split(' ');
+const NAMED_ENTITIES = {
+    ...Object.fromEntries(LATIN1_ENTITIES.map((name, i) => [name, String.fromCharCode(0xa0 + i)])),
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’',
+    ldquo: '“', rdquo: '”', bull: '•', hellip: '…', euro: '€', trade: '™'
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+        }
+        return Object.hasOwn(NAMED_ENTITIES, name) ? NAMED_ENTITIES[name] : entity;
+    });
+}
+
+const BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure', 'footer',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section',
+    'table', 'tr', 'ul'
+]);
+const HIDDEN_ELEMENTS = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg']);
+const TAG_NAME = /\/?([a-z][a-z0-9-]*)/iy;
+
+// Text a tag leaves behind: blocks on lines of their own, cells apart
+function tagText(name, closing) {
+    if (BLOCK_ELEMENTS.has(name)) {
+        return '\n\n';
+    }
+    if (name === 'br') {
+        return '\n';
+    }
+    return !closing && (name === 'td' || name === 'th') ? ' ' : '';
+}
+
+// Visible text of an HTML document. One pass with indexOf, never a backtracking regex,
+// so unclosed tags in a large upload cost linear time: a '<' without a later '>' is text,
+// an unclosed comment or hidden element runs to the end of the document.
+function htmlToText(html) {
+    const parts = [];
+    let i = 0;
+    while (i < html.length) {
+        const open = html.indexOf('<', i);
+        const end = open === -1 ? -1 : html.indexOf('>', open + 1);
+        if (end === -1) {
+            parts.push(html.slice(i));
+            break;
+        }
+        parts.push(html.slice(i, open));
+        if (html.startsWith('<!--', open)) {
+            const commentEnd = html.indexOf('-->', open + 4);
+            i = commentEnd === -1 ? html.length : commentEnd + 3;
+            continue;
+        }
+        i = end + 1;
+        TAG_NAME.lastIndex = open + 1;
+        const match = TAG_NAME.exec(html);
+        if (!match) {
+            continue; // <!DOCTYPE>, <?xml?>
+        }
+        const name = match[1].toLowerCase();
+        const closing = match[0][0] === '/';
+        if (HIDDEN_ELEMENTS.has(name) && !closing) {
+            const closeTag = new RegExp(`</${name}\\s*>`, 'gi');
+            closeTag.lastIndex = i;
+            i = closeTag.exec(html) ? closeTag.lastIndex : html.length;
+            continue;
+        }
+        parts.push(tagText(name, closing));
+    }
+    return tidy(decodeEntities(parts.join('')));
+}
+
+// Text of a Markdown document without its syntax
+function markdownToText(markdown) {
+    // Line patterns use [ \t], not \s: under /m, \s would also eat the blank lines between blocks.
+    // Bracket patterns exclude their opening bracket too, so each scan stops at the next one
+    // and unclosed brackets cost linear time instead of rescanning the rest of the document.
+    const text = markdown
+        .replace(/^(```|~~~).*$/gm, '')                    // code fences (their code is kept)
+        .replace(/^ {0,3}\[[^[\]\n]+\]:[ \t]*\S+.*$/gm, '') // link reference definitions
+        .replace(/!\[([^[\]]*)\]\([^()]*\)/g, '$1')         // images -> alt text
+        .replace(/\[([^[\]]+)\]\([^()]*\)/g, '$1')          // links -> link text
+        .replace(/\[([^[\]]+)\]\[[^[\]]*\]/g, '$1')
+        .replace(/^ {0,3}#{1,6}[ \t]+(.*?)[ \t]*#*[ \t]*$/gm, '$1') // headings
+        .replace(/^ {0,3}(?:[-*_][ \t]*){3,}$/gm, '')       // horizontal rules
+        .replace(/^ {0,3}>[ \t]?/gm, '')                    // blockquotes
+        .replace(/^[ \t]*(?:[-*+]|\d+[.)])[ \t]+(?:\[[ xX]\][ \t]+)?/gm, '') // list markers and task boxes
+        .replace(/^[ \t]*\|?(?:[ \t]*:?-+:?[ \t]*\|)+[ \t]*:?-*:?[ \t]*$\n?/gm, '') // table separator rows
+        .replace(/\|/g, ' ')
+        .replace(/(\*\*|__|~~)(.+?)\1/g, '$2')              // bold, strikethrough
+        .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2') // italics
+        .replace(/`([^`]+)`/g, '$1')                        // inline code
+        .replace(/<[^<>]+>/g, '');                          // inline HTML
+    return tidy(decodeEntities(text));
+}
+
+// Collapse runs of spaces and of blank lines
+function tidy(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t\f\v\u00a0]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+async function pdfToText(buffer) {
+    const parser = new PDFParse({ data: buffer });
+    try {
+        const { text } = await parser.getText();
+        // pdf-parse marks page breaks with "-- 1 of 3 --" lines
+        return tidy(text.replace(/^-- \d+ of \d+ --$/gm, ''));
+    } finally {
+        await parser.destroy();
+    }
+}
+
+// Plain text of one uploaded file ({ originalname, buffer }); rejects with DocumentError
+async function extractText(file) {
+    const format = documentFormat(file.originalname);
+    try {
+        switch (format) {
+            case 'text':
+                return tidy(decodeText(file.buffer));
+            case 'markdown':
+                return markdownToText(decodeText(file.buffer));
+            case 'html':
+                return htmlToText(decodeText(file.buffer));
+            case 'docx':
+                return tidy((await mammoth.extractRawText({ buffer: file.buffer })).value);
+            case 'pdf':
+                return await pdfToText(file.buffer);
+            default:
+                throw new DocumentError(`Unsupported file type: ${file.originalname}.`);
+        }
+    } catch (error) {
+        if (error instanceof DocumentError) {
+            throw error;
+        }
+        throw new DocumentError(`Could not read ${format} file ${file.originalname}: ${error.message}`);
+    }
+}
+
+module.exports = { DOCUMENT_FORMATS, DocumentError, documentFormat, extractText };
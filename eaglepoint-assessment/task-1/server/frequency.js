@@ -0,0 +1,98 @@
+// task-1/server/frequency.js
+// Word frequency options: stop-word filtering with the bundled lists (data/stopWords.json)
+// or a custom list, and grouping counts by Porter stem or by lemma (stemmer.js).
+
+const STOP_WORDS = require('./data/stopWords.json');
+const { OptionError } = require('./optionError');
+const { porterStem, lemmatize } = require('./stemmer');
+
+const GROUPINGS = {
+    word: null,
+    stem: porterStem,  // "connected", "connection" -> "connect"
+    lemma: lemmatize   // "ran", "running" -> "run"
+};
+// Stemming and lemmatization rules only exist for these languages
+const GROUPING_LANGUAGES = ['en'];
+
+const DEFAULT_FREQUENCY_OPTIONS = {
+    language: 'en',       // list used by `stopWords: true` and rules for stem/lemma grouping
+    stopWords: [],        // languages whose stop words are dropped; true for `language`
+    customStopWords: [],  // extra words to drop
+    groupBy: 'word'
+};
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Validate options from a request body and fill in the defaults. `language` defaults to
+// the tokenizer locale's language when a stop-word list is bundled for it.
+function resolveFrequencyOptions(options = {}, tokenizerOptions = {}) {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        throw new OptionError("'frequency' must be an object.");
+    }
+    const known = Object.keys(DEFAULT_FREQUENCY_OPTIONS);
+    const unknown = Object.keys(options).find(name => !known.includes(name));
+    if (unknown) {
+        throw new OptionError(`Unknown frequency option '${unknown}'. Expected: ${known.join(', ')}.`);
+    }
+
+    const localeLanguage = tokenizerOptions.locale && tokenizerOptions.locale.split('-')[0];
+    const language = options.language !== undefined ? options.language
+        : (STOP_WORDS[localeLanguage] ? localeLanguage : DEFAULT_FREQUENCY_OPTIONS.language);
+    const languages = Object.keys(STOP_WORDS);
+    if (!languages.includes(language)) {
+        throw new OptionError(`Invalid frequency language: expected one of ${languages.join(', ')}.`);
+    }
+
+    let stopWords = options.stopWords === undefined ? DEFAULT_FREQUENCY_OPTIONS.stopWords : options.stopWords;
+    if (typeof stopWords === 'boolean') {
+        stopWords = stopWords ? [language] : [];
+    } else if (!isStringList(stopWords) || stopWords.some(code => !languages.includes(code))) {
+        throw new OptionError(`'stopWords' must be true, false or a list of: ${languages.join(', ')}.`);
+    }
+
+    const customStopWords = options.customStopWords === undefined ? [] : options.customStopWords;
+    if (!isStringList(customStopWords)) {
+        throw new OptionError("'customStopWords' must be a list of words.");
+    }
+
+    const groupBy = options.groupBy === undefined ? DEFAULT_FREQUENCY_OPTIONS.groupBy : options.groupBy;
+    if (!Object.keys(GROUPINGS).includes(groupBy)) {
+        throw new OptionError(`Invalid frequency option 'groupBy': expected one of ${Object.keys(GROUPINGS).join(', ')}.`);
+    }
+    if (GROUPINGS[groupBy] && !GROUPING_LANGUAGES.includes(language)) {
+        throw new OptionError(`Grouping by ${groupBy} is only available for: ${GROUPING_LANGUAGES.join(', ')}.`);
+    }
+
+    return { language, stopWords: [...new Set(stopWords)], customStopWords, groupBy };
+}
+
+// Set of normalized words to drop; `normalize` is the tokenizer's normalizeToken
+function stopWordSet(options, normalize) {
+    const words = new Set();
+    for (const language of options.stopWords) {
+        STOP_WORDS[language].forEach(word => words.add(normalize(word)));
+    }
+    options.customStopWords.forEach(word => words.add(normalize(word.trim())));
+    return words;
+}
+
+// Merge a word -> count map into groups of the same stem or lemma, most frequent first.
+// Each group lists the surface forms it merged with their own counts.
+function groupFrequencies(frequency, groupBy) {
+    const toKey = GROUPINGS[groupBy];
+    const groups = new Map();
+    for (const [word, count] of frequency) {
+        const key = toKey(word);
+        if (!groups.has(key)) {
+            groups.set(key, { key, count: 0, forms: new Map() });
+        }
+        const group = groups.get(key);
+        group.count += count;
+        group.forms.set(word, count);
+    }
+    // fromEntries defines own properties, so even a "__proto__" token is kept as a form
+    return Array.from(groups.values(), (group) => ({ ...group, forms: Object.fromEntries(group.forms) }))
+        .sort((a, b) => b.count - a.count);
+}
+
+module.exports = { DEFAULT_FREQUENCY_OPTIONS, resolveFrequencyOptions, stopWordSet, groupFrequencies };
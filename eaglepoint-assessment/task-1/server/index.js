@@ -1,8 +1,17 @@
 // task-1/server/index.js
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
+const { resolveTokenizerOptions, tokenize, normalizeToken, characterLength } = require('./tokenizer');
+const { OptionError } = require('./optionError');
+const { resolveFrequencyOptions, stopWordSet, groupFrequencies } = require('./frequency');
+const { resolveExtractionOptions, extractKeywords } = require('./keywords');
+const { DOCUMENT_FORMATS, DocumentError, documentFormat, extractText } = require('./documents');
+const { textStatistics, readabilityScores, readingTime } = require('./readability');
 const app = express();
 const PORT = 5000;
+const MAX_UPLOAD_FILES = 10;
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024; // per file
 
 // Middleware
 app.use(cors()); 
@@ -14,58 +23,99 @@ app.use(express.json());
 // 2. Average word length (2 decimals)
 // 3. Longest word(s) (all if tied)
 // 4. Word frequency (case-insensitive)
+//
+// Words are found by the Unicode-aware tokenizer (tokenizer.js); `tokenizerOptions` are
+// its resolved options. Word lengths count user-perceived characters.
+//
+// `frequencyOptions` (frequency.js) drop stop words from word_frequency and can group its
+// counts by stem or lemma into word_groups; word_count and the sections still see every word.
+//
+// Optional sections (readability.js), all included unless `sections` names some:
+// - text_statistics: sentences, paragraphs, average sentence length, syllables
+// - readability: Flesch Reading Ease, Flesch-Kincaid Grade, Gunning Fog, SMOG, Coleman-Liau
+// - reading_time: estimated reading and speaking time
 
-function analyzeText(text) {
+const ANALYSIS_SECTIONS = ['text_statistics', 'readability', 'reading_time'];
+
+// Add the requested optional sections to a result
+function addSections(result, text, words, tokenizerOptions, sections) {
+    const statistics = textStatistics(text, words, tokenizerOptions.locale);
+    if (sections.includes('text_statistics')) {
+        result.text_statistics = statistics;
+    }
+    if (sections.includes('readability')) {
+        result.readability = readabilityScores(words, statistics);
+    }
+    if (sections.includes('reading_time')) {
+        result.reading_time = readingTime(words.length);
+    }
+    return result;
+}
+
+// Word counts of a text without words
+function emptyResult(tokenizerOptions, frequencyOptions) {
+    const result = {
+        "word_count": 0,
+        "average_word_length": 0.00,
+        "longest_words": [],
+        "word_frequency": {},
+        "stop_words_removed": 0,
+        "tokenizer": tokenizerOptions,
+        "frequency": frequencyOptions
+    };
+    if (frequencyOptions.groupBy !== 'word') {
+        result.word_groups = [];
+    }
+    return result;
+}
+
+function analyzeText(text, tokenizerOptions = resolveTokenizerOptions(),
+    sections = ANALYSIS_SECTIONS, frequencyOptions = resolveFrequencyOptions({}, tokenizerOptions)) {
     let totalWordCount = 0;
+    let stopWordsRemoved = 0;
     let totalCharacterCount = 0;
     let maxWordLength = 0;
     const wordFrequency = new Map(); // Case-insensitive word frequency
     const longestWordsSet = new Set(); // Store unique longest words
+    const stopWords = stopWordSet(frequencyOptions, word => normalizeToken(word, tokenizerOptions));
 
     // Handle empty input
     if (!text || text.trim() === "") {
-         return {
-            "word_count": 0,
-            "average_word_length": 0.00,
-            "longest_words": [],
-            "word_frequency": {}
-        };
+         return addSections(emptyResult(tokenizerOptions, frequencyOptions), "", [], tokenizerOptions, sections);
     }
     
-    // Use regex to split text by any non-alphanumeric character (removes punctuation, spaces, etc.)
-    const words = text
-        .split(/[^a-z0-9]+/i)
-        .filter(word => word.length > 0);
+    // Split on Unicode word boundaries (keeps "café", "don't", Cyrillic, CJK, ...)
+    const words = tokenize(text, tokenizerOptions);
         
     if (words.length === 0) {
-        return {
-            "word_count": 0,
-            "average_word_length": 0.00,
-            "longest_words": [],
-            "word_frequency": {}
-        };
+        return addSections(emptyResult(tokenizerOptions, frequencyOptions), text, words, tokenizerOptions, sections);
     }
 
     // Process each word
     for (const word of words) {
         // Normalize to lowercase for case-insensitive frequency counting
-        const normalizedWord = word.toLowerCase();
+        const normalizedWord = normalizeToken(word, tokenizerOptions);
+        const wordLength = characterLength(word);
 
         // 1. Total word count
         totalWordCount++;
         
         // Track character count for average calculation
-        totalCharacterCount += word.length;
+        totalCharacterCount += wordLength;
 
-        // 4. Word frequency (case-insensitive)
-        wordFrequency.set(normalizedWord, (wordFrequency.get(normalizedWord) || 0) + 1);
+        // 4. Word frequency (case-insensitive), without stop words
+        if (stopWords.has(normalizedWord)) {
+            stopWordsRemoved++;
+        } else {
+            wordFrequency.set(normalizedWord, (wordFrequency.get(normalizedWord) || 0) + 1);
+        }
 
         // 3. Longest word(s) tracking - find all words with maximum length
-        if (word.length > maxWordLength) {
-            maxWordLength = word.length;
+        if (wordLength > maxWordLength) {
+            maxWordLength = wordLength;
             longestWordsSet.clear(); // Clear previous longest words
             longestWordsSet.add(word); // Add new longest word
-        } else if (word.length === maxWordLength) {
+        } else if (wordLength === maxWordLength) {
             longestWordsSet.add(word); // Add tied longest word
         }
     }
@@ -80,12 +130,20 @@ function analyzeText(text) {
     // Convert Set to array for longest words (preserves original case)
     const longestWordsArray = Array.from(longestWordsSet);
     
-    return {
+    const result = {
         "word_count": totalWordCount,
         "average_word_length": averageWordLength,
         "longest_words": longestWordsArray,
-        "word_frequency": frequencyObject
+        "word_frequency": frequencyObject,
+        "stop_words_removed": stopWordsRemoved,
+        "tokenizer": tokenizerOptions,
+        "frequency": frequencyOptions
     };
+    // Counts merged by stem or lemma, each listing the forms it merged
+    if (frequencyOptions.groupBy !== 'word') {
+        result.word_groups = groupFrequencies(wordFrequency, frequencyOptions.groupBy);
+    }
+    return addSections(result, text, words, tokenizerOptions, sections);
 }
 
 
@@ -98,23 +156,150 @@ app.get('/api/health', (req, res) => {
 
 // Text analysis endpoint
 app.post('/api/analyze', (req, res) => {
-    const { text } = req.body;
+    const { text, tokenizer, sections, frequency } = req.body;
     
     if (text === undefined) {
         return res.status(400).json({ error: "Missing 'text' field in request body." });
     }
+    if (typeof text !== 'string') {
+        return res.status(400).json({ error: "'text' must be a string." });
+    }
+    if (sections !== undefined &&
+        (!Array.isArray(sections) || sections.some(section => !ANALYSIS_SECTIONS.includes(section)))) {
+        return res.status(400).json({ error: `'sections' must be a list of: ${ANALYSIS_SECTIONS.join(', ')}.` });
+    }
 
     try {
-        const results = analyzeText(text);
+        const tokenizerOptions = resolveTokenizerOptions(tokenizer);
+        const frequencyOptions = resolveFrequencyOptions(frequency, tokenizerOptions);
+        const results = analyzeText(text, tokenizerOptions, sections, frequencyOptions);
         res.json(results);
     } catch (error) {
+        if (error instanceof OptionError) {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Analysis error:', error);
         res.status(500).json({ error: "Internal server error during analysis." });
     }
 });
 
+// Phrase and keyword extraction endpoint (keywords.js)
+app.post('/api/analyze/keywords', (req, res) => {
+    const { text, tokenizer, frequency, extraction } = req.body;
+
+    if (text === undefined) {
+        return res.status(400).json({ error: "Missing 'text' field in request body." });
+    }
+    if (typeof text !== 'string') {
+        return res.status(400).json({ error: "'text' must be a string." });
+    }
+
+    try {
+        const tokenizerOptions = resolveTokenizerOptions(tokenizer);
+        const frequencyOptions = resolveFrequencyOptions(frequency, tokenizerOptions);
+        const results = extractKeywords(text, tokenizerOptions, frequencyOptions, resolveExtractionOptions(extraction));
+        res.json(results);
+    } catch (error) {
+        if (error instanceof OptionError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Keyword extraction error:', error);
+        res.status(500).json({ error: "Internal server error during keyword extraction." });
+    }
+});
+
+// Uploaded documents are kept in memory only while their text is extracted
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { files: MAX_UPLOAD_FILES, fileSize: MAX_UPLOAD_BYTES },
+    defParamCharset: 'utf8', // browsers send file names as UTF-8 without saying so
+    fileFilter: (req, file, callback) => {
+        if (!documentFormat(file.originalname)) {
+            return callback(new DocumentError(
+                `Unsupported file type: ${file.originalname}. Expected: ${Object.keys(DOCUMENT_FORMATS).join(', ')}.`));
+        }
+        callback(null, true);
+    }
+}).array('files', MAX_UPLOAD_FILES);
+
+// Document upload endpoint: multipart `files` plus an optional `options` field holding the
+// JSON `tokenizer`, `sections` and `frequency` options of /api/analyze
+app.post('/api/analyze/files', (req, res) => {
+    upload(req, res, async (uploadError) => {
+        if (uploadError instanceof multer.MulterError || uploadError instanceof DocumentError) {
+            return res.status(400).json({ error: uploadError.message });
+        }
+        if (uploadError) {
+            console.error('Upload error:', uploadError);
+            return res.status(500).json({ error: "Internal server error during upload." });
+        }
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: "Missing 'files' in multipart request body." });
+        }
+
+        let options = {};
+        try {
+            options = req.body.options === undefined ? {} : JSON.parse(req.body.options);
+        } catch (error) {
+            options = null;
+        }
+        if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+            return res.status(400).json({ error: "'options' must be a JSON object." });
+        }
+        const { tokenizer, sections, frequency } = options;
+        if (sections !== undefined &&
+            (!Array.isArray(sections) || sections.some(section => !ANALYSIS_SECTIONS.includes(section)))) {
+            return res.status(400).json({ error: `'sections' must be a list of: ${ANALYSIS_SECTIONS.join(', ')}.` });
+        }
+
+        try {
+            const tokenizerOptions = resolveTokenizerOptions(tokenizer);
+            const frequencyOptions = resolveFrequencyOptions(frequency, tokenizerOptions);
+
+            // Files are read one at a time; one that cannot be read only fails its own entry
+            const files = [];
+            const texts = [];
+            for (const file of req.files) {
+                const entry = { "filename": file.originalname, "format": documentFormat(file.originalname), "size": file.size };
+                try {
+                    const text = await extractText(file);
+                    texts.push(text);
+                    entry.character_count = text.length;
+                    entry.result = analyzeText(text, tokenizerOptions, sections, frequencyOptions);
+                } catch (error) {
+                    if (!(error instanceof DocumentError)) {
+                        throw error;
+                    }
+                    entry.error = error.message;
+                }
+                files.push(entry);
+            }
+
+            const results = { "files": files };
+            // Totals analyze the readable files' text as one document
+            if (req.files.length > 1) {
+                results.totals = {
+                    "file_count": texts.length,
+                    ...analyzeText(texts.join('\n\n'), tokenizerOptions, sections, frequencyOptions)
+                };
+            }
+            res.json(results);
+        } catch (error) {
+            if (error instanceof OptionError) {
+                return res.status(400).json({ error: error.message });
+            }
+            console.error('File analysis error:', error);
+            res.status(500).json({ error: "Internal server error during file analysis." });
+        }
+    });
+});
+
+
+// Start the server when run directly; tests import the app and listen on a port of their own
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Server running on http://localhost:${PORT}`);
+    });
+}
 
-// Start the server
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+module.exports = { app, MAX_UPLOAD_FILES, MAX_UPLOAD_BYTES };
\ No newline at end of file
@@ -0,0 +1,226 @@
+// task-1/server/keywords.js
+// Recurring phrases and key terms: top bigrams and trigrams, collocations scored by
+// pointwise mutual information and log-likelihood (Dunning, 1993), and RAKE keyword
+// phrases (Rose et al., 2010).
+// Phrases never cross a sentence or clause boundary (",", ";", brackets, quotes, dashes).
+// Positions are word offsets counted from 0 in the order words appear in the text.
+
+const { OptionError } = require('./optionError');
+const { URL_OR_EMAIL, tokenize, normalizeToken } = require('./tokenizer');
+const { stopWordSet } = require('./frequency');
+
+const DEFAULT_EXTRACTION_OPTIONS = {
+    limit: 10,    // results per list
+    minCount: 2   // occurrences an n-gram or collocation needs to be listed
+};
+const MAX_LIMIT = 100;
+const MAX_KEYWORD_WORDS = 4; // longer RAKE candidates are rarely key phrases
+
+// Clause punctuation, only when it is not inside a word, number, email or URL
+const CLAUSE_BREAK = /[,;:!?)\]}"”»]+(?=\s|$)|(?<=^|\s)[([{"“«]+|\s[-‐‑–—]+\s|[–—]/u;
+
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+// Validate options from a request body and fill in the defaults
+function resolveExtractionOptions(options = {}) {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        throw new OptionError("'extraction' must be an object.");
+    }
+    const resolved = { ...DEFAULT_EXTRACTION_OPTIONS };
+
+    for (const [name, value] of Object.entries(options)) {
+        if (name === 'limit') {
+            if (!Number.isInteger(value) || value < 1 || value > MAX_LIMIT) {
+                throw new OptionError(`Invalid extraction option 'limit': expected a whole number from 1 to ${MAX_LIMIT}.`);
+            }
+        } else if (name === 'minCount') {
+            if (!Number.isInteger(value) || value < 1) {
+                throw new OptionError("Invalid extraction option 'minCount': expected a whole number of at least 1.");
+            }
+        } else {
+            throw new OptionError(
+                `Unknown extraction option '${name}'. Expected: ${Object.keys(DEFAULT_EXTRACTION_OPTIONS).join(', ')}.`);
+        }
+        resolved[name] = value;
+    }
+    return resolved;
+}
+
+// Runs of normalized words that phrases may not cross, each with the offset of its first word
+function clausesOf(text, tokenizerOptions) {
+    const segmenter = new Intl.Segmenter(tokenizerOptions.locale, { granularity: 'sentence' });
+    // The segmenter breaks "https://example.com/a?b=1" after the "?"; keep emails and URLs whole
+    const links = Array.from(text.matchAll(URL_OR_EMAIL), match => [match.index, match.index + match[0].length]);
+    const sentences = [];
+    let sentence = '';
+    for (const { segment, index } of segmenter.segment(text)) {
+        sentence += segment;
+        const end = index + segment.length;
+        if (!links.some(([linkStart, linkEnd]) => linkStart < end && end < linkEnd)) {
+            sentences.push(sentence);
+            sentence = '';
+        }
+    }
+
+    const clauses = [];
+    let offset = 0;
+    for (const segment of sentences) {
+        for (const clause of segment.split(CLAUSE_BREAK)) {
+            const words = tokenize(clause, tokenizerOptions).map(word => normalizeToken(word, tokenizerOptions));
+            if (words.length > 0) {
+                clauses.push({ start: offset, words });
+                offset += words.length;
+            }
+        }
+    }
+    return clauses;
+}
+
+// Record one occurrence of a phrase in a phrase -> { count, positions } map
+function addOccurrence(phrases, phrase, position) {
+    if (!phrases.has(phrase)) {
+        phrases.set(phrase, { words: phrase.split(' '), count: 0, positions: [] });
+    }
+    const entry = phrases.get(phrase);
+    entry.count++;
+    entry.positions.push(position);
+}
+
+// Every n-word sequence inside the clauses
+function countNgrams(clauses, n) {
+    const ngrams = new Map();
+    for (const { start, words } of clauses) {
+        for (let i = 0; i + n <= words.length; i++) {
+            addOccurrence(ngrams, words.slice(i, i + n).join(' '), start + i);
+        }
+    }
+    return ngrams;
+}
+
+// An n-gram starting or ending with a stop word ("of the", "the end of") is not a phrase
+const isPhrase = ({ words }, stopWords) => !stopWords.has(words[0]) && !stopWords.has(words[words.length - 1]);
+
+// Most frequent n-grams; the score is their share of all n-grams of that size
+function topNgrams(ngrams, stopWords, options) {
+    const total = Array.from(ngrams.values()).reduce((sum, { count }) => sum + count, 0);
+    return Array.from(ngrams, ([phrase, entry]) => ({ phrase, ...entry }))
+        .filter(entry => entry.count >= options.minCount && isPhrase(entry, stopWords))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, options.limit)
+        .map(({ phrase, count, positions }) => ({
+            "phrase": phrase,
+            "count": count,
+            "score": round(count / total, 4),
+            "positions": positions
+        }));
+}
+
+// k * ln(k * total / (row * column)), 0 for an empty cell
+const llTerm = (k, row, column, total) => (k > 0 ? k * Math.log(k * total / (row * column)) : 0);
+
+// Word pairs that occur together more often than chance, strongest first by log-likelihood.
+// PMI is log2 of how much more often than chance; it favours rare pairs, so it is only reported.
+function findCollocations(bigrams, stopWords, options) {
+    const firsts = new Map();
+    const seconds = new Map();
+    let total = 0;
+    for (const { words: [first, second], count } of bigrams.values()) {
+        firsts.set(first, (firsts.get(first) || 0) + count);
+        seconds.set(second, (seconds.get(second) || 0) + count);
+        total += count;
+    }
+
+    const collocations = [];
+    for (const [phrase, entry] of bigrams) {
+        if (entry.count < options.minCount || !isPhrase(entry, stopWords)) {
+            continue;
+        }
+        // 2x2 contingency table: with/without the first word by with/without the second
+        const firstCount = firsts.get(entry.words[0]);
+        const secondCount = seconds.get(entry.words[1]);
+        const both = entry.count;
+        const firstOnly = firstCount - both;
+        const secondOnly = secondCount - both;
+        const neither = total - both - firstOnly - secondOnly;
+        const logLikelihood = 2 * (
+            llTerm(both, firstCount, secondCount, total) +
+            llTerm(firstOnly, firstCount, total - secondCount, total) +
+            llTerm(secondOnly, total - firstCount, secondCount, total) +
+            llTerm(neither, total - firstCount, total - secondCount, total));
+
+        collocations.push({
+            "phrase": phrase,
+            "count": both,
+            "pmi": round(Math.log2(both * total / (firstCount * secondCount)), 4),
+            "log_likelihood": round(logLikelihood, 4),
+            "positions": entry.positions
+        });
+    }
+    return collocations
+        .sort((a, b) => b.log_likelihood - a.log_likelihood)
+        .slice(0, options.limit);
+}
+
+// RAKE: candidate phrases are runs of non-stop words; each word scores degree / frequency
+// (how much it appears inside longer phrases) and a phrase scores the sum of its words.
+function rakeKeywords(clauses, stopWords, options) {
+    const candidates = new Map();
+    for (const { start, words } of clauses) {
+        let run = [];
+        words.forEach((word, i) => {
+            if (!stopWords.has(word)) {
+                run.push(word);
+            }
+            if (stopWords.has(word) || i === words.length - 1) {
+                if (run.length > 0 && run.length <= MAX_KEYWORD_WORDS) {
+                    const end = stopWords.has(word) ? i : i + 1;
+                    addOccurrence(candidates, run.join(' '), start + end - run.length);
+                }
+                run = [];
+            }
+        });
+    }
+
+    const frequency = new Map();
+    const degree = new Map();
+    for (const { words, count } of candidates.values()) {
+        for (const word of words) {
+            frequency.set(word, (frequency.get(word) || 0) + count);
+            degree.set(word, (degree.get(word) || 0) + count * words.length);
+        }
+    }
+
+    return Array.from(candidates, ([phrase, { words, count, positions }]) => ({
+        "phrase": phrase,
+        "count": count,
+        "score": round(words.reduce((sum, word) => sum + degree.get(word) / frequency.get(word), 0), 4),
+        "positions": positions
+    }))
+        .sort((a, b) => b.score - a.score || b.count - a.count)
+        .slice(0, options.limit);
+}
+
+// Phrases and keywords of a text. Stop words of the frequency language are always used to
+// trim n-grams and split RAKE candidates, together with any other lists and custom words.
+function extractKeywords(text, tokenizerOptions, frequencyOptions, options = DEFAULT_EXTRACTION_OPTIONS) {
+    const stopWords = stopWordSet({
+        ...frequencyOptions,
+        stopWords: [...new Set([frequencyOptions.language, ...frequencyOptions.stopWords])]
+    }, word => normalizeToken(word, tokenizerOptions));
+    const clauses = clausesOf(text || '', tokenizerOptions);
+    const bigrams = countNgrams(clauses, 2);
+
+    return {
+        "ngrams": {
+            "bigrams": topNgrams(bigrams, stopWords, options),
+            "trigrams": topNgrams(countNgrams(clauses, 3), stopWords, options)
+        },
+        "collocations": findCollocations(bigrams, stopWords, options),
+        "keywords": rakeKeywords(clauses, stopWords, options),
+        "tokenizer": tokenizerOptions,
+        "frequency": frequencyOptions,
+        "extraction": options
+    };
+}
+
+module.exports = { DEFAULT_EXTRACTION_OPTIONS, resolveExtractionOptions, extractKeywords };
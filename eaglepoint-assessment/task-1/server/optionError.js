@@ -0,0 +1,11 @@
+// task-1/server/optionError.js
+// Invalid analysis options in a request body, answered with 400 and the message.
+
+class OptionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OptionError';
+    }
+}
+
+module.exports = { OptionError };
@@ -0,0 +1,122 @@
+// task-1/server/readability.js
+// Sentence/paragraph statistics, readability scores and reading time for the text analyzer.
+// Syllables are estimated with English spelling rules; for other languages the scores are
+// only a rough guide (CJK characters count as one syllable each).
+
+const READING_WPM = 238;  // average silent reading speed of adults
+const SPEAKING_WPM = 150; // typical presentation pace
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+// Words made only of these scripts are counted one syllable per character
+const CJK = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+$/u;
+
+// Estimate the syllables of one word
+function countSyllables(word) {
+    if (CJK.test(word)) {
+        return Array.from(word).length;
+    }
+    // Compare letters without accents: "café" -> "cafe"
+    const letters = word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().replace(/[^a-z]/g, '');
+    if (letters.length === 0) {
+        // Other scripts: about one syllable per three letters
+        const length = Array.from(word.replace(/[^\p{L}]/gu, '')).length;
+        return Math.max(1, Math.round(length / 3));
+    }
+    if (letters.length <= 3) {
+        return 1;
+    }
+
+    let stem = letters;
+    let extra = 0;
+    if (/[^aeiouy]le$/.test(stem)) {
+        // "-le" after a consonant is a syllable of its own: "table", "little"
+        stem = stem.slice(0, -2);
+        extra = 1;
+    } else if (!/é$/.test(word.toLowerCase())) {
+        // Silent endings: "like", "likes", "liked", but not "wishes", "wanted"
+        stem = stem
+            .replace(/([^aeiouy])e$/, '$1')
+            .replace(/([^aeiouysxzh]|[^cs]h)es$/, '$1')
+            .replace(/([^aeiouytd])ed$/, '$1');
+    }
+    const groups = stem.replace(/^y/, '').match(/[aeiouy]+/g) || [];
+    return Math.max(1, groups.length + extra);
+}
+
+// Sentences that contain at least one of the analyzed words
+function countSentences(text, locale) {
+    const segmenter = new Intl.Segmenter(locale, { granularity: 'sentence' });
+    let count = 0;
+    for (const { segment } of segmenter.segment(text)) {
+        if (/[\p{L}\p{N}]/u.test(segment)) {
+            count++;
+        }
+    }
+    return count;
+}
+
+// Blocks of text separated by blank lines
+function countParagraphs(text) {
+    return text.split(/\n\s*\n/).filter(paragraph => /[\p{L}\p{N}]/u.test(paragraph)).length;
+}
+
+// Sentence, paragraph and syllable counts; `words` are the tokens analyzeText counted
+function textStatistics(text, words, locale) {
+    const sentenceCount = countSentences(text, locale);
+    const syllables = words.map(countSyllables);
+    const syllableCount = syllables.reduce((sum, count) => sum + count, 0);
+
+    return {
+        "sentence_count": sentenceCount,
+        "paragraph_count": countParagraphs(text),
+        "average_sentence_length": sentenceCount > 0 ? round(words.length / sentenceCount) : 0,
+        "syllable_count": syllableCount,
+        "average_syllables_per_word": words.length > 0 ? round(syllableCount / words.length) : 0,
+        // Words of three or more syllables, as used by Gunning Fog and SMOG
+        "complex_word_count": syllables.filter(count => count >= 3).length
+    };
+}
+
+// Readability formulas; null when the text has no sentences to score
+function readabilityScores(words, statistics) {
+    const wordCount = words.length;
+    const sentenceCount = statistics.sentence_count;
+    if (wordCount === 0 || sentenceCount === 0) {
+        return {
+            "flesch_reading_ease": null,
+            "flesch_kincaid_grade": null,
+            "gunning_fog": null,
+            "smog_index": null,
+            "coleman_liau_index": null
+        };
+    }
+
+    const wordsPerSentence = wordCount / sentenceCount;
+    const syllablesPerWord = statistics.syllable_count / wordCount;
+    const complexWords = statistics.complex_word_count;
+    const letters = words.reduce((sum, word) => sum + (word.match(/\p{L}/gu) || []).length, 0);
+
+    return {
+        // 0-100, higher is easier; 60-70 is plain English
+        "flesch_reading_ease": round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+        // US school grade levels
+        "flesch_kincaid_grade": round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59),
+        "gunning_fog": round(0.4 * (wordsPerSentence + 100 * complexWords / wordCount)),
+        // Designed for samples of 30 sentences, scaled to that for shorter texts
+        "smog_index": round(1.043 * Math.sqrt(complexWords * 30 / sentenceCount) + 3.1291),
+        "coleman_liau_index": round(0.0588 * (letters / wordCount * 100) - 0.296 * (sentenceCount / wordCount * 100) - 15.8)
+    };
+}
+
+// Estimated time to read the text silently and to speak it aloud
+function readingTime(wordCount) {
+    return {
+        "reading_seconds": Math.ceil(wordCount / READING_WPM * 60),
+        "speaking_seconds": Math.ceil(wordCount / SPEAKING_WPM * 60),
+        "reading_wpm": READING_WPM,
+        "speaking_wpm": SPEAKING_WPM
+    };
+}
+
+module.exports = { countSyllables, textStatistics, readabilityScores, readingTime };
@@ -0,0 +1,156 @@
+// task-1/server/stemmer.js
+// English stemming (Porter, 1980) and lemmatization for grouping word frequencies.
+// Stems are not always words ("studies" -> "studi"); lemmas are dictionary forms
+// ("studies" -> "study", "ran" -> "run") from a bundled table of irregular forms
+// (data/lemmas.en.json) plus suffix rules.
+
+const IRREGULAR_LEMMAS = require('./data/lemmas.en.json');
+
+// --- Porter stemmer ---
+
+const isConsonant = (word, i) => {
+    const letter = word[i];
+    if ('aeiou'.includes(letter)) return false;
+    if (letter === 'y') return i === 0 || !isConsonant(word, i - 1);
+    return true;
+};
+
+// Number of vowel-consonant sequences in a stem (Porter's m)
+function measure(stem) {
+    let m = 0;
+    let i = 0;
+    while (i < stem.length && isConsonant(stem, i)) i++;
+    while (i < stem.length) {
+        while (i < stem.length && !isConsonant(stem, i)) i++;
+        if (i >= stem.length) break;
+        while (i < stem.length && isConsonant(stem, i)) i++;
+        m++;
+    }
+    return m;
+}
+
+const hasVowel = (stem) => Array.from(stem).some((_, i) => !isConsonant(stem, i));
+const endsWithDoubleConsonant = (stem) => stem.length >= 2 &&
+    stem[stem.length - 1] === stem[stem.length - 2] && isConsonant(stem, stem.length - 1);
+// Consonant-vowel-consonant ending, the last not w, x or y: "hop", "fil"
+const endsWithCvc = (stem) => {
+    const n = stem.length;
+    return n >= 3 && isConsonant(stem, n - 3) && !isConsonant(stem, n - 2) && isConsonant(stem, n - 1) &&
+        !'wxy'.includes(stem[n - 1]);
+};
+
+// Replace the first matching suffix whose stem satisfies `condition`
+function replaceSuffix(word, rules, condition) {
+    for (const [suffix, replacement] of rules) {
+        if (word.endsWith(suffix)) {
+            const stem = word.slice(0, -suffix.length);
+            return condition(stem) ? stem + replacement : word;
+        }
+    }
+    return word;
+}
+
+const STEP2_RULES = [
+    ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+    ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'],
+    ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'],
+    ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'],
+    ['logi', 'log']
+].sort(([a], [b]) => b.length - a.length);
+const STEP3_RULES = [
+    ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+const STEP4_SUFFIXES = [
+    'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ion', 'ou',
+    'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+].sort((a, b) => b.length - a.length);
+
+// Step 1b's clean-up after removing -ed or -ing
+function afterEdOrIng(stem) {
+    if (/(at|bl|iz)$/.test(stem)) return stem + 'e';
+    if (endsWithDoubleConsonant(stem) && !/[lsz]$/.test(stem)) return stem.slice(0, -1);
+    if (measure(stem) === 1 && endsWithCvc(stem)) return stem + 'e';
+    return stem;
+}
+
+// Porter stem of a lower-case English word
+function porterStem(word) {
+    if (word.length <= 2 || !/^[a-z]+$/.test(word)) {
+        return word;
+    }
+
+    // Step 1a: plurals
+    if (word.endsWith('sses') || word.endsWith('ies')) word = word.slice(0, -2);
+    else if (word.endsWith('s') && !word.endsWith('ss')) word = word.slice(0, -1);
+
+    // Step 1b: -eed, -ed, -ing
+    if (word.endsWith('eed')) {
+        if (measure(word.slice(0, -3)) > 0) word = word.slice(0, -1);
+    } else {
+        for (const suffix of ['ed', 'ing']) {
+            if (word.endsWith(suffix) && hasVowel(word.slice(0, -suffix.length))) {
+                word = afterEdOrIng(word.slice(0, -suffix.length));
+                break;
+            }
+        }
+    }
+
+    // Step 1c: y -> i after a vowel-containing stem
+    if (word.endsWith('y') && hasVowel(word.slice(0, -1))) word = word.slice(0, -1) + 'i';
+
+    // Steps 2 and 3: derivational suffixes
+    word = replaceSuffix(word, STEP2_RULES, (stem) => measure(stem) > 0);
+    word = replaceSuffix(word, STEP3_RULES, (stem) => measure(stem) > 0);
+
+    // Step 4: remove suffixes from long stems
+    for (const suffix of STEP4_SUFFIXES) {
+        if (word.endsWith(suffix)) {
+            const stem = word.slice(0, -suffix.length);
+            const ok = measure(stem) > 1 && (suffix !== 'ion' || /[st]$/.test(stem));
+            if (ok) word = stem;
+            break;
+        }
+    }
+
+    // Step 5: final -e and -ll
+    if (word.endsWith('e')) {
+        const stem = word.slice(0, -1);
+        const m = measure(stem);
+        if (m > 1 || (m === 1 && !endsWithCvc(stem))) word = stem;
+    }
+    if (measure(word) > 1 && word.endsWith('ll')) word = word.slice(0, -1);
+    return word;
+}
+
+// --- Lemmatizer ---
+
+// Dictionary form of a lower-case English word
+function lemmatize(word) {
+    // Own entries only: 'constructor' or 'toString' must not find Object.prototype's
+    if (Object.hasOwn(IRREGULAR_LEMMAS, word)) {
+        return IRREGULAR_LEMMAS[word];
+    }
+    if (word.length <= 3 || !/^[a-z]+$/.test(word)) {
+        return word;
+    }
+
+    if (word.endsWith('ies') && word.length > 4) return word.slice(0, -3) + 'y';
+    if (/(ss|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+
+    for (const suffix of ['ing', 'ed']) {
+        const stem = word.slice(0, -suffix.length);
+        if (word.endsWith(suffix) && stem.length >= 2 && hasVowel(stem)) {
+            if (suffix === 'ed' && stem.endsWith('i')) return stem.slice(0, -1) + 'y'; // studied
+            if (endsWithDoubleConsonant(stem) && !/[lsz]$/.test(stem)) return stem.slice(0, -1); // running
+            if (stem.length === 2 || (measure(stem) === 1 && endsWithCvc(stem))) return stem + 'e'; // using, making
+            if (/(at|iz|bl|ag|rg|ur|ac|uc|av|iv|ov)$/.test(stem)) return stem + 'e'; // created, managing, loved
+            return stem;
+        }
+    }
+
+    if (word.endsWith('ier') || word.endsWith('iest')) return word.replace(/i(er|est)$/, 'y'); // happier
+    return word;
+}
+
+module.exports = { porterStem, lemmatize };
@@ -0,0 +1,113 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { app, MAX_UPLOAD_FILES, MAX_UPLOAD_BYTES } = require('../index');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const fixture = (name) => new Blob([fs.readFileSync(path.join(__dirname, 'fixtures', name))]);
+
+async function postJson(route, body) {
+    const response = await fetch(baseUrl + route, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// Upload [filename, Blob] pairs as multipart `files`, with an optional `options` field
+async function upload(files, options) {
+    const form = new FormData();
+    for (const [name, blob] of files) {
+        form.append('files', blob, name);
+    }
+    if (options !== undefined) {
+        form.append('options', options);
+    }
+    const response = await fetch(`${baseUrl}/api/analyze/files`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+}
+
+test('text must be a string', async () => {
+    for (const route of ['/api/analyze', '/api/analyze/keywords']) {
+        assert.deepStrictEqual(await postJson(route, {}), { status: 400, body: { error: "Missing 'text' field in request body." } });
+        for (const text of [42, ['a'], { a: 1 }, null, true]) {
+            assert.deepStrictEqual(await postJson(route, { text }), { status: 400, body: { error: "'text' must be a string." } },
+                `${route} ${JSON.stringify(text)}`);
+        }
+    }
+    const { status, body } = await postJson('/api/analyze', { text: 'One two two.', sections: [] });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.word_frequency, { one: 1, two: 2 });
+});
+
+test('each uploaded file gets its own result or error, and the readable ones are totalled', async () => {
+    const { status, body } = await upload([
+        ['report.docx', fixture('report.docx')],
+        ['pages.pdf', fixture('pages.pdf')],
+        ['broken.pdf', new Blob(['not a pdf'])]
+    ], JSON.stringify({ sections: ['text_statistics'] }));
+
+    assert.strictEqual(status, 200);
+    const [report, pages, broken] = body.files;
+    assert.deepStrictEqual([report.filename, report.format, report.size], ['report.docx', 'docx', 1155]);
+    assert.strictEqual(report.result.word_count, 8);
+    assert.strictEqual(report.result.readability, undefined);
+    assert.strictEqual(pages.result.word_count, 11);
+    assert.strictEqual(pages.result.text_statistics.paragraph_count, 2);
+    assert.deepStrictEqual(Object.keys(broken), ['filename', 'format', 'size', 'error']);
+    assert.match(broken.error, /^Could not read pdf file broken\.pdf: /);
+
+    assert.strictEqual(body.totals.file_count, 2);
+    assert.strictEqual(body.totals.word_count, 19);
+    assert.strictEqual(body.totals.text_statistics.paragraph_count, 4);
+});
+
+test('a single file has no totals and keeps a UTF-8 file name', async () => {
+    const { status, body } = await upload([['résumé.txt', new Blob(['Hello there.'])]]);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.files[0].filename, 'résumé.txt');
+    assert.strictEqual(body.files[0].result.word_count, 2);
+    assert.strictEqual(body.totals, undefined);
+});
+
+test('unsupported, too many and too large files are refused with 400', async () => {
+    const unsupported = await upload([['notes.txt', new Blob(['a'])], ['setup.exe', new Blob(['MZ'])]]);
+    assert.strictEqual(unsupported.status, 400);
+    assert.match(unsupported.body.error, /^Unsupported file type: setup\.exe\. Expected: \.txt, /);
+
+    const many = Array.from({ length: MAX_UPLOAD_FILES + 1 }, (_, i) => [`${i}.txt`, new Blob(['a'])]);
+    assert.deepStrictEqual(await upload(many), { status: 400, body: { error: 'Too many files' } });
+
+    const large = new Blob([Buffer.alloc(MAX_UPLOAD_BYTES + 1, 'a')]);
+    assert.deepStrictEqual(await upload([['large.txt', large]]), { status: 400, body: { error: 'File too large' } });
+});
+
+test('uploads without files or with invalid options are refused with 400', async () => {
+    const form = new FormData();
+    form.append('options', '{}');
+    const response = await fetch(`${baseUrl}/api/analyze/files`, { method: 'POST', body: form });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), { error: "Missing 'files' in multipart request body." });
+
+    const file = [['a.txt', new Blob(['a'])]];
+    for (const options of ['not json', '[]', '"text"']) {
+        assert.deepStrictEqual(await upload(file, options), { status: 400, body: { error: "'options' must be a JSON object." } });
+    }
+    assert.deepStrictEqual(await upload(file, JSON.stringify({ sections: ['nope'] })),
+        { status: 400, body: { error: "'sections' must be a list of: text_statistics, readability, reading_time." } });
+    const unknownOption = await upload(file, JSON.stringify({ tokenizer: { nope: true } }));
+    assert.strictEqual(unknownOption.status, 400);
+});
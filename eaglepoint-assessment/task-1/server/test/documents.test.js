@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { DocumentError, documentFormat, extractText } = require('../documents');
+
+const fixture = (name) => ({ originalname: name, buffer: fs.readFileSync(path.join(__dirname, 'fixtures', name)) });
+const textFile = (name, text) => ({ originalname: name, buffer: Buffer.from(text) });
+
+test('formats are chosen by extension, in any case', () => {
+    assert.strictEqual(documentFormat('Report.DOCX'), 'docx');
+    assert.strictEqual(documentFormat('notes.markdown'), 'markdown');
+    assert.strictEqual(documentFormat('page.htm'), 'html');
+    for (const name of ['setup.exe', 'archive.tar.gz', 'README', '.pdf', 'x.constructor']) {
+        assert.strictEqual(documentFormat(name), undefined, name);
+    }
+});
+
+test('Word documents keep one paragraph per block', async () => {
+    assert.strictEqual(await extractText(fixture('report.docx')), 'Quarterly Report\n\nSales grew quickly. Café prices rose.');
+});
+
+test('PDF pages are joined without their page markers', async () => {
+    assert.strictEqual(await extractText(fixture('pages.pdf')), 'The first page has one sentence.\n\nThe second page has another.');
+});
+
+test('HTML keeps visible text, blocks on lines of their own and decoded entities', async () => {
+    const html = '<html><head><title>Hidden</title><style>p { color: red }</style></head><body><!-- note -->' +
+        '<h1>Caf&eacute; &amp; Bar</h1><p>One&nbsp;two<br>three &#x1F600; &#128512;</p><script>track()</script>' +
+        '<ul><li>A</li><li>B</li></ul><table><tr><td>x</td><td>y</td></tr></table></body></html>';
+    assert.strictEqual(await extractText(textFile('page.html', html)), 'Café & Bar\n\nOne two\nthree 😀 😀\n\nA\n\nB\n\nx y');
+});
+
+test('unknown and inherited entity names are left as written', async () => {
+    assert.strictEqual(await extractText(textFile('a.html', '<p>&bogus; &constructor; &toString; &lt;b&gt;</p>')),
+        '&bogus; &constructor; &toString; <b>');
+});
+
+test('Markdown loses its syntax but keeps its blocks apart', async () => {
+    const markdown = '# Title #\n\nSome **bold** and _italic_ with [a link](http://x.org) and ![a picture](y.png) and `code`.\n\n' +
+        '- [x] done\n- item\n\n> quote\n\n| a | b |\n|---|---|\n| 1 | 2 |\n\n---\n\n[ref]: http://x.org';
+    assert.strictEqual(await extractText(textFile('notes.md', markdown)),
+        'Title\n\nSome bold and italic with a link and a picture and code.\n\ndone\nitem\n\nquote\n\na b\n1 2');
+});
+
+test('text files may be UTF-8 or UTF-16 with a byte order mark', async () => {
+    const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('héllo  world\r\n\r\n\r\nnext', 'utf16le')]);
+    assert.strictEqual(await extractText({ originalname: 'a.txt', buffer: utf16 }), 'héllo world\n\nnext');
+    assert.strictEqual(await extractText({ originalname: 'a.text', buffer: Buffer.from([0xfe, 0xff, 0, 0x68, 0, 0x69]) }), 'hi');
+    assert.strictEqual(await extractText(textFile('a.txt', '\uFEFFbom')), 'bom');
+});
+
+test('unsupported and unreadable files are rejected with a DocumentError', async () => {
+    await assert.rejects(extractText(textFile('setup.exe', 'MZ')),
+        { name: 'DocumentError', message: 'Unsupported file type: setup.exe.' });
+    await assert.rejects(extractText(textFile('broken.docx', 'not a zip')), (error) => {
+        assert.ok(error instanceof DocumentError);
+        assert.match(error.message, /^Could not read docx file broken\.docx: /);
+        return true;
+    });
+    await assert.rejects(extractText(textFile('broken.pdf', 'not a pdf')), /^DocumentError: Could not read pdf file broken\.pdf: /);
+});
+
+test('unclosed tags and brackets take linear time', async () => {
+    // Each of these took seconds to minutes at this size when backtracking regexes stripped the markup
+    const inputs = {
+        'svg.html': '<svg '.repeat(80000),
+        'lt.html': '<'.repeat(400000),
+        'comment.html': '<!--'.repeat(100000),
+        'block.html': '<p '.repeat(130000),
+        'script.html': '<script>'.repeat(50000),
+        'lt.md': '<'.repeat(400000),
+        'link.md': '[a]('.repeat(100000),
+        'image.md': '!['.repeat(200000),
+        'reference.md': '[a\n'.repeat(130000)
+    };
+    for (const [name, text] of Object.entries(inputs)) {
+        const started = Date.now();
+        await extractText(textFile(name, text));
+        const elapsed = Date.now() - started;
+        assert.ok(elapsed < 1000, `${name} took ${elapsed} ms`);
+    }
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OptionError } = require('../optionError');
+const { normalizeToken } = require('../tokenizer');
+const { porterStem, lemmatize } = require('../stemmer');
+const { resolveFrequencyOptions, stopWordSet, groupFrequencies } = require('../frequency');
+
+test('the Porter stemmer matches the reference output', () => {
+    const expected = {
+        caresses: 'caress', ponies: 'poni', running: 'run', hopping: 'hop', relational: 'relat',
+        generalization: 'gener', connected: 'connect', connection: 'connect', happiness: 'happi', using: 'us'
+    };
+    for (const [word, stem] of Object.entries(expected)) {
+        assert.strictEqual(porterStem(word), stem, word);
+    }
+});
+
+test('lemmas come from the irregular forms, then from suffix rules', () => {
+    const expected = {
+        went: 'go', mice: 'mouse', better: 'good', children: 'child', ponies: 'pony', studied: 'study',
+        running: 'run', making: 'make', created: 'create', boxes: 'box', happier: 'happy', caresses: 'caress'
+    };
+    for (const [word, lemma] of Object.entries(expected)) {
+        assert.strictEqual(lemmatize(word), lemma, word);
+    }
+});
+
+test('words named like Object.prototype members are their own lemma', () => {
+    for (const word of ['constructor', 'toString', 'valueOf', '__proto__', 'hasOwnProperty']) {
+        assert.strictEqual(lemmatize(word), word);
+    }
+    const [group] = groupFrequencies(new Map([['constructor', 2]]), 'lemma');
+    assert.strictEqual(group.key, 'constructor');
+});
+
+test('a "__proto__" token is kept among the grouped forms', () => {
+    const [group] = groupFrequencies(new Map([['__proto__', 2]]), 'lemma');
+    assert.ok(Object.hasOwn(group.forms, '__proto__'));
+    assert.strictEqual(group.forms['__proto__'], 2);
+    assert.strictEqual(JSON.stringify(group), '{"key":"__proto__","count":2,"forms":{"__proto__":2}}');
+});
+
+test('counts are grouped by stem or lemma with their surface forms, most frequent first', () => {
+    const frequency = new Map([['cat', 1], ['run', 2], ['running', 3], ['ran', 1], ['cats', 4], ['connection', 1]]);
+    assert.deepStrictEqual(groupFrequencies(frequency, 'lemma'), [
+        { key: 'run', count: 6, forms: { run: 2, running: 3, ran: 1 } },
+        { key: 'cat', count: 5, forms: { cat: 1, cats: 4 } },
+        { key: 'connection', count: 1, forms: { connection: 1 } }
+    ]);
+    assert.deepStrictEqual(groupFrequencies(new Map([['connected', 1], ['connection', 3]]), 'stem'),
+        [{ key: 'connect', count: 4, forms: { connected: 1, connection: 3 } }]);
+});
+
+test('stop words combine bundled lists and custom words, normalized like tokens', () => {
+    const options = resolveFrequencyOptions({ stopWords: ['en', 'fr', 'en'], customStopWords: [' Foo '] });
+    assert.deepStrictEqual(options.stopWords, ['en', 'fr']);
+
+    const stopWords = stopWordSet(options, word => normalizeToken(word));
+    for (const word of ['the', 'and', 'le', 'et', 'foo']) {
+        assert.ok(stopWords.has(word), word);
+    }
+    assert.ok(!stopWords.has('cat'));
+    assert.strictEqual(stopWordSet(resolveFrequencyOptions(), word => word).size, 0);
+});
+
+test('the language follows the tokenizer locale when a list exists for it', () => {
+    assert.strictEqual(resolveFrequencyOptions({}, { locale: 'fr-FR' }).language, 'fr');
+    assert.strictEqual(resolveFrequencyOptions({}, { locale: 'tlh' }).language, 'en');
+    assert.deepStrictEqual(resolveFrequencyOptions({ stopWords: true, language: 'fr' }).stopWords, ['fr']);
+});
+
+test('invalid frequency options are rejected with an OptionError', () => {
+    const invalid = [
+        null, { groupBy: 'root' }, { language: 'xx' }, { language: 'constructor' }, { stopWords: ['xx'] },
+        { stopWords: 'en' }, { customStopWords: [1] }, { language: 'fr', groupBy: 'lemma' }, { colour: 'red' }
+    ];
+    for (const options of invalid) {
+        assert.throws(() => resolveFrequencyOptions(options), OptionError, JSON.stringify(options));
+    }
+});
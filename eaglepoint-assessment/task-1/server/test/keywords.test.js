@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OptionError } = require('../optionError');
+const { resolveTokenizerOptions } = require('../tokenizer');
+const { resolveFrequencyOptions } = require('../frequency');
+const { resolveExtractionOptions, extractKeywords } = require('../keywords');
+
+const TEXT = 'Machine learning is fun. Machine learning needs data, and deep learning needs more data. ' +
+    'I love machine learning!';
+
+const extract = (text, extraction = {}, frequency = {}) =>
+    extractKeywords(text, resolveTokenizerOptions(), resolveFrequencyOptions(frequency), resolveExtractionOptions(extraction));
+
+// Clauses: [machine learning is fun] [machine learning needs data] [and deep learning needs more data]
+// [i love machine learning]: 14 bigrams, words at offsets 0-17
+test('bigrams are counted inside clauses and scored by their share', () => {
+    const { ngrams } = extract(TEXT);
+    assert.deepStrictEqual(ngrams.bigrams, [
+        { phrase: 'machine learning', count: 3, score: 0.2143, positions: [0, 4, 16] },
+        { phrase: 'learning needs', count: 2, score: 0.1429, positions: [5, 10] }
+    ]);
+    assert.deepStrictEqual(ngrams.trigrams, []);
+
+    const all = extract(TEXT, { minCount: 1, limit: 100 }).ngrams;
+    const phrases = all.bigrams.map(({ phrase }) => phrase);
+    assert.ok(!phrases.includes('data and'), 'no phrase crosses a comma');
+    assert.ok(!phrases.includes('fun machine'), 'no phrase crosses a sentence');
+    assert.ok(!phrases.includes('learning is'), 'no phrase ends with a stop word');
+    assert.ok(all.trigrams.some(({ phrase }) => phrase === 'deep learning needs'));
+});
+
+test('collocations report PMI and log-likelihood from the bigram table', () => {
+    assert.deepStrictEqual(extract(TEXT).collocations, [
+        // log2(3 * 14 / (3 * 4)); 2 * (3 ln 3.5 + ln(14 / 44) + 10 ln(140 / 110))
+        { phrase: 'machine learning', count: 3, pmi: 1.8074, log_likelihood: 10.0496, positions: [0, 4, 16] },
+        // log2(2 * 14 / (3 * 2))
+        { phrase: 'learning needs', count: 2, pmi: 2.2224, log_likelihood: 7.6642, positions: [5, 10] }
+    ]);
+});
+
+test('RAKE scores phrases by the degree / frequency of their words', () => {
+    // degree / frequency: machine 9/3, learning 12/4, needs 7/2, data 5/2, deep 3/1, love 3/1
+    assert.deepStrictEqual(extract(TEXT, { limit: 3 }).keywords, [
+        { phrase: 'machine learning needs data', count: 1, score: 12, positions: [4] },
+        { phrase: 'deep learning needs', count: 1, score: 9.5, positions: [9] },
+        { phrase: 'love machine learning', count: 1, score: 9, positions: [15] }
+    ]);
+});
+
+test('custom stop words split RAKE candidates too', () => {
+    const keywords = extract(TEXT, { limit: 100 }, { customStopWords: ['needs'] }).keywords.map(({ phrase }) => phrase);
+    assert.ok(keywords.includes('machine learning'));
+    assert.ok(keywords.includes('deep learning'));
+    assert.ok(!keywords.some(phrase => phrase.includes('needs')));
+});
+
+test('emails and URLs stay inside one clause', () => {
+    const { ngrams } = extract('Visit https://example.com/a?b=1 today. Visit https://example.com/a?b=1 today.');
+    assert.deepStrictEqual(ngrams.bigrams.map(({ phrase }) => phrase),
+        ['visit https://example.com/a?b=1', 'https://example.com/a?b=1 today']);
+});
+
+test('empty text has no phrases', () => {
+    const result = extract('');
+    assert.deepStrictEqual([result.ngrams.bigrams, result.ngrams.trigrams, result.collocations, result.keywords], [[], [], [], []]);
+});
+
+test('invalid extraction options are rejected with an OptionError', () => {
+    for (const options of [null, [], { limit: 0 }, { limit: 101 }, { limit: 2.5 }, { minCount: 0 }, { top: 3 }]) {
+        assert.throws(() => resolveExtractionOptions(options), OptionError, JSON.stringify(options));
+    }
+    assert.deepStrictEqual(resolveExtractionOptions({ limit: 5 }), { limit: 5, minCount: 2 });
+});
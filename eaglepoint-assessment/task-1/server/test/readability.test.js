@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenize } = require('../tokenizer');
+const { countSyllables, textStatistics, readabilityScores, readingTime } = require('../readability');
+
+test('syllables follow English spelling rules', () => {
+    const expected = {
+        cat: 1, the: 1, table: 2, little: 2, likes: 1, liked: 1, wishes: 2, watches: 2, bathes: 1,
+        wanted: 2, yellow: 2, reading: 2, beautiful: 3, syllable: 3, everything: 4, café: 2
+    };
+    for (const [word, syllables] of Object.entries(expected)) {
+        assert.strictEqual(countSyllables(word), syllables, word);
+    }
+});
+
+test('CJK characters are one syllable each, other scripts about one per three letters', () => {
+    assert.strictEqual(countSyllables('東京'), 2);
+    assert.strictEqual(countSyllables('ありがとう'), 5);
+    assert.strictEqual(countSyllables('русский'), 2);
+    assert.strictEqual(countSyllables('42'), 1);
+});
+
+// 17 words, 20 syllables, 55 letters, 3 sentences, 1 word of three syllables ("beautiful")
+const PASSAGE = 'The cat sat on the mat. It was a sunny day.\n\nWe went to the beautiful park.';
+
+test('statistics and scores of a known passage', () => {
+    const words = tokenize(PASSAGE);
+    const statistics = textStatistics(PASSAGE, words);
+    assert.deepStrictEqual(statistics, {
+        sentence_count: 3,
+        paragraph_count: 2,
+        average_sentence_length: 5.67,
+        syllable_count: 20,
+        average_syllables_per_word: 1.18,
+        complex_word_count: 1
+    });
+    assert.deepStrictEqual(readabilityScores(words, statistics), {
+        flesch_reading_ease: 101.55, // 206.835 - 1.015 * 17/3 - 84.6 * 20/17
+        flesch_kincaid_grade: 0.5,   // 0.39 * 17/3 + 11.8 * 20/17 - 15.59
+        gunning_fog: 4.62,           // 0.4 * (17/3 + 100 * 1/17)
+        smog_index: 6.43,            // 1.043 * sqrt(1 * 30/3) + 3.1291
+        coleman_liau_index: -2       // 0.0588 * 5500/17 - 0.296 * 300/17 - 15.8
+    });
+});
+
+test('harder text scores as harder', () => {
+    const hard = 'Notwithstanding considerable institutional opposition, the administration implemented comprehensive regulatory modifications.';
+    const words = tokenize(hard);
+    const scores = readabilityScores(words, textStatistics(hard, words));
+    const easy = readabilityScores(tokenize(PASSAGE), textStatistics(PASSAGE, tokenize(PASSAGE)));
+    assert.ok(scores.flesch_reading_ease < 0);
+    assert.ok(scores.flesch_kincaid_grade > easy.flesch_kincaid_grade + 10);
+});
+
+test('text without sentences has no scores', () => {
+    const statistics = textStatistics('', []);
+    assert.strictEqual(statistics.sentence_count, 0);
+    assert.strictEqual(statistics.average_sentence_length, 0);
+    assert.ok(Object.values(readabilityScores([], statistics)).every(score => score === null));
+});
+
+test('reading and speaking time', () => {
+    assert.deepStrictEqual(readingTime(476), { reading_seconds: 120, speaking_seconds: 191, reading_wpm: 238, speaking_wpm: 150 });
+    assert.strictEqual(readingTime(0).reading_seconds, 0);
+});
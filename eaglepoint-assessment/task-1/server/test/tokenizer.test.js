@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OptionError } = require('../optionError');
+const { resolveTokenizerOptions, tokenize, normalizeToken, characterLength } = require('../tokenizer');
+
+const words = (text, options = {}) => tokenize(text, resolveTokenizerOptions(options));
+
+test('accented, Greek, Cyrillic and Arabic words are kept whole', () => {
+    assert.deepStrictEqual(words('Café naïve résumé, Ελληνικά русский العربية!'),
+        ['Café', 'naïve', 'résumé', 'Ελληνικά', 'русский', 'العربية']);
+});
+
+test('Chinese and Japanese text without spaces is split into words', () => {
+    assert.deepStrictEqual(words('我喜欢北京。', { locale: 'zh' }), ['我', '喜欢', '北京']);
+
+    const japanese = words('私は東京に住んでいます。', { locale: 'ja' });
+    assert.ok(japanese.includes('東京'));
+    assert.strictEqual(japanese.join(''), '私は東京に住んでいます');
+});
+
+test('apostrophes, hyphens, numbers, links and emoji follow the defaults', () => {
+    assert.deepStrictEqual(
+        words("Don’t stop: state-of-the-art, 3.14 and 1,000 at a@b.co or https://x.org/a?b=1 👍🏽 🇫🇷"),
+        ["Don't", 'stop', 'state-of-the-art', '3.14', 'and', '1,000', 'at', 'a@b.co', 'or', 'https://x.org/a?b=1']);
+});
+
+test('each rule can be switched', () => {
+    assert.deepStrictEqual(
+        words("Don't stop state-of-the-art 3.14 👍🏽 🇫🇷 https://x.org/a", {
+            apostrophes: 'split', hyphens: 'split', numbers: 'exclude', emoji: 'include', urls: 'exclude'
+        }),
+        ['Don', 't', 'stop', 'state', 'of', 'the', 'art', '👍🏽', '🇫🇷']);
+    assert.deepStrictEqual(words("don't see https://x.org/a", { apostrophes: 'strip', urls: 'split' }),
+        ['dont', 'see', 'https', 'x.org', 'a']);
+});
+
+test('characters are counted as graphemes and words are compared in their locale', () => {
+    assert.strictEqual(characterLength('é'), 1);
+    assert.strictEqual(characterLength('👍🏽'), 1);
+    assert.strictEqual(normalizeToken('ÉCOLE'), 'école');
+    assert.strictEqual(normalizeToken('İSTANBUL', { locale: 'tr' }), 'istanbul');
+    assert.strictEqual(normalizeToken('I', { locale: 'tr' }), 'ı');
+});
+
+test('invalid options are rejected with an OptionError', () => {
+    for (const options of [null, [], { hyphens: 'maybe' }, { locale: 'not a locale' }, { colour: 'red' }, { constructor: 'x' }]) {
+        assert.throws(() => resolveTokenizerOptions(options), OptionError, JSON.stringify(options));
+    }
+    assert.strictEqual(resolveTokenizerOptions({ locale: 'EN-gb' }).locale, 'en-GB');
+});
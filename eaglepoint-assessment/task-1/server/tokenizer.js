@@ -0,0 +1,138 @@
+// task-1/server/tokenizer.js
+// Unicode-aware tokenizer for the text analyzer.
+// Words are found with Intl.Segmenter (Unicode word boundaries, UAX #29), so accented
+// letters, Greek, Cyrillic, Arabic and CJK text are kept; the options below decide what
+// happens to apostrophes, hyphenated compounds, numbers, emails/URLs and emoji.
+
+const { OptionError } = require('./optionError');
+
+const TOKENIZER_RULES = {
+    apostrophes: ['keep', 'split', 'strip'], // "don't" -> "don't" | "don", "t" | "dont"
+    hyphens: ['keep', 'split'],              // "state-of-the-art" -> one token | four tokens
+    numbers: ['include', 'exclude'],         // "42", "3.14", "1,000"
+    urls: ['keep', 'split', 'exclude'],      // emails and URLs: one token | their words | dropped
+    emoji: ['exclude', 'include']            // "👍🏽", "🇫🇷"
+};
+
+const DEFAULT_TOKENIZER_OPTIONS = {
+    locale: undefined, // BCP 47 tag for word segmentation, e.g. "ja"; the runtime's default if omitted
+    apostrophes: 'keep',
+    hyphens: 'keep',
+    numbers: 'include',
+    urls: 'keep',
+    emoji: 'exclude'
+};
+
+const URL_OR_EMAIL = /\b(?:https?:\/\/|www\.)[^\s<>"']*[^\s<>"'.,;:!?)\]}]|[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/gu;
+const APOSTROPHES = /['’ʼ]/g;
+const HYPHENS = new Set(['-', '‐', '‑']);
+const NUMBER = /^\p{N}+(?:[.,]\p{N}+)*$/u;
+const EMOJI = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+// Validate options from a request body and fill in the defaults
+function resolveTokenizerOptions(options = {}) {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        throw new OptionError("'tokenizer' must be an object.");
+    }
+    const resolved = { ...DEFAULT_TOKENIZER_OPTIONS };
+
+    for (const [name, value] of Object.entries(options)) {
+        if (name === 'locale') {
+            if (value === undefined || value === null) {
+                continue;
+            }
+            try {
+                resolved.locale = Intl.getCanonicalLocales(value)[0];
+            } catch (error) {
+                throw new OptionError(`Invalid tokenizer locale: ${JSON.stringify(value)}.`);
+            }
+        } else if (Object.hasOwn(TOKENIZER_RULES, name)) {
+            if (!TOKENIZER_RULES[name].includes(value)) {
+                throw new OptionError(
+                    `Invalid tokenizer option '${name}': expected one of ${TOKENIZER_RULES[name].join(', ')}.`);
+            }
+            resolved[name] = value;
+        } else {
+            throw new OptionError(
+                `Unknown tokenizer option '${name}'. Expected: locale, ${Object.keys(TOKENIZER_RULES).join(', ')}.`);
+        }
+    }
+    return resolved;
+}
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// Length in user-perceived characters, so "é" typed as e + accent or "👍🏽" count once
+function characterLength(word) {
+    return Array.from(graphemes.segment(word)).length;
+}
+
+// Apostrophe and number rules for one word; returns the tokens it becomes
+function applyWordRules(word, options) {
+    let parts;
+    if (options.apostrophes === 'split') {
+        parts = word.split(APOSTROPHES).filter(part => part.length > 0);
+    } else if (options.apostrophes === 'strip') {
+        parts = [word.replace(APOSTROPHES, '')];
+    } else {
+        parts = [word.replace(APOSTROPHES, "'")];
+    }
+    return options.numbers === 'exclude' ? parts.filter(part => !NUMBER.test(part)) : parts;
+}
+
+// Tokens of plain text (no emails or URLs)
+function segmentWords(text, segmenter, options) {
+    const segments = Array.from(segmenter.segment(text));
+    const words = [];
+
+    segments.forEach(({ segment, isWordLike }, i) => {
+        if (isWordLike) {
+            // A hyphen between two words, without spaces, joins them into one compound
+            const joined = options.hyphens === 'keep' && i >= 2 &&
+                HYPHENS.has(segments[i - 1].segment) && segments[i - 2].isWordLike;
+            if (joined) {
+                words[words.length - 1] += segments[i - 1].segment + segment;
+            } else {
+                words.push(segment);
+            }
+        } else if (options.emoji === 'include' && EMOJI.test(segment)) {
+            words.push({ emoji: segment });
+        }
+    });
+    return words.flatMap(word => (typeof word === 'string' ? applyWordRules(word, options) : [word.emoji]));
+}
+
+// Split text into tokens, in order of appearance and as written.
+// options are resolved ones, see resolveTokenizerOptions().
+function tokenize(text, options = DEFAULT_TOKENIZER_OPTIONS) {
+    const segmenter = new Intl.Segmenter(options.locale, { granularity: 'word' });
+    const tokens = [];
+    let plainStart = 0;
+
+    for (const match of text.matchAll(URL_OR_EMAIL)) {
+        tokens.push(...segmentWords(text.slice(plainStart, match.index), segmenter, options));
+        if (options.urls === 'keep') {
+            tokens.push(match[0]);
+        } else if (options.urls === 'split') {
+            tokens.push(...segmentWords(match[0], segmenter, options));
+        }
+        plainStart = match.index + match[0].length;
+    }
+    tokens.push(...segmentWords(text.slice(plainStart), segmenter, options));
+    return tokens;
+}
+
+// Key for case-insensitive counting: composed form, lower case in the text's locale
+function normalizeToken(token, options = DEFAULT_TOKENIZER_OPTIONS) {
+    return token.normalize('NFC').toLocaleLowerCase(options.locale);
+}
+
+module.exports = {
+    TOKENIZER_RULES,
+    DEFAULT_TOKENIZER_OPTIONS,
+    URL_OR_EMAIL,
+    resolveTokenizerOptions,
+    tokenize,
+    normalizeToken,
+    characterLength
+};
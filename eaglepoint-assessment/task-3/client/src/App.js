@@ -1,16 +1,52 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { RateLimitClient, ApiError } from 'rate-limit-client';
 import './App.css';
+import Dashboard from './Dashboard';
 
 const API_BASE_URL = 'http://localhost:3001';
 
+// Demo API keys from server/apiKeys.json. The admin key is never bundled: it is the
+// server's ADMIN_API_KEY, typed in by whoever runs the demo and kept in memory only.
+const DEMO_API_KEYS = ['demo-key-user-1', 'demo-key-user-2', 'demo-key-user-3', 'demo-key-pro'];
+
 function App() {
-  const [userId, setUserId] = useState('user-1');
+  const [apiKey, setApiKey] = useState(DEMO_API_KEYS[0]);
+  const [adminKey, setAdminKey] = useState('');
   const [requests, setRequests] = useState([]);
   const [rateLimitStatus, setRateLimitStatus] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [timeUntilReset, setTimeUntilReset] = useState(null);
   const [error, setError] = useState(null);
+  const [view, setView] = useState('tester');
+  const [queueRequests, setQueueRequests] = useState(false);
+  const [throttleNotice, setThrottleNotice] = useState(null);
+  const [adminKeyDraft, setAdminKeyDraft] = useState(''); // typed on the dashboard, used once submitted
+
+  // API client: fails fast by default so limits are visible, or waits for quota and retries 429s
+  const client = useMemo(() => new RateLimitClient({
+    baseUrl: API_BASE_URL,
+    apiKey: apiKey || undefined,
+    adminKey: adminKey || undefined,
+    onExhausted: queueRequests ? 'wait' : 'reject',
+    maxRetries: queueRequests ? 3 : 0
+  }), [apiKey, adminKey, queueRequests]);
+
+  // Tell the user when the client holds a request back or retries it
+  useEffect(() => {
+    const onThrottled = ({ policy, waitMs, action }) => {
+      if (action === 'wait') {
+        setThrottleNotice(`Waiting ${Math.ceil(waitMs / 1000)}s for ${policy} quota before sending...`);
+      }
+    };
+    const onRetry = ({ policy, delayMs, attempt }) => {
+      setThrottleNotice(`Rate limited by ${policy}, retry ${attempt} in ${Math.ceil(delayMs / 1000)}s...`);
+    };
+    client.on('throttled', onThrottled).on('retry', onRetry);
+    return () => {
+      client.off('throttled', onThrottled).off('retry', onRetry);
+    };
+  }, [client]);
 
   // Fetch rate limit status
   const fetchRateLimitStatus = useCallback(async (showLoading = false) => {
@@ -20,20 +56,7 @@ function App() {
     setError(null);
     
     try {
-      const url = `${API_BASE_URL}/api/rate-limit-status?userId=${encodeURIComponent(userId)}`;
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'X-User-ID': userId
-        }
-      });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`HTTP error! status: ${response.status} - ${errorText}`);
-      }
-      
-      const data = await response.json();
+      const data = await client.getStatus();
       setRateLimitStatus(data);
       
       if (data.resetInSeconds !== undefined && data.resetInSeconds > 0) {
@@ -57,7 +80,7 @@ function App() {
         setIsRefreshing(false);
       }
     }
-  }, [userId]);
+  }, [client]);
 
   // Update countdown timer
   useEffect(() => {
@@ -76,7 +99,7 @@ function App() {
     }
   }, [timeUntilReset, fetchRateLimitStatus]);
 
-  // Fetch status on mount and when userId changes
+  // Fetch status on mount and when the API key changes
   useEffect(() => {
     fetchRateLimitStatus();
   }, [fetchRateLimitStatus]);
@@ -87,72 +110,44 @@ function App() {
     const timestamp = new Date().toISOString();
     
     try {
-      const options = {
-        method,
-        headers: {
-          'Content-Type': 'application/json',
-          'X-User-ID': userId
-        }
-      };
+      const result = method === 'POST'
+        ? await client.postData({ message: 'Test POST request', timestamp })
+        : await client.getData();
 
-      if (method === 'POST') {
-        options.body = JSON.stringify({ 
-          userId,
-          message: 'Test POST request',
-          timestamp 
-        });
-      }
-
-      const response = await fetch(`${API_BASE_URL}/api/data`, options);
-      const data = await response.json();
-      
-      const requestLog = {
+      setRequests(prev => [{
         id: Date.now(),
         timestamp,
         method,
-        success: response.ok,
-        status: response.status,
-        data: data,
-        headers: {
-          'X-RateLimit-Remaining': response.headers.get('X-RateLimit-Remaining'),
-          'X-RateLimit-Reset': response.headers.get('X-RateLimit-Reset')
-        }
-      };
+        success: true,
+        status: result.status,
+        data: result.data,
+        rateLimit: result.rateLimit
+      }, ...prev]);
 
-      setRequests(prev => [requestLog, ...prev]);
-      
       // Update rate limit status
-      if (response.ok) {
-        await fetchRateLimitStatus();
-      }
+      await fetchRateLimitStatus();
     } catch (error) {
+      // RateLimitError.local: the client knew the quota was used up and did not send the request
       const requestLog = {
         id: Date.now(),
         timestamp,
         method,
         success: false,
-        status: 'Error',
+        status: error instanceof ApiError ? (error.local ? 'Not sent' : error.status) : 'Error',
+        data: error.problem,
         error: error.message
       };
       setRequests(prev => [requestLog, ...prev]);
     } finally {
       setIsLoading(false);
+      setThrottleNotice(null);
     }
   };
 
-  // Reset rate limit for current user
+  // Reset rate limit for current user (needs an admin key)
   const resetRateLimit = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/reset-rate-limit`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-User-ID': userId
-        },
-        body: JSON.stringify({ userId })
-      });
-      
-      const data = await response.json();
+      const data = await client.reset(rateLimitStatus?.key);
       alert(data.message);
       await fetchRateLimitStatus();
       setRequests([]);
@@ -161,34 +156,124 @@ function App() {
     }
   };
 
+  // Remaining quota of one policy, e.g. 'data-write' for POST requests
+  const getPolicyStatus = (policyName) =>
+    rateLimitStatus?.policies?.find((status) => status.policy === policyName);
+
+  const readStatus = getPolicyStatus('data-read');
+  const writeStatus = getPolicyStatus('data-write');
+
   const getRemainingClass = (remaining) => {
     if (remaining === 0) return 'remaining-zero';
     if (remaining <= 2) return 'remaining-low';
     return 'remaining-ok';
   };
 
+  const viewTabs = (
+    <div className="view-tabs">
+      <button className={`view-tab ${view === 'tester' ? 'active' : ''}`} onClick={() => setView('tester')}>
+        Tester
+      </button>
+      <button className={`view-tab ${view === 'dashboard' ? 'active' : ''}`} onClick={() => setView('dashboard')}>
+        Live Dashboard
+      </button>
+    </div>
+  );
+
+  const adminKeyInput = (
+    <div className="form-group">
+      <label className="label">Admin API Key</label>
+      <input
+        type="password"
+        autoComplete="off"
+        value={adminKey}
+        onChange={(e) => setAdminKey(e.target.value)}
+        className="input"
+        placeholder="The server's ADMIN_API_KEY, required to reset limits and watch the dashboard"
+      />
+    </div>
+  );
+
+  // Live dashboard: every key, streamed from the server (needs the admin key)
+  if (view === 'dashboard') {
+    return (
+      <div className="app-container">
+        <div className="container">
+          {viewTabs}
+          {adminKey ? (
+            <Dashboard apiBaseUrl={API_BASE_URL} adminKey={adminKey} />
+          ) : (
+            <form
+              className="card"
+              onSubmit={(e) => {
+                e.preventDefault();
+                setAdminKey(adminKeyDraft.trim());
+              }}
+            >
+              <h1 className="title">Live Dashboard</h1>
+              <p className="subtitle">Enter an admin API key to stream limiter events.</p>
+              <div className="form-group">
+                <label className="label">Admin API Key</label>
+                <input
+                  type="password"
+                  autoComplete="off"
+                  value={adminKeyDraft}
+                  onChange={(e) => setAdminKeyDraft(e.target.value)}
+                  className="input"
+                  placeholder="The server's ADMIN_API_KEY"
+                />
+              </div>
+              <button type="submit" className="button button-primary" disabled={!adminKeyDraft.trim()}>
+                Connect
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="app-container">
       <div className="container">
+        {viewTabs}
+
         <div className="card">
           <h1 className="title">Rate Limiter Demo</h1>
-          <p className="subtitle">Limit: 5 requests per 60 seconds per user</p>
+          <p className="subtitle">
+            {rateLimitStatus?.policies
+              ? rateLimitStatus.policies
+                  .map((status) => (status.scope
+                    ? `${status.policy}: ${status.limit} units per ${status.windowMs / 1000} seconds per ${status.scope}`
+                    : `${status.policy}: ${status.limit} requests per ${status.windowMs / 1000} seconds per user`))
+                  .join(' · ')
+              : 'Loading rate limits...'}
+          </p>
 
-          {/* User ID Input */}
+          {/* API Key Input */}
           <div className="form-group">
-            <label className="label">User ID</label>
+            <label className="label">
+              API Key {rateLimitStatus && `(user: ${rateLimitStatus.userId}, tier: ${rateLimitStatus.tier})`}
+            </label>
             <input
               type="text"
-              value={userId}
+              list="demo-api-keys"
+              value={apiKey}
               onChange={(e) => {
-                setUserId(e.target.value);
+                setApiKey(e.target.value);
                 setRequests([]);
               }}
               className="input"
-              placeholder="Enter user ID"
+              placeholder="Enter API key (leave empty to be limited by IP)"
             />
+            <datalist id="demo-api-keys">
+              {DEMO_API_KEYS.map((key) => <option key={key} value={key} />)}
+            </datalist>
           </div>
 
+          {/* Admin Key Input (used by Reset Limit) */}
+          {adminKeyInput}
+
           {/* Error Message */}
           {error && (
             <div className="warning-box" style={{ marginBottom: '1rem' }}>
@@ -199,7 +284,7 @@ function App() {
           {/* Rate Limit Status */}
           {rateLimitStatus && (
             <div className="status-card">
-              <h2 className="status-title">Rate Limit Status</h2>
+              <h2 className="status-title">Rate Limit Status ({rateLimitStatus.policy})</h2>
               <div className="status-grid">
                 <div className="status-item">
                   <p className="status-label">Limit</p>
@@ -222,6 +307,18 @@ function App() {
                   </p>
                 </div>
               </div>
+              {rateLimitStatus.policies && (
+                <div className="status-grid">
+                  {rateLimitStatus.policies.map((status) => (
+                    <div className="status-item" key={status.policy}>
+                      <p className="status-label">{status.policy}</p>
+                      <p className={`status-value ${getRemainingClass(status.remaining)}`}>
+                        {status.remaining}/{status.limit}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              )}
               {rateLimitStatus.remaining === 0 && (
                 <div className="warning-box">
                   <p className="warning-text">
@@ -232,18 +329,36 @@ function App() {
             </div>
           )}
 
+          {/* Client behaviour when the quota is used up */}
+          <div className="form-group">
+            <label className="label checkbox-label">
+              <input
+                type="checkbox"
+                checked={queueRequests}
+                onChange={(e) => setQueueRequests(e.target.checked)}
+              />
+              Queue requests until the quota resets and retry 429s (instead of failing fast)
+            </label>
+          </div>
+
+          {throttleNotice && (
+            <div className="warning-box" style={{ marginBottom: '1rem' }}>
+              <p className="warning-text">⏳ {throttleNotice}</p>
+            </div>
+          )}
+
           {/* Action Buttons */}
           <div className="button-group">
             <button
               onClick={() => makeRequest('GET')}
-              disabled={isLoading || (rateLimitStatus?.remaining === 0)}
+              disabled={isLoading || (!queueRequests && readStatus?.remaining === 0)}
               className="button button-primary"
             >
               {isLoading ? 'Loading...' : 'Make GET Request'}
             </button>
             <button
               onClick={() => makeRequest('POST')}
-              disabled={isLoading || (rateLimitStatus?.remaining === 0)}
+              disabled={isLoading || (!queueRequests && writeStatus?.remaining === 0)}
               className="button button-success"
             >
               {isLoading ? 'Loading...' : 'Make POST Request'}
@@ -257,6 +372,8 @@ function App() {
             </button>
             <button
               onClick={resetRateLimit}
+              disabled={!adminKey}
+              title={adminKey ? undefined : 'Enter an admin API key first'}
               className="button button-danger"
             >
               Reset Limit
@@ -297,11 +414,12 @@ function App() {
                       <p className="history-content">
                         {request.data?.message || 'Success'}
                       </p>
-                      {request.headers['X-RateLimit-Remaining'] !== null && (
+                      {request.rateLimit && (
                         <p className="history-details">
-                          Remaining: {request.headers['X-RateLimit-Remaining']} | 
-                          Reset: {request.headers['X-RateLimit-Reset'] ? 
-                            new Date(request.headers['X-RateLimit-Reset']).toLocaleTimeString() : 
+                          Policy: {request.rateLimit.policy} | 
+                          Remaining: {request.rateLimit.remaining} | 
+                          Reset: {request.rateLimit.resetTime ? 
+                            new Date(request.rateLimit.resetTime).toLocaleTimeString() : 
                             'N/A'}
                         </p>
                       )}
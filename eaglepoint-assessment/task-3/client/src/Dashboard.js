@@ -0,0 +1,282 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+const CHART_SECONDS = 60;
+const MAX_RECENT_REJECTIONS = 20;
+const RECONNECT_DELAY_MS = 3000;
+const THROTTLED_REASONS = ['rate-limit-exceeded', 'quota-exceeded', 'penalty-box']; // rejections answered with 429
+
+/**
+ * Read a Server-Sent Events stream with fetch, so the admin key can be sent as a header
+ * (EventSource cannot set headers). Calls onOpen() once connected, then onEvent(name, data)
+ * for every event until the stream ends.
+ */
+async function readEventStream(url, headers, signal, onOpen, onEvent) {
+  const response = await fetch(url, { headers, signal });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  onOpen();
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return;
+    }
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let name = 'message';
+      const data = [];
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) {
+          name = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(5).trim());
+        }
+      }
+      if (data.length > 0) {
+        onEvent(name, JSON.parse(data.join('\n')));
+      }
+    }
+  }
+}
+
+// Key state from the snapshot: { [key]: { tier, policies: { [policy]: { remaining, limit, resetTime } } } }
+function keysFromSnapshot(snapshot) {
+  const keys = {};
+  for (const entry of snapshot.keys) {
+    keys[entry.key] = { tier: entry.tier, policies: {} };
+    for (const status of entry.policies) {
+      if (status.remaining < status.limit) {
+        keys[entry.key].policies[status.policy] = status;
+      }
+    }
+  }
+  return keys;
+}
+
+function ThroughputChart({ buckets }) {
+  const width = 600;
+  const height = 120;
+  const barWidth = width / CHART_SECONDS;
+  const max = Math.max(1, ...buckets.map((bucket) => bucket.allowed + bucket.rejected));
+
+  return (
+    <svg className="chart" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" role="img"
+      aria-label="Requests per second, last 60 seconds">
+      {buckets.map((bucket, i) => {
+        const allowedHeight = (bucket.allowed / max) * height;
+        const rejectedHeight = (bucket.rejected / max) * height;
+        return (
+          <g key={bucket.second}>
+            <title>{`${new Date(bucket.second * 1000).toLocaleTimeString()}: ${bucket.allowed} allowed, ${bucket.rejected} rejected`}</title>
+            <rect x={i * barWidth + 1} y={height - allowedHeight} width={barWidth - 2} height={allowedHeight}
+              className="chart-allowed" />
+            <rect x={i * barWidth + 1} y={height - allowedHeight - rejectedHeight} width={barWidth - 2}
+              height={rejectedHeight} className="chart-rejected" />
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function Dashboard({ apiBaseUrl, adminKey }) {
+  const [keys, setKeys] = useState({});
+  const [rejections, setRejections] = useState([]);
+  const [connection, setConnection] = useState('connecting');
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const counts = useRef(new Map()); // Map<second, { allowed, rejected }>
+
+  // Subscribe to the event stream, reconnecting when it drops
+  useEffect(() => {
+    const controller = new AbortController();
+    let retryTimer = null;
+
+    const handleEvent = (name, data) => {
+      if (name === 'snapshot') {
+        setKeys(keysFromSnapshot(data));
+        return;
+      }
+
+      if (name === 'allowed' || name === 'rejected') {
+        const second = Math.floor(data.timestamp / 1000);
+        const bucket = counts.current.get(second) || { allowed: 0, rejected: 0 };
+        bucket[name] += 1;
+        counts.current.set(second, bucket);
+
+        setKeys((previous) => {
+          const entry = previous[data.key] || { policies: {} };
+          // Allowlisted keys have no window; show them for as long as the chart covers
+          const status = data.allowlisted
+            ? { policy: data.policy, allowlisted: true, resetTime: data.timestamp + CHART_SECONDS * 1000 }
+            : {
+                policy: data.policy,
+                limit: data.limit,
+                remaining: data.remaining ?? 0,
+                resetTime: data.resetTime
+              };
+          return { ...previous, [data.key]: { ...entry, policies: { ...entry.policies, [data.policy]: status } } };
+        });
+      }
+
+      if (name === 'rejected' && THROTTLED_REASONS.includes(data.reason)) {
+        setRejections((previous) => [{ id: `${data.timestamp}-${data.key}-${Math.random()}`, ...data }, ...previous]
+          .slice(0, MAX_RECENT_REJECTIONS));
+      }
+
+      if (name === 'reset') {
+        setKeys((previous) => {
+          if (!previous[data.key]) {
+            return previous;
+          }
+          const { [data.policy]: removed, ...policies } = previous[data.key].policies;
+          return { ...previous, [data.key]: { ...previous[data.key], policies } };
+        });
+      }
+    };
+
+    const connect = async () => {
+      setConnection('connecting');
+      try {
+        const onOpen = () => {
+          setConnection('live');
+          setError(null);
+        };
+        await readEventStream(`${apiBaseUrl}/api/admin/events`, { 'X-API-Key': adminKey },
+          controller.signal, onOpen, handleEvent);
+      } catch (streamError) {
+        if (controller.signal.aborted) {
+          return;
+        }
+        setError(`Event stream failed: ${streamError.message}. An admin API key is required.`);
+      }
+      if (!controller.signal.aborted) {
+        setConnection('reconnecting');
+        retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+      }
+    };
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+    };
+  }, [apiBaseUrl, adminKey]);
+
+  // Advance the chart and countdowns once a second (local clock only, nothing is fetched)
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const current = Date.now();
+      const oldest = Math.floor(current / 1000) - CHART_SECONDS;
+      for (const second of counts.current.keys()) {
+        if (second <= oldest) {
+          counts.current.delete(second);
+        }
+      }
+      setNow(current);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const currentSecond = Math.floor(now / 1000);
+  const buckets = Array.from({ length: CHART_SECONDS }, (_, i) => {
+    const second = currentSecond - CHART_SECONDS + 1 + i;
+    return { second, ...(counts.current.get(second) || { allowed: 0, rejected: 0 }) };
+  });
+  const lastSecond = buckets[buckets.length - 2];
+
+  // Keys with at least one window still running
+  const activeKeys = Object.entries(keys)
+    .map(([key, entry]) => [key, Object.values(entry.policies).filter((status) => status.resetTime > now)])
+    .filter(([, statuses]) => statuses.length > 0)
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  return (
+    <div>
+      <div className="card">
+        <div className="dashboard-header">
+          <h2 className="history-title">Live Dashboard</h2>
+          <span className={`badge badge-connection-${connection}`}>{connection}</span>
+        </div>
+        {error && (
+          <div className="warning-box" style={{ marginBottom: '1rem' }}>
+            <p className="warning-text">⚠️ {error}</p>
+          </div>
+        )}
+
+        <h3 className="status-title">
+          Throughput (last {CHART_SECONDS}s) · {lastSecond.allowed + lastSecond.rejected} req/s
+        </h3>
+        <ThroughputChart buckets={buckets} />
+        <p className="history-details">
+          <span className="legend legend-allowed" /> allowed <span className="legend legend-rejected" /> rejected
+        </p>
+      </div>
+
+      <div className="card">
+        <h2 className="history-title">Active Keys ({activeKeys.length})</h2>
+        {activeKeys.length === 0 ? (
+          <p className="history-empty">No keys with an open window.</p>
+        ) : (
+          <table className="dashboard-table">
+            <thead>
+              <tr>
+                <th>Key</th>
+                <th>Policy</th>
+                <th>Remaining</th>
+                <th>Resets In</th>
+              </tr>
+            </thead>
+            <tbody>
+              {activeKeys.flatMap(([key, statuses]) => statuses.map((status) => (
+                <tr key={`${key}:${status.policy}`}>
+                  <td>{key}</td>
+                  <td>{status.policy}</td>
+                  <td>{status.allowlisted ? 'allowlisted' : `${status.remaining}/${status.limit}`}</td>
+                  <td>{status.allowlisted ? '-' : `${Math.max(0, Math.ceil((status.resetTime - now) / 1000))}s`}</td>
+                </tr>
+              )))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="card">
+        <h2 className="history-title">Recent 429s</h2>
+        {rejections.length === 0 ? (
+          <p className="history-empty">No rejected requests since the dashboard opened.</p>
+        ) : (
+          <div className="history-list">
+            {rejections.map((rejection) => (
+              <div key={rejection.id} className="history-item error">
+                <div className="history-header">
+                  <div className="badge-group">
+                    <span className="badge badge-status-error">{rejection.reason}</span>
+                    <span className="history-content">{rejection.key}</span>
+                  </div>
+                  <span className="timestamp">{new Date(rejection.timestamp).toLocaleTimeString()}</span>
+                </div>
+                <p className="history-details">
+                  Policy: {rejection.policy} | Route: {rejection.route || 'N/A'}
+                  {rejection.resetTime && ` | Retry at: ${new Date(rejection.resetTime).toLocaleTimeString()}`}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Dashboard;
@@ -1,44 +1,64 @@
 /**
  * Rate Limiter Example Script
  * 
- * This script demonstrates how to use the rate limiter API.
+ * This script demonstrates how to use the rate limiter API through the client SDK (../sdk).
  * Run with: node examples/example.js
  */
 
+const { RateLimitClient, RateLimitError } = require('../sdk');
+
 const API_BASE_URL = 'http://localhost:3001';
 
+// Demo API keys from server/apiKeys.json, each belongs to a different user
+const API_KEYS = {
+  'user-1': 'demo-key-user-1',
+  'user-2': 'demo-key-user-2',
+  'user-3': 'demo-key-user-3'
+};
+
+// Resetting limits is an admin action: pass the server's key, e.g.
+// ADMIN_API_KEY=... node examples/example.js (without it the reset is skipped)
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
+// One client per user. They fail fast instead of waiting for the quota, so the example shows
+// the limit being hit; leave onExhausted/maxRetries at their defaults to queue and retry instead.
+const clients = {};
+for (const [userId, apiKey] of Object.entries(API_KEYS)) {
+  clients[userId] = new RateLimitClient({
+    baseUrl: API_BASE_URL,
+    apiKey,
+    adminKey: ADMIN_API_KEY,
+    onExhausted: 'reject',
+    maxRetries: 0
+  });
+  clients[userId].on('throttled', ({ policy, waitMs }) => {
+    console.log(`   ⏸️  ${userId}: ${policy} quota used up, not sending (resets in ${Math.ceil(waitMs / 1000)}s)`);
+  });
+}
+
 async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 async function makeRequest(userId, requestNumber) {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/data`, {
-      headers: {
-        'X-User-ID': userId
-      }
-    });
-
-    const data = await response.json();
-
-    if (response.ok) {
-      console.log(`✅ Request ${requestNumber} (${userId}): Success - ${data.rateLimitInfo.remaining} requests remaining`);
-      return true;
+    const { data } = await clients[userId].getData();
+    console.log(`✅ Request ${requestNumber} (${userId}): Success - ${data.rateLimitInfo.remaining} requests remaining`);
+    return true;
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      console.log(`❌ Request ${requestNumber} (${userId}): Rate Limited - ${error.message}`);
+      console.log(`   Retry after: ${error.retryAfter} seconds`);
     } else {
-      console.log(`❌ Request ${requestNumber} (${userId}): Rate Limited - ${data.message}`);
-      console.log(`   Retry after: ${data.retryAfter} seconds`);
-      return false;
+      console.error(`❌ Request ${requestNumber} (${userId}): Error -`, error.message);
     }
-  } catch (error) {
-    console.error(`❌ Request ${requestNumber} (${userId}): Error -`, error.message);
     return false;
   }
 }
 
 async function checkStatus(userId) {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/rate-limit-status?userId=${userId}`);
-    const data = await response.json();
+    const data = await clients[userId].getStatus();
     console.log(`\n📊 Rate Limit Status for ${userId}:`);
     console.log(`   Remaining: ${data.remaining}/${data.limit}`);
     console.log(`   Reset in: ${data.resetInSeconds} seconds`);
@@ -49,16 +69,12 @@ async function checkStatus(userId) {
 }
 
 async function resetLimit(userId) {
+  if (!ADMIN_API_KEY) {
+    console.log('⏭️  Set ADMIN_API_KEY to reset the limit\n');
+    return;
+  }
   try {
-    const response = await fetch(`${API_BASE_URL}/api/reset-rate-limit`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-User-ID': userId
-      },
-      body: JSON.stringify({ userId })
-    });
-    const data = await response.json();
+    const data = await clients[userId].reset(`user:${userId}`);
     console.log(`🔄 ${data.message}\n`);
   } catch (error) {
     console.error('Error resetting limit:', error.message);
@@ -69,7 +85,7 @@ async function main() {
   console.log('🚀 Rate Limiter Example\n');
   console.log('='.repeat(50));
 
-  const userId = 'example-user';
+  const userId = 'user-1';
 
   // Example 1: Make 6 requests (5 should succeed, 1 should fail)
   console.log('\n📝 Example 1: Making 6 requests (limit is 5 per 60s)\n');
@@ -96,7 +112,7 @@ async function main() {
   // Example 3: Multiple users (each has separate limit)
   console.log('📝 Example 3: Testing with multiple users (separate limits)\n');
   
-  const users = ['user-a', 'user-b', 'user-c'];
+  const users = ['user-1', 'user-2', 'user-3'];
   
   for (const user of users) {
     console.log(`\nMaking requests as ${user}:`);
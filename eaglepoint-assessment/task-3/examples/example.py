@@ -7,18 +7,30 @@ Run with: python examples/example.py
 Requires: pip install requests
 """
 
+import os
 import requests
 import time
 
 API_BASE_URL = "http://localhost:3001"
 
+# Demo API keys from server/apiKeys.json, each belongs to a different user
+API_KEYS = {
+    "user-1": "demo-key-user-1",
+    "user-2": "demo-key-user-2",
+    "user-3": "demo-key-user-3",
+}
+
+# Resetting limits is an admin action: pass the server's key, e.g.
+# ADMIN_API_KEY=... python examples/example.py (without it the reset is skipped)
+ADMIN_API_KEY = os.environ.get("ADMIN_API_KEY")
+
 
 def make_request(user_id, request_number):
     """Make a request to the protected endpoint"""
     try:
         response = requests.get(
             f"{API_BASE_URL}/api/data",
-            headers={"X-User-ID": user_id}
+            headers={"X-API-Key": API_KEYS[user_id]}
         )
         
         if response.status_code == 200:
@@ -44,7 +56,7 @@ def check_status(user_id):
     try:
         response = requests.get(
             f"{API_BASE_URL}/api/rate-limit-status",
-            params={"userId": user_id}
+            headers={"X-API-Key": API_KEYS[user_id]}
         )
         data = response.json()
         print(f"\n📊 Rate Limit Status for {user_id}:")
@@ -57,12 +69,15 @@ def check_status(user_id):
 
 def reset_limit(user_id):
     """Reset rate limit for a user"""
+    if not ADMIN_API_KEY:
+        print("⏭️  Set ADMIN_API_KEY to reset the limit\n")
+        return
     try:
         response = requests.post(
             f"{API_BASE_URL}/api/reset-rate-limit",
             headers={
                 "Content-Type": "application/json",
-                "X-User-ID": user_id
+                "X-API-Key": ADMIN_API_KEY
             },
             json={"userId": user_id}
         )
@@ -76,7 +91,7 @@ def main():
     print("🚀 Rate Limiter Example\n")
     print("=" * 50)
 
-    user_id = "example-user"
+    user_id = "user-1"
 
     # Example 1: Make 6 requests (5 should succeed, 1 should fail)
     print("\n📝 Example 1: Making 6 requests (limit is 5 per 60s)\n")
@@ -101,7 +116,7 @@ def main():
     # Example 3: Multiple users (each has separate limit)
     print("📝 Example 3: Testing with multiple users (separate limits)\n")
     
-    users = ["user-a", "user-b", "user-c"]
+    users = ["user-1", "user-2", "user-3"]
     
     for user in users:
         print(f"\nMaking requests as {user}:")
@@ -0,0 +1,300 @@
+/**
+ * Rate Limit Client
+ * A client for the rate limiter API that plays by its limits:
+ *
+ *   - reads the rate limit headers of every response and keeps a local quota estimate per policy
+ *   - holds back calls it knows would be rejected until the quota resets (or fails fast)
+ *   - retries 429 and 503 responses after Retry-After, with jittered exponential backoff
+ *   - emits events when it throttles, so callers can show it
+ *
+ * Works in Node.js 18+ and browsers (needs a global fetch, or pass one in).
+ *
+ * Events (client.on(name, listener)):
+ *   'throttled':   { policy, method, path, waitMs, action: 'wait' | 'reject' } a call is held back locally
+ *   'rateLimited': { policy, method, path, reason, retryAfter, attempt } the server answered 429
+ *   'retry':       { policy, method, path, attempt, delayMs } a 429 or 503 is retried after delayMs
+ *   'quota':       { policy, limit, remaining, resetTime } the quota estimate changed
+ */
+
+const { parseRateLimitHeaders } = require('./rateLimitHeaders');
+
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {Object} problem - Response body (problem details for errors)
+   */
+  constructor(status, problem) {
+    super(problem?.detail || problem?.message || problem?.error || `Request failed with status ${status}`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.problem = problem;
+  }
+}
+
+class RateLimitError extends ApiError {
+  /**
+   * @param {Object} details - { policy, retryAfter (seconds), reason, problem, local }
+   *   local: true when the client refused the call without sending it
+   */
+  constructor(details) {
+    super(429, details.problem || {
+      detail: `Rate limit for ${details.policy} exhausted, retry in ${details.retryAfter} seconds.`
+    });
+    this.name = 'RateLimitError';
+    this.policy = details.policy;
+    this.retryAfter = details.retryAfter;
+    this.reason = details.reason || details.problem?.reason || 'rate-limit-exceeded';
+    this.local = Boolean(details.local);
+  }
+}
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class RateLimitClient {
+  /**
+   * @param {Object} options - {
+   *   baseUrl: API root (default 'http://localhost:3001')
+   *   apiKey: sent as X-API-Key (optional, the server falls back to the client IP)
+   *   adminKey: API key with the admin role, used by reset()
+   *   onExhausted: 'wait' (default) holds calls until the quota resets, 'reject' throws RateLimitError
+   *   maxWaitMs: longest local wait before rejecting instead (default 60000)
+   *   maxRetries: retries of a 429 or 503 response (default 3)
+   *   backoffMs: base of the exponential backoff added to Retry-After (default 250)
+   *   maxBackoffMs: cap of the backoff (default 10000)
+   *   fetch, sleep, now, random: injectable for tests
+   * }
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || 'http://localhost:3001').replace(/\/$/, '');
+    this.apiKey = options.apiKey || null;
+    this.adminKey = options.adminKey || null;
+    this.onExhausted = options.onExhausted || 'wait';
+    this.maxWaitMs = options.maxWaitMs === undefined ? 60000 : options.maxWaitMs;
+    this.maxRetries = options.maxRetries === undefined ? 3 : options.maxRetries;
+    this.backoffMs = options.backoffMs === undefined ? 250 : options.backoffMs;
+    this.maxBackoffMs = options.maxBackoffMs === undefined ? 10000 : options.maxBackoffMs;
+    this.fetch = options.fetch || ((...args) => globalThis.fetch(...args));
+    this.sleep = options.sleep || defaultSleep;
+    this.now = options.now || Date.now;
+    this.random = options.random || Math.random;
+
+    this.quotas = new Map(); // Map<policy, { limit, remaining, resetTime, windowMs }>
+    this.routes = new Map(); // Map<"METHOD path", policy> learned from responses
+    this.listeners = new Map(); // Map<event, Set<listener>>
+
+    if (!['wait', 'reject'].includes(this.onExhausted)) {
+      throw new Error(`onExhausted must be 'wait' or 'reject', got: ${this.onExhausted}`);
+    }
+  }
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return this;
+  }
+
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+    return this;
+  }
+
+  emit(event, details) {
+    for (const listener of this.listeners.get(event) || []) {
+      listener(details);
+    }
+  }
+
+  /**
+   * GET /api/data
+   * @returns {Promise<Object>} - { status, data, rateLimit }
+   */
+  getData() {
+    return this.request('GET', '/api/data');
+  }
+
+  /**
+   * POST /api/data
+   * @param {Object} body - JSON body
+   * @returns {Promise<Object>} - { status, data, rateLimit }
+   */
+  postData(body) {
+    return this.request('POST', '/api/data', { body });
+  }
+
+  /**
+   * GET /api/rate-limit-status, also refreshes the quota estimate of every policy
+   * @param {string} policy - Policy of the top-level fields (optional)
+   * @returns {Promise<Object>} - The status body
+   */
+  async getStatus(policy) {
+    const query = policy ? `?policy=${encodeURIComponent(policy)}` : '';
+    const { data } = await this.request('GET', `/api/rate-limit-status${query}`);
+    for (const status of data.policies || []) {
+      this.updateQuota(status.policy, {
+        limit: status.limit,
+        remaining: status.remaining,
+        resetTime: Date.parse(status.resetTime),
+        windowMs: status.windowMs
+      });
+    }
+    return data;
+  }
+
+  /**
+   * POST /api/reset-rate-limit with the admin key
+   * @param {string} key - Rate limit key to reset, e.g. 'user:user-1'
+   * @returns {Promise<Object>} - The response body
+   */
+  async reset(key) {
+    const { data } = await this.request('POST', '/api/reset-rate-limit', { body: { key }, apiKey: this.adminKey });
+    this.quotas.clear();
+    return data;
+  }
+
+  /**
+   * Current quota estimate
+   * @param {string} policy - Policy name
+   * @returns {Object|null} - { limit, remaining, resetTime, windowMs }
+   */
+  getQuota(policy) {
+    const quota = this.quotas.get(policy);
+    return quota ? { ...quota } : null;
+  }
+
+  updateQuota(policy, changes) {
+    const quota = { ...(this.quotas.get(policy) || {}) };
+    for (const [name, value] of Object.entries(changes)) {
+      if (value !== undefined && !Number.isNaN(value)) {
+        quota[name] = value;
+      }
+    }
+    this.quotas.set(policy, quota);
+    this.emit('quota', { policy, ...quota });
+  }
+
+  /**
+   * Wait until the estimate says a call to this policy can go through, then claim it
+   * Throws RateLimitError instead when waiting is not allowed
+   */
+  async reserve(policy, method, path) {
+    for (;;) {
+      const quota = this.quotas.get(policy);
+      if (!quota || quota.remaining === undefined) {
+        return;
+      }
+
+      const now = this.now();
+      if (quota.resetTime !== undefined && quota.resetTime <= now) {
+        // The window is over: assume a full quota until the server says otherwise
+        quota.remaining = quota.limit;
+        quota.resetTime = now + (quota.windowMs || 1000);
+      }
+      if (quota.remaining > 0) {
+        quota.remaining -= 1;
+        return;
+      }
+
+      const waitMs = Math.max(0, (quota.resetTime ?? now) - now);
+      const action = this.onExhausted === 'wait' && waitMs <= this.maxWaitMs ? 'wait' : 'reject';
+      this.emit('throttled', { policy, method, path, waitMs, action });
+      if (action === 'reject') {
+        throw new RateLimitError({ policy, retryAfter: Math.ceil(waitMs / 1000), local: true });
+      }
+      await this.sleep(waitMs);
+    }
+  }
+
+  /**
+   * Send a request, respecting and retrying rate limits
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under baseUrl
+   * @param {Object} options - { body, apiKey (instead of the client's) }
+   * @returns {Promise<Object>} - { status, data, rateLimit }
+   */
+  async request(method, path, options = {}) {
+    const routeKey = `${method} ${path.split('?')[0]}`;
+    const apiKey = options.apiKey || this.apiKey;
+    const headers = {};
+    if (apiKey) {
+      headers['X-API-Key'] = apiKey;
+    }
+    if (options.body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const knownPolicy = this.routes.get(routeKey);
+      if (knownPolicy) {
+        await this.reserve(knownPolicy, method, path);
+      }
+
+      const response = await this.fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers,
+        body: options.body === undefined ? undefined : JSON.stringify(options.body)
+      });
+      const data = await readBody(response);
+      const rateLimit = parseRateLimitHeaders(response.headers, this.now());
+
+      if (rateLimit?.policy) {
+        this.routes.set(routeKey, rateLimit.policy);
+        this.updateQuota(rateLimit.policy, {
+          limit: rateLimit.limit,
+          remaining: rateLimit.remaining,
+          resetTime: rateLimit.resetTime,
+          windowMs: rateLimit.windowMs
+        });
+      }
+
+      if (response.ok) {
+        return { status: response.status, data, rateLimit };
+      }
+      // 503: the server is saturated or cannot check limits right now, worth another try too
+      const limited = response.status === 429;
+      if (!limited && response.status !== 503) {
+        throw new ApiError(response.status, data);
+      }
+
+      const policy = rateLimit?.policy || data?.policy;
+      const retryAfter = rateLimit?.retryAfter ?? data?.retryAfter ?? 1;
+      if (limited) {
+        this.emit('rateLimited', { policy, method, path, reason: data?.reason, retryAfter, attempt });
+      }
+
+      if (attempt >= this.maxRetries || retryAfter * 1000 > this.maxWaitMs) {
+        throw limited ? new RateLimitError({ policy, retryAfter, problem: data }) : new ApiError(response.status, data);
+      }
+      const delayMs = this.retryDelay(retryAfter, attempt);
+      this.emit('retry', { policy, method, path, attempt: attempt + 1, delayMs });
+      await this.sleep(delayMs);
+    }
+  }
+
+  /**
+   * Delay before retrying a 429 or 503: Retry-After plus a random share of an exponential backoff,
+   * so clients that were rejected together do not come back together
+   * @param {number} retryAfter - Seconds from the response
+   * @param {number} attempt - Retries so far
+   * @returns {number} - Delay in ms
+   */
+  retryDelay(retryAfter, attempt) {
+    const backoff = Math.min(this.maxBackoffMs, this.backoffMs * 2 ** attempt);
+    return retryAfter * 1000 + Math.round(this.random() * backoff);
+  }
+}
+
+async function readBody(response) {
+  const text = await response.text();
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+module.exports = { RateLimitClient, RateLimitError, ApiError, parseRateLimitHeaders };
@@ -0,0 +1,68 @@
+/**
+ * Rate limit response headers
+ * Reads both header styles the server can send (see server/headers.js):
+ *   legacy: X-RateLimit-Policy / -Limit / -Remaining / -Reset (ISO timestamp)
+ *   draft:  RateLimit-Policy: "data-read";q=5;w=60  and  RateLimit: "data-read";r=4;t=42
+ * plus Retry-After in delta-seconds.
+ */
+
+// Parameters of the first structured field item: '"name";q=5;w=60' -> { name, q: 5, w: 60 }
+function parseItem(value) {
+  const [first, ...params] = value.split(',')[0].split(';').map((part) => part.trim());
+  const item = { name: first.replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1') };
+  for (const param of params) {
+    const [key, raw] = param.split('=');
+    item[key] = Number(raw);
+  }
+  return item;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Read the rate limit state a response reports
+ * @param {Headers} headers - fetch Response headers
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} - { policy, limit, remaining, resetTime, windowMs, retryAfter } or null without headers
+ */
+function parseRateLimitHeaders(headers, now = Date.now()) {
+  const result = {};
+
+  const draftPolicy = headers.get('ratelimit-policy');
+  const draft = headers.get('ratelimit');
+  if (draftPolicy) {
+    const item = parseItem(draftPolicy);
+    result.policy = item.name;
+    result.limit = item.q;
+    result.windowMs = item.w === undefined ? undefined : item.w * 1000;
+  }
+  if (draft) {
+    const item = parseItem(draft);
+    result.policy = result.policy || item.name;
+    result.remaining = item.r;
+    result.resetTime = item.t === undefined ? undefined : now + item.t * 1000;
+  }
+
+  const legacyReset = headers.get('x-ratelimit-reset');
+  result.policy = result.policy || headers.get('x-ratelimit-policy') || undefined;
+  result.limit = result.limit ?? toNumber(headers.get('x-ratelimit-limit'));
+  result.remaining = result.remaining ?? toNumber(headers.get('x-ratelimit-remaining'));
+  if (result.resetTime === undefined && legacyReset) {
+    const parsed = Date.parse(legacyReset);
+    result.resetTime = Number.isNaN(parsed) ? undefined : parsed;
+  }
+  result.retryAfter = toNumber(headers.get('retry-after'));
+
+  if (result.limit === undefined && result.remaining === undefined && result.retryAfter === undefined) {
+    return null;
+  }
+  return result;
+}
+
+module.exports = { parseRateLimitHeaders };
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RateLimitClient, RateLimitError, ApiError } = require('..');
+
+// A client whose fetch answers from a list and whose sleep only moves a fake clock forward
+function scriptedClient(responses, options = {}) {
+  const calls = [];
+  const sleeps = [];
+  let now = 0;
+  const client = new RateLimitClient({
+    fetch: async (url, init) => {
+      calls.push({ url, ...init, at: now });
+      const [status, headers = {}, body = {}] = responses.shift();
+      return new Response(JSON.stringify(body), { status, headers });
+    },
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      now += ms;
+    },
+    now: () => now,
+    random: () => 0.5,
+    ...options
+  });
+  return { client, calls, sleeps };
+}
+
+const quota = (remaining, resetSeconds) => ({
+  'RateLimit-Policy': '"data-read";q=2;w=10',
+  RateLimit: `"data-read";r=${remaining};t=${resetSeconds}`
+});
+
+test('an exhausted quota holds the next call until it resets', async () => {
+  const { client, calls, sleeps } = scriptedClient([[200, quota(0, 5)], [200, quota(1, 10)]]);
+  const throttled = [];
+  client.on('throttled', (event) => throttled.push(event));
+
+  await client.getData();
+  await client.getData();
+
+  assert.deepStrictEqual(sleeps, [5000]);
+  assert.strictEqual(calls[1].at, 5000);
+  assert.deepStrictEqual(throttled, [{ policy: 'data-read', method: 'GET', path: '/api/data', waitMs: 5000, action: 'wait' }]);
+  assert.strictEqual(client.getQuota('data-read').remaining, 1);
+});
+
+test('an exhausted quota rejects locally when waiting is not allowed', async () => {
+  for (const options of [{ onExhausted: 'reject' }, { maxWaitMs: 1000 }]) {
+    const { client, calls } = scriptedClient([[200, quota(0, 5)]], options);
+    await client.getData();
+
+    await assert.rejects(client.getData(), (error) => {
+      assert.ok(error instanceof RateLimitError);
+      assert.strictEqual(error.local, true);
+      assert.strictEqual(error.retryAfter, 5);
+      return true;
+    });
+    assert.strictEqual(calls.length, 1);
+  }
+});
+
+test('429 responses are retried after Retry-After plus jittered exponential backoff', async () => {
+  const { client, calls, sleeps } = scriptedClient([
+    [429, { ...quota(0, 2), 'Retry-After': '2' }, { reason: 'rate-limit-exceeded' }],
+    [429, { ...quota(0, 2), 'Retry-After': '2' }],
+    [200, quota(1, 10), { message: 'ok' }]
+  ], { backoffMs: 100 });
+  const retries = [];
+  client.on('retry', (event) => retries.push(event));
+
+  const { status, data } = await client.getData();
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(data.message, 'ok');
+  assert.strictEqual(calls.length, 3);
+  assert.deepStrictEqual(sleeps, [2050, 2100]);
+  assert.deepStrictEqual(retries.map(({ attempt, delayMs }) => [attempt, delayMs]), [[1, 2050], [2, 2100]]);
+});
+
+test('503 responses are retried, then reported as an ApiError', async () => {
+  const busy = [503, { 'Retry-After': '1' }, { reason: 'server-busy' }];
+  const { client, sleeps } = scriptedClient([busy, busy], { maxRetries: 1, backoffMs: 1000 });
+
+  await assert.rejects(client.getData(), (error) => {
+    assert.ok(error instanceof ApiError && !(error instanceof RateLimitError));
+    assert.strictEqual(error.status, 503);
+    assert.strictEqual(error.problem.reason, 'server-busy');
+    return true;
+  });
+  assert.deepStrictEqual(sleeps, [1500]);
+});
+
+test('a 429 is not retried past maxRetries or beyond maxWaitMs', async () => {
+  const limited = [429, { 'Retry-After': '120' }, { reason: 'quota-exceeded', policy: 'daily' }];
+  const { client, calls, sleeps } = scriptedClient([limited]);
+
+  await assert.rejects(client.getData(), { name: 'RateLimitError', policy: 'daily', retryAfter: 120, reason: 'quota-exceeded' });
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(sleeps, []);
+
+  const { client: noRetries } = scriptedClient([[429, { 'Retry-After': '1' }]], { maxRetries: 0 });
+  await assert.rejects(noRetries.getData(), RateLimitError);
+});
+
+test('other errors are not retried', async () => {
+  const { client, calls } = scriptedClient([[500, {}, { error: 'boom' }]]);
+  await assert.rejects(client.getData(), { name: 'ApiError', status: 500, message: 'boom' });
+  assert.strictEqual(calls.length, 1);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRateLimitHeaders } = require('../rateLimitHeaders');
+
+const NOW = Date.parse('2025-01-01T00:00:00Z');
+
+test('draft RateLimit and RateLimit-Policy headers are read', () => {
+  const headers = new Headers({
+    'RateLimit-Policy': '"data \\"read\\"";q=5;w=60',
+    RateLimit: '"data \\"read\\"";r=4;t=42'
+  });
+  assert.deepStrictEqual(parseRateLimitHeaders(headers, NOW), {
+    policy: 'data "read"',
+    limit: 5,
+    windowMs: 60000,
+    remaining: 4,
+    resetTime: NOW + 42000,
+    retryAfter: undefined
+  });
+});
+
+test('legacy X-RateLimit headers are read, with Retry-After', () => {
+  const headers = new Headers({
+    'X-RateLimit-Policy': 'data-write',
+    'X-RateLimit-Limit': '10',
+    'X-RateLimit-Remaining': '0',
+    'X-RateLimit-Reset': '2025-01-01T00:00:30.000Z',
+    'Retry-After': '30'
+  });
+  assert.deepStrictEqual(parseRateLimitHeaders(headers, NOW), {
+    policy: 'data-write',
+    limit: 10,
+    remaining: 0,
+    resetTime: NOW + 30000,
+    retryAfter: 30
+  });
+});
+
+test('draft headers win when both styles are sent', () => {
+  const headers = new Headers({
+    'RateLimit-Policy': '"api";q=5;w=60',
+    RateLimit: '"api";r=2;t=10',
+    'X-RateLimit-Policy': 'other',
+    'X-RateLimit-Limit': '99',
+    'X-RateLimit-Remaining': '98',
+    'X-RateLimit-Reset': 'not a date'
+  });
+  const result = parseRateLimitHeaders(headers, NOW);
+  assert.strictEqual(result.policy, 'api');
+  assert.strictEqual(result.limit, 5);
+  assert.strictEqual(result.remaining, 2);
+  assert.strictEqual(result.resetTime, NOW + 10000);
+});
+
+test('responses without rate limit headers give null', () => {
+  assert.strictEqual(parseRateLimitHeaders(new Headers({ 'Content-Type': 'application/json' }), NOW), null);
+  assert.strictEqual(parseRateLimitHeaders(new Headers({ 'X-RateLimit-Limit': 'lots' }), NOW), null);
+  assert.deepStrictEqual(parseRateLimitHeaders(new Headers({ 'Retry-After': '3' }), NOW).retryAfter, 3);
+});
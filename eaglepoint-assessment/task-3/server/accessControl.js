@@ -0,0 +1,238 @@
+/**
+ * Access Control
+ * Decides, before any counting, whether a caller is limited at all:
+ *
+ *   - static allowlist / blocklist from configuration, matching user IDs,
+ *     API keys and client IPs or CIDR ranges
+ *   - temporary bans and allowlist entries for rate limit keys, set by admins
+ *   - the penalty box: a key rejected `threshold` times within `periodMs` is locked
+ *     out, for longer each time it offends again
+ *
+ * Temporary entries and penalty state live in the rate limiter store, so every
+ * server process sees them and they expire on their own.
+ */
+
+const { createIpMatcher } = require('./ipUtils');
+const { REASONS } = require('./problems');
+const { systemClock } = require('./clock');
+
+const ACCESS_TYPES = ['ban', 'allow'];
+// Store key prefixes of temporary entries and penalty state; a MemoryStore should pin them,
+// or a flood of new keys could evict a ban or a running lockout
+const STORE_PREFIXES = ['access:', 'penalty:'];
+const DEFAULT_DURATION_MS = 60 * 60 * 1000; // 1 hour
+const MAX_DURATION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const PENALTY_DEFAULTS = {
+  threshold: 5,                   // rejections...
+  periodMs: 60 * 1000,            // ...within this period trigger a lockout
+  durationMs: 60 * 1000,          // first lockout
+  multiplier: 2,                  // each further lockout lasts this much longer
+  maxDurationMs: 24 * 60 * 60 * 1000,
+  forgetAfterMs: 24 * 60 * 60 * 1000 // without lockouts for this long, a key starts over
+};
+
+/**
+ * Compile a static list
+ * @param {Object} list - { userIds: [], apiKeys: [], ips: addresses or CIDR ranges }
+ * @returns {Function} - (identity) => boolean
+ */
+function createListMatcher(list = {}) {
+  const userIds = new Set(list.userIds || []);
+  const apiKeys = new Set(list.apiKeys || []);
+  const ips = list.ips && list.ips.length > 0 ? createIpMatcher(list.ips) : null;
+
+  return (identity) =>
+    (identity.userId !== undefined && userIds.has(identity.userId)) ||
+    (identity.apiKey !== undefined && apiKeys.has(identity.apiKey)) ||
+    Boolean(ips && identity.ip && ips(identity.ip));
+}
+
+class AccessControl {
+  /**
+   * @param {Object} options - {
+   *   store: storage backend shared with the limiters
+   *   allowlist: { userIds, apiKeys, ips } never rate limited
+   *   blocklist: { userIds, apiKeys, ips } always refused
+   *   penalty: false (default) or { threshold, periodMs, durationMs, multiplier,
+   *            maxDurationMs, forgetAfterMs }, true for the defaults
+   *   clock: time source, see clock.js (default systemClock)
+   * }
+   */
+  constructor(options = {}) {
+    this.store = options.store;
+    this.clock = options.clock || systemClock;
+    this.configure(options);
+  }
+
+  /**
+   * Replace the static lists and penalty settings, e.g. when the configuration is reloaded
+   * Temporary entries and running lockouts are kept
+   * @param {Object} options - { allowlist, blocklist, penalty }, as for the constructor
+   */
+  configure(options) {
+    const penalty = options.penalty ? { ...PENALTY_DEFAULTS, ...(options.penalty === true ? {} : options.penalty) } : null;
+    if (penalty) {
+      for (const [name, value] of Object.entries(penalty)) {
+        if (!(value > 0)) {
+          throw new Error(`Penalty option ${name} must be a positive number`);
+        }
+      }
+    }
+
+    this.isAllowlisted = createListMatcher(options.allowlist);
+    this.isBlocklisted = createListMatcher(options.blocklist);
+    this.penalty = penalty;
+  }
+
+  storeKey(type, key) {
+    return `access:${type}:${key}`;
+  }
+
+  penaltyKey(key) {
+    return `penalty:${key}`;
+  }
+
+  /**
+   * Add a temporary entry for a key
+   * @param {string} type - 'ban' or 'allow'
+   * @param {string} key - Rate limit key, e.g. 'user:user-1' or 'ip:10.0.0.1'
+   * @param {Object} options - { durationMs, reason, by }
+   * @returns {Promise<Object>} - The stored entry
+   */
+  async add(type, key, options = {}) {
+    checkType(type);
+    const durationMs = options.durationMs === undefined ? DEFAULT_DURATION_MS : Number(options.durationMs);
+    if (!(durationMs > 0) || durationMs > MAX_DURATION_MS) {
+      throw new RangeError(`durationMs must be between 1 and ${MAX_DURATION_MS}`);
+    }
+
+    const now = this.clock.now();
+    const entry = {
+      type,
+      key,
+      reason: options.reason || null,
+      by: options.by || null,
+      createdAt: now,
+      expiresAt: now + durationMs
+    };
+    await this.store.update(this.storeKey(type, key), () => ({ state: entry, ttlMs: durationMs, result: entry }), now);
+    return entry;
+  }
+
+  /**
+   * Remove an entry before it expires
+   * @param {string} type - 'ban' or 'allow'
+   * @param {string} key - Rate limit key
+   */
+  async remove(type, key) {
+    checkType(type);
+    await this.store.delete(this.storeKey(type, key));
+  }
+
+  /**
+   * Find what applies to a caller, strictest first:
+   * blocklist, ban, penalty lockout, then static or temporary allow entries
+   * @param {Object} identity - Caller identity from a key extractor
+   * @returns {Promise<Object|null>} - {
+   *   type: 'block' | 'ban' | 'penalty' | 'allow',
+   *   reason: reason code for refusals (see REASONS),
+   *   expiresAt: end of a ban, lockout or temporary entry,
+   *   note: the admin's reason for a ban
+   * } or null when the caller is simply rate limited
+   */
+  async check(identity) {
+    const now = this.clock.now();
+    if (this.isBlocklisted(identity)) {
+      return { type: 'block', reason: REASONS.blocklisted, key: identity.key };
+    }
+
+    const ban = await this.store.load(this.storeKey('ban', identity.key), now);
+    if (ban) {
+      return { type: 'ban', reason: REASONS.banned, key: identity.key, note: ban.reason, expiresAt: ban.expiresAt };
+    }
+
+    if (this.penalty) {
+      const penalty = await this.store.load(this.penaltyKey(identity.key), now);
+      if (penalty && penalty.lockedUntil > now) {
+        return { type: 'penalty', reason: REASONS.penalty, key: identity.key, level: penalty.level, expiresAt: penalty.lockedUntil };
+      }
+    }
+
+    if (this.isAllowlisted(identity)) {
+      return { type: 'allow', key: identity.key, static: true };
+    }
+    const allow = await this.store.load(this.storeKey('allow', identity.key), now);
+    if (allow) {
+      return { type: 'allow', key: identity.key, expiresAt: allow.expiresAt };
+    }
+    return null;
+  }
+
+  /**
+   * Count a rate limit rejection towards the penalty box
+   * @param {Object} identity - Caller identity that was just rejected
+   * @returns {Promise<Object|null>} - Penalty state { strikes, level, lockedUntil }, null if disabled
+   */
+  async recordRejection(identity) {
+    if (!this.penalty) {
+      return null;
+    }
+    const { threshold, periodMs, durationMs, multiplier, maxDurationMs, forgetAfterMs } = this.penalty;
+    const now = this.clock.now();
+
+    return this.store.update(this.penaltyKey(identity.key), (previous) => {
+      const state = previous && now - previous.lastLockoutAt < forgetAfterMs
+        ? { ...previous }
+        : { strikes: [], level: 0, lockedUntil: 0, lastLockoutAt: 0 };
+
+      state.strikes = [...(previous?.strikes || []).filter((time) => time > now - periodMs), now];
+      if (state.strikes.length >= threshold) {
+        state.level += 1;
+        state.lockedUntil = now + Math.min(durationMs * multiplier ** (state.level - 1), maxDurationMs);
+        state.lastLockoutAt = now;
+        state.strikes = [];
+      }
+
+      const expiresAt = Math.max(state.lockedUntil, now + periodMs, state.lastLockoutAt + forgetAfterMs);
+      return { state, ttlMs: expiresAt - now, result: state };
+    }, now);
+  }
+
+  /**
+   * Penalty state of a key
+   * @param {string} key - Rate limit key
+   * @returns {Promise<Object|null>} - { strikes, level, lockedUntil, lastLockoutAt }
+   */
+  async penaltyOf(key) {
+    return this.store.load(this.penaltyKey(key), this.clock.now());
+  }
+
+  /**
+   * Release a key from the penalty box and forget its offences
+   * @param {string} key - Rate limit key
+   */
+  async clearPenalty(key) {
+    await this.store.delete(this.penaltyKey(key));
+  }
+
+  /**
+   * List the active temporary entries
+   * @param {string} key - Optional, only entries of this key
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(key) {
+    const now = this.clock.now();
+    const storeKeys = await this.store.keys('access:', now);
+    const entries = await Promise.all(storeKeys.map((storeKey) => this.store.load(storeKey, now)));
+    return entries.filter((entry) => entry && (!key || entry.key === key));
+  }
+}
+
+function checkType(type) {
+  if (!ACCESS_TYPES.includes(type)) {
+    throw new RangeError(`Unknown access entry type: ${type}. Expected one of: ${ACCESS_TYPES.join(', ')}`);
+  }
+}
+
+module.exports = { AccessControl, ACCESS_TYPES, STORE_PREFIXES, createListMatcher };
@@ -0,0 +1,41 @@
+/**
+ * Express adapter
+ * Rate limiting middleware; the decision is exposed to later handlers as req.rateLimit
+ */
+
+const { createRateLimitHandler, payloadOf } = require('../core');
+
+/**
+ * Express middleware factory
+ * @param {RateLimiter|PolicySet} source - Limits to apply, see core.js
+ * @param {Object} options - Handler options, see createRateLimitHandler() in core.js
+ * @returns {Function} - Middleware; middleware.configure(changes) changes its settings, see core.js
+ */
+function createExpressMiddleware(source, options = {}) {
+  const handler = createRateLimitHandler(source, options);
+
+  const middleware = async (req, res, next) => {
+    const outcome = await handler(req, {
+      method: req.method,
+      path: req.baseUrl + req.path,
+      url: req.originalUrl,
+      context: req
+    });
+    if (!outcome) {
+      return next();
+    }
+    req.rateLimit = outcome.rateLimit;
+    res.set(outcome.headers);
+    if (!outcome.allowed) {
+      res.status(outcome.status);
+      res.setHeader('Content-Type', outcome.contentType);
+      return res.send(payloadOf(outcome));
+    }
+    next();
+  };
+
+  middleware.configure = handler.configure;
+  return middleware;
+}
+
+module.exports = { createExpressMiddleware };
@@ -0,0 +1,49 @@
+/**
+ * Fastify adapter
+ * A plugin rate limiting every route of the instance it is registered on, from an onRequest hook:
+ *
+ *   fastify.register(fastifyRateLimit, { limits: policySet, keyExtractor });
+ *
+ * The decision is exposed to route handlers as request.rateLimit, and
+ * fastify.configureRateLimit(changes) changes the settings (see core.js). Fastify itself is
+ * not required here, the plugin only uses the instance it is given.
+ */
+
+const { createRateLimitHandler, payloadOf } = require('../core');
+
+/**
+ * @param {FastifyInstance} fastify - Instance to register on
+ * @param {Object} options - {
+ *   limits: RateLimiter or PolicySet to apply, see core.js (required)
+ *   ...handler options, see createRateLimitHandler() in core.js
+ * }
+ * @param {Function} done - Called once registered
+ */
+function fastifyRateLimit(fastify, options, done) {
+  if (!options.limits) {
+    return done(new Error('fastifyRateLimit needs limits (a RateLimiter or PolicySet)'));
+  }
+  const handler = createRateLimitHandler(options.limits, options);
+
+  fastify.decorate('configureRateLimit', handler.configure);
+  fastify.decorateRequest('rateLimit', null);
+  fastify.addHook('onRequest', async (request, reply) => {
+    const url = request.raw.url;
+    const outcome = await handler(request.raw, { method: request.method, path: url.split('?')[0], url, context: request });
+    if (!outcome) {
+      return;
+    }
+    request.rateLimit = outcome.rateLimit;
+    reply.headers(outcome.headers);
+    if (!outcome.allowed) {
+      return reply.code(outcome.status).type(outcome.contentType).send(payloadOf(outcome));
+    }
+  });
+  done();
+}
+
+// Apply to the parent instance rather than an encapsulated child context
+fastifyRateLimit[Symbol.for('skip-override')] = true;
+fastifyRateLimit[Symbol.for('fastify.display-name')] = 'rate-limit';
+
+module.exports = { fastifyRateLimit };
@@ -0,0 +1,68 @@
+/**
+ * Node http adapter
+ * For servers built on http.createServer() without a framework:
+ *
+ *   const limit = createHttpRateLimiter(policySet, { keyExtractor });
+ *   http.createServer(withRateLimit(limit, (req, res) => { ... }));
+ *
+ * The decision is exposed to the listener as req.rateLimit.
+ */
+
+const { createRateLimitHandler, payloadOf } = require('../core');
+
+/**
+ * Rate limit check for a request listener
+ * @param {RateLimiter|PolicySet} source - Limits to apply, see core.js
+ * @param {Object} options - Handler options, see createRateLimitHandler() in core.js
+ * @returns {Function} - async (req, res) => whether the request may proceed; a refused request
+ *   has been answered. limit.configure(changes) changes its settings, see core.js
+ */
+function createHttpRateLimiter(source, options = {}) {
+  const handler = createRateLimitHandler(source, options);
+
+  const limit = async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const outcome = await handler(req, { method: req.method, path: pathname, url: req.url, context: req });
+    if (!outcome) {
+      return true;
+    }
+    req.rateLimit = outcome.rateLimit;
+    for (const [name, value] of Object.entries(outcome.headers)) {
+      res.setHeader(name, value);
+    }
+    if (!outcome.allowed) {
+      const body = payloadOf(outcome);
+      res.writeHead(outcome.status, {
+        'Content-Type': outcome.contentType,
+        'Content-Length': Buffer.byteLength(body)
+      });
+      res.end(body);
+      return false;
+    }
+    return true;
+  };
+
+  limit.configure = handler.configure;
+  return limit;
+}
+
+/**
+ * Wrap a request listener so that it only sees requests within the limits
+ * A failing check (e.g. an unreachable store) is answered with 500
+ * @param {Function} limit - From createHttpRateLimiter()
+ * @param {Function} listener - (req, res) request listener
+ * @returns {Function} - (req, res) request listener
+ */
+function withRateLimit(limit, listener) {
+  return (req, res) => {
+    limit(req, res).then((allowed) => allowed && listener(req, res)).catch((error) => {
+      console.error('Rate limit check failed:', error);
+      if (!res.headersSent) {
+        res.statusCode = 500;
+      }
+      res.end();
+    });
+  };
+}
+
+module.exports = { createHttpRateLimiter, withRateLimit };
@@ -0,0 +1,12 @@
+/**
+ * Framework adapters for the rate limiting core (see core.js)
+ * Each turns outcomes into responses of its framework; all answer with the same status,
+ * rate limit headers and problem details body.
+ */
+
+const { createExpressMiddleware } = require('./express');
+const { createHttpRateLimiter, withRateLimit } = require('./http');
+const { fastifyRateLimit } = require('./fastify');
+const { createKoaMiddleware } = require('./koa');
+
+module.exports = { createExpressMiddleware, createHttpRateLimiter, withRateLimit, fastifyRateLimit, createKoaMiddleware };
@@ -0,0 +1,37 @@
+/**
+ * Koa adapter
+ * Rate limiting middleware; the decision is exposed to later middleware as ctx.state.rateLimit
+ */
+
+const { createRateLimitHandler, payloadOf } = require('../core');
+
+/**
+ * Koa middleware factory
+ * @param {RateLimiter|PolicySet} source - Limits to apply, see core.js
+ * @param {Object} options - Handler options, see createRateLimitHandler() in core.js
+ * @returns {Function} - Middleware; middleware.configure(changes) changes its settings, see core.js
+ */
+function createKoaMiddleware(source, options = {}) {
+  const handler = createRateLimitHandler(source, options);
+
+  const middleware = async (ctx, next) => {
+    const outcome = await handler(ctx.req, { method: ctx.method, path: ctx.path, url: ctx.originalUrl, context: ctx });
+    if (!outcome) {
+      return next();
+    }
+    ctx.state.rateLimit = outcome.rateLimit;
+    ctx.set(outcome.headers);
+    if (!outcome.allowed) {
+      ctx.status = outcome.status;
+      ctx.type = outcome.contentType;
+      ctx.body = payloadOf(outcome);
+      return;
+    }
+    await next();
+  };
+
+  middleware.configure = handler.configure;
+  return middleware;
+}
+
+module.exports = { createKoaMiddleware };
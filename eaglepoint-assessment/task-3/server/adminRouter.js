@@ -0,0 +1,188 @@
+/**
+ * Admin API
+ * Authenticated routes to inspect and manage rate limit state at runtime.
+ * Callers need an identity with role 'admin' (API key entry or token claim).
+ * Every action, including refused ones, is written to the audit log.
+ *
+ *   GET    /keys                 tracked keys with their current counts
+ *   GET    /keys/:key            one key: counts per policy, access entries and penalty state
+ *   POST   /keys/:key/reset      reset one key in every policy
+ *   POST   /reset                reset every key
+ *   PUT    /keys/:key/ban        { durationMs, reason } temporary ban
+ *   DELETE /keys/:key/ban        lift a ban
+ *   PUT    /keys/:key/allow      { durationMs, reason } temporary allowlist entry
+ *   DELETE /keys/:key/allow      remove an allowlist entry
+ *   DELETE /keys/:key/penalty    release a key from the penalty box
+ *   GET    /stats                store size, estimated memory use and evictions
+ *   GET    /usage                calendar quota usage of every key in the current periods
+ *   GET    /usage.csv            the same as a CSV download
+ *   GET    /policies             current policy table
+ *   PATCH  /policies/:name       change a policy's limits
+ *   GET    /audit                recent audit log entries
+ *   GET    /events               live limiter events (Server-Sent Events)
+ */
+
+const express = require('express');
+const { identify } = require('./rateLimiter');
+const { PROBLEM_TYPES, buildProblem, sendProblem } = require('./problems');
+
+function describeActor(identity) {
+  return identity.userId || identity.key;
+}
+
+const USAGE_COLUMNS = ['quota', 'scope', 'key', 'tier', 'period', 'timeZone', 'periodStart', 'periodEnd', 'used', 'limit', 'remaining'];
+
+// Usage report rows with readable dates
+function serializeUsage(row) {
+  return { ...row, periodStart: new Date(row.periodStart).toISOString(), periodEnd: new Date(row.periodEnd).toISOString() };
+}
+
+// RFC 4180 CSV: fields with commas, quotes or line breaks are quoted
+function toCsv(columns, rows) {
+  const field = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((values) => values.map(field).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// Policies as JSON: RegExp paths are shown as their source
+function serializePolicy(policy) {
+  return { ...policy, path: policy.path instanceof RegExp ? policy.path.toString() : policy.path };
+}
+
+/**
+ * Express middleware: only callers with the admin role get past it
+ * The admin identity is exposed as req.admin
+ * @param {Function} keyExtractor - (req) => identity
+ * @param {AuditLog} auditLog - Refused attempts are recorded here
+ */
+function requireAdmin(keyExtractor, auditLog) {
+  return (req, res, next) => {
+    const identity = identify(keyExtractor, req, res);
+    if (!identity) {
+      auditLog.record({ actor: null, action: `${req.method} ${req.originalUrl}`, outcome: 'unauthenticated' });
+      return;
+    }
+    if (identity.role !== 'admin') {
+      auditLog.record({ actor: describeActor(identity), action: `${req.method} ${req.originalUrl}`, outcome: 'forbidden' });
+      return sendProblem(res, buildProblem(PROBLEM_TYPES.forbidden, 'Admin role required.', req.originalUrl));
+    }
+    req.admin = identity;
+    next();
+  };
+}
+
+/**
+ * Create the admin router
+ * @param {Object} options - { policySet, accessControl, auditLog, keyExtractor, eventStream (optional) }
+ * @returns {express.Router}
+ */
+function createAdminRouter({ policySet, accessControl, auditLog, keyExtractor, eventStream }) {
+  const router = express.Router();
+  router.use(requireAdmin(keyExtractor, auditLog));
+
+  // Run an action, record it in the audit log and answer with its result
+  const action = (name, handler) => async (req, res) => {
+    const target = req.params.key || req.params.name || null;
+    try {
+      const result = await handler(req);
+      if (name) {
+        auditLog.record({
+          actor: describeActor(req.admin),
+          action: name,
+          target,
+          outcome: 'ok',
+          details: Object.keys(req.body || {}).length > 0 ? req.body : undefined
+        });
+      }
+      res.json(result);
+    } catch (error) {
+      if (!(error instanceof RangeError)) {
+        throw error;
+      }
+      if (name) {
+        auditLog.record({ actor: describeActor(req.admin), action: name, target, outcome: 'rejected', details: error.message });
+      }
+      const problem = error.message.startsWith('Unknown rate limit policy') ? PROBLEM_TYPES.notFound : PROBLEM_TYPES.badRequest;
+      sendProblem(res, buildProblem(problem, error.message, req.originalUrl));
+    }
+  };
+
+  router.get('/keys', action(null, async () => {
+    const keys = await policySet.trackedKeys();
+    return { keys: await Promise.all(keys.map((key) => policySet.inspect(key))) };
+  }));
+
+  router.get('/keys/:key', action(null, async (req) => ({
+    ...(await policySet.inspect(req.params.key)),
+    access: await accessControl.list(req.params.key),
+    penalty: await accessControl.penaltyOf(req.params.key)
+  })));
+
+  router.post('/keys/:key/reset', action('reset', async (req) => {
+    await policySet.reset(req.params.key);
+    return { message: `Rate limit reset for key: ${req.params.key}` };
+  }));
+
+  router.post('/reset', action('reset-all', async () => {
+    const count = await policySet.resetAll();
+    return { message: `Rate limit reset for ${count} keys` };
+  }));
+
+  for (const type of ['ban', 'allow']) {
+    router.put(`/keys/:key/${type}`, action(type, async (req) => ({
+      entry: await accessControl.add(type, req.params.key, {
+        durationMs: req.body?.durationMs,
+        reason: req.body?.reason,
+        by: describeActor(req.admin)
+      })
+    })));
+
+    router.delete(`/keys/:key/${type}`, action(`remove-${type}`, async (req) => {
+      await accessControl.remove(type, req.params.key);
+      return { message: `Removed ${type} entry for key: ${req.params.key}` };
+    }));
+  }
+
+  router.delete('/keys/:key/penalty', action('release-penalty', async (req) => {
+    await accessControl.clearPenalty(req.params.key);
+    return { message: `Released penalty for key: ${req.params.key}` };
+  }));
+
+  router.get('/stats', action(null, () => policySet.getStats()));
+
+  router.get('/usage', action(null, async () => ({
+    usage: (await policySet.usageReport()).map(serializeUsage)
+  })));
+
+  router.get('/usage.csv', async (req, res) => {
+    const rows = (await policySet.usageReport()).map(serializeUsage);
+    auditLog.record({ actor: describeActor(req.admin), action: 'export-usage', outcome: 'ok', details: { rows: rows.length } });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="usage.csv"');
+    res.send(toCsv(USAGE_COLUMNS, rows));
+  });
+
+  router.get('/policies', action(null, async () => ({
+    policies: policySet.policies.map(serializePolicy)
+  })));
+
+  router.patch('/policies/:name', action('update-policy', async (req) => ({
+    policy: serializePolicy(await policySet.updatePolicy(req.params.name, req.body || {}))
+  })));
+
+  router.get('/audit', action(null, async (req) => ({
+    entries: auditLog.recent(Number(req.query.limit) || 100)
+  })));
+
+  if (eventStream) {
+    router.get('/events', eventStream.handler());
+  }
+
+  return router;
+}
+
+module.exports = { createAdminRouter, requireAdmin };
@@ -0,0 +1,25 @@
+/**
+ * Calendar window
+ * A fixed window that follows the calendar of a time zone instead of starting at a key's
+ * first request: a 'day' runs from midnight to midnight, a 'month' from the 1st to the 1st.
+ * Meant for long quotas (e.g. 10000 calls a month) that reset with billing periods.
+ */
+
+const { FixedWindow } = require('./fixedWindow');
+const { checkPeriod, periodBounds } = require('../calendar');
+
+class CalendarWindow extends FixedWindow {
+  constructor({ maxRequests, windowMs, period = 'day', timeZone = 'UTC' }) {
+    super({ maxRequests, windowMs });
+    checkPeriod(period, timeZone);
+    this.period = period;
+    this.timeZone = timeZone;
+  }
+
+  // A window starting now lasts until the end of the current period
+  windowLength(now) {
+    return periodBounds(now, this.period, this.timeZone).end - now;
+  }
+}
+
+module.exports = { CalendarWindow };
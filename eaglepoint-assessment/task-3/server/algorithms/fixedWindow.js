@@ -0,0 +1,51 @@
+/**
+ * Fixed window
+ * A window of windowMs starts at a key's first request; up to maxRequests
+ * are allowed until it ends. Cheap, but allows up to 2x maxRequests
+ * across a window boundary.
+ */
+
+class FixedWindow {
+  constructor({ maxRequests, windowMs }) {
+    this.maxRequests = maxRequests;
+    this.windowMs = windowMs;
+    this.capacity = maxRequests; // largest cost a single request can have
+  }
+
+  // Length of a window starting now
+  windowLength() {
+    return this.windowMs;
+  }
+
+  async consume(store, key, now, cost = 1) {
+    const { count, resetTime } = await store.increment(key, this.windowLength(now), now, cost);
+
+    if (count > this.maxRequests) {
+      const before = count - cost;
+      if (before < this.maxRequests) {
+        // The window had room, just not enough for this cost: take the charge back
+        await store.increment(key, this.windowLength(now), now, -cost);
+      }
+      return { allowed: false, remaining: Math.max(0, this.maxRequests - before), resetTime };
+    }
+    return { allowed: true, remaining: this.maxRequests - count, resetTime };
+  }
+
+  async refund(store, key, now, cost = 1) {
+    await store.increment(key, this.windowLength(now), now, -cost);
+  }
+
+  async peek(store, key, now) {
+    const current = await store.get(key, now);
+
+    if (!current) {
+      return { remaining: this.maxRequests, resetTime: now + this.windowLength(now) };
+    }
+    return {
+      remaining: Math.max(0, this.maxRequests - current.count),
+      resetTime: current.resetTime
+    };
+  }
+}
+
+module.exports = { FixedWindow };
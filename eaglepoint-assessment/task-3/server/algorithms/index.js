@@ -0,0 +1,52 @@
+/**
+ * Rate limiting algorithms
+ *
+ * Algorithm interface:
+ *   consume(store, key, now, cost) -> { allowed, remaining, resetTime }
+ *   refund(store, key, now, cost)  -> gives back a cost consumed at now
+ *   peek(store, key, now)          -> { remaining, resetTime }
+ *
+ * cost is the number of units a request takes (default 1). A request that does not
+ * fit is rejected without taking anything; resetTime then says when it would fit.
+ */
+
+const { FixedWindow } = require('./fixedWindow');
+const { SlidingLog } = require('./slidingLog');
+const { SlidingWindowCounter } = require('./slidingWindowCounter');
+const { TokenBucket } = require('./tokenBucket');
+const { LeakyBucket } = require('./leakyBucket');
+const { CalendarWindow } = require('./calendarWindow');
+
+const ALGORITHMS = {
+  'fixed-window': FixedWindow,
+  'sliding-log': SlidingLog,
+  'sliding-window-counter': SlidingWindowCounter,
+  'token-bucket': TokenBucket,
+  'leaky-bucket': LeakyBucket,
+  'calendar-window': CalendarWindow
+};
+
+/**
+ * Create an algorithm by name
+ * @param {string} name - One of the keys of ALGORITHMS
+ * @param {Object} options - { maxRequests, windowMs, ...algorithm specific options }
+ * @returns {Object} - Algorithm instance
+ */
+function createAlgorithm(name, options) {
+  const Algorithm = ALGORITHMS[name];
+  if (!Algorithm) {
+    throw new Error(`Unknown rate limit algorithm: ${name}. Expected one of: ${Object.keys(ALGORITHMS).join(', ')}`);
+  }
+  return new Algorithm(options);
+}
+
+module.exports = {
+  ALGORITHMS,
+  createAlgorithm,
+  FixedWindow,
+  SlidingLog,
+  SlidingWindowCounter,
+  TokenBucket,
+  LeakyBucket,
+  CalendarWindow
+};
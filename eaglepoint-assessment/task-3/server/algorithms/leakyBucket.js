@@ -0,0 +1,64 @@
+/**
+ * Leaky bucket (as a meter)
+ * Each request pours one unit (or its cost) into a bucket of `capacity` units that
+ * drains at a constant `leakRate` units per second. A request that would
+ * overflow the bucket is rejected, which smooths traffic to the leak rate.
+ * Defaults: capacity = maxRequests, leakRate = maxRequests per window.
+ */
+
+const { StatefulAlgorithm } = require('./statefulAlgorithm');
+
+class LeakyBucket extends StatefulAlgorithm {
+  constructor({ maxRequests, windowMs, capacity, leakRate }) {
+    super();
+    this.capacity = capacity || maxRequests;
+    this.leakPerMs = leakRate ? leakRate / 1000 : maxRequests / windowMs;
+  }
+
+  levelAt(state, now) {
+    if (!state) {
+      return 0;
+    }
+    return Math.max(0, state.level - (now - state.updatedAt) * this.leakPerMs);
+  }
+
+  // Time until the level drops to `target`
+  timeUntil(target, level) {
+    return Math.ceil(Math.max(0, level - target) / this.leakPerMs);
+  }
+
+  step(state, now, cost = 1) {
+    let level = this.levelAt(state, now);
+    const allowed = level + cost <= this.capacity;
+    if (allowed) {
+      level += cost;
+    }
+
+    const untilEmpty = this.timeUntil(0, level);
+    return {
+      state: { level, updatedAt: now },
+      ttlMs: Math.max(1, untilEmpty),
+      result: {
+        allowed,
+        remaining: Math.floor(this.capacity - level),
+        resetTime: now + (allowed ? untilEmpty : this.timeUntil(this.capacity - cost, level))
+      }
+    };
+  }
+
+  giveBack(state, now, cost) {
+    const level = Math.max(0, this.levelAt(state, now) - cost);
+    return { state: { level, updatedAt: now }, ttlMs: Math.max(1, this.timeUntil(0, level)) };
+  }
+
+  inspect(state, now) {
+    const level = this.levelAt(state, now);
+    const remaining = Math.floor(this.capacity - level);
+    return {
+      remaining,
+      resetTime: now + (remaining > 0 ? this.timeUntil(0, level) : this.timeUntil(this.capacity - 1, level))
+    };
+  }
+}
+
+module.exports = { LeakyBucket };
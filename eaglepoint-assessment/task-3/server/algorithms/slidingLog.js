@@ -0,0 +1,81 @@
+/**
+ * Sliding log
+ * Keeps the timestamp of every allowed request in the last windowMs.
+ * Exact: no key ever gets more than maxRequests in any window,
+ * at the cost of storing up to maxRequests timestamps per key.
+ */
+
+const { StatefulAlgorithm } = require('./statefulAlgorithm');
+
+class SlidingLog extends StatefulAlgorithm {
+  constructor({ maxRequests, windowMs }) {
+    super();
+    this.maxRequests = maxRequests;
+    this.windowMs = windowMs;
+    this.capacity = maxRequests;
+  }
+
+  // Timestamps still inside the window ending at now
+  activeLog(state, now) {
+    const log = state ? state.log : [];
+    return log.filter((timestamp) => timestamp > now - this.windowMs);
+  }
+
+  // When enough of the oldest entries have left the window for cost more to fit
+  timeWhenFree(log, cost, now) {
+    const leaving = log.length + cost - this.maxRequests; // entries that must leave first
+    return leaving > 0 ? log[leaving - 1] + this.windowMs : now;
+  }
+
+  ttlOf(log, now) {
+    return log.length > 0 ? log[log.length - 1] + this.windowMs - now : this.windowMs;
+  }
+
+  step(state, now, cost = 1) {
+    const log = this.activeLog(state, now);
+    const allowed = log.length + cost <= this.maxRequests;
+    if (allowed) {
+      for (let i = 0; i < cost; i++) {
+        log.push(now);
+      }
+    }
+
+    // Rejected: when enough of the oldest requests have left the window for this cost.
+    // Allowed: when the oldest request leaves and frees a slot
+    const resetTime = allowed
+      ? (log.length > 0 ? log[0] + this.windowMs : now + this.windowMs)
+      : this.timeWhenFree(log, cost, now);
+
+    return {
+      state: { log },
+      ttlMs: this.ttlOf(log, now),
+      result: {
+        allowed,
+        remaining: this.maxRequests - log.length,
+        resetTime
+      }
+    };
+  }
+
+  // Drop the entries a step at now added, newest first
+  giveBack(state, now, cost) {
+    const log = this.activeLog(state, now);
+    for (let i = log.length - 1; i >= 0 && cost > 0; i--) {
+      if (log[i] === now) {
+        log.splice(i, 1);
+        cost--;
+      }
+    }
+    return { state: { log }, ttlMs: this.ttlOf(log, now) };
+  }
+
+  inspect(state, now) {
+    const log = this.activeLog(state, now);
+    return {
+      remaining: this.maxRequests - log.length,
+      resetTime: log.length > 0 ? log[0] + this.windowMs : now + this.windowMs
+    };
+  }
+}
+
+module.exports = { SlidingLog };
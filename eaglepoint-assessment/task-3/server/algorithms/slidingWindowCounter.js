@@ -0,0 +1,86 @@
+/**
+ * Sliding window counter
+ * Counts requests in fixed, clock-aligned windows and estimates the
+ * sliding window as: previous count * (unelapsed share of the current
+ * window) + current count. Constant memory per key, closely approximates
+ * the sliding log.
+ */
+
+const { StatefulAlgorithm } = require('./statefulAlgorithm');
+
+class SlidingWindowCounter extends StatefulAlgorithm {
+  constructor({ maxRequests, windowMs }) {
+    super();
+    this.maxRequests = maxRequests;
+    this.windowMs = windowMs;
+    this.capacity = maxRequests;
+  }
+
+  // Roll the stored counters forward to the window containing now
+  currentCounts(state, now) {
+    const windowStart = Math.floor(now / this.windowMs) * this.windowMs;
+
+    if (!state || state.windowStart < windowStart - this.windowMs) {
+      return { windowStart, previous: 0, current: 0 };
+    }
+    if (state.windowStart < windowStart) {
+      return { windowStart, previous: state.current, current: 0 };
+    }
+    return { windowStart, previous: state.previous, current: state.current };
+  }
+
+  estimate({ windowStart, previous, current }, now) {
+    const elapsed = (now - windowStart) / this.windowMs;
+    return previous * (1 - elapsed) + current;
+  }
+
+  // Earliest time at which cost more units fit under the limit
+  nextAllowedTime({ windowStart, previous, current }, cost = 1) {
+    const room = this.maxRequests - cost - current;
+
+    if (room >= 0) {
+      const share = previous > 0 ? 1 - room / previous : 0;
+      return windowStart + Math.ceil(Math.max(0, share) * this.windowMs);
+    }
+
+    // Current window is full: wait until it becomes the previous one and decays enough
+    const share = 1 - (this.maxRequests - cost) / current;
+    return windowStart + this.windowMs + Math.ceil(share * this.windowMs);
+  }
+
+  step(state, now, cost = 1) {
+    const counts = this.currentCounts(state, now);
+    const allowed = this.estimate(counts, now) + cost <= this.maxRequests;
+    if (allowed) {
+      counts.current += cost;
+    }
+
+    const used = this.estimate(counts, now);
+    return {
+      state: counts,
+      ttlMs: counts.windowStart + 2 * this.windowMs - now,
+      result: {
+        allowed,
+        remaining: Math.max(0, Math.floor(this.maxRequests - used)),
+        resetTime: allowed ? counts.windowStart + this.windowMs : this.nextAllowedTime(counts, cost)
+      }
+    };
+  }
+
+  giveBack(state, now, cost) {
+    const counts = this.currentCounts(state, now);
+    counts.current = Math.max(0, counts.current - cost);
+    return { state: counts, ttlMs: counts.windowStart + 2 * this.windowMs - now };
+  }
+
+  inspect(state, now) {
+    const counts = this.currentCounts(state, now);
+    const remaining = Math.max(0, Math.floor(this.maxRequests - this.estimate(counts, now)));
+    return {
+      remaining,
+      resetTime: remaining > 0 ? counts.windowStart + this.windowMs : this.nextAllowedTime(counts)
+    };
+  }
+}
+
+module.exports = { SlidingWindowCounter };
@@ -0,0 +1,25 @@
+/**
+ * Base class for algorithms that keep a small JSON state per key
+ * Subclasses implement pure functions of (state, now):
+ *   step(state, now, cost)     -> { state, ttlMs, result }  (consumes cost units)
+ *   giveBack(state, now, cost) -> { state, ttlMs }          (undoes a step at the same now)
+ *   inspect(state, now)        -> { remaining, resetTime }  (read only)
+ * The store applies them atomically, so the same code runs on every backend
+ */
+
+class StatefulAlgorithm {
+  async consume(store, key, now, cost = 1) {
+    return store.update(key, (state) => this.step(state, now, cost), now);
+  }
+
+  async refund(store, key, now, cost = 1) {
+    await store.update(key, (state) => ({ ...this.giveBack(state, now, cost), result: null }), now);
+  }
+
+  async peek(store, key, now) {
+    const state = await store.load(key, now);
+    return this.inspect(state, now);
+  }
+}
+
+module.exports = { StatefulAlgorithm };
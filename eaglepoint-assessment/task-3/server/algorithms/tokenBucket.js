@@ -0,0 +1,64 @@
+/**
+ * Token bucket
+ * A bucket holds up to `burst` tokens and refills at `refillRate` tokens
+ * per second. Each request takes one token (or its cost). Allows short bursts up to
+ * `burst` while holding the long-run rate to refillRate.
+ * Defaults: burst = maxRequests, refillRate = maxRequests per window.
+ */
+
+const { StatefulAlgorithm } = require('./statefulAlgorithm');
+
+class TokenBucket extends StatefulAlgorithm {
+  constructor({ maxRequests, windowMs, burst, refillRate }) {
+    super();
+    this.capacity = burst || maxRequests;
+    this.refillPerMs = refillRate ? refillRate / 1000 : maxRequests / windowMs;
+  }
+
+  tokensAt(state, now) {
+    if (!state) {
+      return this.capacity;
+    }
+    const refilled = state.tokens + (now - state.updatedAt) * this.refillPerMs;
+    return Math.min(this.capacity, refilled);
+  }
+
+  // Time until the bucket holds `tokens` tokens again
+  timeUntil(tokens, available) {
+    return Math.ceil(Math.max(0, tokens - available) / this.refillPerMs);
+  }
+
+  step(state, now, cost = 1) {
+    let tokens = this.tokensAt(state, now);
+    const allowed = tokens >= cost;
+    if (allowed) {
+      tokens -= cost;
+    }
+
+    const untilFull = this.timeUntil(this.capacity, tokens);
+    return {
+      state: { tokens, updatedAt: now },
+      ttlMs: Math.max(1, untilFull),
+      result: {
+        allowed,
+        remaining: Math.floor(tokens),
+        resetTime: now + (allowed ? untilFull : this.timeUntil(cost, tokens))
+      }
+    };
+  }
+
+  giveBack(state, now, cost) {
+    const tokens = Math.min(this.capacity, this.tokensAt(state, now) + cost);
+    return { state: { tokens, updatedAt: now }, ttlMs: Math.max(1, this.timeUntil(this.capacity, tokens)) };
+  }
+
+  inspect(state, now) {
+    const tokens = this.tokensAt(state, now);
+    return {
+      remaining: Math.floor(tokens),
+      resetTime: now + (tokens >= 1 ? this.timeUntil(this.capacity, tokens) : this.timeUntil(1, tokens))
+    };
+  }
+}
+
+module.exports = { TokenBucket };
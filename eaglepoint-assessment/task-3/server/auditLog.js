@@ -0,0 +1,52 @@
+/**
+ * Audit Log
+ * Records every admin action as one JSON line in a file,
+ * and keeps the most recent entries in memory for the admin API
+ */
+
+const fs = require('fs');
+
+class AuditLog {
+  /**
+   * @param {Object} options - { file: path of the JSON lines file (optional), maxEntries: 1000 }
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = [];
+  }
+
+  /**
+   * Record an action
+   * @param {Object} entry - { actor, action, target, outcome, details }
+   * @returns {Object} - The recorded entry with its timestamp
+   */
+  record(entry) {
+    const recorded = { timestamp: new Date().toISOString(), ...entry };
+
+    this.entries.push(recorded);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+    }
+
+    if (this.file) {
+      fs.appendFile(this.file, JSON.stringify(recorded) + '\n', (error) => {
+        if (error) {
+          console.error('Failed to write audit log:', error);
+        }
+      });
+    }
+    return recorded;
+  }
+
+  /**
+   * Most recent entries, newest first
+   * @param {number} limit - How many entries
+   * @returns {Array<Object>}
+   */
+  recent(limit = 100) {
+    return this.entries.slice(-limit).reverse();
+  }
+}
+
+module.exports = { AuditLog };
@@ -0,0 +1,89 @@
+/**
+ * Calendar periods
+ * Start and end of the hour, day or month around an instant, as seen on the wall clock
+ * of a time zone: a 'day' in Europe/Berlin runs from midnight to midnight Berlin time,
+ * whatever the offset from UTC is that day.
+ */
+
+// Nominal length of each period, for display; actual periods vary (months, DST changes)
+const PERIODS = { hour: 3600000, day: 86400000, month: 30 * 86400000 };
+
+const formatters = new Map(); // Map<timeZone, Intl.DateTimeFormat>
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check a period and IANA time zone name
+ * @param {string} period - 'hour', 'day' or 'month'
+ * @param {string} timeZone - e.g. 'UTC' or 'Europe/Berlin'
+ * @throws {RangeError} - Unknown period or time zone
+ */
+function checkPeriod(period, timeZone) {
+  if (!PERIODS[period]) {
+    throw new RangeError(`Unknown quota period: ${period}. Expected one of: ${Object.keys(PERIODS).join(', ')}`);
+  }
+  try {
+    formatterFor(timeZone);
+  } catch (error) {
+    throw new RangeError(`Unknown time zone: ${timeZone}`);
+  }
+}
+
+// Wall clock time of an instant in a time zone, expressed as if that wall clock were UTC
+function wallTime(ms, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(ms)) {
+    parts[type] = Number(value);
+  }
+  const millis = ((ms % 1000) + 1000) % 1000;
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) + millis;
+}
+
+// Instant at which the wall clock of a time zone shows a given time
+// The second pass corrects for an offset change (DST) between the guess and the answer
+function fromWallTime(wall, timeZone) {
+  const guess = wall - (wallTime(wall, timeZone) - wall);
+  return wall - (wallTime(guess, timeZone) - guess);
+}
+
+/**
+ * Calendar period around an instant
+ * @param {number} now - Time in ms
+ * @param {string} period - 'hour', 'day' or 'month'
+ * @param {string} timeZone - IANA time zone (default 'UTC')
+ * @returns {Object} - { start, end } in ms, start <= now < end
+ */
+function periodBounds(now, period, timeZone = 'UTC') {
+  const wall = new Date(wallTime(now, timeZone));
+  const year = wall.getUTCFullYear();
+  const month = wall.getUTCMonth();
+  const day = wall.getUTCDate();
+  const hour = wall.getUTCHours();
+
+  const [start, end] = {
+    hour: () => [Date.UTC(year, month, day, hour), Date.UTC(year, month, day, hour + 1)],
+    day: () => [Date.UTC(year, month, day), Date.UTC(year, month, day + 1)],
+    month: () => [Date.UTC(year, month, 1), Date.UTC(year, month + 1, 1)]
+  }[period]();
+
+  return {
+    start: Math.min(fromWallTime(start, timeZone), now),
+    end: Math.max(fromWallTime(end, timeZone), now + 1)
+  };
+}
+
+module.exports = { PERIODS, checkPeriod, periodBounds };
@@ -0,0 +1,106 @@
+/**
+ * Clocks
+ * Where limiters read the time and schedule timers. Production code uses systemClock;
+ * tests pass a ManualClock and move time forward themselves, so window boundaries
+ * can be checked without waiting for them.
+ *
+ * Clock interface:
+ *   now() => ms since epoch
+ *   setTimeout(fn, ms) / clearTimeout(handle)
+ *   setInterval(fn, ms) / clearInterval(handle)
+ * Handles support unref(), like Node's timers.
+ */
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (handle) => clearInterval(handle)
+};
+
+class ManualClock {
+  /**
+   * @param {number} start - Initial time in ms (default 0)
+   */
+  constructor(start = 0) {
+    this.time = start;
+    this.timers = new Map(); // Map<handle, { at, intervalMs, fn }>
+    this.sequence = 0;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  schedule(fn, ms, intervalMs) {
+    const handle = { id: ++this.sequence, unref: () => handle, ref: () => handle };
+    this.timers.set(handle, { at: this.time + Math.max(0, ms || 0), intervalMs, fn });
+    return handle;
+  }
+
+  setTimeout(fn, ms) {
+    return this.schedule(fn, ms, null);
+  }
+
+  setInterval(fn, ms) {
+    return this.schedule(fn, ms, Math.max(1, ms || 0));
+  }
+
+  clearTimeout(handle) {
+    this.timers.delete(handle);
+  }
+
+  clearInterval(handle) {
+    this.timers.delete(handle);
+  }
+
+  // The timer due first, ties in scheduling order
+  nextTimer(until) {
+    let next = null;
+    for (const [handle, timer] of this.timers) {
+      if (timer.at <= until && (!next || timer.at < next[1].at || (timer.at === next[1].at && handle.id < next[0].id))) {
+        next = [handle, timer];
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Move time forward, running every timer that falls due on the way, in order
+   * @param {number} ms - How far to move
+   */
+  advance(ms) {
+    const target = this.time + ms;
+    let next;
+    while ((next = this.nextTimer(target))) {
+      const [handle, timer] = next;
+      this.time = timer.at;
+      if (timer.intervalMs) {
+        timer.at += timer.intervalMs;
+      } else {
+        this.timers.delete(handle);
+      }
+      timer.fn();
+    }
+    this.time = target;
+  }
+
+  /**
+   * Jump to a point in time, running due timers
+   * @param {number} time - Time in ms, not before now()
+   */
+  set(time) {
+    this.advance(Math.max(0, time - this.time));
+  }
+
+  /**
+   * Number of pending timers
+   * @returns {number}
+   */
+  pending() {
+    return this.timers.size;
+  }
+}
+
+module.exports = { systemClock, ManualClock };
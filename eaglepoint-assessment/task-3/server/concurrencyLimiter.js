@@ -0,0 +1,228 @@
+/**
+ * Concurrency Limiter
+ * Caps how many requests are in flight at once, per key and across all keys,
+ * where RateLimiter caps how many start per window.
+ *
+ * A slot is held from acquire() until release(); the middleware releases it when the
+ * response finishes or the connection closes. Excess requests can wait in a FIFO
+ * queue for up to maxWaitMs before they are refused.
+ * Slots are counted in this process: with several server processes each enforces its own caps.
+ *
+ * Events:
+ *   'acquired' / 'released': { policy, key, inFlight, globalInFlight, waitedMs, timestamp }
+ *   'queued':                { policy, key, queued, timestamp }
+ *   'rejected':              { policy, key, reason, waitedMs, timestamp }
+ */
+
+const { EventEmitter } = require('events');
+const { ipExtractor } = require('./keyExtractors');
+const { identify } = require('./rateLimiter');
+const { PROBLEM_TYPES, REASONS, buildProblem, sendProblem } = require('./problems');
+const { systemClock } = require('./clock');
+
+class ConcurrencyLimiter extends EventEmitter {
+  /**
+   * @param {Object} options - {
+   *   name: reported in 429/503 bodies and events (default 'concurrency')
+   *   maxPerKey: requests in flight per key (default 5)
+   *   maxGlobal: requests in flight across all keys (default Infinity)
+   *   maxWaitMs: how long an excess request may queue, 0 refuses at once (default 0)
+   *   maxQueue: queued requests across all keys, beyond that they are refused (default 100)
+   *   clock: time and timer source, see clock.js (default systemClock)
+   * }
+   */
+  constructor(options = {}) {
+    super();
+    this.name = options.name || 'concurrency';
+    this.maxPerKey = options.maxPerKey || 5;
+    this.maxGlobal = options.maxGlobal || Infinity;
+    this.maxWaitMs = options.maxWaitMs || 0;
+    this.maxQueue = options.maxQueue === undefined ? 100 : options.maxQueue;
+    this.clock = options.clock || systemClock;
+    this.inFlight = new Map(); // Map<key, number of held slots>
+    this.globalInFlight = 0;
+    this.queue = []; // waiting acquire() calls, oldest first
+
+    if (!(this.maxPerKey > 0) || !(this.maxGlobal > 0)) {
+      throw new Error('Concurrency limits must be positive');
+    }
+  }
+
+  // Why a new request for this key cannot start now, or null if it can
+  blockedBy(key) {
+    if ((this.inFlight.get(key) || 0) >= this.maxPerKey) {
+      return REASONS.concurrency;
+    }
+    if (this.globalInFlight >= this.maxGlobal) {
+      return REASONS.serverBusy;
+    }
+    return null;
+  }
+
+  /**
+   * Take a slot for a key, waiting in the queue if allowed
+   * @param {string} key - Caller key
+   * @param {AbortSignal} signal - Gives up the queued request, e.g. when the client disconnects (optional)
+   * @returns {Promise<Object>} - { acquired: true, release() } or { acquired: false, reason, waitedMs }
+   */
+  acquire(key, signal) {
+    const started = this.clock.now();
+    const reason = this.blockedBy(key);
+    if (!reason) {
+      return Promise.resolve(this.grant(key, started));
+    }
+    if (this.maxWaitMs === 0 || this.queue.length >= this.maxQueue || signal?.aborted) {
+      return Promise.resolve(this.refuse(key, reason, started));
+    }
+
+    return new Promise((resolve) => {
+      const waiter = { key, started, resolve };
+      const leave = (outcome) => {
+        this.clock.clearTimeout(waiter.timer);
+        signal?.removeEventListener('abort', waiter.onAbort);
+        this.queue.splice(this.queue.indexOf(waiter), 1);
+        resolve(outcome);
+      };
+      waiter.grant = () => leave(this.grant(key, started));
+      waiter.timer = this.clock.setTimeout(() => leave(this.refuse(key, this.blockedBy(key) || reason, started)), this.maxWaitMs);
+      waiter.onAbort = () => leave({ acquired: false, reason: 'aborted', waitedMs: this.clock.now() - started });
+      signal?.addEventListener('abort', waiter.onAbort);
+
+      this.queue.push(waiter);
+      this.emit('queued', { policy: this.name, key, queued: this.queue.length, timestamp: this.clock.now() });
+    });
+  }
+
+  grant(key, started) {
+    const inFlight = (this.inFlight.get(key) || 0) + 1;
+    this.inFlight.set(key, inFlight);
+    this.globalInFlight += 1;
+
+    const now = this.clock.now();
+    this.emit('acquired', {
+      policy: this.name,
+      key,
+      inFlight,
+      globalInFlight: this.globalInFlight,
+      waitedMs: now - started,
+      timestamp: now
+    });
+
+    let released = false;
+    return {
+      acquired: true,
+      inFlight,
+      limit: this.maxPerKey,
+      waitedMs: now - started,
+      release: () => {
+        if (!released) {
+          released = true;
+          this.release(key);
+        }
+      }
+    };
+  }
+
+  refuse(key, reason, started) {
+    const now = this.clock.now();
+    this.emit('rejected', { policy: this.name, key, reason, waitedMs: now - started, timestamp: now });
+    return { acquired: false, reason, waitedMs: now - started };
+  }
+
+  release(key) {
+    const inFlight = (this.inFlight.get(key) || 1) - 1;
+    if (inFlight === 0) {
+      this.inFlight.delete(key);
+    } else {
+      this.inFlight.set(key, inFlight);
+    }
+    this.globalInFlight -= 1;
+    this.emit('released', {
+      policy: this.name,
+      key,
+      inFlight,
+      globalInFlight: this.globalInFlight,
+      timestamp: this.clock.now()
+    });
+
+    // Hand the freed slot to the oldest waiter that may start now
+    const next = this.queue.find((waiter) => !this.blockedBy(waiter.key));
+    if (next) {
+      next.grant();
+    }
+  }
+
+  /**
+   * Current load
+   * @param {string} key - Optional caller key
+   * @returns {Object} - { inFlight, limit, globalInFlight, globalLimit, queued }
+   */
+  getStatus(key) {
+    return {
+      inFlight: key ? this.inFlight.get(key) || 0 : undefined,
+      limit: this.maxPerKey,
+      globalInFlight: this.globalInFlight,
+      globalLimit: this.maxGlobal,
+      queued: this.queue.length
+    };
+  }
+}
+
+/**
+ * Express middleware factory
+ * Per-key overload is answered with 429, global overload with 503
+ * @param {ConcurrencyLimiter} limiter - Limiter holding the slots
+ * @param {Object} options - {
+ *   keyExtractor: (req) => identity, defaults to the client IP
+ *   retryAfter: seconds suggested in Retry-After (default 1)
+ * }
+ */
+function createConcurrencyMiddleware(limiter, options = {}) {
+  const keyExtractor = options.keyExtractor || ipExtractor();
+  const retryAfter = options.retryAfter || 1;
+
+  return async (req, res, next) => {
+    const identity = identify(keyExtractor, req, res);
+    if (!identity) {
+      return;
+    }
+
+    // Stop waiting in the queue if the client goes away
+    const controller = new AbortController();
+    const onClose = () => controller.abort();
+    res.on('close', onClose);
+
+    const slot = await limiter.acquire(identity.key, controller.signal);
+    res.off('close', onClose);
+
+    if (!slot.acquired) {
+      if (slot.reason === 'aborted') {
+        return;
+      }
+      const busy = slot.reason === REASONS.serverBusy;
+      const detail = busy
+        ? `Server is busy. At most ${limiter.maxGlobal} requests are processed at once.`
+        : `Too many concurrent requests. At most ${limiter.maxPerKey} requests may be in flight per client.`;
+      res.setHeader('Retry-After', String(retryAfter));
+      return sendProblem(res, buildProblem(busy ? PROBLEM_TYPES.serverBusy : PROBLEM_TYPES.rateLimited, detail, req.originalUrl, {
+        policy: limiter.name,
+        reason: slot.reason,
+        retryAfter
+      }));
+    }
+
+    // A response already ended or closed will not emit 'finish' or 'close' again
+    if (res.writableEnded || res.destroyed) {
+      slot.release();
+      return;
+    }
+    // 'finish' when the response is sent, 'close' when the connection drops first
+    res.once('finish', slot.release);
+    res.once('close', slot.release);
+
+    req.concurrency = { policy: limiter.name, key: identity.key, inFlight: slot.inFlight, limit: slot.limit, waitedMs: slot.waitedMs };
+    next();
+  };
+}
+
+module.exports = { ConcurrencyLimiter, createConcurrencyMiddleware };
@@ -0,0 +1,518 @@
+/**
+ * Server configuration
+ * Built-in defaults, overridden by a YAML or JSON file (optional), overridden in turn by
+ * environment variables. The result is validated as a whole: every problem is reported at
+ * once, each with the setting it concerns.
+ *
+ * Relative paths in the file are resolved against the file's directory, the defaults'
+ * against the server directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { PolicySet } = require('./policies');
+const { AccessControl } = require('./accessControl');
+const { ConcurrencyLimiter } = require('./concurrencyLimiter');
+const { checkHeaderMode } = require('./headers');
+const { checkFailMode } = require('./core');
+const { createIpMatcher } = require('./ipUtils');
+const { checkOnLimit } = require('./webSocketLimiter');
+
+const DEFAULTS = {
+  port: 3001,
+  cors: { origins: '*' },           // '*' or a list of allowed origins
+  headers: 'both',                  // 'legacy', 'draft' or 'both', see headers.js
+  cleanupIntervalMs: 60000,
+  decisions: {
+    timeoutMs: 2000,                // longest a rate limit decision may wait for the store, 0 for no limit
+    failMode: 'closed'              // when it fails or times out: 'open' lets requests through, 'closed' answers 503
+  },
+  keyExtraction: {
+    apiKeysFile: 'apiKeys.json',    // null disables API keys
+    adminApiKey: null,              // API key with the admin role; set ADMIN_API_KEY rather than committing it
+    tokenSecret: null,              // HS256/384/512 secret for bearer tokens, null disables them
+    trustProxy: []                  // proxies whose X-Forwarded-For is believed
+  },
+  storage: {
+    backend: 'memory',              // 'memory', 'file' (snapshots to stateFile) or 'redis'
+    maxKeys: 100000,
+    stateFile: null,
+    snapshotIntervalMs: 5000,
+    redisUrl: null,
+    usageFile: 'usage.json'         // calendar quotas, unless the backend is redis
+  },
+  auditLogFile: 'audit.log',
+  access: {
+    allowlist: { userIds: [], apiKeys: [], ips: [] },
+    blocklist: { userIds: [], apiKeys: [], ips: [] }
+  },
+  penalty: { threshold: 5, periodMs: 60000, durationMs: 60000, multiplier: 2 }, // or false
+  concurrency: {
+    report: { maxPerKey: 2, maxGlobal: 10, maxWaitMs: 5000 }
+  },
+  websocket: {
+    path: '/ws',
+    onLimit: 'error',               // over-limit messages: 'drop', 'error' (error frame) or 'close' (1008)
+    maxPayloadBytes: 65536,
+    // Limits, like a policy's (maxRequests, windowMs, algorithm, tiers); false disables one
+    upgrades: { maxRequests: 10, windowMs: 60000 },
+    messagesPerConnection: { maxRequests: 5, windowMs: 1000 },
+    messagesPerUser: { maxRequests: 10, windowMs: 1000, tiers: { pro: { maxRequests: 50 } } }
+  },
+  policies: [
+    {
+      name: 'data-read',
+      path: '/api/data',
+      methods: ['GET'],
+      maxRequests: 5,
+      windowMs: 60000,
+      tiers: { pro: { maxRequests: 50 } }
+    },
+    {
+      name: 'data-write',
+      path: '/api/data',
+      methods: ['POST'],
+      maxRequests: 3,
+      windowMs: 60000,
+      tiers: { pro: { maxRequests: 20 } },
+      cost: 3
+    }
+  ],
+  quotas: [
+    { name: 'org-units', scope: 'organisation', maxRequests: 20, windowMs: 60000 },
+    { name: 'global-units', scope: 'global', maxRequests: 10000, windowMs: 60000 },
+    {
+      name: 'monthly-calls',
+      scope: 'user',
+      period: 'month',
+      timeZone: 'UTC',
+      maxRequests: 1000,
+      tiers: { pro: { maxRequests: 100000 } }
+    },
+    { name: 'org-daily-calls', scope: 'organisation', period: 'day', timeZone: 'UTC', maxRequests: 5000 }
+  ]
+};
+
+// Shorter admin keys are too easy to guess
+const MIN_ADMIN_KEY_LENGTH = 16;
+
+// Settings that are file paths, resolved against the directory they were configured from
+const PATH_SETTINGS = [
+  ['keyExtraction', 'apiKeysFile'],
+  ['storage', 'stateFile'],
+  ['storage', 'usageFile'],
+  ['auditLogFile']
+];
+
+// Settings that only take effect on a restart
+const RESTART_SETTINGS = ['port', 'storage', 'auditLogFile', 'concurrency'];
+
+const list = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+const number = (value) => (value.trim() === '' ? NaN : Number(value));
+
+// Environment variable -> [setting it overrides, (config, value) => void]
+const ENV_OVERRIDES = {
+  PORT: ['port', (config, value) => { config.port = number(value); }],
+  CORS_ORIGINS: ['cors.origins', (config, value) => { config.cors.origins = value.trim() === '*' ? '*' : list(value); }],
+  RATE_LIMIT_HEADERS: ['headers', (config, value) => { config.headers = value; }],
+  CLEANUP_INTERVAL_MS: ['cleanupIntervalMs', (config, value) => { config.cleanupIntervalMs = number(value); }],
+  DECISION_TIMEOUT_MS: ['decisions.timeoutMs', (config, value) => { config.decisions.timeoutMs = number(value); }],
+  FAIL_MODE: ['decisions.failMode', (config, value) => { config.decisions.failMode = value; }],
+  API_KEYS_FILE: ['keyExtraction.apiKeysFile', (config, value) => { config.keyExtraction.apiKeysFile = path.resolve(value); }],
+  ADMIN_API_KEY: ['keyExtraction.adminApiKey', (config, value) => { config.keyExtraction.adminApiKey = value; }],
+  TOKEN_SECRET: ['keyExtraction.tokenSecret', (config, value) => { config.keyExtraction.tokenSecret = value; }],
+  TRUST_PROXY: ['keyExtraction.trustProxy', (config, value) => { config.keyExtraction.trustProxy = list(value); }],
+  MAX_TRACKED_KEYS: ['storage.maxKeys', (config, value) => { config.storage.maxKeys = number(value); }],
+  STATE_FILE: ['storage.stateFile', (config, value) => {
+    config.storage.backend = 'file';
+    config.storage.stateFile = path.resolve(value);
+  }],
+  SNAPSHOT_INTERVAL_MS: ['storage.snapshotIntervalMs', (config, value) => { config.storage.snapshotIntervalMs = number(value); }],
+  REDIS_URL: ['storage.redisUrl', (config, value) => {
+    config.storage.backend = 'redis';
+    config.storage.redisUrl = value;
+  }],
+  USAGE_FILE: ['storage.usageFile', (config, value) => { config.storage.usageFile = path.resolve(value); }],
+  AUDIT_LOG_FILE: ['auditLogFile', (config, value) => { config.auditLogFile = path.resolve(value); }],
+  WS_ON_LIMIT: ['websocket.onLimit', (config, value) => { config.websocket.onLimit = value; }],
+  PENALTY_BOX: ['penalty', (config, value) => {
+    if (value === 'off') {
+      config.penalty = false;
+    }
+  }],
+  RATE_LIMIT_ALGORITHM: ['policies', (config, value) => {
+    config.policies = config.policies.map((policy) => ({ ...policy, algorithm: value }));
+  }],
+  QUOTA_TIME_ZONE: ['quotas', (config, value) => {
+    config.quotas = config.quotas.map((quota) => (quota.period ? { ...quota, timeZone: value } : quota));
+  }]
+};
+
+// Lists from the environment are added to the configured ones
+for (const [listName, key] of [['allowlist', 'ALLOWLIST'], ['blocklist', 'BLOCKLIST']]) {
+  for (const [field, suffix] of [['userIds', 'USERS'], ['apiKeys', 'API_KEYS'], ['ips', 'IPS']]) {
+    ENV_OVERRIDES[`${key}_${suffix}`] = [`access.${listName}.${field}`, (config, value) => {
+      const access = config.access[listName];
+      access[field] = [...(access[field] || []), ...list(value)];
+    }];
+  }
+}
+
+// Limits of the demo quotas, by quota name
+for (const [env, quotaName] of [['ORG_QUOTA', 'org-units'], ['GLOBAL_QUOTA', 'global-units'],
+  ['MONTHLY_QUOTA', 'monthly-calls'], ['ORG_DAILY_QUOTA', 'org-daily-calls']]) {
+  ENV_OVERRIDES[env] = ['quotas', (config, value) => {
+    config.quotas = config.quotas.map((quota) => (quota.name === quotaName ? { ...quota, maxRequests: number(value) } : quota));
+  }];
+}
+
+class ConfigError extends Error {
+  /**
+   * @param {string} source - Where the configuration came from, e.g. the file name
+   * @param {Array<string>} problems - One message per invalid setting
+   */
+  constructor(source, problems) {
+    super(`Invalid configuration (${source}):\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Deep merge of plain objects; arrays and scalars from `override` replace the defaults
+function merge(defaults, override) {
+  if (!isPlainObject(defaults) || !isPlainObject(override)) {
+    return override === undefined ? defaults : override;
+  }
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = merge(defaults[key], value);
+  }
+  return merged;
+}
+
+// Sections whose keys are free-form (penalty options are checked by AccessControl)
+const OPEN_SECTIONS = ['penalty', 'concurrency', 'websocket.upgrades', 'websocket.messagesPerConnection',
+  'websocket.messagesPerUser'];
+
+// Misspelt or unsupported keys, which would otherwise be silently ignored
+function unknownSettings(defaults, settings, prefix = '') {
+  const problems = [];
+  for (const [key, value] of Object.entries(settings)) {
+    const setting = `${prefix}${key}`;
+    if (!(key in defaults)) {
+      problems.push(`${setting}: unknown setting, expected one of ${Object.keys(defaults).join(', ')}`);
+    } else if (isPlainObject(defaults[key]) && isPlainObject(value) && !OPEN_SECTIONS.includes(setting)) {
+      problems.push(...unknownSettings(defaults[key], value, `${setting}.`));
+    }
+  }
+  return problems;
+}
+
+// YAML errors come with a code frame; the first line names the problem and its position
+function parseYaml(text) {
+  try {
+    return YAML.parse(text);
+  } catch (error) {
+    throw new Error(error.message.split('\n')[0].replace(/:$/, ''));
+  }
+}
+
+/**
+ * Read a configuration file
+ * @param {string} file - .yaml, .yml or .json file
+ * @returns {Object} - Its settings
+ */
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const settings = /\.ya?ml$/i.test(file) ? parseYaml(text) : JSON.parse(text);
+  if (settings === null) {
+    return {};
+  }
+  if (!isPlainObject(settings)) {
+    throw new Error('the file must contain a mapping of settings');
+  }
+  return settings;
+}
+
+function resolvePaths(config, baseDir) {
+  for (const [section, key] of PATH_SETTINGS) {
+    const holder = key ? config[section] : config;
+    const name = key || section;
+    if (isPlainObject(holder) && typeof holder[name] === 'string') {
+      holder[name] = path.resolve(baseDir, holder[name]);
+    }
+  }
+}
+
+/**
+ * Load, merge and validate the configuration
+ * @param {Object} options - {
+ *   file: configuration file; a missing file is fine unless `required` (optional)
+ *   required: fail if the file does not exist (default false)
+ *   env: environment variables (default process.env)
+ *   baseDir: directory of the default paths (default the server directory)
+ * }
+ * @returns {Object} - The configuration, with absolute paths and RegExp policy paths
+ * @throws {ConfigError} - Every problem found
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const useFile = Boolean(options.file) && (options.required || fs.existsSync(options.file));
+  const source = useFile ? options.file : 'defaults';
+  const defaults = structuredClone(DEFAULTS);
+  resolvePaths(defaults, options.baseDir || __dirname);
+
+  let fileSettings = {};
+  if (useFile) {
+    try {
+      fileSettings = readConfigFile(options.file);
+    } catch (error) {
+      throw new ConfigError(source, [`cannot read ${options.file}: ${error.message}`]);
+    }
+    resolvePaths(fileSettings, path.dirname(path.resolve(options.file)));
+  }
+
+  const problems = unknownSettings(DEFAULTS, fileSettings);
+
+  const config = merge(defaults, fileSettings);
+  const overridden = new Map(); // setting -> environment variables that changed it
+  for (const [name, [setting, apply]] of Object.entries(ENV_OVERRIDES)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      apply(config, env[name]);
+      overridden.set(setting, [...(overridden.get(setting) || []), name]);
+    }
+  }
+
+  // Point at the environment variable when it, not the file, set the invalid value
+  problems.push(...validateConfig(config).map((problem) => {
+    const setting = problem.slice(0, problem.indexOf(':'));
+    const names = overridden.get(setting.replace(/\[\d+\]$/, ''));
+    return names ? `${setting} (${names.join(', ')})${problem.slice(setting.length)}` : problem;
+  }));
+  if (problems.length > 0) {
+    throw new ConfigError(source, problems);
+  }
+  return config;
+}
+
+// Run a check that throws, collecting its message as a problem of a setting
+function check(problems, setting, fn) {
+  try {
+    fn();
+  } catch (error) {
+    problems.push(`${setting}: ${error.message}`);
+  }
+}
+
+const isPositive = (value) => typeof value === 'number' && value > 0;
+const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+
+/**
+ * Check a merged configuration
+ * Compiles `pathPattern` policies into RegExp paths as it goes
+ * @param {Object} config - Merged configuration
+ * @returns {Array<string>} - Problems, empty when valid
+ */
+function validateConfig(config) {
+  const problems = [];
+  const require = (setting, ok, message) => {
+    if (!ok) {
+      problems.push(`${setting}: ${message}`);
+    }
+  };
+
+  require('port', Number.isInteger(config.port) && config.port >= 0 && config.port <= 65535, 'must be a port number (0-65535)');
+  require('cors.origins', config.cors?.origins === '*' || isStringList(config.cors?.origins),
+    'must be "*" or a list of origins');
+  check(problems, 'headers', () => checkHeaderMode(config.headers));
+  require('cleanupIntervalMs', isPositive(config.cleanupIntervalMs), 'must be a positive number of ms');
+  require('decisions.timeoutMs', typeof config.decisions?.timeoutMs === 'number' && config.decisions.timeoutMs >= 0,
+    'must be 0 (no limit) or a positive number of ms');
+  check(problems, 'decisions.failMode', () => checkFailMode(config.decisions?.failMode));
+
+  const keys = config.keyExtraction || {};
+  require('keyExtraction.apiKeysFile', keys.apiKeysFile === null || typeof keys.apiKeysFile === 'string', 'must be a path or null');
+  if (typeof keys.apiKeysFile === 'string') {
+    require('keyExtraction.apiKeysFile', fs.existsSync(keys.apiKeysFile), `${keys.apiKeysFile} does not exist`);
+  }
+  require('keyExtraction.adminApiKey', keys.adminApiKey === null || (typeof keys.adminApiKey === 'string' &&
+    keys.adminApiKey.length >= MIN_ADMIN_KEY_LENGTH), `must be at least ${MIN_ADMIN_KEY_LENGTH} characters or null`);
+  require('keyExtraction.tokenSecret', keys.tokenSecret === null || (typeof keys.tokenSecret === 'string' && keys.tokenSecret !== ''),
+    'must be a non-empty string or null');
+  require('keyExtraction.trustProxy', isStringList(keys.trustProxy), 'must be a list of addresses or ranges');
+  if (isStringList(keys.trustProxy)) {
+    check(problems, 'keyExtraction.trustProxy', () => createIpMatcher(keys.trustProxy));
+  }
+
+  const storage = config.storage || {};
+  require('storage.backend', ['memory', 'file', 'redis'].includes(storage.backend), 'must be memory, file or redis');
+  require('storage.maxKeys', Number.isInteger(storage.maxKeys) && storage.maxKeys > 0, 'must be a positive whole number');
+  require('storage.snapshotIntervalMs', isPositive(storage.snapshotIntervalMs), 'must be a positive number of ms');
+  if (storage.backend === 'file') {
+    require('storage.stateFile', typeof storage.stateFile === 'string', 'is required for the file backend');
+  }
+  if (storage.backend === 'redis') {
+    require('storage.redisUrl', typeof storage.redisUrl === 'string' && /^rediss?:\/\//.test(storage.redisUrl),
+      'is required for the redis backend, e.g. redis://localhost:6379');
+  }
+  require('storage.usageFile', typeof storage.usageFile === 'string', 'must be a path');
+  require('auditLogFile', config.auditLogFile === null || typeof config.auditLogFile === 'string', 'must be a path or null');
+
+  for (const listName of ['allowlist', 'blocklist']) {
+    const access = config.access?.[listName] || {};
+    for (const field of ['userIds', 'apiKeys', 'ips']) {
+      require(`access.${listName}.${field}`, access[field] === undefined || isStringList(access[field]), 'must be a list of strings');
+    }
+    if (isStringList(access.ips)) {
+      check(problems, `access.${listName}.ips`, () => createIpMatcher(access.ips));
+    }
+  }
+  require('penalty', config.penalty === false || isPlainObject(config.penalty), 'must be false or penalty box settings');
+  if (isPlainObject(config.penalty)) {
+    check(problems, 'penalty', () => new AccessControl({ penalty: config.penalty }));
+  }
+  for (const [name, limits] of Object.entries(config.concurrency || {})) {
+    check(problems, `concurrency.${name}`, () => new ConcurrencyLimiter({ name, ...limits }));
+  }
+
+  problems.push(...validateLimits(config));
+  problems.push(...validateWebSocket(config));
+  return problems;
+}
+
+// Names of the WebSocket limits in the PolicySet built from them
+const WEBSOCKET_POLICIES = {
+  upgrades: 'ws-upgrades',
+  messagesPerConnection: 'ws-connection-messages',
+  messagesPerUser: 'ws-user-messages'
+};
+
+/**
+ * Policy table of the WebSocket limits, for a PolicySet of their own
+ * @param {Object} websocket - The websocket section
+ * @returns {Array<Object>} - Policies named after WEBSOCKET_POLICIES, disabled limits left out
+ */
+function webSocketPolicies(websocket) {
+  return Object.entries(WEBSOCKET_POLICIES)
+    .filter(([setting]) => websocket[setting])
+    .map(([setting, name]) => ({ ...websocket[setting], name, path: websocket.path }));
+}
+
+function validateWebSocket(config) {
+  const problems = [];
+  const websocket = config.websocket;
+  if (!isPlainObject(websocket)) {
+    return ['websocket: must be WebSocket settings'];
+  }
+  if (typeof websocket.path !== 'string' || !websocket.path.startsWith('/')) {
+    problems.push('websocket.path: must be a path starting with /');
+  }
+  check(problems, 'websocket.onLimit', () => checkOnLimit(websocket.onLimit));
+  if (!(Number.isInteger(websocket.maxPayloadBytes) && websocket.maxPayloadBytes > 0)) {
+    problems.push('websocket.maxPayloadBytes: must be a positive whole number');
+  }
+
+  for (const [setting, name] of Object.entries(WEBSOCKET_POLICIES)) {
+    const limits = websocket[setting];
+    if (limits === false) {
+      continue;
+    }
+    if (!isPlainObject(limits)) {
+      problems.push(`websocket.${setting}: must be limits or false`);
+      continue;
+    }
+    if (Array.isArray(config.policies) && config.policies.some((policy) => policy.name === name)) {
+      problems.push(`policies: the name ${name} is taken by websocket.${setting}`);
+    }
+    check(problems, `websocket.${setting}`, () => {
+      const policySet = new PolicySet([{ ...limits, name, path: websocket.path }]);
+      for (const tier of [policySet.defaultTier, ...Object.keys(limits.tiers || {})]) {
+        policySet.limiterFor(policySet.get(name), tier);
+      }
+    });
+  }
+  return problems;
+}
+
+// Policies and quotas are checked by building the PolicySet and every limiter they need
+function validateLimits(config) {
+  const problems = [];
+  if (!Array.isArray(config.policies) || !config.policies.every(isPlainObject)) {
+    return ['policies: must be a list of policies'];
+  }
+  if (!Array.isArray(config.quotas) || !config.quotas.every(isPlainObject)) {
+    return ['quotas: must be a list of quotas'];
+  }
+
+  config.policies = config.policies.map((policy, index) => {
+    if (policy.pathPattern === undefined) {
+      return policy;
+    }
+    const { pathPattern, ...rest } = policy;
+    try {
+      return { ...rest, path: new RegExp(pathPattern) };
+    } catch (error) {
+      problems.push(`policies[${index}].pathPattern: ${error.message}`);
+      return rest;
+    }
+  });
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  // Each entry on its own first, so one mistake does not hide the next
+  const build = (policies, quotas) => {
+    const policySet = new PolicySet(policies, { quotas });
+    for (const policy of [...policySet.policies, ...policySet.quotas]) {
+      for (const tier of [policySet.defaultTier, ...Object.keys(policy.tiers || {})]) {
+        policySet.limiterFor(policy, tier);
+      }
+    }
+  };
+  config.policies.forEach((policy, index) => check(problems, `policies[${index}]`, () => build([policy], [])));
+  config.quotas.forEach((quota, index) => check(problems, `quotas[${index}]`, () => build([], [quota])));
+  if (problems.length === 0) {
+    check(problems, 'policies', () => build(config.policies, config.quotas));
+  }
+  return problems;
+}
+
+/**
+ * Settings that differ between two configurations and need a restart to apply
+ * @returns {Array<string>} - Names of the changed settings
+ */
+function changedRestartSettings(previous, next) {
+  return RESTART_SETTINGS.filter((name) => JSON.stringify(previous[name]) !== JSON.stringify(next[name]));
+}
+
+/**
+ * Call onChange when a file is written, renamed or replaced (as editors do)
+ * Watches the directory, since replacing a file ends a watch on the file itself
+ * @param {string} file - File to watch
+ * @param {Function} onChange - Called once per burst of changes
+ * @param {number} debounceMs - Quiet time before onChange runs (default 200)
+ * @returns {Object} - { close() }
+ */
+function watchFile(file, onChange, debounceMs = 200) {
+  const name = path.basename(file);
+  let timer = null;
+  const watcher = fs.watch(path.dirname(path.resolve(file)), (eventType, changed) => {
+    if (changed !== name) {
+      return;
+    }
+    clearTimeout(timer);
+    timer = setTimeout(onChange, debounceMs);
+  });
+  watcher.unref();
+  return {
+    close: () => {
+      clearTimeout(timer);
+      watcher.close();
+    }
+  };
+}
+
+module.exports = { DEFAULTS, ConfigError, loadConfig, validateConfig, webSocketPolicies, changedRestartSettings, watchFile };
@@ -0,0 +1,332 @@
+/**
+ * Rate Limiting Core
+ * Decides on a request without touching a framework: who is calling, whether the request may
+ * proceed, and the headers and problem details body to answer it with. The adapters (see
+ * adapters/) translate outcomes into Express, Node http, Fastify and Koa responses, so every
+ * framework answers with the same status, headers and body.
+ *
+ * Outcome of a request:
+ * {
+ *   allowed: whether the request may proceed
+ *   status: 401, 403, 429 (or 503 when failing closed) when it may not
+ *   headers: rate limit headers, to set whether or not it may proceed
+ *   body, contentType: problem details body (see problems.js) when it may not
+ *   rateLimit: the decision, exposed to handlers (req.rateLimit, ctx.state.rateLimit)
+ * }
+ *
+ * Limit sources (RateLimiter, PolicySet) provide:
+ *   appliesTo(request)          -> whether the request is limited at all (optional, default true)
+ *   limitsFor(request, identity) -> { limiter, route, quotas }, or a Promise of it
+ * where request is { method, path, url, context } with url the original request URL and
+ * context the framework's own request object.
+ *
+ * Decisions are asynchronous throughout, so stores and tier lookups may do I/O. A decision that
+ * fails or takes longer than timeoutMs is settled by the fail mode instead.
+ */
+
+const { ipExtractor, AuthenticationError } = require('./keyExtractors');
+const { buildRateLimitHeaders, checkHeaderMode, secondsUntil } = require('./headers');
+const { PROBLEM_TYPES, PROBLEM_CONTENT_TYPE, REASONS, buildProblem } = require('./problems');
+const { SCOPE_LABELS, chargeAll } = require('./quotas');
+
+const fallbackExtractor = ipExtractor();
+
+// Outcome refusing a request with a problem details body
+function refused(body, headers = {}, rateLimit) {
+  return { allowed: false, status: body.status, headers, body, contentType: PROBLEM_CONTENT_TYPE, rateLimit };
+}
+
+/**
+ * Identify the caller of a request
+ * Requests without credentials fall back to their client IP, never to a shared bucket
+ * @param {Function} keyExtractor - (req) => identity | null, see keyExtractors.js
+ * @param {http.IncomingMessage} req - Request (key extractors read its headers and socket)
+ * @param {string} instance - Request URL, reported in the 401 body
+ * @returns {Object} - { identity } or { outcome } refusing the request with 401
+ */
+function identifyCaller(keyExtractor, req, instance) {
+  try {
+    return { identity: keyExtractor(req) || fallbackExtractor(req) };
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      return { outcome: refused(buildProblem(PROBLEM_TYPES.unauthorized, error.message, instance)) };
+    }
+    throw error;
+  }
+}
+
+// 429 outcome with the rate limit headers of the refused decision
+function rateLimited(decision, detail, instance, headerMode, now) {
+  return refused(buildProblem(PROBLEM_TYPES.rateLimited, detail, instance, {
+    policy: decision.policy,
+    scope: decision.scope,
+    cost: decision.cost,
+    reason: decision.reason,
+    resetTime: new Date(decision.resetTime).toISOString(),
+    retryAfter: secondsUntil(decision.resetTime, now)
+  }), buildRateLimitHeaders(decision, headerMode, now), decision);
+}
+
+/**
+ * Settle a request that access control decided on before any counting
+ * @param {Object} access - Entry from AccessControl.check()
+ * @param {string} route - Route label for the reported event
+ */
+function accessOutcome(access, rateLimiter, identity, route, instance, headerMode) {
+  const now = rateLimiter.clock.now();
+  const decision = {
+    policy: rateLimiter.name,
+    key: identity.key,
+    identity,
+    limit: rateLimiter.maxRequests,
+    windowMs: rateLimiter.windowMs
+  };
+
+  // Decisions made without counting are reported like the limiter's own
+  rateLimiter.emit(access.type === 'allow' ? 'allowed' : 'rejected', {
+    policy: rateLimiter.name,
+    key: identity.key,
+    route,
+    limit: rateLimiter.maxRequests,
+    resetTime: access.type === 'penalty' ? access.expiresAt : undefined,
+    reason: access.reason,
+    allowlisted: access.type === 'allow' || undefined,
+    timestamp: now
+  });
+
+  if (access.type === 'allow') {
+    return { allowed: true, headers: {}, rateLimit: { ...decision, allowed: true, allowlisted: true } };
+  }
+  if (access.type === 'penalty') {
+    const penalized = { ...decision, allowed: false, remaining: 0, resetTime: access.expiresAt, reason: access.reason };
+    return rateLimited(penalized,
+      'Too many rejected requests. This client is locked out until the penalty expires.', instance, headerMode, now);
+  }
+  // 'block' or 'ban'
+  return refused(buildProblem(PROBLEM_TYPES.banned, 'This client is banned.', instance, {
+    policy: rateLimiter.name,
+    reason: access.reason,
+    note: access.note || undefined,
+    until: access.expiresAt ? new Date(access.expiresAt).toISOString() : undefined
+  }));
+}
+
+// Explanation for a 429 from the policy itself or from a quota
+function rejectionDetail({ limiter, scope, cost = 1 }) {
+  // Calendar windows reset per hour, day or month
+  const per = limiter.algorithm.period || `${limiter.windowMs / 1000} seconds`;
+  if (!scope) {
+    return `Rate limit exceeded. Maximum ${limiter.maxRequests} requests per ${per}.`;
+  }
+  return `${SCOPE_LABELS[scope]} quota "${limiter.name}" exceeded. Maximum ${limiter.maxRequests} units per ` +
+    `${per}, this request costs ${cost}.`;
+}
+
+/**
+ * Charge one request to a limiter, plus any quotas, refusing it if any is over its limit
+ * @param {RateLimiter} rateLimiter - Limiter to charge
+ * @param {Object} identity - Caller identity from identifyCaller()
+ * @param {Object} options - {
+ *   route: route label for events and metrics
+ *   instance: request URL, reported in problem bodies
+ *   headers: header mode, see headers.js (default 'legacy')
+ *   accessControl: AccessControl with allow/block lists, bans and the penalty box (optional)
+ *   quotas: [{ limiter, key, scope, cost }] shared budgets charged with it, see quotas.js (optional)
+ * }
+ * @returns {Promise<Object>} - Outcome
+ */
+async function decide(rateLimiter, identity, options = {}) {
+  const headerMode = options.headers || 'legacy';
+  const { accessControl, route, instance } = options;
+
+  const access = accessControl && await accessControl.check(identity);
+  if (access) {
+    return accessOutcome(access, rateLimiter, identity, route, instance, headerMode);
+  }
+
+  const buckets = [{ limiter: rateLimiter, key: identity.key, scope: null }, ...(options.quotas || [])];
+  const { results, rejectedBy } = await chargeAll(buckets, { route, now: rateLimiter.clock.now() });
+  const decisionOf = (bucket, result) => ({
+    policy: bucket.limiter.name,
+    scope: bucket.scope || undefined,
+    key: bucket.key,
+    limit: bucket.limiter.maxRequests,
+    windowMs: bucket.limiter.windowMs,
+    cost: bucket.cost,
+    ...result
+  });
+
+  const decision = { ...decisionOf(buckets[0], results[0]), identity };
+  if (buckets.length > 1) {
+    decision.quotas = results.slice(1).map((result, i) => decisionOf(buckets[i + 1], result));
+  }
+
+  if (rejectedBy !== -1) {
+    const bucket = buckets[rejectedBy];
+    // Only the caller's own limits count towards the penalty box, not budgets shared with others
+    if (accessControl && (!bucket.scope || bucket.scope === 'user')) {
+      await accessControl.recordRejection(identity);
+    }
+    const rejected = rejectedBy === 0 ? decision : { ...decisionOf(bucket, results[rejectedBy]), identity };
+    rejected.reason = bucket.scope ? REASONS.quotaExceeded : REASONS.rateLimited;
+    return rateLimited(rejected, rejectionDetail(bucket), instance, headerMode, rateLimiter.clock.now());
+  }
+
+  return {
+    allowed: true,
+    headers: buildRateLimitHeaders(decision, headerMode, rateLimiter.clock.now()),
+    rateLimit: decision
+  };
+}
+
+// What to do when a decision fails or times out
+const FAIL_MODES = ['open', 'closed'];
+
+/**
+ * Validate a fail mode
+ * @param {string} mode - One of FAIL_MODES
+ * @returns {string} - The mode
+ */
+function checkFailMode(mode) {
+  if (!FAIL_MODES.includes(mode)) {
+    throw new Error(`Unknown fail mode: ${mode}. Expected one of: ${FAIL_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+class DecisionTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Rate limit decision took longer than ${timeoutMs} ms`);
+    this.name = 'DecisionTimeoutError';
+  }
+}
+
+// Reject once a decision takes longer than timeoutMs (none if 0). This guards against a slow
+// store, so it runs on real time rather than the limiter's clock; a store operation that
+// completes after the timeout still counts.
+function withTimeout(promise, timeoutMs) {
+  if (!timeoutMs) {
+    return promise;
+  }
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new DecisionTimeoutError(timeoutMs)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Outcome of a request whose decision failed: let it through or answer 503
+function failureOutcome(error, failMode, instance) {
+  if (failMode === 'open') {
+    return { allowed: true, headers: {}, rateLimit: { allowed: true, failedOpen: true, error: error.message } };
+  }
+  return refused(buildProblem(PROBLEM_TYPES.serverBusy,
+    'Rate limits cannot be checked right now. Try again later.', instance, { reason: REASONS.unavailable }));
+}
+
+/**
+ * Body of a refused outcome as sent: strings as they are, anything else as JSON
+ * @param {Object} outcome - Refused outcome
+ * @returns {string}
+ */
+function payloadOf(outcome) {
+  return typeof outcome.body === 'string' ? outcome.body : JSON.stringify(outcome.body);
+}
+
+/**
+ * Framework-independent request handler, the base of every adapter
+ * Hooks receive the framework's own request object (Express req, Fastify request, Koa ctx,
+ * http.IncomingMessage) and may return a Promise, which is waited for.
+ * @param {RateLimiter|PolicySet} source - Limits to apply
+ * @param {Object} options - {
+ *   keyExtractor: (req) => identity, defaults to the client IP
+ *   headers: 'legacy' (default), 'draft' or 'both', see headers.js
+ *   accessControl: AccessControl with allow/block lists, bans and the penalty box (optional)
+ *   timeoutMs: longest a decision may take before failMode applies (default 0, no limit)
+ *   failMode: when a decision fails or times out, 'open' lets the request through and
+ *             'closed' (default) answers 503
+ *   onError: (error, context) for failed decisions (default: logged)
+ *   skip: (context, request) => true to leave a request unlimited
+ *   onAllowed: (context, outcome) after a request is allowed
+ *   onRejected: (context, outcome) after a request is refused, before it is answered
+ *   buildResponse: (context, outcome) => { status, headers, body, contentType } replacing parts
+ *                  of the response to a refused request; string bodies are sent as they are
+ * }
+ * @returns {Function} - async (req, { method, path, url, context }) => outcome, or null when no
+ *   limit applies; handler.configure({ headers, timeoutMs, failMode }) changes the settings of
+ *   a running server
+ */
+function createRateLimitHandler(source, options = {}) {
+  const keyExtractor = options.keyExtractor || fallbackExtractor;
+  const { accessControl, skip, onAllowed, onRejected, buildResponse } = options;
+  const onError = options.onError || ((error) => console.error('Rate limit decision failed:', error.message));
+  const settings = {};
+
+  const evaluate = async (req, request) => {
+    const { identity, outcome } = identifyCaller(keyExtractor, req, request.url);
+    if (outcome) {
+      return outcome;
+    }
+    const { limiter, route, quotas } = await source.limitsFor(request, identity);
+    return decide(limiter, identity, { headers: settings.headers, accessControl, route, quotas, instance: request.url });
+  };
+
+  const handler = async (req, request) => {
+    if (source.appliesTo && !source.appliesTo(request)) {
+      return null;
+    }
+    if (skip && await skip(request.context, request)) {
+      return null;
+    }
+
+    let outcome;
+    try {
+      outcome = await withTimeout(evaluate(req, request), settings.timeoutMs);
+    } catch (error) {
+      onError(error, request.context);
+      outcome = failureOutcome(error, settings.failMode, request.url);
+    }
+
+    if (outcome.allowed) {
+      await onAllowed?.(request.context, outcome);
+      return outcome;
+    }
+    await onRejected?.(request.context, outcome);
+    const built = buildResponse && await buildResponse(request.context, outcome);
+    if (built) {
+      outcome = { ...outcome, ...built, headers: { ...outcome.headers, ...built.headers } };
+    }
+    return outcome;
+  };
+
+  handler.configure = (changes) => {
+    if (changes.headers !== undefined) {
+      settings.headers = checkHeaderMode(changes.headers);
+    }
+    if (changes.timeoutMs !== undefined) {
+      if (!(changes.timeoutMs >= 0)) {
+        throw new RangeError('Rate limit decision timeout must be 0 (none) or a positive number of ms');
+      }
+      settings.timeoutMs = changes.timeoutMs;
+    }
+    if (changes.failMode !== undefined) {
+      settings.failMode = checkFailMode(changes.failMode);
+    }
+  };
+  handler.configure({
+    headers: options.headers || 'legacy',
+    timeoutMs: options.timeoutMs || 0,
+    failMode: options.failMode || 'closed'
+  });
+  return handler;
+}
+
+module.exports = {
+  FAIL_MODES,
+  DecisionTimeoutError,
+  createRateLimitHandler,
+  decide,
+  identifyCaller,
+  checkFailMode,
+  payloadOf
+};
@@ -0,0 +1,70 @@
+/**
+ * Data API
+ * The protected demo routes, answered with the rate limit decision of the request.
+ * The policy middleware runs first and leaves its decision in req.rateLimit, which is
+ *   missing     when no policy covers the route (one can be removed by a config reload)
+ *   failedOpen  when the decision failed and failMode is 'open': the caller was not checked
+ *
+ *   GET    /data                 policy data-read
+ *   POST   /data                 policy data-write, echoes the JSON body
+ */
+
+const express = require('express');
+
+/**
+ * Rate limit details for a successful response
+ * @param {Object} rateLimit - req.rateLimit (optional)
+ * @returns {Object|null} - { policy, remaining, resetTime }, { policy, allowlisted },
+ *   { failedOpen } or null when no policy applied
+ */
+function rateLimitInfo(rateLimit) {
+  if (!rateLimit) {
+    return null;
+  }
+  if (rateLimit.failedOpen) {
+    return { failedOpen: true };
+  }
+  if (rateLimit.allowlisted) {
+    return { policy: rateLimit.policy, allowlisted: true };
+  }
+  return {
+    policy: rateLimit.policy,
+    remaining: rateLimit.remaining,
+    resetTime: new Date(rateLimit.resetTime).toISOString()
+  };
+}
+
+// Only decisions that were made know the caller
+function userIdOf(rateLimit) {
+  return rateLimit?.identity?.userId || 'anonymous';
+}
+
+/**
+ * @returns {express.Router} - Mount under /api, after the policy middleware
+ */
+function createDataRouter() {
+  const router = express.Router();
+
+  router.get('/data', (req, res) => {
+    res.json({
+      message: 'Request successful!',
+      userId: userIdOf(req.rateLimit),
+      timestamp: new Date().toISOString(),
+      rateLimitInfo: rateLimitInfo(req.rateLimit)
+    });
+  });
+
+  router.post('/data', (req, res) => {
+    res.json({
+      message: 'POST request successful!',
+      userId: userIdOf(req.rateLimit),
+      data: req.body,
+      timestamp: new Date().toISOString(),
+      rateLimitInfo: rateLimitInfo(req.rateLimit)
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createDataRouter, rateLimitInfo };
@@ -0,0 +1,116 @@
+/**
+ * Event Stream
+ * Pushes limiter events to browsers as Server-Sent Events (text/event-stream)
+ *
+ * One subscription to the source fans out to every connected client. A client
+ * first gets a `snapshot` event with the current state, then every limiter event
+ * under its own name (`allowed`, `rejected`, `reset`, `cleanup`). Comment lines
+ * are sent as heartbeats so proxies keep idle connections open.
+ */
+
+const { RATE_LIMITER_EVENTS } = require('./rateLimiter');
+
+class EventStream {
+  /**
+   * @param {EventEmitter} source - PolicySet or RateLimiter
+   * @param {Object} options - {
+   *   snapshot: async () => data of the initial `snapshot` event (optional)
+   *   heartbeatMs: interval of keep-alive comments (default 15000)
+   * }
+   */
+  constructor(source, options = {}) {
+    this.snapshot = options.snapshot || null;
+    this.heartbeatMs = options.heartbeatMs || 15000;
+    this.clients = new Set();
+    this.nextId = 1;
+    this.heartbeat = null;
+
+    for (const event of RATE_LIMITER_EVENTS) {
+      source.on(event, (details) => this.broadcast(event, details));
+    }
+  }
+
+  /**
+   * Send an event to every connected client
+   * @param {string} event - Event name
+   * @param {Object} data - JSON payload
+   */
+  broadcast(event, data) {
+    if (this.clients.size === 0) {
+      return;
+    }
+    const message = formatEvent(event, data, this.nextId++);
+    for (const res of this.clients) {
+      res.write(message);
+    }
+  }
+
+  /**
+   * Express handler: keep the response open and stream events into it
+   */
+  handler() {
+    return async (req, res) => {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // nginx: don't buffer the stream
+      });
+      res.write('retry: 3000\n\n');
+
+      // Listen before the snapshot: a client gone while it is built must not be added
+      let closed = false;
+      req.on('close', () => {
+        closed = true;
+        this.clients.delete(res);
+        if (this.clients.size === 0) {
+          this.stopHeartbeat();
+        }
+      });
+
+      if (this.snapshot) {
+        const snapshot = await this.snapshot();
+        if (closed || res.destroyed) {
+          return;
+        }
+        res.write(formatEvent('snapshot', snapshot, this.nextId++));
+      }
+
+      this.clients.add(res);
+      this.startHeartbeat();
+    };
+  }
+
+  startHeartbeat() {
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => {
+        for (const res of this.clients) {
+          res.write(': heartbeat\n\n');
+        }
+      }, this.heartbeatMs);
+      this.heartbeat.unref();
+    }
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  /**
+   * Disconnect every client
+   */
+  close() {
+    this.stopHeartbeat();
+    for (const res of this.clients) {
+      res.end();
+    }
+    this.clients.clear();
+  }
+}
+
+function formatEvent(event, data, id) {
+  return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = { EventStream };
@@ -0,0 +1,83 @@
+/**
+ * Rate Limit Response Headers
+ *
+ * Modes:
+ *   'legacy' - X-RateLimit-Policy / -Limit / -Remaining / -Reset (ISO timestamp)
+ *   'draft'  - IETF draft-ietf-httpapi-ratelimit-headers structured fields:
+ *                RateLimit-Policy: "data-read";q=5;w=60
+ *                RateLimit: "data-read";r=4;t=42
+ *   'both'   - legacy and draft headers
+ * Retry-After (delta-seconds, RFC 9110) is sent on every rejected request in all modes.
+ */
+
+const HEADER_MODES = ['legacy', 'draft', 'both'];
+
+/**
+ * Validate a header mode
+ * @param {string} mode - One of HEADER_MODES
+ * @returns {string} - The mode
+ */
+function checkHeaderMode(mode) {
+  if (!HEADER_MODES.includes(mode)) {
+    throw new Error(`Unknown rate limit header mode: ${mode}. Expected one of: ${HEADER_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+// Structured field string; policy names are user supplied, so escape them
+function sfString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Seconds until a time, never negative
+ * @param {number} time - Time in ms
+ * @param {number} now - Current time in ms
+ * @returns {number}
+ */
+function secondsUntil(time, now) {
+  return Math.max(0, Math.ceil((time - now) / 1000));
+}
+
+/**
+ * Build the rate limit headers for a decision
+ * @param {Object} decision - { policy, limit, windowMs, allowed, remaining, resetTime }
+ * @param {string} mode - Header mode
+ * @param {number} now - Current time in ms
+ * @returns {Object} - Header name -> value
+ */
+function buildRateLimitHeaders(decision, mode = 'legacy', now = Date.now()) {
+  const headers = {};
+  const resetSeconds = secondsUntil(decision.resetTime, now);
+
+  if (mode === 'legacy' || mode === 'both') {
+    headers['X-RateLimit-Policy'] = decision.policy;
+    headers['X-RateLimit-Limit'] = String(decision.limit);
+    headers['X-RateLimit-Remaining'] = String(decision.remaining);
+    headers['X-RateLimit-Reset'] = new Date(decision.resetTime).toISOString();
+  }
+
+  if (mode === 'draft' || mode === 'both') {
+    const name = sfString(decision.policy);
+    headers['RateLimit-Policy'] = `${name};q=${decision.limit};w=${Math.ceil(decision.windowMs / 1000)}`;
+    headers.RateLimit = `${name};r=${decision.remaining};t=${resetSeconds}`;
+  }
+
+  if (!decision.allowed) {
+    headers['Retry-After'] = String(resetSeconds);
+  }
+  return headers;
+}
+
+// Headers a browser client has to be allowed to read (CORS exposedHeaders)
+const EXPOSED_HEADERS = [
+  'X-RateLimit-Policy',
+  'X-RateLimit-Limit',
+  'X-RateLimit-Remaining',
+  'X-RateLimit-Reset',
+  'RateLimit-Policy',
+  'RateLimit',
+  'Retry-After'
+];
+
+module.exports = { HEADER_MODES, EXPOSED_HEADERS, checkHeaderMode, buildRateLimitHeaders, secondsUntil };
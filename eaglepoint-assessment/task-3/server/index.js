@@ -1,99 +1,373 @@
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const { RateLimiter, createRateLimiterMiddleware } = require('./rateLimiter');
+const { identify, RATE_LIMITER_EVENTS } = require('./rateLimiter');
+const { EXPOSED_HEADERS } = require('./headers');
+const { apiKeyExtractor, tokenExtractor, ipExtractor, chainExtractors, withClientIp, loadApiKeys } = require('./keyExtractors');
+const { PolicySet, createPolicyMiddleware, routeLabel } = require('./policies');
+const { MemoryStore, FileStore, RedisStore, RedisClient } = require('./stores');
+const { AccessControl, STORE_PREFIXES } = require('./accessControl');
+const { AuditLog } = require('./auditLog');
+const { createAdminRouter, requireAdmin } = require('./adminRouter');
+const { createDataRouter } = require('./dataRouter');
+const { createRateLimitMetrics, metricsHandler } = require('./metrics');
+const { EventStream } = require('./eventStream');
+const { ConcurrencyLimiter, createConcurrencyMiddleware } = require('./concurrencyLimiter');
+
+const { WebSocketRateLimiter, rejectUpgrade } = require('./webSocketLimiter');
+const { loadConfig, webSocketPolicies, changedRestartSettings, watchFile } = require('./config');
+
+// Settings come from CONFIG_FILE (default config.yaml next to this file, optional) and the
+// environment, see config.js and config.example.yaml. They are validated before the server
+// starts; an invalid configuration stops it with a list of every problem.
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(__dirname, 'config.yaml');
+let config;
+try {
+  config = loadConfig({ file: CONFIG_FILE, required: Boolean(process.env.CONFIG_FILE) });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
 const app = express();
-const PORT = process.env.PORT || 3001;
 
-// Middleware
-app.use(cors());
+// Middleware (expose the rate limit headers so browser clients can read them)
+// Origins are read per request, so a reload applies to the next one
+app.use(cors((req, callback) => callback(null, { origin: config.cors.origins, exposedHeaders: EXPOSED_HEADERS })));
 app.use(express.json());
 
-// Create rate limiter instance: 5 requests per 60 seconds
-const rateLimiter = new RateLimiter(5, 60000);
-const rateLimiterMiddleware = createRateLimiterMiddleware(rateLimiter);
+// Counters are shared through Redis (storage.backend: redis), or kept in memory and
+// optionally snapshotted to storage.stateFile (backend: file) so a restart lifts no limits.
+// The memory store keeps at most storage.maxKeys entries, evicting the least recently
+// used; admin bans, allowlist entries and penalty box lockouts are never evicted.
+const { storage } = config;
+const memoryOptions = { maxKeys: storage.maxKeys, pinnedPrefixes: STORE_PREFIXES };
+let store;
+if (storage.backend === 'redis') {
+  store = new RedisStore(new RedisClient({ url: storage.redisUrl }));
+} else if (storage.backend === 'file') {
+  store = new FileStore({ ...memoryOptions, file: storage.stateFile, flushIntervalMs: storage.snapshotIntervalMs });
+} else {
+  store = new MemoryStore(memoryOptions);
+}
+
+// Calendar quotas (monthly, daily usage) must survive restarts: without Redis they are
+// kept in memory and written to storage.usageFile
+const usageStore = storage.backend === 'redis' ? store : new FileStore({ file: storage.usageFile });
+
+// Who is calling: admin API key, API key, then signed bearer token (if a token secret is set), then client IP
+// keyExtraction.adminApiKey comes from ADMIN_API_KEY or a local config file, never from the repo
+// keyExtraction.trustProxy lists proxies whose X-Forwarded-For is believed, e.g. [loopback, 10.0.0.0/8]
+// Every identity also carries the client IP, for the IP allow/block lists
+function buildKeyExtractor({ apiKeysFile, adminApiKey, tokenSecret, trustProxy }) {
+  const clientIpExtractor = ipExtractor({ trustedProxies: trustProxy });
+  const apiKeys = apiKeysFile ? loadApiKeys(apiKeysFile) : new Map();
+  if (adminApiKey) {
+    apiKeys.set(adminApiKey, { userId: 'admin', tier: 'pro', role: 'admin' });
+  }
+  return withClientIp(chainExtractors(
+    apiKeys.size > 0 && apiKeyExtractor({ keys: apiKeys }),
+    tokenSecret && tokenExtractor({ secret: tokenSecret }),
+    clientIpExtractor
+  ), clientIpExtractor);
+}
+let currentKeyExtractor = buildKeyExtractor(config.keyExtraction);
+const keyExtractor = (req) => currentKeyExtractor(req);
+
+// Rate limit policies (first match by path and method wins, unmatched routes are not limited)
+// and quotas shared across them, in units: a policy's `cost` per request.
+// Tiers come from the API keys file or the token's `tier` claim, everyone else is 'free'
+const policySet = new PolicySet(config.policies, { store, usageStore, quotas: config.quotas });
 
-// Cleanup expired entries every 5 minutes
-setInterval(() => {
-  rateLimiter.cleanup();
-}, 5 * 60 * 1000);
+// Allowlisted callers are never limited, blocklisted ones always get 403; lists match user
+// IDs, API keys and client IPs / CIDR ranges. The penalty box locks out keys that keep
+// getting rejected, for longer with every lockout (penalty: false disables it).
+// Temporary bans and allowlist entries are set through the admin API.
+const accessControl = new AccessControl({ store, ...config.access, penalty: config.penalty });
+
+// Admin actions are appended to auditLogFile (JSON lines)
+const auditLog = new AuditLog({ file: config.auditLogFile });
+
+// Header mode: 'legacy' (X-RateLimit-*), 'draft' (IETF RateLimit / RateLimit-Policy) or 'both'
+const policyMiddleware = createPolicyMiddleware(policySet, {
+  keyExtractor,
+  accessControl,
+  headers: config.headers,
+  ...config.decisions
+});
+app.use(policyMiddleware);
+
+// Live limiter events for the dashboard; new clients start from a snapshot of every tracked key
+const eventStream = new EventStream(policySet, {
+  snapshot: async () => {
+    const keys = await policySet.trackedKeys();
+    return {
+      timestamp: Date.now(),
+      keys: await Promise.all(keys.map((key) => policySet.inspect(key)))
+    };
+  }
+});
+
+// Admin API (admin role required)
+app.use('/api/admin', createAdminRouter({ policySet, accessControl, auditLog, keyExtractor, eventStream }));
+
+// Cleanup expired entries every cleanupIntervalMs (the memory store only visits expired keys)
+policySet.startCleanup(config.cleanupIntervalMs);
+
+// Prometheus metrics, fed by the policy set's limiter events
+const metrics = createRateLimitMetrics(policySet, {
+  trackedKeys: async () => {
+    const keys = await policySet.trackedKeysByPolicy();
+    return Object.fromEntries(Object.entries(keys).map(([policy, list]) => [policy, list.length]));
+  },
+  storeStats: async () => (store.stats ? store.stats() : null)
+});
+
+// Metrics endpoint for Prometheus scrapes (no rate limiting)
+app.get('/metrics', metricsHandler(metrics));
 
 // Health check endpoint (no rate limiting)
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Protected endpoint with rate limiting
-app.get('/api/data', rateLimiterMiddleware, (req, res) => {
-  const userId = req.headers['x-user-id'] || req.query.userId || 'anonymous';
-  const status = rateLimiter.getStatus(userId);
-  
+// Protected endpoints with rate limiting (policies: data-read, data-write)
+app.use('/api', createDataRouter());
+
+// Expensive endpoints: at most maxPerKey requests in flight per caller and maxGlobal overall,
+// excess requests wait up to maxWaitMs for a slot before getting 429 (per caller) or 503 (overall)
+const reportConcurrency = new ConcurrencyLimiter({ name: 'report', ...config.concurrency.report });
+
+// Slow endpoint with concurrency limiting, ?durationMs= simulates the work (default 2000, max 10000)
+app.get('/api/report', createConcurrencyMiddleware(reportConcurrency, { keyExtractor }), async (req, res) => {
+  const durationMs = Math.min(Number(req.query.durationMs) || 2000, 10000);
+  await new Promise((resolve) => setTimeout(resolve, durationMs));
   res.json({
-    message: 'Request successful!',
-    userId: userId,
-    timestamp: new Date().toISOString(),
-    rateLimitInfo: {
-      remaining: status.remaining,
-      resetTime: new Date(status.resetTime).toISOString()
-    }
+    message: 'Report generated',
+    key: req.concurrency.key,
+    durationMs,
+    waitedMs: req.concurrency.waitedMs,
+    concurrency: reportConcurrency.getStatus(req.concurrency.key)
   });
 });
 
-// POST endpoint with rate limiting
-app.post('/api/data', rateLimiterMiddleware, (req, res) => {
-  const userId = req.headers['x-user-id'] || req.body?.userId || 'anonymous';
-  const status = rateLimiter.getStatus(userId);
-  
+// Get rate limit status (doesn't count against limit)
+// Top-level fields describe ?policy= (default data-read), `policies` lists all of them
+app.get('/api/rate-limit-status', async (req, res) => {
+  const identity = identify(keyExtractor, req, res);
+  if (!identity) {
+    return;
+  }
+  const policyName = req.query.policy || 'data-read';
+
+  if (!policySet.get(policyName)) {
+    return res.status(404).json({ error: `Unknown rate limit policy: ${policyName}` });
+  }
+
+  const now = Date.now();
+  const policies = (await policySet.getStatus(identity)).map((status) => ({
+    ...status,
+    resetTime: new Date(status.resetTime).toISOString(),
+    resetInSeconds: Math.ceil((status.resetTime - now) / 1000)
+  }));
+  const selected = policies.find((status) => status.policy === policyName);
+
   res.json({
-    message: 'POST request successful!',
-    userId: userId,
-    data: req.body,
-    timestamp: new Date().toISOString(),
-    rateLimitInfo: {
-      remaining: status.remaining,
-      resetTime: new Date(status.resetTime).toISOString()
-    }
+    userId: identity.userId || 'anonymous',
+    key: identity.key,
+    tier: policySet.tierOf(identity),
+    policy: selected.policy,
+    limit: selected.limit,
+    windowMs: selected.windowMs,
+    remaining: selected.remaining,
+    resetTime: selected.resetTime,
+    resetInSeconds: selected.resetInSeconds,
+    policies
   });
 });
 
-// Get rate limit status (doesn't count against limit)
-app.get('/api/rate-limit-status', (req, res) => {
-  const userId = req.headers['x-user-id'] || req.query.userId || 'anonymous';
-  const status = rateLimiter.getStatus(userId);
-  
+// Quota usage of the caller in the current calendar periods (doesn't count)
+app.get('/api/usage', async (req, res) => {
+  const identity = identify(keyExtractor, req, res);
+  if (!identity) {
+    return;
+  }
+
+  const usage = (await policySet.getUsage(identity)).map((row) => ({
+    ...row,
+    periodStart: new Date(row.periodStart).toISOString(),
+    periodEnd: new Date(row.periodEnd).toISOString()
+  }));
   res.json({
-    userId: userId,
-    limit: rateLimiter.maxRequests,
-    windowMs: rateLimiter.windowMs,
-    remaining: status.remaining,
-    resetTime: new Date(status.resetTime).toISOString(),
-    resetInSeconds: Math.ceil((status.resetTime - Date.now()) / 1000)
+    userId: identity.userId || 'anonymous',
+    key: identity.key,
+    tier: policySet.tierOf(identity),
+    usage
   });
 });
 
-// Reset rate limit for a user (admin endpoint)
-app.post('/api/reset-rate-limit', (req, res) => {
-  const userId = req.headers['x-user-id'] || req.body?.userId || req.query.userId;
-  
-  if (!userId) {
-    return res.status(400).json({ error: 'User ID is required' });
+// Reset rate limit for a user in every policy (admin only, see also /api/admin)
+// Body: { "userId": "user-1" } or { "key": "ip:10.0.0.1" }
+app.post('/api/reset-rate-limit', requireAdmin(keyExtractor, auditLog), async (req, res) => {
+  const key = req.body?.key || (req.body?.userId && `user:${req.body.userId}`);
+
+  if (!key) {
+    return res.status(400).json({ error: 'User ID or key is required' });
   }
-  
-  rateLimiter.reset(userId);
+
+  await policySet.reset(key);
+  auditLog.record({ actor: req.admin.userId, action: 'reset', target: key, outcome: 'ok' });
   res.json({
-    message: `Rate limit reset for user: ${userId}`,
+    message: `Rate limit reset for: ${key}`,
     timestamp: new Date().toISOString()
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Rate Limiter Server running on http://localhost:${PORT}`);
-  console.log(`📊 Rate Limit: 5 requests per 60 seconds per user`);
+// Realtime channel: a WebSocket at websocket.path (default /ws). Every text message is
+// broadcast to all connected clients as { type: 'message', from, data, timestamp }.
+// Upgrade attempts and inbound messages (per connection and per caller) are rate limited by
+// the websocket limits, kept in a PolicySet of their own so they never match HTTP routes.
+const wsPolicySet = new PolicySet(webSocketPolicies(config.websocket), { store });
+for (const event of RATE_LIMITER_EVENTS) {
+  wsPolicySet.on(event, (details) => policySet.emit(event, details)); // into metrics and the event stream
+}
+const wsLimiterOf = (name) => (identity) => {
+  const policy = wsPolicySet.get(name);
+  return policy && wsPolicySet.limiterFor(policy, wsPolicySet.tierOf(identity));
+};
+const wsLimiter = new WebSocketRateLimiter({
+  keyExtractor,
+  accessControl,
+  upgrade: wsLimiterOf('ws-upgrades'),
+  perConnection: wsLimiterOf('ws-connection-messages'),
+  perUser: wsLimiterOf('ws-user-messages'),
+  onLimit: config.websocket.onLimit,
+  maxPayload: config.websocket.maxPayloadBytes,
+  headers: config.headers
+});
+
+const channel = new Set();
+function joinChannel(ws, identity) {
+  channel.add(ws);
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) {
+      return;
+    }
+    const message = JSON.stringify({ type: 'message', from: identity.userId || identity.key, data: String(data), timestamp: new Date().toISOString() });
+    for (const client of channel) {
+      client.send(message);
+    }
+  });
+  ws.on('close', () => channel.delete(ws));
+}
+
+function handleUpgrade(req, socket, head) {
+  if (new URL(req.url, 'http://localhost').pathname !== config.websocket.path) {
+    rejectUpgrade(socket, 404);
+    return;
+  }
+  wsLimiter.handleUpgrade(req, socket, head, joinChannel).catch((error) => {
+    console.error('WebSocket upgrade failed:', error);
+    rejectUpgrade(socket, 500);
+  });
+}
+
+// Reload the configuration on SIGHUP or when the file changes. Limits (WebSocket ones too),
+// lists, key extraction, headers, CORS and the cleanup interval apply at once and counters
+// are kept; the port, storage, audit log and concurrency limits need a restart. An invalid
+// file is reported and the running configuration stays in place.
+async function reloadConfig(trigger) {
+  let next;
+  let nextKeyExtractor;
+  try {
+    next = loadConfig({ file: CONFIG_FILE, required: Boolean(process.env.CONFIG_FILE) });
+    const tables = { policies: next.policies, quotas: next.quotas };
+    const wsTables = { policies: webSocketPolicies(next.websocket) };
+    // Check everything first, so a bad table or API keys file changes nothing
+    PolicySet.checkTables(tables);
+    PolicySet.checkTables(wsTables);
+    nextKeyExtractor = buildKeyExtractor(next.keyExtraction);
+    await policySet.configure(tables);
+    await wsPolicySet.configure(wsTables);
+  } catch (error) {
+    console.error(`Configuration not reloaded (${trigger}): ${error.message}`);
+    return;
+  }
+
+  accessControl.configure({ ...next.access, penalty: next.penalty });
+  currentKeyExtractor = nextKeyExtractor;
+  policyMiddleware.configure({ headers: next.headers, ...next.decisions });
+  wsLimiter.configure({ onLimit: next.websocket.onLimit, headers: next.headers, maxPayload: next.websocket.maxPayloadBytes });
+  if (next.cleanupIntervalMs !== config.cleanupIntervalMs) {
+    policySet.startCleanup(next.cleanupIntervalMs);
+  }
+  const restartNeeded = changedRestartSettings(config, next);
+  config = next;
+
+  console.log(`🔄 Configuration reloaded (${trigger})`);
+  if (restartNeeded.length > 0) {
+    console.log(`   Restart to apply: ${restartNeeded.join(', ')}`);
+  }
+}
+
+process.on('SIGHUP', () => reloadConfig('SIGHUP'));
+watchFile(CONFIG_FILE, () => reloadConfig(`${path.basename(CONFIG_FILE)} changed`));
+
+function describeLimit(limits, unit) {
+  return `${limits.maxRequests} ${unit} per ${limits.period || `${limits.windowMs / 1000} seconds`}`;
+}
+
+const server = app.listen(config.port, () => {
+  const report = config.concurrency.report;
+  console.log(`🚀 Rate Limiter Server running on http://localhost:${config.port}`);
+  console.log(`⚙️  Configuration: ${fs.existsSync(CONFIG_FILE) ? CONFIG_FILE : 'built-in defaults'} (reloads on SIGHUP and file changes)`);
+  console.log(`📊 Rate Limit Policies:`);
+  for (const policy of policySet.policies) {
+    const methods = policy.methods ? policy.methods.join('/') : '*';
+    console.log(`  ${policy.name}: ${methods} ${routeLabel(policy)} - ${describeLimit(policy, 'requests')} per user (${policy.algorithm || 'fixed-window'})`);
+  }
+  console.log(`📅 Quotas:`);
+  for (const quota of policySet.quotas) {
+    console.log(`  ${quota.name}: ${describeLimit(quota, 'units')} per ${quota.scope}`);
+  }
+  if (storage.backend === 'redis') {
+    console.log(`💾 Storage: Redis`);
+  } else {
+    const state = store instanceof FileStore ? `snapshots in ${store.file} (${store.loaded} entries loaded)` : 'in-memory';
+    console.log(`💾 Storage: ${state}, calendar quotas in ${usageStore.file}`);
+  }
+  const penalty = accessControl.penalty;
+  console.log(`🚫 Penalty box: ${penalty ? `${penalty.threshold} rejections per ${penalty.periodMs / 1000}s lock a key out` : 'off'}`);
+  console.log(`🔌 WebSocket ${config.websocket.path} (over limit: ${config.websocket.onLimit}):`);
+  for (const policy of wsPolicySet.policies) {
+    console.log(`  ${policy.name}: ${describeLimit(policy, policy.name === 'ws-upgrades' ? 'connections' : 'messages')}`);
+  }
   console.log(`\nAvailable endpoints:`);
   console.log(`  GET  /health - Health check (no rate limit)`);
-  console.log(`  GET  /api/data - Protected endpoint`);
-  console.log(`  POST /api/data - Protected endpoint`);
+  console.log(`  GET  /metrics - Prometheus metrics (no rate limit)`);
+  console.log(`  GET  /api/data - Protected endpoint (data-read)`);
+  console.log(`  POST /api/data - Protected endpoint (data-write)`);
+  console.log(`  GET  /api/report - Slow endpoint (${report.maxPerKey} in flight per user, ${report.maxGlobal} overall)`);
   console.log(`  GET  /api/rate-limit-status - Check status (doesn't count)`);
-  console.log(`  POST /api/reset-rate-limit - Reset limit for user`);
+  console.log(`  GET  /api/usage - Quota usage this hour/day/month (doesn't count)`);
+  console.log(`  POST /api/reset-rate-limit - Reset limit for user (admin)`);
+  console.log(`  *    /api/admin/... - Admin API (admin)`);
+  console.log(`  GET  /api/admin/events - Live limiter events, Server-Sent Events (admin)`);
+  console.log(`  GET  /api/admin/usage.csv - Quota usage of every key as CSV (admin)`);
+  console.log(`  WS   ${config.websocket.path} - Realtime channel, messages are broadcast to every client`);
 });
+server.on('upgrade', handleUpgrade);
+
+// Snapshot state and quota usage before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    for (const fileStore of new Set([store, usageStore])) {
+      if (fileStore instanceof FileStore) {
+        fileStore.close();
+      }
+    }
+    process.exit(0);
+  });
+}
 
@@ -0,0 +1,120 @@
+/**
+ * IP address helpers
+ * Parsing, normalisation and CIDR range matching for IPv4 and IPv6
+ */
+
+const net = require('net');
+
+/**
+ * Normalise an address: strips IPv6 zone ids and unwraps IPv4-mapped IPv6 (::ffff:1.2.3.4)
+ * @param {string} ip - Address as seen on the socket or in a header
+ * @returns {string|null} - Normalised address or null if it is not an IP
+ */
+function normalizeIp(ip) {
+  if (typeof ip !== 'string') {
+    return null;
+  }
+  let address = ip.trim().replace(/%.*$/, '');
+  if (address.startsWith('[') && address.endsWith(']')) {
+    address = address.slice(1, -1);
+  }
+
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    address = mapped[1];
+  }
+  return net.isIP(address) ? address.toLowerCase() : null;
+}
+
+// Address as a BigInt, so ranges can be compared with masks
+function ipToBigInt(address) {
+  if (net.isIPv4(address)) {
+    return address.split('.').reduce((value, octet) => (value << 8n) + BigInt(octet), 0n);
+  }
+
+  let [head, tail] = address.split('::');
+  let groups = head ? head.split(':') : [];
+  let tailGroups = tail !== undefined && tail !== '' ? tail.split(':') : [];
+
+  // Embedded IPv4 in the last 32 bits (e.g. 64:ff9b::1.2.3.4)
+  const expandIpv4 = (list) => {
+    const last = list[list.length - 1];
+    if (last && last.includes('.')) {
+      const value = ipToBigInt(last);
+      list.splice(-1, 1, (value >> 16n).toString(16), (value & 0xffffn).toString(16));
+    }
+    return list;
+  };
+  groups = expandIpv4(groups);
+  tailGroups = expandIpv4(tailGroups);
+
+  if (tail !== undefined) {
+    const missing = 8 - groups.length - tailGroups.length;
+    groups = [...groups, ...new Array(missing).fill('0'), ...tailGroups];
+  }
+  return groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n);
+}
+
+/**
+ * Parse an address or CIDR range ('10.0.0.0/8', '::1', '2001:db8::/32')
+ * @param {string} range - Address or range
+ * @returns {Object} - { version: 4|6, network: BigInt, mask: BigInt, prefix: number }
+ */
+function parseCidr(range) {
+  const [rawAddress, rawPrefix] = String(range).split('/');
+  const address = normalizeIp(rawAddress);
+  if (!address) {
+    throw new Error(`Invalid IP address or CIDR range: ${range}`);
+  }
+
+  const version = net.isIPv4(address) ? 4 : 6;
+  const bits = version === 4 ? 32 : 128;
+  const prefix = rawPrefix === undefined ? bits : Number(rawPrefix);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > bits) {
+    throw new Error(`Invalid CIDR prefix: ${range}`);
+  }
+
+  const mask = prefix === 0 ? 0n : ((1n << BigInt(prefix)) - 1n) << BigInt(bits - prefix);
+  return { version, network: ipToBigInt(address) & mask, mask, prefix };
+}
+
+/**
+ * Check whether an address is inside a range
+ * @param {Object|string} range - Parsed (parseCidr) or raw range
+ * @param {string} ip - Address to test
+ * @returns {boolean}
+ */
+function cidrContains(range, ip) {
+  const parsed = typeof range === 'string' ? parseCidr(range) : range;
+  const address = normalizeIp(ip);
+  if (!address) {
+    return false;
+  }
+  const version = net.isIPv4(address) ? 4 : 6;
+  return version === parsed.version && (ipToBigInt(address) & parsed.mask) === parsed.network;
+}
+
+// Shortcuts accepted wherever a list of ranges is configured
+const NAMED_RANGES = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10']
+};
+
+/**
+ * Build a matcher for a list of addresses, ranges and named ranges
+ * @param {Array<string>|string} ranges - e.g. ['loopback', '10.0.0.0/8'] or 'loopback,10.0.0.0/8'
+ * @returns {Function} - (ip) => boolean
+ */
+function createIpMatcher(ranges) {
+  const list = typeof ranges === 'string' ? ranges.split(',') : (ranges || []);
+  const parsed = list
+    .map((range) => range.trim())
+    .filter(Boolean)
+    .flatMap((range) => NAMED_RANGES[range] || [range])
+    .map(parseCidr);
+
+  return (ip) => parsed.some((range) => cidrContains(range, ip));
+}
+
+module.exports = { normalizeIp, parseCidr, cidrContains, createIpMatcher };
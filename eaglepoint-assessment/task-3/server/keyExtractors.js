@@ -0,0 +1,275 @@
+/**
+ * Key Extractors
+ * Decide which bucket a request is charged to, from credentials the client cannot forge
+ *
+ * An extractor is (req) => identity | null:
+ *   identity: { key, source, userId?, orgId?, tier?, role?, apiKey?, ip? }
+ *   null:     the request carries no credential of this kind
+ * Extractors throw AuthenticationError when a credential is present but invalid,
+ * so a bad API key or forged token is rejected instead of silently falling back.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { normalizeIp, createIpMatcher } = require('./ipUtils');
+
+class AuthenticationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * Load an API keys file
+ * Format: { "<api key>": { "userId": "user-1", "orgId": "acme", "tier": "pro", "role": "admin" } }
+ * orgId, tier and role are optional
+ * @param {string} keysFile - Path to the JSON file
+ * @returns {Map<string, Object>} - API key -> { userId, orgId, tier, role }
+ */
+function loadApiKeys(keysFile) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load API keys from ${keysFile}: ${error.message}`);
+  }
+
+  const keys = new Map();
+  for (const [apiKey, entry] of Object.entries(parsed)) {
+    if (!entry || !entry.userId) {
+      throw new Error(`API key entry in ${keysFile} is missing a userId`);
+    }
+    keys.set(apiKey, entry);
+  }
+  return keys;
+}
+
+/**
+ * API keys looked up from a local keys file
+ * @param {Object} options - { keysFile: path, keys: Map (instead of a file), header: 'x-api-key' }
+ * @returns {Function} - Key extractor
+ */
+function apiKeyExtractor(options = {}) {
+  const header = (options.header || 'x-api-key').toLowerCase();
+  const keys = options.keys || loadApiKeys(options.keysFile);
+
+  return (req) => {
+    const apiKey = req.headers[header];
+    if (!apiKey) {
+      return null;
+    }
+
+    const entry = keys.get(apiKey);
+    if (!entry) {
+      throw new AuthenticationError('Invalid API key');
+    }
+    return {
+      key: `user:${entry.userId}`,
+      source: 'api-key',
+      userId: entry.userId,
+      orgId: entry.orgId,
+      tier: entry.tier,
+      role: entry.role,
+      apiKey
+    };
+  };
+}
+
+const TOKEN_ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+
+// Header and payload must each be a JSON object
+function decodeSegment(segment) {
+  const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new AuthenticationError('Malformed token');
+  }
+  return value;
+}
+
+/**
+ * Sign a token (JWT, HMAC algorithms only)
+ * @param {Object} payload - Claims, `sub` is the user ID, `org`, `tier` and `role` are optional
+ * @param {string} secret - Shared secret
+ * @param {string} algorithm - HS256 (default), HS384 or HS512
+ * @returns {string} - Signed token
+ */
+function signToken(payload, secret, algorithm = 'HS256') {
+  const header = Buffer.from(JSON.stringify({ alg: algorithm, typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto
+    .createHmac(TOKEN_ALGORITHMS[algorithm], secret)
+    .update(`${header}.${body}`)
+    .digest('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+/**
+ * Verify a token's signature and time claims
+ * @param {string} token - Token to verify
+ * @param {string} secret - Shared secret
+ * @param {number} now - Current time in ms
+ * @returns {Object} - The token payload
+ */
+function verifyToken(token, secret, now = Date.now()) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new AuthenticationError('Malformed token');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(parts[0]);
+    payload = decodeSegment(parts[1]);
+  } catch (error) {
+    throw new AuthenticationError('Malformed token');
+  }
+
+  // Only HMAC algorithms: never trust "none" or an algorithm picked by the client we can't verify
+  const digest = Object.hasOwn(TOKEN_ALGORITHMS, header.alg) ? TOKEN_ALGORITHMS[header.alg] : null;
+  if (!digest) {
+    throw new AuthenticationError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const expected = crypto.createHmac(digest, secret).update(`${parts[0]}.${parts[1]}`).digest();
+  const given = Buffer.from(parts[2], 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new AuthenticationError('Invalid token signature');
+  }
+
+  const seconds = now / 1000;
+  if (payload.exp !== undefined && seconds >= payload.exp) {
+    throw new AuthenticationError('Token has expired');
+  }
+  if (payload.nbf !== undefined && seconds < payload.nbf) {
+    throw new AuthenticationError('Token is not valid yet');
+  }
+  if (!payload.sub) {
+    throw new AuthenticationError('Token has no subject');
+  }
+  return payload;
+}
+
+/**
+ * HMAC-signed bearer tokens (JWT HS256/384/512) verified with a local secret
+ * @param {Object} options - { secret: string, header: 'authorization' }
+ * @returns {Function} - Key extractor
+ */
+function tokenExtractor(options = {}) {
+  if (!options.secret) {
+    throw new Error('tokenExtractor needs a secret');
+  }
+  const header = (options.header || 'authorization').toLowerCase();
+
+  return (req) => {
+    const value = req.headers[header];
+    const match = /^Bearer\s+(.+)$/i.exec(value || '');
+    if (!match) {
+      return null;
+    }
+
+    const payload = verifyToken(match[1].trim(), options.secret);
+    return {
+      key: `user:${payload.sub}`,
+      source: 'token',
+      userId: String(payload.sub),
+      orgId: payload.org === undefined ? undefined : String(payload.org),
+      tier: payload.tier,
+      role: payload.role
+    };
+  };
+}
+
+/**
+ * Find the client address, honouring X-Forwarded-For only from trusted proxies
+ * Walks the chain from the nearest hop back and returns the first untrusted address
+ * @param {Object} req - Request with headers and socket
+ * @param {Function} isTrusted - (ip) => boolean
+ * @returns {string} - Client IP
+ */
+function getClientIp(req, isTrusted) {
+  const remote = normalizeIp(req.socket?.remoteAddress) || 'unknown';
+  if (!isTrusted(remote)) {
+    return remote;
+  }
+
+  const forwarded = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(normalizeIp)
+    .filter(Boolean);
+
+  let client = remote;
+  for (let i = forwarded.length - 1; i >= 0; i--) {
+    client = forwarded[i];
+    if (!isTrusted(client)) {
+      break;
+    }
+  }
+  return client;
+}
+
+/**
+ * Client IP, for unauthenticated traffic
+ * @param {Object} options - {
+ *   trustedProxies: addresses, CIDR ranges or 'loopback' / 'private' / 'linklocal'
+ *                   whose X-Forwarded-For is believed (default: none)
+ * }
+ * @returns {Function} - Key extractor
+ */
+function ipExtractor(options = {}) {
+  const isTrusted = createIpMatcher(options.trustedProxies);
+
+  return (req) => {
+    const ip = getClientIp(req, isTrusted);
+    return { key: `ip:${ip}`, source: 'ip', ip };
+  };
+}
+
+/**
+ * Try extractors in order, the first identity wins
+ * @param {...Function} extractors - Key extractors, falsy entries are skipped
+ * @returns {Function} - Key extractor
+ */
+function chainExtractors(...extractors) {
+  const list = extractors.filter(Boolean);
+  return (req) => {
+    for (const extractor of list) {
+      const identity = extractor(req);
+      if (identity) {
+        return identity;
+      }
+    }
+    return null;
+  };
+}
+
+/**
+ * Add the client IP to every identity, so allow and block lists can match
+ * addresses of authenticated callers too
+ * @param {Function} extractor - Key extractor
+ * @param {Function} clientIpExtractor - An ipExtractor(), with the trusted proxies to honour
+ * @returns {Function} - Key extractor
+ */
+function withClientIp(extractor, clientIpExtractor) {
+  return (req) => {
+    const identity = extractor(req);
+    if (!identity || identity.ip) {
+      return identity;
+    }
+    return { ...identity, ip: clientIpExtractor(req).ip };
+  };
+}
+
+module.exports = {
+  AuthenticationError,
+  apiKeyExtractor,
+  tokenExtractor,
+  ipExtractor,
+  chainExtractors,
+  withClientIp,
+  loadApiKeys,
+  signToken,
+  verifyToken,
+  getClientIp
+};
@@ -0,0 +1,315 @@
+/**
+ * Metrics
+ * Counters, gauges and histograms rendered in the Prometheus text format (version 0.0.4),
+ * and the rate limiter metrics fed by limiter events
+ */
+
+const { systemClock } = require('./clock');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Metric {
+  /**
+   * @param {string} name - Metric name, e.g. 'rate_limit_allowed_total'
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Allowed label names
+   */
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // Map<label key, { labels, value }>
+  }
+
+  // Pick the declared labels in a stable order, so one label set is one series
+  seriesFor(labels = {}) {
+    const picked = {};
+    for (const name of this.labelNames) {
+      picked[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+    }
+    const id = JSON.stringify(picked);
+    if (!this.series.has(id)) {
+      this.series.set(id, { labels: picked, value: this.initialValue() });
+    }
+    return this.series.get(id);
+  }
+
+  initialValue() {
+    return 0;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  inc(labels, value = 1) {
+    this.seriesFor(labels).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  get type() {
+    return 'gauge';
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {Array<number>} buckets - Upper bounds, ascending
+   */
+  constructor(name, help, labelNames, buckets) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  initialValue() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const state = this.seriesFor(labels).value;
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        state.counts[i] += 1;
+      }
+    });
+    state.sum += value;
+    state.count += 1;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, value } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  /**
+   * @param {Object} options - {
+   *   clock: Clock the collectors' maxAgeMs is measured with (default: systemClock)
+   * }
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || systemClock;
+    this.metrics = [];
+    this.collectors = []; // async functions run before scrapes, to refresh gauges
+  }
+
+  register(metric) {
+    if (this.metrics.some((existing) => existing.name === metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Run a function before scrapes. Scrapes arriving while it runs wait for that run, and
+   * within maxAgeMs of the last run the gauges it set are served as they are.
+   * @param {Function} collector - async () => void
+   * @param {Object} options - { maxAgeMs: how long one run stays fresh (default 0: every scrape) }
+   */
+  onCollect(collector, { maxAgeMs = 0 } = {}) {
+    let lastRun = -Infinity;
+    let running = null;
+    this.collectors.push(() => {
+      if (!running && this.clock.now() - lastRun >= maxAgeMs) {
+        running = Promise.resolve()
+          .then(collector)
+          .finally(() => {
+            lastRun = this.clock.now();
+            running = null;
+          });
+      }
+      return running;
+    });
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   * @returns {Promise<string>}
+   */
+  async render() {
+    await Promise.all(this.collectors.map((collector) => collector()));
+    return this.metrics.map((metric) => metric.render().join('\n')).join('\n\n') + '\n';
+  }
+}
+
+const TIME_TO_RESET_BUCKETS = [0.1, 0.5, 1, 5, 10, 30, 60, 300, 900, 3600];
+const CHECK_DURATION_BUCKETS = [0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1];
+const DEFAULT_GAUGE_MAX_AGE_MS = 10000;
+
+/**
+ * Rate limiter metrics, fed by the events of a PolicySet (or a single RateLimiter)
+ * @param {EventEmitter} source - PolicySet or RateLimiter emitting allowed/rejected/reset/cleanup
+ * @param {Object} options - {
+ *   registry: MetricsRegistry to register with (default: a new one)
+ *   trackedKeys: async () => ({ [policy]: number of keys }), refreshed on scrapes (optional)
+ *   storeStats: async () => store.stats() or null, refreshed on scrapes (optional)
+ *   gaugeMaxAgeMs: how long trackedKeys and storeStats results are reused, since both walk
+ *     the store and /metrics needs no credentials (default 10000)
+ * }
+ * @returns {MetricsRegistry}
+ */
+function createRateLimitMetrics(source, options = {}) {
+  const registry = options.registry || new MetricsRegistry();
+  const { gaugeMaxAgeMs = DEFAULT_GAUGE_MAX_AGE_MS } = options;
+
+  const allowed = registry.counter('rate_limit_allowed_total', 'Requests allowed by the rate limiter', ['policy', 'route']);
+  const rejected = registry.counter('rate_limit_rejected_total', 'Requests refused by the rate limiter', ['policy', 'route', 'reason']);
+  const resets = registry.counter('rate_limit_resets_total', 'Keys reset through the API', ['policy']);
+  const cleanups = registry.counter('rate_limit_cleanup_runs_total', 'Cleanup runs', []);
+  const cleaned = registry.counter('rate_limit_cleanup_removed_total', 'Expired entries removed by cleanup', []);
+  const tracked = registry.gauge('rate_limit_tracked_keys', 'Keys with live rate limit state', ['policy']);
+  const timeToReset = registry.histogram(
+    'rate_limit_time_to_reset_seconds',
+    'Time until the caller\'s quota resets (rejected: until the next request is allowed)',
+    ['policy', 'route', 'outcome'],
+    TIME_TO_RESET_BUCKETS
+  );
+  const checkDuration = registry.histogram(
+    'rate_limit_check_duration_seconds',
+    'Time spent deciding a request, including the store round trip',
+    ['policy'],
+    CHECK_DURATION_BUCKETS
+  );
+
+  const observeDecision = (outcome) => (event) => {
+    if (outcome === 'allowed') {
+      allowed.inc(event);
+    } else {
+      rejected.inc(event);
+    }
+    if (event.resetTime) {
+      timeToReset.observe({ ...event, outcome }, Math.max(0, event.resetTime - event.timestamp) / 1000);
+    }
+    if (event.durationMs !== undefined) {
+      checkDuration.observe(event, event.durationMs / 1000);
+    }
+  };
+
+  // Unlabelled series exist from the start, so they read 0 rather than missing
+  cleanups.inc({}, 0);
+  cleaned.inc({}, 0);
+
+  source.on('allowed', observeDecision('allowed'));
+  source.on('rejected', observeDecision('rejected'));
+  source.on('reset', (event) => resets.inc(event));
+  source.on('cleanup', (event) => {
+    cleanups.inc();
+    cleaned.inc({}, event.removed || 0);
+  });
+
+  if (options.storeStats) {
+    const storeKeys = registry.gauge('rate_limit_store_keys', 'Entries held by the rate limit store', []);
+    const storeMaxKeys = registry.gauge('rate_limit_store_max_keys', 'Entries the store holds before evicting', []);
+    const storeBytes = registry.gauge('rate_limit_store_memory_bytes', 'Estimated memory used by the store entries', []);
+    const evictions = registry.counter('rate_limit_store_evictions_total', 'Live entries evicted to stay under the key cap', []);
+    evictions.inc({}, 0);
+    let evictionsSeen = 0;
+
+    registry.onCollect(async () => {
+      const stats = await options.storeStats();
+      if (!stats) {
+        return;
+      }
+      storeKeys.set({}, stats.keys);
+      storeMaxKeys.set({}, stats.maxKeys);
+      storeBytes.set({}, stats.memoryBytes);
+      // The store counts evictions itself; add what happened since the last scrape
+      evictions.inc({}, Math.max(0, stats.evictions - evictionsSeen));
+      evictionsSeen = stats.evictions;
+    }, { maxAgeMs: gaugeMaxAgeMs });
+  }
+
+  if (options.trackedKeys) {
+    registry.onCollect(async () => {
+      tracked.reset();
+      for (const [policy, count] of Object.entries(await options.trackedKeys())) {
+        tracked.set({ policy }, count);
+      }
+    }, { maxAgeMs: gaugeMaxAgeMs });
+  }
+
+  return registry;
+}
+
+/**
+ * Express handler serving a registry
+ * @param {MetricsRegistry} registry - Metrics to expose
+ */
+function metricsHandler(registry) {
+  return async (req, res) => {
+    res.set('Content-Type', CONTENT_TYPE);
+    res.send(await registry.render());
+  };
+}
+
+module.exports = {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  createRateLimitMetrics,
+  metricsHandler
+};
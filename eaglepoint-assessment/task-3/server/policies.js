@@ -0,0 +1,551 @@
+/**
+ * Rate Limit Policies
+ * A declarative table assigning limits to routes, methods and user tiers
+ * Each policy keeps its own counters (its name namespaces the store keys)
+ *
+ * Policy shape:
+ * {
+ *   name: 'data-write',             // reported in X-RateLimit-Policy and 429 bodies
+ *   path: '/api/data',              // exact path or RegExp
+ *   methods: ['POST'],              // optional, any method if omitted
+ *   maxRequests: 2,
+ *   windowMs: 60000,
+ *   algorithm: 'fixed-window',      // optional, plus any algorithm options
+ *   tiers: { pro: { maxRequests: 20 } }, // optional per-tier overrides
+ *   cost: 3                         // optional units taken from the quotas per request (default 1);
+ *                                   // the policy itself counts requests
+ * }
+ *
+ * Quotas (see quotas.js) are budgets shared across policies, per user, organisation or
+ * globally, charged together with the matching policy.
+ *
+ * A PolicySet re-emits the events of all its limiters (see rateLimiter.js).
+ */
+
+const { EventEmitter } = require('events');
+const { RateLimiter, RATE_LIMITER_EVENTS, startCleanupTimer } = require('./rateLimiter');
+const { createExpressMiddleware } = require('./adapters/express');
+const { MemoryStore } = require('./stores');
+const { systemClock } = require('./clock');
+const { REASONS } = require('./problems');
+const { QUOTA_SCOPES, validateQuota, scopeOfKey } = require('./quotas');
+const { periodBounds } = require('./calendar');
+
+const DEFAULT_MAX_KEY_TIERS = 100000;
+
+class PolicySet extends EventEmitter {
+  /**
+   * @param {Array<Object>} policies - Policy table, first match wins
+   * @param {Object} options - {
+   *   store: shared storage backend, defaults to MemoryStore
+   *   userTiers: { [userId]: tier } known users and their tier, used when
+   *              the identity does not carry a tier itself
+   *   defaultTier: tier of everyone else (default 'free')
+   *   lookupTier: async (identity) => tier | null, e.g. from a user database, asked when the
+   *               identity does not carry a tier itself; null falls back to userTiers
+   *   clock: time and timer source of all limiters, see clock.js (default systemClock)
+   *   quotas: shared budgets charged with every policy, see quotas.js (optional)
+   *   usageStore: where quotas with a calendar period keep their counters, e.g. a FileStore
+   *               so monthly usage survives restarts (default: store)
+   *   maxKeyTiers: keys whose tier is remembered for admin views, least recently seen dropped
+   *                first (default: the store's maxKeys, or 100000)
+   * }
+   */
+  constructor(policies, options = {}) {
+    super();
+    this.policies = policies.map(validatePolicy);
+    this.quotas = (options.quotas || []).map(validateQuota);
+    this.store = options.store || new MemoryStore();
+    this.usageStore = options.usageStore || this.store;
+    this.userTiers = options.userTiers || {};
+    this.defaultTier = options.defaultTier || 'free';
+    this.lookupTier = options.lookupTier || null;
+    this.clock = options.clock || systemClock;
+    this.cleanupTimer = null;
+    this.limiters = new Map(); // Map<"policy:tier", RateLimiter>
+    this.keyTiers = new Map(); // Map<key, tier> tier last seen for each key, for admin views, oldest first
+    this.maxKeyTiers = options.maxKeyTiers || this.store.maxKeys || DEFAULT_MAX_KEY_TIERS;
+
+    const names = new Set();
+    for (const policy of [...this.policies, ...this.quotas]) {
+      if (names.has(policy.name)) {
+        throw new Error(`Duplicate rate limit policy name: ${policy.name}`);
+      }
+      names.add(policy.name);
+    }
+    for (const policy of this.policies) {
+      this.checkCost(policy);
+    }
+  }
+
+  // A request must fit into every quota it is charged to, or it could never be allowed
+  checkCost(policy) {
+    const cost = policy.cost || 1;
+    for (const limits of this.quotas) {
+      for (const tier of [null, ...Object.keys(limits.tiers || {})]) {
+        const { name, tiers, scope, ...settings } = { ...limits, ...(tier ? limits.tiers[tier] : {}) };
+        const { capacity } = new RateLimiter(settings.maxRequests, settings.windowMs, settings).algorithm;
+        if (cost > capacity) {
+          throw new Error(`Rate limit policy "${policy.name}" costs ${cost} units, more than "${limits.name}" ` +
+            `holds${tier ? ` for tier ${tier}` : ''} (${capacity})`);
+        }
+      }
+    }
+  }
+
+  // Store holding the counters of a policy or quota
+  storeOf(policy) {
+    return policy.period ? this.usageStore : this.store;
+  }
+
+  /**
+   * Find the policy for a request
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @returns {Object|null} - The first matching policy
+   */
+  match(method, path) {
+    return this.policies.find((policy) => {
+      const pathMatches = policy.path instanceof RegExp ? policy.path.test(path) : policy.path === path;
+      const methodMatches = !policy.methods || policy.methods.includes(method.toUpperCase());
+      return pathMatches && methodMatches;
+    }) || null;
+  }
+
+  /**
+   * Look up a policy by name
+   * @param {string} name - Policy name
+   * @returns {Object|null}
+   */
+  get(name) {
+    return this.policies.find((policy) => policy.name === name) || null;
+  }
+
+  /**
+   * Look up a quota by name
+   * @param {string} name - Quota name
+   * @returns {Object|null}
+   */
+  getQuota(name) {
+    return this.quotas.find((quota) => quota.name === name) || null;
+  }
+
+  /**
+   * @param {Object} identity - Caller identity from a key extractor
+   * @returns {string} - The caller's tier
+   */
+  tierOf(identity) {
+    return identity.tier || this.userTiers[identity.userId] || this.defaultTier;
+  }
+
+  /**
+   * Get the limiter enforcing a policy for a tier
+   * Tiers of one policy share its counters, only the limits differ
+   * @param {Object} policy - Policy from the table
+   * @param {string} tier - User tier
+   * @returns {RateLimiter}
+   */
+  limiterFor(policy, tier) {
+    const cacheKey = `${policy.name}:${tier}`;
+    if (!this.limiters.has(cacheKey)) {
+      const { name, path, methods, tiers, cost, scope, ...limits } = policy;
+      const settings = { ...limits, ...(tiers?.[tier] || {}) };
+      const limiter = new RateLimiter(settings.maxRequests, settings.windowMs, {
+        ...settings,
+        name,
+        store: this.storeOf(policy),
+        clock: this.clock,
+        reason: scope ? REASONS.quotaExceeded : REASONS.rateLimited
+      });
+      for (const event of RATE_LIMITER_EVENTS) {
+        limiter.on(event, (details) => this.emit(event, details));
+      }
+      this.limiters.set(cacheKey, limiter);
+    }
+    return this.limiters.get(cacheKey);
+  }
+
+  /**
+   * Quotas a caller is charged to, narrowest scope first
+   * @param {Object} identity - Caller identity from a key extractor
+   * @param {string} tier - The caller's tier
+   * @returns {Array<Object>} - [{ limiter, key, scope }], for the quotas option of decide() in core.js
+   */
+  quotaBucketsFor(identity, tier) {
+    const order = Object.keys(QUOTA_SCOPES);
+    return this.quotas
+      .map((quota) => ({ limiter: this.limiterFor(quota, tier), key: QUOTA_SCOPES[quota.scope](identity), scope: quota.scope }))
+      .filter((bucket) => bucket.key)
+      .sort((a, b) => order.indexOf(a.scope) - order.indexOf(b.scope));
+  }
+
+  /**
+   * Whether a policy matches a request, for the rate limiting core (see core.js)
+   * @param {Object} request - { method, path, url }
+   * @returns {boolean}
+   */
+  appliesTo(request) {
+    return Boolean(this.match(request.method, request.path));
+  }
+
+  /**
+   * Limits of a request: the matching policy at the caller's tier, plus the caller's quotas
+   * @param {Object} request - { method, path, url }
+   * @param {Object} identity - Caller identity from a key extractor
+   * @returns {Promise<Object>} - { limiter, route, quotas }
+   */
+  async limitsFor(request, identity) {
+    const policy = this.match(request.method, request.path);
+    const looked = !identity.tier && this.lookupTier && await this.lookupTier(identity);
+    const tier = looked || this.tierOf(identity);
+    this.rememberTier(identity.key, tier);
+    return {
+      limiter: this.limiterFor(policy, tier),
+      route: routeLabel(policy),
+      quotas: this.quotaBucketsFor(identity, tier).map((bucket) => ({ ...bucket, cost: policy.cost || 1 }))
+    };
+  }
+
+  /**
+   * Remember the tier a key was charged with, so admin views can show its limits
+   * @param {string} key - Rate limit key
+   * @param {string} tier - Tier of the caller
+   */
+  rememberTier(key, tier) {
+    // Bounded like the memory store, or a flood of made-up keys would grow the Map forever
+    this.keyTiers.delete(key);
+    this.keyTiers.set(key, tier);
+    if (this.keyTiers.size > this.maxKeyTiers) {
+      this.keyTiers.delete(this.keyTiers.keys().next().value);
+    }
+  }
+
+  // Status of one policy or quota for a key; quotas also report their scope and key,
+  // calendar quotas their period
+  async statusOf(policy, key, tier) {
+    const limiter = this.limiterFor(policy, tier);
+    const status = await limiter.getStatus(key);
+    return {
+      policy: policy.name,
+      ...(policy.scope ? { scope: policy.scope, key } : {}),
+      ...(policy.period ? { period: policy.period, timeZone: policy.timeZone } : {}),
+      limit: limiter.maxRequests,
+      windowMs: limiter.windowMs,
+      ...status
+    };
+  }
+
+  // Consumed vs. allotted units of a calendar quota in its current period
+  async usageOf(quota, key, tier) {
+    const now = this.clock.now();
+    const { limit, remaining } = await this.statusOf(quota, key, tier);
+    const { start, end } = periodBounds(now, quota.period, quota.timeZone);
+    return {
+      quota: quota.name,
+      scope: quota.scope,
+      key,
+      period: quota.period,
+      timeZone: quota.timeZone,
+      periodStart: start,
+      periodEnd: end,
+      used: limit - remaining,
+      limit,
+      remaining
+    };
+  }
+
+  /**
+   * Usage of every calendar quota a caller is charged to, in the current periods
+   * @param {Object} identity - Caller identity from a key extractor
+   * @returns {Promise<Array<Object>>} - [{ quota, scope, key, period, timeZone, periodStart,
+   *   periodEnd, used, limit, remaining }]
+   */
+  async getUsage(identity) {
+    const tier = this.tierOf(identity);
+    const buckets = this.quotas
+      .filter((quota) => quota.period)
+      .map((quota) => [quota, QUOTA_SCOPES[quota.scope](identity)])
+      .filter(([, key]) => key);
+    return Promise.all(buckets.map(([quota, key]) => this.usageOf(quota, key, tier)));
+  }
+
+  /**
+   * Usage of every key with units used in a calendar quota, for reports and billing
+   * User keys are reported with the limits of the tier they were last charged with
+   * @returns {Promise<Array<Object>>} - getUsage() rows plus the tier of user keys, by quota and key
+   */
+  async usageReport() {
+    const now = this.clock.now();
+    const rows = [];
+    for (const quota of this.quotas.filter((candidate) => candidate.period)) {
+      const prefix = `${quota.name}:`;
+      const keys = (await this.usageStore.keys(prefix, now)).map((storeKey) => storeKey.slice(prefix.length)).sort();
+      for (const key of keys) {
+        // Organisation and global quotas have no tiers
+        const tier = quota.scope === 'user' ? this.keyTiers.get(key) || this.defaultTier : null;
+        rows.push({ ...(await this.usageOf(quota, key, tier || this.defaultTier)), tier });
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Status of every policy and quota for a key, without counting a request
+   * Organisation ('org:...') and 'global' keys only have quotas
+   * @param {string} key - Rate limit key
+   * @param {string} tier - Tier whose limits apply
+   * @returns {Promise<Array<Object>>} - [{ policy, scope?, key?, limit, windowMs, remaining, resetTime }]
+   */
+  async statusFor(key, tier) {
+    const scope = scopeOfKey(key);
+    const policies = scope === 'user' ? this.policies : [];
+    const quotas = this.quotas.filter((quota) => quota.scope === scope);
+    return Promise.all([...policies, ...quotas].map((policy) => this.statusOf(policy, key, tier)));
+  }
+
+  /**
+   * Status of every policy and quota for a caller, without counting a request
+   * @param {Object} identity - Caller identity from a key extractor
+   * @returns {Promise<Array<Object>>} - [{ policy, scope?, key?, limit, windowMs, remaining, resetTime }]
+   */
+  async getStatus(identity) {
+    const tier = this.tierOf(identity);
+    const buckets = [
+      ...this.policies.map((policy) => [policy, identity.key]),
+      ...this.quotas.map((quota) => [quota, QUOTA_SCOPES[quota.scope](identity)]).filter(([, key]) => key)
+    ];
+    return Promise.all(buckets.map(([policy, key]) => this.statusOf(policy, key, tier)));
+  }
+
+  /**
+   * Inspect one key
+   * @param {string} key - Rate limit key
+   * @returns {Promise<Object>} - { key, tier, policies: [...] }
+   */
+  async inspect(key) {
+    const tier = this.keyTiers.get(key) || this.defaultTier;
+    return { key, tier, policies: await this.statusFor(key, tier) };
+  }
+
+  /**
+   * Keys with live state in any policy
+   * @returns {Promise<Array<string>>} - Rate limit keys, sorted
+   */
+  async trackedKeys() {
+    const perPolicy = await this.trackedKeysByPolicy();
+    return [...new Set(Object.values(perPolicy).flat())].sort();
+  }
+
+  /**
+   * Keys with live state, per policy
+   * @returns {Promise<Object>} - { [policy]: [rate limit keys] }
+   */
+  async trackedKeysByPolicy() {
+    const now = this.clock.now();
+    const keys = {};
+    for (const policy of [...this.policies, ...this.quotas]) {
+      const prefix = `${policy.name}:`;
+      keys[policy.name] = (await this.storeOf(policy).keys(prefix, now)).map((storeKey) => storeKey.slice(prefix.length));
+    }
+    return keys;
+  }
+
+  /**
+   * Introspection of the shared store: size, memory and evictions, plus live keys per policy
+   * @returns {Promise<Object>} - { store: { backend, keys, maxKeys, evictions, expired, memoryBytes } | null,
+   *   usageStore: the same for the calendar quotas' store, if it is a separate one,
+   *   trackedKeys: { [policy]: number } }
+   */
+  async getStats() {
+    const trackedKeys = {};
+    for (const [policy, keys] of Object.entries(await this.trackedKeysByPolicy())) {
+      trackedKeys[policy] = keys.length;
+    }
+    const stats = { store: this.store.stats ? await this.store.stats() : null };
+    if (this.usageStore !== this.store) {
+      stats.usageStore = this.usageStore.stats ? await this.usageStore.stats() : null;
+    }
+    return { ...stats, trackedKeys };
+  }
+
+  /**
+   * Reset a caller's counters in every policy and quota
+   * @param {string} key - The rate limit key to reset, e.g. 'user:user-1', 'ip:10.0.0.1' or 'org:acme'
+   */
+  async reset(key) {
+    const scope = scopeOfKey(key);
+    const policies = [...(scope === 'user' ? this.policies : []), ...this.quotas.filter((quota) => quota.scope === scope)];
+    await Promise.all(policies.map((policy) => this.limiterFor(policy, this.defaultTier).reset(key)));
+  }
+
+  /**
+   * Reset every key in every policy
+   * @returns {Promise<number>} - Number of keys reset
+   */
+  async resetAll() {
+    const keys = await this.trackedKeys();
+    await Promise.all(keys.map((key) => this.reset(key)));
+    return keys.length;
+  }
+
+  /**
+   * Change a policy at runtime, without restarting the server
+   * Counters are kept, unless the algorithm changes (its stored state would not fit)
+   * @param {string} name - Policy name
+   * @param {Object} changes - New limits: maxRequests, windowMs, algorithm and its options, tiers, methods
+   * @returns {Promise<Object>} - The updated policy
+   */
+  async updatePolicy(name, changes) {
+    const index = this.policies.findIndex((policy) => policy.name === name);
+    if (index === -1) {
+      throw new RangeError(`Unknown rate limit policy: ${name}`);
+    }
+    if (changes.name !== undefined && changes.name !== name) {
+      throw new RangeError('A policy cannot be renamed');
+    }
+
+    const previous = this.policies[index];
+    let updated;
+    try {
+      updated = validatePolicy({ ...previous, ...changes, name });
+      // Fail early on an unknown algorithm instead of on the next request
+      new RateLimiter(updated.maxRequests, updated.windowMs, { ...updated, store: this.store });
+      this.checkCost(updated);
+    } catch (error) {
+      throw new RangeError(error.message);
+    }
+
+    this.policies[index] = updated;
+    await this.replaced(previous, updated);
+    return updated;
+  }
+
+  /**
+   * Check policy and quota tables without applying them, e.g. before configuring several sets
+   * @param {Object} tables - { policies, quotas }
+   * @returns {PolicySet} - A set with the checked tables
+   * @throws {RangeError} - When a table is invalid
+   */
+  static checkTables({ policies, quotas = [] }) {
+    try {
+      return new PolicySet(policies, { quotas });
+    } catch (error) {
+      throw new RangeError(error.message);
+    }
+  }
+
+  /**
+   * Replace the whole policy and quota tables, e.g. when the configuration is reloaded
+   * Policies and quotas that keep their name keep their counters, unless the algorithm changes
+   * @param {Object} tables - { policies, quotas }
+   * @returns {Promise<void>}
+   */
+  async configure({ policies, quotas = [] }) {
+    const next = PolicySet.checkTables({ policies, quotas });
+    const previous = new Map([...this.policies, ...this.quotas].map((policy) => [policy.name, policy]));
+    this.policies = next.policies;
+    this.quotas = next.quotas;
+    for (const updated of [...this.policies, ...this.quotas]) {
+      if (previous.has(updated.name)) {
+        await this.replaced(previous.get(updated.name), updated);
+      }
+    }
+    this.limiters.clear();
+  }
+
+  // Forget the limiters of a changed policy, and its counters if their format changed
+  async replaced(previous, updated) {
+    for (const cacheKey of this.limiters.keys()) {
+      if (cacheKey.startsWith(`${previous.name}:`)) {
+        this.limiters.delete(cacheKey);
+      }
+    }
+
+    if ((updated.algorithm || 'fixed-window') !== (previous.algorithm || 'fixed-window')) {
+      const store = this.storeOf(previous);
+      const storeKeys = await store.keys(`${previous.name}:`, this.clock.now());
+      await Promise.all(storeKeys.map((storeKey) => store.delete(storeKey)));
+    }
+  }
+
+  /**
+   * Clean up expired entries of all policies
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async cleanup() {
+    const now = this.clock.now();
+    let removed = await this.store.cleanup(now);
+    if (this.usageStore !== this.store) {
+      removed += await this.usageStore.cleanup(now);
+    }
+    this.emit('cleanup', { policy: null, removed, timestamp: now });
+    return removed;
+  }
+
+  /**
+   * Run cleanup() periodically on the set's clock
+   * The timer does not keep the process alive
+   * @param {number} intervalMs - Time between runs
+   */
+  startCleanup(intervalMs) {
+    this.stopCleanup();
+    this.cleanupTimer = startCleanupTimer(this, intervalMs);
+  }
+
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      this.clock.clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+function validatePolicy(policy) {
+  if (!policy.name) {
+    throw new Error('Rate limit policy is missing a name');
+  }
+  if (['access', 'penalty'].includes(policy.name)) {
+    throw new Error(`Rate limit policy name "${policy.name}" is reserved`);
+  }
+  if (!policy.path) {
+    throw new Error(`Rate limit policy "${policy.name}" is missing a path`);
+  }
+  if (policy.cost !== undefined && !(Number.isInteger(policy.cost) && policy.cost > 0)) {
+    throw new Error(`Rate limit policy "${policy.name}" needs a positive whole number as cost`);
+  }
+  const tierLimits = Object.values(policy.tiers || {});
+  for (const limits of [policy, ...tierLimits]) {
+    if (limits.maxRequests !== undefined && !(limits.maxRequests > 0)) {
+      throw new Error(`Rate limit policy "${policy.name}" needs a positive maxRequests`);
+    }
+    if (limits.windowMs !== undefined && !(limits.windowMs > 0)) {
+      throw new Error(`Rate limit policy "${policy.name}" needs a positive windowMs`);
+    }
+  }
+  return {
+    ...policy,
+    methods: policy.methods && policy.methods.map((method) => method.toUpperCase())
+  };
+}
+
+// Route of a policy as reported in events and metrics
+function routeLabel(policy) {
+  return policy.path instanceof RegExp ? policy.path.source : policy.path;
+}
+
+/**
+ * Express middleware: rate limit each request with the policy matching its route and method
+ * See adapters/ for other frameworks
+ * @param {PolicySet} policySet - The policy table
+ * @param {Object} options - {
+ *   keyExtractor: (req) => identity, defaults to the client IP
+ *   headers: 'legacy' (default), 'draft' or 'both', see headers.js
+ *   accessControl: AccessControl with allow/block lists, bans and the penalty box (optional)
+ * }
+ * @returns {Function} - Middleware; middleware.configure(changes) changes its settings, see core.js
+ */
+function createPolicyMiddleware(policySet, options = {}) {
+  return createExpressMiddleware(policySet, options);
+}
+
+module.exports = { PolicySet, createPolicyMiddleware, routeLabel };
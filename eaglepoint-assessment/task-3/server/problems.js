@@ -0,0 +1,63 @@
+/**
+ * Problem Details (RFC 9457) error bodies
+ * Served as application/problem+json. The members the API always returned
+ * (`error`, `message`) are kept as extensions so existing clients keep working.
+ */
+
+const PROBLEM_TYPES = {
+  rateLimited: { type: '/problems/rate-limit-exceeded', title: 'Too Many Requests', status: 429 },
+  unauthorized: { type: '/problems/unauthorized', title: 'Unauthorized', status: 401 },
+  forbidden: { type: '/problems/forbidden', title: 'Forbidden', status: 403 },
+  banned: { type: '/problems/banned', title: 'Forbidden', status: 403 },
+  badRequest: { type: '/problems/bad-request', title: 'Bad Request', status: 400 },
+  notFound: { type: '/problems/not-found', title: 'Not Found', status: 404 },
+  serverBusy: { type: '/problems/server-busy', title: 'Service Unavailable', status: 503 }
+};
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json; charset=utf-8';
+
+// Machine readable `reason` of 429 and 403 bodies: why this caller was refused
+const REASONS = {
+  rateLimited: 'rate-limit-exceeded',
+  quotaExceeded: 'quota-exceeded',
+  penalty: 'penalty-box',
+  concurrency: 'concurrency-limit',
+  serverBusy: 'server-busy',
+  unavailable: 'rate-limiter-unavailable',
+  banned: 'banned',
+  blocklisted: 'blocklisted'
+};
+
+/**
+ * Build a problem details body
+ * @param {Object} problem - Entry of PROBLEM_TYPES
+ * @param {string} detail - Human readable explanation of this occurrence
+ * @param {string} instance - URI of the request that failed
+ * @param {Object} extensions - Extra members, e.g. { policy, retryAfter }
+ * @returns {Object}
+ */
+function buildProblem(problem, detail, instance, extensions = {}) {
+  return {
+    type: problem.type,
+    title: problem.title,
+    status: problem.status,
+    detail,
+    instance,
+    error: problem.title,
+    message: detail,
+    ...extensions
+  };
+}
+
+/**
+ * Send a problem details response
+ * @param {Object} res - Express response
+ * @param {Object} body - Body from buildProblem()
+ */
+function sendProblem(res, body) {
+  res.status(body.status);
+  res.setHeader('Content-Type', PROBLEM_CONTENT_TYPE);
+  res.send(JSON.stringify(body));
+}
+
+module.exports = { PROBLEM_TYPES, PROBLEM_CONTENT_TYPE, REASONS, buildProblem, sendProblem };
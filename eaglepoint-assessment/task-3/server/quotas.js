@@ -0,0 +1,114 @@
+/**
+ * Quotas
+ * Shared budgets charged on top of the route policies: per user, per organisation and
+ * service-wide. A request matching a policy counts once against the policy and takes the
+ * policy's `cost` in units (default 1) from every quota in scope, all at once: if any of
+ * them is exhausted the request is rejected and nothing is charged.
+ *
+ * Quota shape:
+ * {
+ *   name: 'org-units',              // reported in 429 bodies, namespaces the store keys
+ *   scope: 'organisation',          // 'user', 'organisation' or 'global'
+ *   maxRequests: 100,               // units per window
+ *   windowMs: 60000,
+ *   algorithm: 'fixed-window',      // optional, plus any algorithm options
+ *   tiers: { pro: { maxRequests: 500 } } // optional, 'user' scope only
+ * }
+ *
+ * Calendar quotas reset with the calendar instead of after windowMs, e.g. for billing:
+ * {
+ *   name: 'monthly-calls',
+ *   scope: 'user',
+ *   period: 'month',                // 'hour', 'day' or 'month'
+ *   timeZone: 'Europe/Berlin',      // IANA time zone of the calendar (default 'UTC')
+ *   maxRequests: 10000              // units per period
+ * }
+ * Their counters are kept in the PolicySet's usageStore, so they can survive restarts.
+ */
+
+const { PERIODS, checkPeriod } = require('./calendar');
+
+// Which key a caller is charged under in each scope; null skips the quota
+const QUOTA_SCOPES = {
+  user: (identity) => identity.key,
+  organisation: (identity) => (identity.orgId ? `org:${identity.orgId}` : null),
+  global: () => 'global'
+};
+
+const SCOPE_LABELS = { user: 'User', organisation: 'Organisation', global: 'Service-wide' };
+
+function validateQuota(quota) {
+  if (!quota.name) {
+    throw new Error('Quota is missing a name');
+  }
+  if (['access', 'penalty'].includes(quota.name)) {
+    throw new Error(`Quota name "${quota.name}" is reserved`);
+  }
+  if (!QUOTA_SCOPES[quota.scope]) {
+    throw new Error(`Quota "${quota.name}" needs a scope: ${Object.keys(QUOTA_SCOPES).join(', ')}`);
+  }
+  if (quota.tiers && quota.scope !== 'user') {
+    // Callers of different tiers share one organisation or global bucket
+    throw new Error(`Quota "${quota.name}": tiers only apply to the 'user' scope`);
+  }
+  if (quota.period) {
+    return validateCalendarQuota(quota);
+  }
+  if (!(quota.maxRequests > 0) || !(quota.windowMs > 0)) {
+    throw new Error(`Quota "${quota.name}" needs a positive maxRequests and windowMs`);
+  }
+  return quota;
+}
+
+// Calendar quotas count with the calendar-window algorithm; windowMs is only nominal
+function validateCalendarQuota(quota) {
+  if (quota.algorithm && quota.algorithm !== 'calendar-window') {
+    throw new Error(`Quota "${quota.name}" has a period, it cannot use the ${quota.algorithm} algorithm`);
+  }
+  if (!(quota.maxRequests > 0)) {
+    throw new Error(`Quota "${quota.name}" needs a positive maxRequests`);
+  }
+  const timeZone = quota.timeZone || 'UTC';
+  try {
+    checkPeriod(quota.period, timeZone);
+  } catch (error) {
+    throw new Error(`Quota "${quota.name}": ${error.message}`);
+  }
+  return { ...quota, algorithm: 'calendar-window', timeZone, windowMs: PERIODS[quota.period] };
+}
+
+/**
+ * Scope a store key belongs to: 'org:...' keys are organisations, 'global' is global
+ * @param {string} key - Rate limit key
+ * @returns {string} - 'user', 'organisation' or 'global'
+ */
+function scopeOfKey(key) {
+  if (key === 'global') {
+    return 'global';
+  }
+  return key.startsWith('org:') ? 'organisation' : 'user';
+}
+
+/**
+ * Charge one request to several limiters at once, in order
+ * Stops at the first limiter that rejects it and refunds the ones already charged,
+ * so a rejected request uses up nothing
+ * @param {Array<Object>} buckets - [{ limiter, key, scope, cost }], cost defaults to 1
+ * @param {Object} context - { route, now }
+ * @returns {Promise<Object>} - { results: [result per charged bucket], rejectedBy: index | -1 }
+ */
+async function chargeAll(buckets, context) {
+  const results = [];
+  for (let i = 0; i < buckets.length; i++) {
+    const { limiter, key, cost = 1 } = buckets[i];
+    const result = await limiter.checkLimit(key, { ...context, cost });
+    results.push(result);
+    if (!result.allowed) {
+      await Promise.all(buckets.slice(0, i).map((charged) => charged.limiter.refund(charged.key, charged.cost || 1, context.now)));
+      return { results, rejectedBy: i };
+    }
+  }
+  return { results, rejectedBy: -1 };
+}
+
+module.exports = { QUOTA_SCOPES, SCOPE_LABELS, validateQuota, scopeOfKey, chargeAll };
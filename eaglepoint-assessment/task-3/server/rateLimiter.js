@@ -1,78 +1,133 @@
 /**
  * Rate Limiter Implementation
- * Limits: 5 requests per 60 seconds per user
- * Tracks by user ID
+ * Limits: maxRequests per windowMs per caller (the server takes them from its configuration)
+ * Tracks by caller identity (API key, signed token or client IP)
  * Auto-resets after time window
+ * Counters are kept in a pluggable store (in-memory by default, Redis for shared limits)
+ * Counting is done by a selectable algorithm (fixed window by default)
+ *
+ * Events (for metrics and monitoring):
+ *   'allowed' / 'rejected': { policy, key, route, cost, limit, remaining, resetTime, reason, timestamp, durationMs }
+ *   'reset':                { policy, key, timestamp }
+ *   'cleanup':              { policy, removed, timestamp }
  */
 
-class RateLimiter {
-  constructor(maxRequests = 5, windowMs = 60000) {
+const { EventEmitter } = require('events');
+const { MemoryStore } = require('./stores');
+const { createAlgorithm } = require('./algorithms');
+const { REASONS, sendProblem } = require('./problems');
+const { systemClock } = require('./clock');
+const { identifyCaller } = require('./core');
+const { createExpressMiddleware } = require('./adapters/express');
+
+const RATE_LIMITER_EVENTS = ['allowed', 'rejected', 'reset', 'cleanup'];
+
+class RateLimiter extends EventEmitter {
+  /**
+   * @param {number} maxRequests - Requests allowed per window
+   * @param {number} windowMs - Window length in ms
+   * @param {Object} options - {
+   *   name: policy name, also namespaces this limiter's keys in the store (default 'default')
+   *   store: storage backend, defaults to MemoryStore
+   *   algorithm: 'fixed-window' (default), 'sliding-log', 'sliding-window-counter',
+   *              'token-bucket' or 'leaky-bucket'
+   *   burst, refillRate: token bucket capacity and tokens per second
+   *   capacity, leakRate: leaky bucket capacity and units drained per second
+   *   clock: time and timer source, see clock.js (default systemClock)
+   *   reason: reason code reported for rejections (default REASONS.rateLimited)
+   * }
+   */
+  constructor(maxRequests = 5, windowMs = 60000, options = {}) {
+    super();
     this.maxRequests = maxRequests; // 5 requests
     this.windowMs = windowMs; // 60 seconds (60000 ms)
-    this.userRequests = new Map(); // Map<userId, {count: number, resetTime: number}>
+    this.name = options.name || 'default';
+    this.store = options.store || new MemoryStore(); // Where counters are kept
+    this.algorithmName = options.algorithm || 'fixed-window';
+    this.algorithm = createAlgorithm(this.algorithmName, { ...options, maxRequests, windowMs });
+    this.clock = options.clock || systemClock;
+    this.reason = options.reason || REASONS.rateLimited;
+    this.cleanupTimer = null;
+  }
+
+  // Limiters sharing a store keep separate counters
+  storeKey(userId) {
+    return `${this.name}:${userId}`;
   }
 
   /**
    * Check if a request should be allowed for a given user
-   * @param {string} userId - The user ID to check
-   * @returns {Object} - { allowed: boolean, remaining: number, resetTime: number }
+   * @param {string} userId - The user (or client) key to check
+   * @param {Object} context - (optional) {
+   *   route: reported with the 'allowed' / 'rejected' event
+   *   cost: units the request takes (default 1), at most the algorithm's capacity
+   *   now: time of the check, for callers that refund() it later (default clock.now())
+   * }
+   * @returns {Promise<Object>} - { allowed: boolean, remaining: number, resetTime: number }
    */
-  checkLimit(userId) {
-    const now = Date.now();
-    const userData = this.userRequests.get(userId);
-
-    // If no record exists or window has expired, create/reset
-    if (!userData || now >= userData.resetTime) {
-      const resetTime = now + this.windowMs;
-      this.userRequests.set(userId, {
-        count: 1,
-        resetTime: resetTime
-      });
-      return {
-        allowed: true,
-        remaining: this.maxRequests - 1,
-        resetTime: resetTime
-      };
+  async checkLimit(userId, context = {}) {
+    const started = performance.now();
+    const now = context.now ?? this.clock.now();
+    const cost = context.cost ?? 1;
+    if (!(cost > 0) || cost > this.algorithm.capacity) {
+      throw new RangeError(`Request cost must be between 1 and ${this.algorithm.capacity} for rate limit policy ${this.name}`);
     }
+    const result = await this.algorithm.consume(this.store, this.storeKey(userId), now, cost);
+
+    this.emit(result.allowed ? 'allowed' : 'rejected', {
+      policy: this.name,
+      key: userId,
+      route: context.route,
+      cost,
+      limit: this.maxRequests,
+      ...result,
+      reason: result.allowed ? undefined : this.reason,
+      timestamp: now,
+      durationMs: performance.now() - started
+    });
+    return result;
+  }
 
-    // Window is still active
-    if (userData.count < this.maxRequests) {
-      userData.count++;
-      this.userRequests.set(userId, userData);
-      return {
-        allowed: true,
-        remaining: this.maxRequests - userData.count,
-        resetTime: userData.resetTime
-      };
-    }
+  /**
+   * Limits of a request, for the rate limiting core (see core.js): this limiter on every route
+   * @param {Object} request - { method, path, url }
+   * @returns {Object} - { limiter, route }
+   */
+  limitsFor(request) {
+    return { limiter: this, route: request.path };
+  }
 
-    // Limit exceeded
-    return {
-      allowed: false,
-      remaining: 0,
-      resetTime: userData.resetTime
-    };
+  /**
+   * Give back the units of an allowed check, e.g. when another limit rejected the request
+   * @param {string} userId - The key that was charged
+   * @param {number} cost - Units charged
+   * @param {number} now - The `now` the check ran with
+   */
+  async refund(userId, cost, now) {
+    await this.algorithm.refund(this.store, this.storeKey(userId), now, cost);
   }
 
   /**
    * Get current status for a user without incrementing count
    * @param {string} userId - The user ID to check
-   * @returns {Object} - { remaining: number, resetTime: number }
+   * @returns {Promise<Object>} - { remaining: number, resetTime: number }
    */
-  getStatus(userId) {
-    const now = Date.now();
-    const userData = this.userRequests.get(userId);
-
-    if (!userData || now >= userData.resetTime) {
-      return {
-        remaining: this.maxRequests,
-        resetTime: now + this.windowMs
-      };
-    }
+  async getStatus(userId) {
+    return this.algorithm.peek(this.store, this.storeKey(userId), this.clock.now());
+  }
 
+  /**
+   * Introspection of the limiter and its store
+   * @returns {Promise<Object>} - { policy, algorithm, limit, windowMs, store }, where store is
+   *   { backend, keys, maxKeys, evictions, expired, memoryBytes } or null if the store cannot tell
+   */
+  async getStats() {
     return {
-      remaining: this.maxRequests - userData.count,
-      resetTime: userData.resetTime
+      policy: this.name,
+      algorithm: this.algorithmName,
+      limit: this.maxRequests,
+      windowMs: this.windowMs,
+      store: this.store.stats ? await this.store.stats() : null
     };
   }
 
@@ -80,52 +135,77 @@ class RateLimiter {
    * Reset the rate limit for a specific user
    * @param {string} userId - The user ID to reset
    */
-  reset(userId) {
-    this.userRequests.delete(userId);
+  async reset(userId) {
+    await this.store.delete(this.storeKey(userId));
+    this.emit('reset', { policy: this.name, key: userId, timestamp: this.clock.now() });
   }
 
   /**
    * Clean up expired entries (optional cleanup method)
+   * @returns {Promise<number>} - Number of entries removed
    */
-  cleanup() {
-    const now = Date.now();
-    for (const [userId, data] of this.userRequests.entries()) {
-      if (now >= data.resetTime) {
-        this.userRequests.delete(userId);
-      }
+  async cleanup() {
+    const now = this.clock.now();
+    const removed = await this.store.cleanup(now);
+    this.emit('cleanup', { policy: this.name, removed, timestamp: now });
+    return removed;
+  }
+
+  /**
+   * Run cleanup() periodically on the limiter's clock
+   * The timer does not keep the process alive
+   * @param {number} intervalMs - Time between runs
+   */
+  startCleanup(intervalMs) {
+    this.stopCleanup();
+    this.cleanupTimer = startCleanupTimer(this, intervalMs);
+  }
+
+  stopCleanup() {
+    if (this.cleanupTimer) {
+      this.clock.clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
     }
   }
 }
 
-// Express middleware factory
-function createRateLimiterMiddleware(rateLimiter) {
-  return (req, res, next) => {
-    // Extract user ID from header, query, or body
-    // Priority: header > query > body
-    const userId = req.headers['x-user-id'] || 
-                   req.query.userId || 
-                   req.body?.userId || 
-                   'anonymous';
-
-    const result = rateLimiter.checkLimit(userId);
-
-    // Set rate limit headers
-    res.setHeader('X-RateLimit-Limit', rateLimiter.maxRequests);
-    res.setHeader('X-RateLimit-Remaining', result.remaining);
-    res.setHeader('X-RateLimit-Reset', new Date(result.resetTime).toISOString());
-
-    if (!result.allowed) {
-      return res.status(429).json({
-        error: 'Too Many Requests',
-        message: `Rate limit exceeded. Maximum ${rateLimiter.maxRequests} requests per ${rateLimiter.windowMs / 1000} seconds.`,
-        resetTime: new Date(result.resetTime).toISOString(),
-        retryAfter: Math.ceil((result.resetTime - Date.now()) / 1000)
-      });
-    }
+// Shared by RateLimiter and PolicySet: cleanup failures are logged, not thrown from a timer
+function startCleanupTimer(owner, intervalMs) {
+  const timer = owner.clock.setInterval(() => {
+    owner.cleanup().catch((error) => console.error('Rate limiter cleanup failed:', error));
+  }, intervalMs);
+  timer.unref?.();
+  return timer;
+}
 
-    next();
-  };
+/**
+ * Identify the caller of a request
+ * Requests without credentials fall back to their client IP, never to a shared bucket
+ * @param {Function} keyExtractor - (req) => identity | null, see keyExtractors.js
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response, answered with 401 for invalid credentials
+ * @returns {Object|null} - { key, source, userId?, tier? } or null if 401 was sent
+ */
+function identify(keyExtractor, req, res) {
+  const { identity, outcome } = identifyCaller(keyExtractor, req, req.originalUrl);
+  if (outcome) {
+    sendProblem(res, outcome.body);
+    return null;
+  }
+  return identity;
 }
 
-module.exports = { RateLimiter, createRateLimiterMiddleware };
+/**
+ * Express middleware factory, see adapters/ for other frameworks
+ * @param {RateLimiter} rateLimiter - Limiter to charge
+ * @param {Object} options - {
+ *   keyExtractor: (req) => identity, defaults to the client IP
+ *   headers: 'legacy' (default), 'draft' or 'both', see headers.js
+ *   accessControl: AccessControl with allow/block lists, bans and the penalty box (optional)
+ * }
+ */
+function createRateLimiterMiddleware(rateLimiter, options = {}) {
+  return createExpressMiddleware(rateLimiter, options);
+}
 
+module.exports = { RateLimiter, RATE_LIMITER_EVENTS, createRateLimiterMiddleware, identify, startCleanupTimer };
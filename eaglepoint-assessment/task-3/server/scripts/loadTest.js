@@ -0,0 +1,201 @@
+/**
+ * Load generator
+ * Drives many simulated users against a running server and reports how many requests
+ * were accepted or rejected, and how long they took.
+ *
+ * Each simulated user has its own client IP, sent as X-Forwarded-For, so start the
+ * server with TRUST_PROXY=loopback or every user shares one rate limit key:
+ *
+ *   TRUST_PROXY=loopback npm start
+ *   npm run load-test -- --users 5000 --duration 20
+ *
+ * Options (--name value or --name=value):
+ *   --url          server root (default http://localhost:3001)
+ *   --path         request path (default /api/data)
+ *   --method       HTTP method (default GET)
+ *   --users        simulated users (default 2000)
+ *   --concurrency  requests in flight at once (default 50)
+ *   --duration     seconds to run (default 10)
+ *   --requests     stop after this many requests instead
+ *   --api-key      send X-API-Key with every request (all users then share its key)
+ */
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULTS = {
+  url: 'http://localhost:3001',
+  path: '/api/data',
+  method: 'GET',
+  users: 2000,
+  concurrency: 50,
+  duration: 10,
+  requests: null,
+  'api-key': null
+};
+const NUMERIC = ['users', 'concurrency', 'duration', 'requests'];
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!match || !(match[1] in DEFAULTS)) {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+    const value = match[2] !== undefined ? match[2] : argv[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value for --${match[1]}`);
+    }
+    options[match[1]] = NUMERIC.includes(match[1]) ? Number(value) : value;
+  }
+  for (const name of NUMERIC) {
+    if (options[name] !== null && !(options[name] > 0)) {
+      throw new Error(`--${name} must be a positive number`);
+    }
+  }
+  return options;
+}
+
+// Distinct client IP per user: 10.0.0.1, 10.0.0.2, ...
+function userIp(index) {
+  const n = index + 1;
+  return `10.${(n >> 16) & 255}.${(n >> 8) & 255}.${n & 255}`;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return 0;
+  }
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Send one request
+ * @returns {Promise<Object>} - { status, reason, latencyMs } or { error, latencyMs }
+ */
+function send(target, agent, options, ip) {
+  const transport = target.protocol === 'https:' ? https : http;
+  const headers = { 'X-Forwarded-For': ip };
+  if (options['api-key']) {
+    headers['X-API-Key'] = options['api-key'];
+  }
+  const body = options.method === 'GET' ? null : JSON.stringify({ loadTest: true });
+  if (body) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  const started = performance.now();
+  return new Promise((resolve) => {
+    const req = transport.request(target, { method: options.method, agent, headers }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        const latencyMs = performance.now() - started;
+        let reason;
+        if (res.statusCode === 429 || res.statusCode === 403 || res.statusCode === 503) {
+          try {
+            reason = JSON.parse(Buffer.concat(chunks).toString()).reason;
+          } catch (error) {
+            reason = undefined;
+          }
+        }
+        resolve({ status: res.statusCode, reason, latencyMs });
+      });
+    });
+    req.on('error', (error) => resolve({ error: error.code || error.message, latencyMs: performance.now() - started }));
+    req.end(body);
+  });
+}
+
+async function run(options) {
+  const target = new URL(options.path, options.url);
+  const agent = new (target.protocol === 'https:' ? https : http).Agent({ keepAlive: true, maxSockets: options.concurrency });
+  const deadline = options.requests ? Infinity : performance.now() + options.duration * 1000;
+
+  const stats = {
+    sent: 0,
+    accepted: [],  // latencies
+    rejected: [],
+    other: [],
+    errors: new Map(), // Map<code, count>
+    statuses: new Map(), // Map<status, count>
+    reasons: new Map(), // Map<reason, count>
+    rejectedUsers: new Set()
+  };
+  const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+  const worker = async () => {
+    while (performance.now() < deadline && (!options.requests || stats.sent < options.requests)) {
+      stats.sent++;
+      const user = Math.floor(Math.random() * options.users);
+      const result = await send(target, agent, options, userIp(user));
+      if (result.error) {
+        count(stats.errors, result.error);
+        continue;
+      }
+      count(stats.statuses, result.status);
+      if (result.status >= 200 && result.status < 300) {
+        stats.accepted.push(result.latencyMs);
+      } else if (result.status === 429) {
+        stats.rejected.push(result.latencyMs);
+        stats.rejectedUsers.add(user);
+        count(stats.reasons, result.reason || 'unknown');
+      } else {
+        stats.other.push(result.latencyMs);
+        if (result.reason) {
+          count(stats.reasons, result.reason);
+        }
+      }
+    }
+  };
+
+  console.log(`${options.method} ${target.href}: ${options.users} users, ${options.concurrency} concurrent, ` +
+    (options.requests ? `${options.requests} requests` : `${options.duration}s`));
+  const started = performance.now();
+  await Promise.all(Array.from({ length: options.concurrency }, worker));
+  const elapsedSeconds = (performance.now() - started) / 1000;
+  agent.destroy();
+
+  report(stats, elapsedSeconds);
+}
+
+function report(stats, elapsedSeconds) {
+  const completed = stats.accepted.length + stats.rejected.length + stats.other.length;
+  const errors = [...stats.errors.values()].reduce((sum, n) => sum + n, 0);
+  const share = (n) => (completed ? `${((n / completed) * 100).toFixed(1)}%` : '-');
+  const format = (ms) => `${ms.toFixed(1)}ms`;
+
+  console.log('');
+  console.log(`Requests:   ${completed + errors} in ${elapsedSeconds.toFixed(1)}s (${(completed / elapsedSeconds).toFixed(0)} req/s)`);
+  console.log(`Accepted:   ${stats.accepted.length} (${share(stats.accepted.length)})`);
+  console.log(`Rejected:   ${stats.rejected.length} (${share(stats.rejected.length)}), ${stats.rejectedUsers.size} users hit a limit`);
+  console.log(`Other:      ${stats.other.length}`);
+  console.log(`Errors:     ${errors}${errors ? ` (${[...stats.errors].map(([code, n]) => `${code}: ${n}`).join(', ')})` : ''}`);
+  if (stats.statuses.size > 0) {
+    console.log(`Statuses:   ${[...stats.statuses].sort(([a], [b]) => a - b).map(([status, n]) => `${status}: ${n}`).join(', ')}`);
+  }
+  if (stats.reasons.size > 0) {
+    console.log(`Reasons:    ${[...stats.reasons].map(([reason, n]) => `${reason}: ${n}`).join(', ')}`);
+  }
+
+  console.log('');
+  console.log('Latency      p50       p90       p99       max');
+  for (const [label, latencies] of [['all', [...stats.accepted, ...stats.rejected, ...stats.other]],
+    ['accepted', stats.accepted], ['rejected', stats.rejected]]) {
+    const sorted = latencies.sort((a, b) => a - b);
+    const columns = [50, 90, 99, 100].map((p) => format(percentile(sorted, p)).padStart(9));
+    console.log(`${label.padEnd(10)}${columns.join(' ')}`);
+  }
+}
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+run(options).catch((error) => {
+  console.error('Load test failed:', error);
+  process.exit(1);
+});
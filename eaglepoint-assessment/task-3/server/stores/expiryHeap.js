@@ -0,0 +1,111 @@
+/**
+ * Expiry heap
+ * Binary min-heap of keys ordered by expiry time, with one node per key that can be
+ * rescheduled or removed in O(log n). MemoryStore uses it so that cleanup only visits
+ * expired keys instead of scanning every entry.
+ */
+
+class ExpiryHeap {
+  constructor() {
+    this.heap = []; // [{ key, at }], earliest first
+    this.positions = new Map(); // Map<key, index in heap>
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  /**
+   * Set (or move) the expiry time of a key
+   * @param {string} key - Store key
+   * @param {number} at - Expiry time in ms
+   */
+  schedule(key, at) {
+    const index = this.positions.get(key);
+    if (index === undefined) {
+      this.heap.push({ key, at });
+      this.positions.set(key, this.heap.length - 1);
+      this.siftUp(this.heap.length - 1);
+      return;
+    }
+    const previous = this.heap[index].at;
+    this.heap[index].at = at;
+    if (at < previous) {
+      this.siftUp(index);
+    } else {
+      this.siftDown(index);
+    }
+  }
+
+  /**
+   * Forget a key
+   * @param {string} key - Store key
+   */
+  remove(key) {
+    const index = this.positions.get(key);
+    if (index === undefined) {
+      return;
+    }
+    this.positions.delete(key);
+    const last = this.heap.pop();
+    if (index < this.heap.length) {
+      this.heap[index] = last;
+      this.positions.set(last.key, index);
+      this.siftDown(index);
+      this.siftUp(index);
+    }
+  }
+
+  /**
+   * Remove and return every key that expired by now, earliest first
+   * @param {number} now - Current time in ms
+   * @returns {Array<string>} - Expired keys
+   */
+  popExpired(now) {
+    const expired = [];
+    while (this.heap.length > 0 && this.heap[0].at <= now) {
+      const { key } = this.heap[0];
+      this.remove(key);
+      expired.push(key);
+    }
+    return expired;
+  }
+
+  swap(i, j) {
+    [this.heap[i], this.heap[j]] = [this.heap[j], this.heap[i]];
+    this.positions.set(this.heap[i].key, i);
+    this.positions.set(this.heap[j].key, j);
+  }
+
+  siftUp(index) {
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.heap[parent].at <= this.heap[index].at) {
+        return;
+      }
+      this.swap(index, parent);
+      index = parent;
+    }
+  }
+
+  siftDown(index) {
+    for (;;) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let smallest = index;
+      if (left < this.heap.length && this.heap[left].at < this.heap[smallest].at) {
+        smallest = left;
+      }
+      if (right < this.heap.length && this.heap[right].at < this.heap[smallest].at) {
+        smallest = right;
+      }
+      if (smallest === index) {
+        return;
+      }
+      this.swap(index, smallest);
+      index = smallest;
+    }
+  }
+}
+
+module.exports = { ExpiryHeap };
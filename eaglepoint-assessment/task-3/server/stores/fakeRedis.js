@@ -0,0 +1,137 @@
+/**
+ * In-process fake of the Redis commands used by RedisStore
+ * Same interface as RedisClient (sendCommand / multi), so RedisStore
+ * can be exercised without a running redis-server
+ */
+
+const { RedisError } = require('./redisClient');
+const { CAS_SCRIPT, REFUND_SCRIPT } = require('./redisStore');
+
+class FakeRedis {
+  /**
+   * @param {Object} options - { now: () => number } time source for key expiry
+   */
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.data = new Map(); // Map<key, {value: string, expiresAt: number|null}>
+  }
+
+  lookup(key) {
+    const entry = this.data.get(key);
+    if (entry && entry.expiresAt !== null && this.now() >= entry.expiresAt) {
+      this.data.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  execute([name, ...args]) {
+    const command = String(name).toUpperCase();
+
+    switch (command) {
+      case 'GET': {
+        const entry = this.lookup(args[0]);
+        return entry ? entry.value : null;
+      }
+      case 'SET': {
+        const [key, value, ...flags] = args;
+        const upper = flags.map((flag) => String(flag).toUpperCase());
+        if (upper.includes('NX') && this.lookup(key)) {
+          return null;
+        }
+        const pxIndex = upper.indexOf('PX');
+        const expiresAt = pxIndex === -1 ? null : this.now() + Number(flags[pxIndex + 1]);
+        this.data.set(key, { value: String(value), expiresAt });
+        return 'OK';
+      }
+      case 'INCR':
+      case 'INCRBY': {
+        const entry = this.lookup(args[0]);
+        const current = entry ? Number(entry.value) : 0;
+        const by = command === 'INCR' ? 1 : Number(args[1]);
+        if (!Number.isInteger(current) || !Number.isInteger(by)) {
+          throw new RedisError('ERR value is not an integer or out of range');
+        }
+        const next = current + by;
+        this.data.set(args[0], { value: String(next), expiresAt: entry ? entry.expiresAt : null });
+        return next;
+      }
+      case 'PTTL': {
+        const entry = this.lookup(args[0]);
+        if (!entry) {
+          return -2;
+        }
+        return entry.expiresAt === null ? -1 : entry.expiresAt - this.now();
+      }
+      case 'PEXPIRE': {
+        const entry = this.lookup(args[0]);
+        if (!entry) {
+          return 0;
+        }
+        entry.expiresAt = this.now() + Number(args[1]);
+        return 1;
+      }
+      case 'DEL': {
+        let removed = 0;
+        for (const key of args) {
+          if (this.lookup(key)) {
+            this.data.delete(key);
+            removed++;
+          }
+        }
+        return removed;
+      }
+      case 'SCAN': {
+        // Whole keyspace in one page; only MATCH with a trailing * prefix is supported
+        const upper = args.map((arg) => String(arg).toUpperCase());
+        const matchIndex = upper.indexOf('MATCH');
+        const pattern = matchIndex === -1 ? '*' : String(args[matchIndex + 1]);
+        const prefix = pattern.slice(0, -1).replace(/\\(.)/g, '$1');
+        const keys = [...this.data.keys()].filter((key) => this.lookup(key) && key.startsWith(prefix));
+        return ['0', keys];
+      }
+      case 'EVAL': {
+        // No Lua here: only the scripts RedisStore sends are emulated
+        const [script, , key, ...argv] = args;
+        if (script === REFUND_SCRIPT) {
+          const ttl = this.execute(['PTTL', key]);
+          return ttl < 0 ? [0, ttl] : [this.execute(['INCRBY', key, argv[0]]), ttl];
+        }
+        if (script !== CAS_SCRIPT) {
+          throw new RedisError('ERR FakeRedis only supports the RedisStore scripts');
+        }
+        const [expected, value, ttl] = argv;
+        const entry = this.lookup(key);
+        if ((entry ? entry.value : '') !== String(expected)) {
+          return 0;
+        }
+        this.data.set(key, { value: String(value), expiresAt: this.now() + Number(ttl) });
+        return 1;
+      }
+      default:
+        throw new RedisError(`ERR unknown command '${name}'`);
+    }
+  }
+
+  async sendCommand(args) {
+    return this.execute(args);
+  }
+
+  /**
+   * Commands run back to back, which is atomic in a single-threaded fake
+   * Like Redis, a failing command returns its error in the reply list
+   */
+  async multi(commands) {
+    return commands.map((command) => {
+      try {
+        return this.execute(command);
+      } catch (error) {
+        return error;
+      }
+    });
+  }
+
+  async quit() {}
+}
+
+module.exports = { FakeRedis };
@@ -0,0 +1,191 @@
+/**
+ * File-backed storage backend for the rate limiter
+ * A MemoryStore that snapshots its entries to a JSON file, so counters, bans and penalties
+ * survive a restart without running Redis
+ *
+ * After a change, a snapshot of every entry is written within flushIntervalMs (changes in
+ * between share one snapshot). Snapshots are crash-safe: the data goes to a temporary file
+ * that is flushed to disk and then renamed over the previous snapshot, so a crash leaves
+ * either the old or the new snapshot behind, never a partial one. On startup the snapshot
+ * is loaded and entries that expired while the server was down are dropped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MemoryStore } = require('./memoryStore');
+const { systemClock } = require('../clock');
+
+const FILE_VERSION = 1;
+const DEFAULT_FLUSH_INTERVAL_MS = 1000;
+
+class FileStore extends MemoryStore {
+  /**
+   * @param {Object} options - {
+   *   file: path of the JSON snapshot file (required)
+   *   flushIntervalMs: longest time a change waits before a snapshot is written (default 1000)
+   *   clock: time and timer source, see clock.js (default systemClock)
+   *   ...MemoryStore options (maxKeys, pinnedPrefixes)
+   * }
+   */
+  constructor(options = {}) {
+    super(options);
+    if (!options.file) {
+      throw new Error('FileStore needs a file');
+    }
+    this.file = options.file;
+    this.flushIntervalMs = options.flushIntervalMs || DEFAULT_FLUSH_INTERVAL_MS;
+    this.clock = options.clock || systemClock;
+    this.flushTimer = null;
+    this.writing = Promise.resolve(); // snapshots are written one after the other
+    this.snapshots = 0;
+    this.lastSnapshotAt = null;
+    this.loading = true;
+    this.loaded = this.restore(this.clock.now());
+    this.loading = false;
+  }
+
+  /**
+   * Load the snapshot written by a previous process, if any, skipping expired entries
+   * An unreadable snapshot is moved aside (file.corrupt-<time>) and the store starts empty
+   * @param {number} now - Current time in ms
+   * @returns {number} - Number of entries loaded
+   */
+  restore(now) {
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (saved.version !== FILE_VERSION || !Array.isArray(saved.entries)) {
+        throw new Error('unknown format');
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      const aside = `${this.file}.corrupt-${now}`;
+      fs.renameSync(this.file, aside);
+      console.error(`Cannot load rate limit state from ${this.file} (${error.message}), moved it to ${aside}`);
+      return 0;
+    }
+
+    let loaded = 0;
+    for (const [key, entry] of saved.entries) {
+      if (entry.resetTime > now) {
+        this.write(key, entry, now);
+        loaded++;
+      }
+    }
+    return loaded;
+  }
+
+  write(key, entry, now) {
+    super.write(key, entry, now);
+    this.changed();
+  }
+
+  delete(key) {
+    super.delete(key);
+    this.changed();
+  }
+
+  cleanup(now) {
+    const removed = super.cleanup(now);
+    if (removed > 0) {
+      this.changed();
+    }
+    return removed;
+  }
+
+  // Schedule a snapshot, unless one is already pending
+  changed() {
+    if (this.loading || this.flushTimer) {
+      return;
+    }
+    this.flushTimer = this.clock.setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch((error) => console.error('Failed to write rate limit state:', error));
+    }, this.flushIntervalMs);
+    this.flushTimer.unref?.();
+  }
+
+  serialize() {
+    return JSON.stringify({ version: FILE_VERSION, savedAt: this.clock.now(), entries: [...this.entries] });
+  }
+
+  snapshotWritten() {
+    this.snapshots++;
+    this.lastSnapshotAt = this.clock.now();
+  }
+
+  // A snapshot written now makes the scheduled one redundant
+  cancelPending() {
+    if (this.flushTimer) {
+      this.clock.clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  /**
+   * Write a snapshot of every entry now
+   * @returns {Promise<void>}
+   */
+  flush() {
+    this.cancelPending();
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      const temporary = `${this.file}.tmp`;
+      const handle = await fs.promises.open(temporary, 'w');
+      try {
+        await handle.writeFile(this.serialize());
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.promises.rename(temporary, this.file);
+      await syncDirectory(path.dirname(this.file));
+      this.snapshotWritten();
+    });
+    return this.writing;
+  }
+
+  /**
+   * Write a snapshot synchronously before the process exits, e.g. from a signal handler
+   */
+  close() {
+    this.cancelPending();
+    const temporary = `${this.file}.tmp`;
+    const fd = fs.openSync(temporary, 'w');
+    try {
+      fs.writeFileSync(fd, this.serialize());
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(temporary, this.file);
+    this.snapshotWritten();
+  }
+
+  stats() {
+    return {
+      ...super.stats(),
+      backend: 'file',
+      file: this.file,
+      loaded: this.loaded,
+      snapshots: this.snapshots,
+      lastSnapshotAt: this.lastSnapshotAt
+    };
+  }
+}
+
+// Make a rename durable; not every platform can open a directory, which is fine to skip
+async function syncDirectory(directory) {
+  let handle;
+  try {
+    handle = await fs.promises.open(directory, 'r');
+    await handle.sync();
+  } catch (error) {
+    // Best effort
+  } finally {
+    await handle?.close();
+  }
+}
+
+module.exports = { FileStore };
@@ -0,0 +1,24 @@
+/**
+ * Storage backends for the rate limiter
+ *
+ * Store interface (methods may return a value or a Promise):
+ *   increment(key, windowMs, now, amount) -> { count, resetTime }, amount defaults to 1
+ *                                    and is negative for refunds
+ *   get(key, now)                 -> { count, resetTime } | null
+ *   update(key, fn, now)          -> result of fn, where fn(state|null) -> { state, ttlMs, result }
+ *                                    must be atomic for the key
+ *   load(key, now)                -> state | null
+ *   keys(prefix, now)             -> live keys starting with prefix
+ *   delete(key)
+ *   cleanup(now)                  -> number of removed entries
+ *   stats()                       -> { backend, keys, maxKeys, evictions, expired, memoryBytes }
+ *                                    optional, for introspection
+ */
+
+const { MemoryStore } = require('./memoryStore');
+const { FileStore } = require('./fileStore');
+const { RedisStore } = require('./redisStore');
+const { RedisClient, RedisError } = require('./redisClient');
+const { FakeRedis } = require('./fakeRedis');
+
+module.exports = { MemoryStore, FileStore, RedisStore, RedisClient, RedisError, FakeRedis };
@@ -0,0 +1,204 @@
+/**
+ * In-memory storage backend for the rate limiter
+ * Keeps counters in a process-local Map (default store)
+ * State is lost on restart and is not shared between processes
+ *
+ * Memory is bounded: beyond maxKeys, the least recently written key is evicted, so a flood
+ * of made-up keys cannot grow the Map without limit. Expiry times are kept in a min-heap,
+ * so cleanup() only visits keys that have expired.
+ */
+
+const { ExpiryHeap } = require('./expiryHeap');
+
+const DEFAULT_MAX_KEYS = 100000;
+// Rough cost of one entry besides its key and state: Map slot, entry object, heap node
+const ENTRY_OVERHEAD_BYTES = 160;
+
+class MemoryStore {
+  /**
+   * @param {Object} options - {
+   *   maxKeys: keys kept before the least recently written is evicted (default 100000)
+   *   pinnedPrefixes: keys starting with these are never evicted, e.g. ['access:'] so
+   *                   admin bans survive a flood (they still expire)
+   * }
+   */
+  constructor(options = {}) {
+    this.maxKeys = options.maxKeys || DEFAULT_MAX_KEYS;
+    this.pinnedPrefixes = options.pinnedPrefixes || [];
+    // Map<key, {count: number, resetTime: number} | {state: Object, resetTime: number}>,
+    // in write order: the first key is the least recently written
+    this.entries = new Map();
+    this.expiry = new ExpiryHeap();
+    this.evictions = 0;
+    this.expired = 0;
+
+    if (!(this.maxKeys > 0)) {
+      throw new Error('maxKeys must be a positive number');
+    }
+  }
+
+  // Store an entry as the most recently written one, making room first if it is new
+  write(key, entry, now) {
+    if (this.entries.has(key)) {
+      this.entries.delete(key);
+    } else if (this.entries.size >= this.maxKeys) {
+      this.cleanup(now);
+      this.evict(this.entries.size - this.maxKeys + 1);
+    }
+    this.entries.set(key, entry);
+    this.expiry.schedule(key, entry.resetTime);
+  }
+
+  // Drop the least recently written keys, skipping pinned ones
+  // If only pinned keys are left, the store grows past maxKeys
+  evict(count) {
+    for (const key of this.entries.keys()) {
+      if (count <= 0) {
+        return;
+      }
+      if (!this.isPinned(key)) {
+        this.delete(key);
+        this.evictions++;
+        count--;
+      }
+    }
+  }
+
+  isPinned(key) {
+    return this.pinnedPrefixes.some((prefix) => key.startsWith(prefix));
+  }
+
+  /**
+   * Increment the counter for a key, starting a new window if needed
+   * @param {string} key - The key to increment
+   * @param {number} windowMs - Window length used when a new window starts
+   * @param {number} now - Current time in ms
+   * @param {number} amount - Units to add, negative to give them back (default 1)
+   * @returns {Object} - { count: number, resetTime: number }
+   */
+  increment(key, windowMs, now, amount = 1) {
+    const entry = this.entries.get(key);
+
+    if (!entry || now >= entry.resetTime) {
+      if (amount <= 0) {
+        // Nothing to give back to a window that is already over
+        return { count: 0, resetTime: now + windowMs };
+      }
+      const fresh = { count: amount, resetTime: now + windowMs };
+      this.write(key, fresh, now);
+      return { ...fresh };
+    }
+
+    entry.count += amount;
+    this.write(key, entry, now);
+    return { ...entry };
+  }
+
+  /**
+   * Read the current window for a key without modifying it
+   * @param {string} key - The key to read
+   * @param {number} now - Current time in ms
+   * @returns {Object|null} - { count: number, resetTime: number } or null if none/expired
+   */
+  get(key, now) {
+    const entry = this.entries.get(key);
+    if (!entry || now >= entry.resetTime) {
+      return null;
+    }
+    return { ...entry };
+  }
+
+  /**
+   * Read-modify-write the algorithm state for a key
+   * @param {string} key - The key to update
+   * @param {Function} fn - (state|null) => { state, ttlMs, result }
+   * @param {number} now - Current time in ms
+   * @returns {*} - The result returned by fn
+   */
+  update(key, fn, now) {
+    const { state, ttlMs, result } = fn(this.load(key, now));
+    this.write(key, { state, resetTime: now + ttlMs }, now);
+    return result;
+  }
+
+  /**
+   * Read the algorithm state for a key without modifying it
+   * @param {string} key - The key to read
+   * @param {number} now - Current time in ms
+   * @returns {Object|null} - The stored state or null if none/expired
+   */
+  load(key, now) {
+    const entry = this.entries.get(key);
+    if (!entry || now >= entry.resetTime) {
+      return null;
+    }
+    return entry.state;
+  }
+
+  /**
+   * List live keys starting with a prefix
+   * @param {string} prefix - Key prefix ('' for all)
+   * @param {number} now - Current time in ms
+   * @returns {Array<string>} - Matching keys
+   */
+  keys(prefix, now) {
+    const keys = [];
+    for (const [key, entry] of this.entries.entries()) {
+      if (key.startsWith(prefix) && now < entry.resetTime) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Remove a key
+   * @param {string} key - The key to remove
+   */
+  delete(key) {
+    this.entries.delete(key);
+    this.expiry.remove(key);
+  }
+
+  /**
+   * Remove all expired entries
+   * Costs O(log n) per expired entry; live entries are not visited
+   * @param {number} now - Current time in ms
+   * @returns {number} - Number of entries removed
+   */
+  cleanup(now) {
+    const expired = this.expiry.popExpired(now);
+    for (const key of expired) {
+      this.entries.delete(key);
+    }
+    this.expired += expired.length;
+    return expired.length;
+  }
+
+  /**
+   * Size and memory use of the store
+   * memoryBytes is an estimate (UTF-16 keys, JSON size of the state, fixed per-entry overhead);
+   * computing it visits every entry
+   * @returns {Object} - { backend, keys, maxKeys, pinnedKeys, evictions, expired, memoryBytes }
+   */
+  stats() {
+    let memoryBytes = 0;
+    let pinnedKeys = 0;
+    for (const [key, entry] of this.entries) {
+      memoryBytes += ENTRY_OVERHEAD_BYTES + 2 * key.length +
+        (entry.state === undefined ? 16 : 2 * JSON.stringify(entry.state).length);
+      pinnedKeys += this.isPinned(key) ? 1 : 0;
+    }
+    return {
+      backend: 'memory',
+      keys: this.entries.size,
+      maxKeys: this.maxKeys,
+      pinnedKeys,
+      evictions: this.evictions,
+      expired: this.expired,
+      memoryBytes
+    };
+  }
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,245 @@
+/**
+ * Minimal Redis client (RESP2 protocol over TCP)
+ * Supports pipelined commands and MULTI/EXEC transactions
+ * Only what the rate limiter stores need - not a general purpose client
+ */
+
+const net = require('net');
+
+const DEFAULT_CONNECT_TIMEOUT_MS = 5000;
+
+class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array} args - Command name followed by its arguments
+ * @returns {string} - RESP encoded command
+ */
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one RESP reply from a buffer
+ * @param {Buffer} buffer - Data received so far
+ * @param {number} offset - Position to start parsing at
+ * @returns {Object|null} - { value, offset } or null if the reply is incomplete
+ */
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new RedisError(`Unexpected reply type: ${type}`);
+  }
+}
+
+class RedisClient {
+  /**
+   * @param {Object} options - { url } or { host, port, password, db }, and
+   *   connectTimeoutMs: give up on an unreachable server after this long (default 5000)
+   */
+  constructor(options = {}) {
+    const parsed = options.url ? new URL(options.url) : null;
+    this.host = parsed ? parsed.hostname : (options.host || '127.0.0.1');
+    this.port = parsed ? Number(parsed.port || 6379) : (options.port || 6379);
+    this.password = parsed ? decodeURIComponent(parsed.password) || null : (options.password || null);
+    this.db = parsed ? Number(parsed.pathname.slice(1) || 0) : (options.db || 0);
+    this.connectTimeoutMs = options.connectTimeoutMs || DEFAULT_CONNECT_TIMEOUT_MS;
+
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = []; // Queue of {resolve, reject} in command order
+  }
+
+  /**
+   * Open the connection if it is not already open
+   */
+  connect() {
+    if (this.socket) {
+      return;
+    }
+
+    const socket = net.createConnection({ host: this.host, port: this.port });
+    this.socket = socket;
+    // Events of a socket that was already given up on must not close its successor
+    const close = (error) => {
+      if (this.socket === socket) {
+        this.handleClose(error);
+      }
+    };
+    // An unreachable server fails the queued commands instead of leaving them waiting
+    const connectTimer = setTimeout(() => {
+      close(new RedisError(`Could not connect to ${this.host}:${this.port} within ${this.connectTimeoutMs} ms`));
+    }, this.connectTimeoutMs);
+    socket.setNoDelay(true);
+    socket.once('connect', () => clearTimeout(connectTimer));
+    socket.on('data', (chunk) => this.handleData(chunk));
+    socket.on('error', close);
+    socket.on('close', () => {
+      clearTimeout(connectTimer);
+      close(new RedisError('Connection closed'));
+    });
+
+    // Queued ahead of any caller command, so replies stay in order
+    if (this.password) {
+      this.write(['AUTH', this.password], 'AUTH').catch(() => {});
+    }
+    if (this.db) {
+      this.write(['SELECT', this.db], 'SELECT').catch(() => {});
+    }
+  }
+
+  handleData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let offset = 0;
+
+    while (offset < this.buffer.length) {
+      let reply;
+      try {
+        reply = parseReply(this.buffer, offset);
+      } catch (error) {
+        // Replies can no longer be matched to commands: fail them all and reconnect later
+        this.handleClose(error);
+        return;
+      }
+      if (!reply) {
+        break;
+      }
+      offset = reply.offset;
+
+      const waiter = this.pending.shift();
+      if (!waiter) {
+        continue;
+      }
+      if (reply.value instanceof RedisError && waiter.setup) {
+        // A failed AUTH or SELECT fails the commands queued behind it with its own error,
+        // not with the NOAUTH or wrong-database errors they would get one by one
+        const error = new RedisError(`${waiter.setup} failed: ${reply.value.message}`);
+        waiter.reject(error);
+        this.handleClose(error);
+        return;
+      }
+      if (reply.value instanceof RedisError) {
+        waiter.reject(reply.value);
+      } else {
+        waiter.resolve(reply.value);
+      }
+    }
+
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  handleClose(error) {
+    if (!this.socket) {
+      return;
+    }
+    this.socket.destroy();
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+
+    const waiters = this.pending;
+    this.pending = [];
+    for (const waiter of waiters) {
+      waiter.reject(error);
+    }
+  }
+
+  // setup names a connection setup command (AUTH, SELECT) whose failure closes the connection
+  write(args, setup = null) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject, setup });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Send a single command
+   * @param {Array} args - Command name followed by its arguments
+   * @returns {Promise<*>} - The parsed reply
+   */
+  sendCommand(args) {
+    this.connect();
+    return this.write(args);
+  }
+
+  /**
+   * Run commands atomically inside MULTI/EXEC
+   * All commands are written in the same tick so no other command can interleave
+   * @param {Array<Array>} commands - List of commands
+   * @returns {Promise<Array>} - Replies of each command, or null if the transaction was aborted
+   */
+  multi(commands) {
+    this.connect();
+    const queued = [this.write(['MULTI'])];
+    for (const command of commands) {
+      queued.push(this.write(command));
+    }
+    queued.push(this.write(['EXEC']));
+    return Promise.all(queued).then((replies) => replies[replies.length - 1]);
+  }
+
+  /**
+   * Close the connection
+   */
+  async quit() {
+    if (!this.socket) {
+      return;
+    }
+    const socket = this.socket;
+    await this.write(['QUIT']).catch(() => {});
+    socket.end();
+  }
+}
+
+module.exports = { RedisClient, RedisError, encodeCommand, parseReply };
@@ -0,0 +1,192 @@
+/**
+ * Redis storage backend for the rate limiter
+ * Counters live in Redis so every server process shares the same limits
+ * Each window is a single key: INCRBY for the count, PTTL for the time left
+ * Other algorithms keep JSON state, updated with a compare-and-set script
+ */
+
+const { RedisError } = require('./redisClient');
+
+// Replace the value only if nobody changed it since we read it
+const CAS_SCRIPT = `
+local current = redis.call('GET', KEYS[1]) or ''
+if current ~= ARGV[1] then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+return 1
+`;
+
+// Give units back only while the window is still running, so a refund never
+// creates a key holding a negative count
+const REFUND_SCRIPT = `
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  return {0, ttl}
+end
+return {redis.call('INCRBY', KEYS[1], ARGV[1]), ttl}
+`;
+
+const MAX_UPDATE_ATTEMPTS = 10;
+
+/**
+ * Check the replies of a MULTI/EXEC transaction
+ * @param {Array|null} replies - EXEC reply: null if aborted, failed commands hold their error
+ * @returns {Array} - The replies
+ */
+function transactionReplies(replies) {
+  if (!Array.isArray(replies)) {
+    throw new RedisError('Redis transaction was aborted');
+  }
+  const failed = replies.find((reply) => reply instanceof Error);
+  if (failed) {
+    throw failed;
+  }
+  return replies;
+}
+
+class RedisStore {
+  /**
+   * @param {Object} client - Object with sendCommand(args) and multi(commands),
+   *                          e.g. RedisClient or FakeRedis
+   * @param {Object} options - { prefix: string, maxUpdateAttempts: number }
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.prefix = options.prefix || 'ratelimit:';
+    this.maxUpdateAttempts = options.maxUpdateAttempts || MAX_UPDATE_ATTEMPTS;
+  }
+
+  redisKey(key) {
+    return this.prefix + key;
+  }
+
+  /**
+   * Atomically increment the counter for a key, starting a new window if needed
+   * SET NX PX only creates the key (with its expiry) when no window is active,
+   * INCRBY then keeps the existing expiry
+   * @param {string} key - The key to increment
+   * @param {number} windowMs - Window length used when a new window starts
+   * @param {number} now - Current time in ms
+   * @param {number} amount - Units to add, negative to give them back (default 1)
+   * @returns {Promise<Object>} - { count: number, resetTime: number }
+   */
+  async increment(key, windowMs, now, amount = 1) {
+    const redisKey = this.redisKey(key);
+    if (amount <= 0) {
+      const [count, ttl] = await this.client.sendCommand(['EVAL', REFUND_SCRIPT, 1, redisKey, amount]);
+      // Nothing to give back to a window that is already over
+      return ttl < 0 ? { count: 0, resetTime: now + windowMs } : { count, resetTime: now + ttl };
+    }
+
+    const replies = await this.client.multi([
+      ['SET', redisKey, 0, 'PX', windowMs, 'NX'],
+      ['INCRBY', redisKey, amount],
+      ['PTTL', redisKey]
+    ]);
+    const [, count, ttl] = transactionReplies(replies);
+
+    // Key without an expiry should never happen, but never leave one behind
+    if (ttl < 0) {
+      await this.client.sendCommand(['PEXPIRE', redisKey, windowMs]);
+      return { count, resetTime: now + windowMs };
+    }
+
+    return { count, resetTime: now + ttl };
+  }
+
+  /**
+   * Read the current window for a key without modifying it
+   * @param {string} key - The key to read
+   * @param {number} now - Current time in ms
+   * @returns {Promise<Object|null>} - { count: number, resetTime: number } or null if none
+   */
+  async get(key, now) {
+    const redisKey = this.redisKey(key);
+    const [value, ttl] = transactionReplies(await this.client.multi([
+      ['GET', redisKey],
+      ['PTTL', redisKey]
+    ]));
+
+    if (value === null || ttl < 0) {
+      return null;
+    }
+    return { count: Number(value), resetTime: now + ttl };
+  }
+
+  /**
+   * Read-modify-write the algorithm state for a key
+   * Optimistic: retried when another process wrote the key in between
+   * @param {string} key - The key to update
+   * @param {Function} fn - (state|null) => { state, ttlMs, result }
+   * @param {number} now - Current time in ms
+   * @returns {Promise<*>} - The result returned by fn
+   */
+  async update(key, fn, now) {
+    const redisKey = this.redisKey(key);
+
+    for (let attempt = 0; attempt < this.maxUpdateAttempts; attempt++) {
+      const raw = await this.client.sendCommand(['GET', redisKey]);
+      const { state, ttlMs, result } = fn(raw === null ? null : JSON.parse(raw));
+      const ttl = Math.max(1, Math.ceil(ttlMs));
+
+      const written = await this.client.sendCommand([
+        'EVAL', CAS_SCRIPT, 1, redisKey, raw === null ? '' : raw, JSON.stringify(state), ttl
+      ]);
+      if (written === 1) {
+        return result;
+      }
+    }
+
+    throw new Error(`Too much contention updating rate limit key: ${key}`);
+  }
+
+  /**
+   * Read the algorithm state for a key without modifying it
+   * @param {string} key - The key to read
+   * @returns {Promise<Object|null>} - The stored state or null if none
+   */
+  async load(key) {
+    const raw = await this.client.sendCommand(['GET', this.redisKey(key)]);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  /**
+   * List keys starting with a prefix (SCAN, so Redis is never blocked)
+   * @param {string} prefix - Key prefix ('' for all)
+   * @returns {Promise<Array<string>>} - Matching keys, without the store prefix
+   */
+  async keys(prefix) {
+    const pattern = this.redisKey(prefix).replace(/[*?[\]\\]/g, '\\$&') + '*';
+    const keys = new Set();
+    let cursor = '0';
+
+    do {
+      const [next, batch] = await this.client.sendCommand(['SCAN', cursor, 'MATCH', pattern, 'COUNT', 100]);
+      cursor = String(next);
+      for (const key of batch) {
+        keys.add(key.slice(this.prefix.length));
+      }
+    } while (cursor !== '0');
+
+    return [...keys];
+  }
+
+  /**
+   * Remove a key
+   * @param {string} key - The key to remove
+   */
+  async delete(key) {
+    await this.client.sendCommand(['DEL', this.redisKey(key)]);
+  }
+
+  /**
+   * Redis expires keys on its own, nothing to clean up
+   * @returns {number} - Always 0
+   */
+  cleanup() {
+    return 0;
+  }
+}
+
+module.exports = { RedisStore, CAS_SCRIPT, REFUND_SCRIPT };
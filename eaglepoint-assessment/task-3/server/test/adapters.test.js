@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const express = require('express');
+const Fastify = require('fastify');
+const Koa = require('koa');
+const { createExpressMiddleware, createHttpRateLimiter, withRateLimit, fastifyRateLimit, createKoaMiddleware } = require('../adapters');
+const { PolicySet } = require('../policies');
+const { AccessControl } = require('../accessControl');
+const { AuthenticationError } = require('../keyExtractors');
+const { MemoryStore } = require('../stores');
+const { ManualClock } = require('../clock');
+
+// Callers are picked by the X-User header; 'invalid' has bad credentials
+function userExtractor(req) {
+  const userId = req.headers['x-user'];
+  if (userId === 'invalid') {
+    throw new AuthenticationError('Invalid credentials');
+  }
+  return userId ? { key: `user:${userId}`, userId } : null;
+}
+
+// Banned callers get a plain text answer instead of problem details
+const buildResponse = (context, outcome) => outcome.status === 403 && {
+  contentType: 'text/plain; charset=utf-8',
+  body: 'Go away'
+};
+
+// Route handlers answer with what they were told about the decision
+const handled = (rateLimit) => JSON.stringify({ remaining: rateLimit ? rateLimit.remaining : null });
+
+// Each adapter serves GET and POST /api/data plus an unlimited /health; resolves to a listening server
+const ADAPTERS = {
+  express: (options) => {
+    const app = express();
+    app.use(createExpressMiddleware(options.limits, options));
+    app.all('/api/data', (req, res) => res.send(handled(req.rateLimit)));
+    app.get('/health', (req, res) => res.send(handled(req.rateLimit)));
+    return http.createServer(app);
+  },
+  http: (options) => http.createServer(withRateLimit(createHttpRateLimiter(options.limits, options), (req, res) => {
+    res.end(handled(req.rateLimit));
+  })),
+  fastify: async (options) => {
+    const fastify = Fastify();
+    await fastify.register(fastifyRateLimit, options);
+    fastify.route({ method: ['GET', 'POST'], url: '/api/data', handler: async (request) => handled(request.rateLimit) });
+    fastify.get('/health', async (request) => handled(request.rateLimit));
+    await fastify.ready();
+    return fastify.server;
+  },
+  koa: (options) => {
+    const app = new Koa();
+    app.use(createKoaMiddleware(options.limits, options));
+    app.use((ctx) => {
+      ctx.body = handled(ctx.state.rateLimit);
+    });
+    return http.createServer(app.callback());
+  }
+};
+
+// Headers every adapter must answer with alike
+const COMPARED_HEADERS = [
+  'x-ratelimit-policy', 'x-ratelimit-limit', 'x-ratelimit-remaining', 'x-ratelimit-reset',
+  'ratelimit-policy', 'ratelimit', 'retry-after'
+];
+
+// The same requests against a fresh server of one adapter, recorded for comparison
+async function transcriptOf(t, adapter) {
+  const clock = new ManualClock(Date.UTC(2024, 0, 1));
+  const store = new MemoryStore();
+  const limits = new PolicySet([
+    { name: 'data-read', path: '/api/data', methods: ['GET'], maxRequests: 2, windowMs: 60000 },
+    { name: 'data-write', path: '/api/data', methods: ['POST'], maxRequests: 10, windowMs: 60000, cost: 3 }
+  ], { store, clock, quotas: [{ name: 'user-units', scope: 'user', maxRequests: 5, windowMs: 60000 }] });
+  const accessControl = new AccessControl({
+    store,
+    clock,
+    allowlist: { userIds: ['deploy-bot'] },
+    blocklist: { userIds: ['mallory'] }
+  });
+
+  const server = await ADAPTERS[adapter]({ limits, keyExtractor: userExtractor, accessControl, buildResponse, headers: 'both' });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const requests = [
+    ['GET', '/api/data?page=1', 'alice'],
+    ['GET', '/api/data', 'alice'],
+    ['GET', '/api/data', 'alice'], // over data-read
+    ['POST', '/api/data', 'bob'],
+    ['POST', '/api/data', 'bob'], // over the user-units quota
+    ['GET', '/api/data', 'mallory'], // blocklisted
+    ['GET', '/api/data', 'invalid'],
+    ['GET', '/api/data', 'deploy-bot'], // allowlisted
+    ['GET', '/health', 'alice']
+  ];
+  const transcript = [];
+  for (const [method, path, user] of requests) {
+    clock.advance(1000);
+    const response = await fetch(baseUrl + path, { method, headers: { 'X-User': user } });
+    const headers = {};
+    for (const name of COMPARED_HEADERS) {
+      headers[name] = response.headers.get(name);
+    }
+    if (response.status >= 400) {
+      headers['content-type'] = response.headers.get('content-type');
+    }
+    const text = await response.text();
+    const body = headers['content-type']?.startsWith('text/plain') ? text : JSON.parse(text);
+    transcript.push({ request: `${method} ${path} ${user}`, status: response.status, headers, body });
+  }
+  return transcript;
+}
+
+test('the Express adapter answers with rate limit headers and problem details', async (t) => {
+  const [first, , limited, , quota, banned, unauthorized, allowlisted, health] = await transcriptOf(t, 'express');
+
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers['x-ratelimit-remaining'], '1');
+  assert.strictEqual(first.headers.ratelimit, '"data-read";r=1;t=60');
+  assert.deepStrictEqual(first.body, { remaining: 1 });
+
+  assert.strictEqual(limited.status, 429);
+  assert.strictEqual(limited.headers['content-type'], 'application/problem+json; charset=utf-8');
+  assert.strictEqual(limited.headers['retry-after'], '58');
+  assert.strictEqual(limited.body.reason, 'rate-limit-exceeded');
+  assert.strictEqual(limited.body.instance, '/api/data');
+
+  assert.strictEqual(quota.status, 429);
+  assert.strictEqual(quota.body.reason, 'quota-exceeded');
+  assert.strictEqual(quota.body.policy, 'user-units');
+  assert.strictEqual(quota.headers['x-ratelimit-policy'], 'user-units');
+
+  assert.strictEqual(banned.status, 403);
+  assert.strictEqual(banned.headers['content-type'], 'text/plain; charset=utf-8');
+  assert.strictEqual(banned.body, 'Go away');
+  assert.strictEqual(unauthorized.status, 401);
+  assert.strictEqual(unauthorized.body.detail, 'Invalid credentials');
+
+  assert.strictEqual(allowlisted.status, 200);
+  assert.strictEqual(allowlisted.headers['x-ratelimit-limit'], null);
+  assert.strictEqual(health.headers['x-ratelimit-limit'], null);
+  assert.deepStrictEqual(health.body, { remaining: null });
+});
+
+for (const adapter of ['http', 'fastify', 'koa']) {
+  test(`the ${adapter} adapter answers exactly like Express`, async (t) => {
+    const expected = await transcriptOf(t, 'express');
+    const actual = await transcriptOf(t, adapter);
+    assert.deepStrictEqual(actual, expected);
+  });
+}
@@ -0,0 +1,209 @@
+// Property-style tests: random request sequences against every algorithm and store,
+// checking limits that must hold for any sequence. Seeds make failures reproducible.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { RateLimiter } = require('../rateLimiter');
+const { ALGORITHMS } = require('../algorithms');
+const { MemoryStore, RedisStore, FakeRedis } = require('../stores');
+const { ManualClock } = require('../clock');
+const { periodBounds } = require('../calendar');
+
+const RUNS = 25;
+const REQUESTS_PER_RUN = 300;
+const KEYS = ['user:a', 'user:b', 'ip:10.0.0.1'];
+const TIME_ZONES = ['UTC', 'America/New_York', 'Asia/Kolkata'];
+
+// mulberry32: small seeded PRNG, returns floats in [0, 1)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+const STORES = {
+  memory: () => new MemoryStore(),
+  redis: (clock) => new RedisStore(new FakeRedis({ now: () => clock.now() }))
+};
+
+// Bursts, short gaps and gaps longer than the window, so every boundary gets crossed
+function nextGap(random, windowMs) {
+  const roll = random();
+  if (roll < 0.5) {
+    return 0;
+  }
+  if (roll < 0.8) {
+    return randomInt(random, 1, Math.ceil(windowMs / 10));
+  }
+  return randomInt(random, 1, 2 * windowMs);
+}
+
+function randomSettings(random, algorithm) {
+  const settings = { maxRequests: randomInt(random, 1, 10), windowMs: randomInt(random, 100, 5000), algorithm };
+  if (algorithm === 'token-bucket' && random() < 0.5) {
+    settings.burst = randomInt(random, 1, 15);
+  }
+  if (algorithm === 'leaky-bucket' && random() < 0.5) {
+    settings.capacity = randomInt(random, 1, 15);
+  }
+  if (algorithm === 'calendar-window') {
+    settings.period = 'hour';
+    settings.windowMs = 3600000;
+    settings.timeZone = TIME_ZONES[randomInt(random, 0, TIME_ZONES.length - 1)];
+  }
+  return settings;
+}
+
+// Replay a random sequence, returning every request per key as { time, allowed, resetTime }
+async function simulate(seed, algorithm, storeName) {
+  const random = createRandom(seed);
+  const clock = new ManualClock(randomInt(random, 0, 1e6));
+  const settings = randomSettings(random, algorithm);
+  const limiter = new RateLimiter(settings.maxRequests, settings.windowMs, {
+    ...settings,
+    store: STORES[storeName](clock),
+    clock
+  });
+
+  const requests = Object.fromEntries(KEYS.map((key) => [key, []]));
+  for (let i = 0; i < REQUESTS_PER_RUN; i++) {
+    clock.advance(nextGap(random, settings.windowMs));
+    const key = KEYS[randomInt(random, 0, KEYS.length - 1)];
+    const result = await limiter.checkLimit(key);
+    requests[key].push({ time: clock.now(), ...result });
+  }
+  return { settings, limiter, requests };
+}
+
+const accepted = (requests) => requests.filter((request) => request.allowed).map((request) => request.time);
+
+// No window of the algorithm's own definition holds more than maxRequests accepted requests
+const WINDOW_PROPERTIES = {
+  // A window starts with the first request after the previous one ended
+  'fixed-window': ({ maxRequests, windowMs }, requests) => {
+    let windowEnd = -Infinity;
+    let count = 0;
+    for (const request of requests) {
+      if (request.time >= windowEnd) {
+        windowEnd = request.time + windowMs;
+        count = 0;
+      }
+      count += request.allowed ? 1 : 0;
+      assert.ok(count <= maxRequests, `${count} requests accepted in the window ending at ${windowEnd}`);
+    }
+  },
+
+  // Any window (t - windowMs, t] holds at most maxRequests, and a request is only
+  // rejected when its window is full
+  'sliding-log': ({ maxRequests, windowMs }, requests) => {
+    const times = accepted(requests);
+    for (let i = 0; i + maxRequests < times.length; i++) {
+      assert.ok(times[i + maxRequests] - times[i] >= windowMs,
+        `${maxRequests + 1} requests accepted between ${times[i]} and ${times[i + maxRequests]}`);
+    }
+    for (const request of requests.filter((r) => !r.allowed)) {
+      const inWindow = times.filter((time) => time > request.time - windowMs && time <= request.time).length;
+      assert.strictEqual(inWindow, maxRequests, `request at ${request.time} rejected with ${inWindow} in its window`);
+    }
+  },
+
+  // Clock-aligned windows hold at most maxRequests
+  'sliding-window-counter': ({ maxRequests, windowMs }, requests) => {
+    const perWindow = new Map();
+    for (const time of accepted(requests)) {
+      const windowStart = Math.floor(time / windowMs) * windowMs;
+      perWindow.set(windowStart, (perWindow.get(windowStart) || 0) + 1);
+    }
+    for (const [windowStart, count] of perWindow) {
+      assert.ok(count <= maxRequests, `${count} requests accepted in the window starting at ${windowStart}`);
+    }
+  },
+
+  // Between any two accepted requests: at most the bucket size plus what refilled in between
+  'token-bucket': (settings, requests) => {
+    const capacity = settings.burst || settings.maxRequests;
+    assertBucketBound(accepted(requests), capacity, settings.maxRequests / settings.windowMs);
+  },
+
+  'leaky-bucket': (settings, requests) => {
+    const capacity = settings.capacity || settings.maxRequests;
+    assertBucketBound(accepted(requests), capacity, settings.maxRequests / settings.windowMs);
+  },
+
+  // Calendar periods of the time zone hold at most maxRequests
+  'calendar-window': ({ maxRequests, period, timeZone }, requests) => {
+    const perPeriod = new Map();
+    for (const time of accepted(requests)) {
+      const { start } = periodBounds(time, period, timeZone);
+      perPeriod.set(start, (perPeriod.get(start) || 0) + 1);
+    }
+    for (const [start, count] of perPeriod) {
+      assert.ok(count <= maxRequests, `${count} requests accepted in the ${period} starting at ${start}`);
+    }
+  }
+};
+
+function assertBucketBound(times, capacity, ratePerMs) {
+  for (let i = 0; i < times.length; i++) {
+    for (let j = i; j < times.length; j++) {
+      const allowance = capacity + (times[j] - times[i]) * ratePerMs + 1e-9;
+      assert.ok(j - i + 1 <= allowance,
+        `${j - i + 1} requests accepted between ${times[i]} and ${times[j]}, allowance ${allowance}`);
+    }
+  }
+}
+
+test('every algorithm has a window property', () => {
+  assert.deepStrictEqual(Object.keys(WINDOW_PROPERTIES).sort(), Object.keys(ALGORITHMS).sort());
+});
+
+for (const algorithm of Object.keys(ALGORITHMS)) {
+  for (const storeName of Object.keys(STORES)) {
+    test(`${algorithm} (${storeName} store) never accepts more than its limit per window`, async () => {
+      for (let seed = 1; seed <= RUNS; seed++) {
+        const { settings, requests } = await simulate(seed, algorithm, storeName);
+        for (const [key, keyRequests] of Object.entries(requests)) {
+          try {
+            WINDOW_PROPERTIES[algorithm](settings, keyRequests);
+          } catch (error) {
+            error.message = `seed ${seed}, key ${key}, settings ${JSON.stringify(settings)}: ${error.message}`;
+            throw error;
+          }
+        }
+      }
+    });
+
+    test(`${algorithm} (${storeName} store) accepts a request at the resetTime of a rejection`, async () => {
+      for (let seed = 1; seed <= RUNS; seed++) {
+        const { limiter, requests } = await simulate(seed, algorithm, storeName);
+        const clock = limiter.clock;
+        for (const key of KEYS) {
+          const last = requests[key][requests[key].length - 1];
+          const rejected = last && !last.allowed ? last : await exhaust(limiter, key);
+          clock.set(Math.max(clock.now(), rejected.resetTime));
+          const result = await limiter.checkLimit(key);
+          assert.ok(result.allowed, `seed ${seed}, key ${key}: rejected at its resetTime ${rejected.resetTime}`);
+        }
+      }
+    });
+  }
+}
+
+// Send requests without moving the clock until one is rejected
+async function exhaust(limiter, key) {
+  for (;;) {
+    const result = await limiter.checkLimit(key);
+    if (!result.allowed) {
+      return result;
+    }
+  }
+}
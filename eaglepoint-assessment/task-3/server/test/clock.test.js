@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ManualClock, systemClock } = require('../clock');
+
+test('ManualClock only moves when advanced', () => {
+  const clock = new ManualClock(1000);
+  assert.strictEqual(clock.now(), 1000);
+  clock.advance(250);
+  assert.strictEqual(clock.now(), 1250);
+  clock.set(5000);
+  assert.strictEqual(clock.now(), 5000);
+});
+
+test('ManualClock runs timeouts in due order, at their due time', () => {
+  const clock = new ManualClock();
+  const fired = [];
+  clock.setTimeout(() => fired.push(['b', clock.now()]), 200);
+  clock.setTimeout(() => fired.push(['a', clock.now()]), 100);
+  const cancelled = clock.setTimeout(() => fired.push(['c', clock.now()]), 150);
+  clock.clearTimeout(cancelled);
+
+  clock.advance(99);
+  assert.deepStrictEqual(fired, []);
+  clock.advance(200);
+  assert.deepStrictEqual(fired, [['a', 100], ['b', 200]]);
+  assert.strictEqual(clock.now(), 299);
+  assert.strictEqual(clock.pending(), 0);
+});
+
+test('ManualClock repeats intervals until cleared', () => {
+  const clock = new ManualClock();
+  const fired = [];
+  const timer = clock.setInterval(() => fired.push(clock.now()), 100);
+  assert.strictEqual(timer.unref(), timer);
+
+  clock.advance(350);
+  assert.deepStrictEqual(fired, [100, 200, 300]);
+  clock.clearInterval(timer);
+  clock.advance(1000);
+  assert.deepStrictEqual(fired, [100, 200, 300]);
+});
+
+test('ManualClock runs timers scheduled by timers within the same advance', () => {
+  const clock = new ManualClock();
+  const fired = [];
+  clock.setTimeout(() => {
+    fired.push(clock.now());
+    clock.setTimeout(() => fired.push(clock.now()), 50);
+  }, 100);
+
+  clock.advance(200);
+  assert.deepStrictEqual(fired, [100, 150]);
+});
+
+test('systemClock reads the wall clock', () => {
+  const before = Date.now();
+  const now = systemClock.now();
+  assert.ok(now >= before && now <= Date.now());
+});
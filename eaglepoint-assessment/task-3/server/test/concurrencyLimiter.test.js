@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { ConcurrencyLimiter, createConcurrencyMiddleware } = require('../concurrencyLimiter');
+const { ManualClock } = require('../clock');
+
+test('slots are limited per key and across keys', async () => {
+  const limiter = new ConcurrencyLimiter({ maxPerKey: 1, maxGlobal: 2, clock: new ManualClock() });
+
+  const a = await limiter.acquire('a');
+  assert.strictEqual(a.acquired, true);
+  assert.deepStrictEqual(await limiter.acquire('a'), { acquired: false, reason: 'concurrency-limit', waitedMs: 0 });
+
+  const b = await limiter.acquire('b');
+  assert.strictEqual(b.acquired, true);
+  assert.deepStrictEqual(await limiter.acquire('c'), { acquired: false, reason: 'server-busy', waitedMs: 0 });
+
+  a.release();
+  a.release();
+  assert.strictEqual(limiter.getStatus().globalInFlight, 1);
+  assert.strictEqual((await limiter.acquire('c')).acquired, true);
+});
+
+test('a queued request gets the next free slot', async () => {
+  const clock = new ManualClock();
+  const limiter = new ConcurrencyLimiter({ maxPerKey: 1, maxWaitMs: 5000, clock });
+
+  const first = await limiter.acquire('a');
+  const waiting = limiter.acquire('a');
+  assert.strictEqual(limiter.getStatus().queued, 1);
+
+  clock.advance(1200);
+  first.release();
+  const second = await waiting;
+  assert.strictEqual(second.acquired, true);
+  assert.strictEqual(second.waitedMs, 1200);
+  assert.strictEqual(clock.pending(), 0);
+});
+
+test('a queued request is refused after maxWaitMs', async () => {
+  const clock = new ManualClock();
+  const limiter = new ConcurrencyLimiter({ maxPerKey: 1, maxWaitMs: 5000, clock });
+
+  await limiter.acquire('a');
+  const waiting = limiter.acquire('a');
+  clock.advance(5000);
+
+  assert.deepStrictEqual(await waiting, { acquired: false, reason: 'concurrency-limit', waitedMs: 5000 });
+  assert.strictEqual(limiter.getStatus().queued, 0);
+});
+
+test('an aborted request leaves the queue', async () => {
+  const limiter = new ConcurrencyLimiter({ maxPerKey: 1, maxWaitMs: 5000, clock: new ManualClock() });
+  const controller = new AbortController();
+
+  await limiter.acquire('a');
+  const waiting = limiter.acquire('a', controller.signal);
+  controller.abort();
+
+  assert.strictEqual((await waiting).reason, 'aborted');
+  assert.strictEqual(limiter.getStatus().queued, 0);
+});
+
+test('the middleware gives the slot back when the response closed before it was acquired', async () => {
+  const limiter = new ConcurrencyLimiter({ maxPerKey: 1, clock: new ManualClock() });
+  const middleware = createConcurrencyMiddleware(limiter, { keyExtractor: () => ({ key: 'a' }) });
+  const res = Object.assign(new EventEmitter(), { writableEnded: false, destroyed: true });
+  let nextCalled = false;
+
+  await middleware({ originalUrl: '/api/data' }, res, () => { nextCalled = true; });
+
+  assert.strictEqual(nextCalled, false);
+  assert.strictEqual(limiter.getStatus().globalInFlight, 0);
+});
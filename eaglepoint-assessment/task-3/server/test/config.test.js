@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../config');
+const { PolicySet } = require('../policies');
+const { MemoryStore } = require('../stores');
+const { ManualClock } = require('../clock');
+
+function configFile(t, name, text) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+test('YAML files are read by a full YAML parser', (t) => {
+  const file = configFile(t, 'server.yaml', [
+    '%YAML 1.2',
+    '---',
+    'cors:',
+    '  origins:',
+    '    - >-',
+    '      http://a.test',
+    'policies:',
+    '  - name: read',
+    '    path: /api/read',
+    '    maxRequests: 10',
+    '    windowMs: &window 1000',
+    '    tiers: &tiers { pro: { maxRequests: 100 } }',
+    '  - name: write',
+    '    path: /api/write',
+    '    maxRequests: 5',
+    '    windowMs: *window',
+    '    tiers: *tiers'
+  ].join('\n'));
+
+  const config = loadConfig({ file, env: {} });
+  assert.deepStrictEqual(config.cors.origins, ['http://a.test']);
+  assert.strictEqual(config.policies[1].windowMs, 1000);
+  assert.deepStrictEqual(config.policies[1].tiers, { pro: { maxRequests: 100 } });
+});
+
+test('the file overrides the defaults and the environment overrides the file', (t) => {
+  const file = configFile(t, 'server.yaml', [
+    'port: 4000',
+    'headers: draft',
+    'keyExtraction:',
+    '  apiKeysFile: null',
+    'storage:',
+    '  usageFile: data/usage.json',
+    'access:',
+    '  allowlist:',
+    '    userIds: [robot]',
+    'policies:',
+    '  - name: api',
+    '    pathPattern: ^/api/',
+    '    maxRequests: 10',
+    '    windowMs: 1000'
+  ].join('\n'));
+
+  const config = loadConfig({ file, env: { PORT: '5000', ALLOWLIST_USERS: 'alice, bob', STATE_FILE: 'state.json' } });
+  assert.strictEqual(config.port, 5000);
+  assert.strictEqual(config.headers, 'draft');
+  assert.strictEqual(config.cleanupIntervalMs, 60000);
+  assert.strictEqual(config.storage.usageFile, path.join(path.dirname(file), 'data', 'usage.json'));
+  assert.strictEqual(config.storage.backend, 'file');
+  assert.deepStrictEqual(config.access.allowlist.userIds, ['robot', 'alice', 'bob']);
+  assert.deepStrictEqual(config.access.blocklist.userIds, []);
+  assert.strictEqual(config.policies.length, 1);
+  assert.ok(config.policies[0].path.test('/api/data'));
+});
+
+test('every problem is reported at once, with the setting or variable it comes from', (t) => {
+  const file = configFile(t, 'server.json', JSON.stringify({
+    port: 'eighty',
+    storage: { backend: 'redis', maxKey: 10 },
+    policies: [
+      { name: 'api', path: '/api', maxRequests: 0, windowMs: 1000 },
+      { name: 'admin', path: '/admin', maxRequests: 5, windowMs: 1000, algorithm: 'nope' }
+    ]
+  }));
+
+  let error;
+  try {
+    loadConfig({ file, env: { RATE_LIMIT_HEADERS: 'fancy' } });
+  } catch (thrown) {
+    error = thrown;
+  }
+  assert.ok(error instanceof ConfigError);
+  assert.deepStrictEqual(error.problems.map((problem) => problem.slice(0, problem.indexOf(':'))), [
+    'storage.maxKey',
+    'port',
+    'headers (RATE_LIMIT_HEADERS)',
+    'storage.redisUrl',
+    'policies[0]',
+    'policies[1]'
+  ]);
+  assert.match(error.message, /policies\[1\]: Unknown rate limit algorithm: nope/);
+});
+
+test('the admin API key comes only from the file or ADMIN_API_KEY and must be long', () => {
+  assert.strictEqual(loadConfig({ env: {} }).keyExtraction.adminApiKey, null);
+  const key = 'a'.repeat(32);
+  assert.strictEqual(loadConfig({ env: { ADMIN_API_KEY: key } }).keyExtraction.adminApiKey, key);
+  assert.throws(() => loadConfig({ env: { ADMIN_API_KEY: 'short' } }), /keyExtraction\.adminApiKey \(ADMIN_API_KEY\)/);
+});
+
+test('nobody is allowlisted unless the deployment lists them', () => {
+  const { allowlist } = loadConfig({ env: {} }).access;
+  assert.deepStrictEqual(allowlist, { userIds: [], apiKeys: [], ips: [] });
+  assert.deepStrictEqual(loadConfig({ env: { ALLOWLIST_USERS: 'ci-bot' } }).access.allowlist.userIds, ['ci-bot']);
+});
+
+test('an unreadable file is a configuration error', (t) => {
+  const file = configFile(t, 'server.yaml', 'port: 1\n  bad: indentation');
+  assert.throws(() => loadConfig({ file, env: {} }), /cannot read .*server\.yaml: .* at line 1, column 7$/m);
+  assert.throws(() => loadConfig({ file: `${file}.missing`, required: true, env: {} }), ConfigError);
+  assert.strictEqual(loadConfig({ file: `${file}.missing`, env: {} }).port, 3001);
+});
+
+test('reconfiguring a policy set keeps counters unless the algorithm changes', async () => {
+  const clock = new ManualClock(0);
+  const store = new MemoryStore();
+  const read = { name: 'read', path: '/read', maxRequests: 2, windowMs: 60000 };
+  const write = { name: 'write', path: '/write', maxRequests: 2, windowMs: 60000 };
+  const policySet = new PolicySet([read, write], { store, clock });
+  for (const policy of [read, write]) {
+    await policySet.limiterFor(policySet.get(policy.name), 'free').checkLimit('user:a');
+  }
+
+  await policySet.configure({
+    policies: [{ ...read, maxRequests: 3 }, { ...write, algorithm: 'sliding-log' }]
+  });
+  assert.strictEqual((await policySet.limiterFor(policySet.get('read'), 'free').checkLimit('user:a')).remaining, 1);
+  assert.strictEqual((await policySet.limiterFor(policySet.get('write'), 'free').checkLimit('user:a')).remaining, 1);
+
+  await assert.rejects(policySet.configure({ policies: [read, { ...read }] }), /Duplicate rate limit policy name/);
+  assert.strictEqual(policySet.get('read').maxRequests, 3);
+});
+
+test('policy tables can be checked without applying them', () => {
+  const read = { name: 'read', path: '/read', maxRequests: 2, windowMs: 60000 };
+  assert.strictEqual(PolicySet.checkTables({ policies: [read] }).policies.length, 1);
+  assert.throws(() => PolicySet.checkTables({ policies: [read, { ...read }] }), RangeError);
+  assert.throws(() => PolicySet.checkTables({ policies: [{ ...read, maxRequests: 0 }] }), RangeError);
+});
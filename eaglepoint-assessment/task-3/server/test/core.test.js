@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimitHandler } = require('../core');
+const { RateLimiter } = require('../rateLimiter');
+const { PolicySet } = require('../policies');
+const { MemoryStore } = require('../stores');
+const { ManualClock } = require('../clock');
+
+// A store whose backend stopped answering
+class StalledStore extends MemoryStore {
+  increment() {
+    return new Promise(() => {});
+  }
+
+  update() {
+    return new Promise(() => {});
+  }
+}
+
+// A store whose backend refuses connections
+class FailingStore extends MemoryStore {
+  async increment() {
+    throw new Error('connect ECONNREFUSED');
+  }
+
+  async update() {
+    throw new Error('connect ECONNREFUSED');
+  }
+}
+
+const userExtractor = (req) => ({ key: `user:${req.headers['x-user']}`, userId: req.headers['x-user'] });
+
+// Ask a handler about one request of a user
+function ask(handler, user, path = '/api/data') {
+  const req = { headers: { 'x-user': user }, socket: { remoteAddress: '127.0.0.1' } };
+  return handler(req, { method: 'GET', path, url: path, context: req });
+}
+
+function limiterWith(store, maxRequests = 2) {
+  return new RateLimiter(maxRequests, 60000, { store, clock: new ManualClock(Date.UTC(2024, 0, 1)) });
+}
+
+test('a decision over its timeout fails closed with 503 by default', async () => {
+  const errors = [];
+  const handler = createRateLimitHandler(limiterWith(new StalledStore()), {
+    keyExtractor: userExtractor,
+    timeoutMs: 20,
+    onError: (error) => errors.push(error.name)
+  });
+
+  const outcome = await ask(handler, 'a');
+  assert.strictEqual(outcome.allowed, false);
+  assert.strictEqual(outcome.status, 503);
+  assert.strictEqual(outcome.body.reason, 'rate-limiter-unavailable');
+  assert.deepStrictEqual(errors, ['DecisionTimeoutError']);
+});
+
+test('failing open lets requests through while the store is down', async () => {
+  const handler = createRateLimitHandler(limiterWith(new FailingStore()), {
+    keyExtractor: userExtractor,
+    failMode: 'open',
+    onError: () => {}
+  });
+
+  const outcome = await ask(handler, 'a');
+  assert.strictEqual(outcome.allowed, true);
+  assert.strictEqual(outcome.rateLimit.failedOpen, true);
+  assert.deepStrictEqual(outcome.headers, {});
+
+  // And closed again once configured so
+  handler.configure({ failMode: 'closed' });
+  assert.strictEqual((await ask(handler, 'a')).status, 503);
+  assert.throws(() => handler.configure({ failMode: 'ajar' }), /Unknown fail mode/);
+});
+
+test('hooks see allowed and rejected requests, and skipped ones are not counted', async () => {
+  const seen = [];
+  const limiter = limiterWith(new MemoryStore(), 1);
+  const handler = createRateLimitHandler(limiter, {
+    keyExtractor: userExtractor,
+    skip: async (req) => req.headers['x-user'] === 'monitor',
+    onAllowed: async (req, outcome) => seen.push(['allowed', req.headers['x-user'], outcome.rateLimit.remaining]),
+    onRejected: async (req, outcome) => seen.push(['rejected', req.headers['x-user'], outcome.status])
+  });
+
+  assert.strictEqual(await ask(handler, 'monitor'), null);
+  assert.strictEqual(await ask(handler, 'monitor'), null);
+  await ask(handler, 'a');
+  await ask(handler, 'a');
+  assert.deepStrictEqual(seen, [['allowed', 'a', 0], ['rejected', 'a', 429]]);
+  assert.strictEqual((await limiter.getStatus('user:monitor')).remaining, 1);
+});
+
+test('a custom response replaces parts of the refusal and keeps the rate limit headers', async () => {
+  const handler = createRateLimitHandler(limiterWith(new MemoryStore(), 1), {
+    keyExtractor: userExtractor,
+    buildResponse: (req) => ({
+      contentType: 'text/plain',
+      body: `Slow down, ${req.headers['x-user']}`,
+      headers: { 'X-Custom': 'yes' }
+    })
+  });
+
+  await ask(handler, 'a');
+  const outcome = await ask(handler, 'a');
+  assert.strictEqual(outcome.status, 429);
+  assert.strictEqual(outcome.contentType, 'text/plain');
+  assert.strictEqual(outcome.body, 'Slow down, a');
+  assert.strictEqual(outcome.headers['X-Custom'], 'yes');
+  assert.strictEqual(outcome.headers['Retry-After'], '60');
+});
+
+test('a PolicySet can look up tiers asynchronously', async () => {
+  const policySet = new PolicySet([
+    { name: 'data-read', path: '/api/data', maxRequests: 1, windowMs: 60000, tiers: { pro: { maxRequests: 3 } } }
+  ], {
+    clock: new ManualClock(Date.UTC(2024, 0, 1)),
+    lookupTier: async (identity) => (identity.userId === 'paying' ? 'pro' : null)
+  });
+  const handler = createRateLimitHandler(policySet, { keyExtractor: userExtractor });
+
+  assert.strictEqual(await ask(handler, 'paying', '/elsewhere'), null);
+  assert.strictEqual((await ask(handler, 'paying')).rateLimit.limit, 3);
+  assert.strictEqual((await ask(handler, 'free')).rateLimit.limit, 1);
+  assert.strictEqual(policySet.keyTiers.get('user:paying'), 'pro');
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { once } = require('events');
+const express = require('express');
+const { createDataRouter, rateLimitInfo } = require('../dataRouter');
+const { PolicySet, createPolicyMiddleware } = require('../policies');
+const { RedisStore, RedisClient } = require('../stores');
+
+// A port nothing listens on
+async function closedPort() {
+  const server = net.createServer().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+async function startApp(t, policySet, options) {
+  const app = express();
+  app.use(express.json());
+  app.use(createPolicyMiddleware(policySet, options));
+  app.use('/api', createDataRouter());
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('requests get through when the store is unreachable and the limiter fails open', async (t) => {
+  const redis = new RedisClient({ host: '127.0.0.1', port: await closedPort() });
+  t.after(() => redis.socket?.destroy());
+  const policySet = new PolicySet([
+    { name: 'data-read', path: '/api/data', methods: ['GET'], maxRequests: 5, windowMs: 60000 },
+    { name: 'data-write', path: '/api/data', methods: ['POST'], maxRequests: 5, windowMs: 60000 }
+  ], { store: new RedisStore(redis) });
+  const errors = [];
+  const baseUrl = await startApp(t, policySet, { failMode: 'open', onError: (error) => errors.push(error) });
+
+  const read = await fetch(`${baseUrl}/api/data`);
+  assert.strictEqual(read.status, 200);
+  const body = await read.json();
+  assert.strictEqual(body.userId, 'anonymous');
+  assert.deepStrictEqual(body.rateLimitInfo, { failedOpen: true });
+
+  const write = await fetch(`${baseUrl}/api/data`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ hello: 'world' })
+  });
+  assert.strictEqual(write.status, 200);
+  assert.deepStrictEqual((await write.json()).data, { hello: 'world' });
+  assert.strictEqual(errors.length, 2);
+  assert.ok(errors.every((error) => error.code === 'ECONNREFUSED'), errors.map(String).join(', '));
+});
+
+test('routes without a policy answer without rate limit details', async (t) => {
+  const policySet = new PolicySet([
+    { name: 'data-read', path: '/api/data', methods: ['GET'], maxRequests: 5, windowMs: 60000 }
+  ]);
+  const baseUrl = await startApp(t, policySet);
+  // As after a reload that removed the policy
+  await policySet.configure({ policies: [{ name: 'other', path: '/api/other', maxRequests: 5, windowMs: 60000 }] });
+
+  const response = await fetch(`${baseUrl}/api/data`);
+  assert.strictEqual(response.status, 200);
+  const body = await response.json();
+  assert.strictEqual(body.userId, 'anonymous');
+  assert.strictEqual(body.rateLimitInfo, null);
+});
+
+test('allowlisted and limited decisions are described', () => {
+  assert.deepStrictEqual(rateLimitInfo({ policy: 'data-read', allowlisted: true }), { policy: 'data-read', allowlisted: true });
+  assert.deepStrictEqual(rateLimitInfo({ policy: 'data-read', remaining: 3, resetTime: Date.UTC(2024, 0, 1) }),
+    { policy: 'data-read', remaining: 3, resetTime: '2024-01-01T00:00:00.000Z' });
+});
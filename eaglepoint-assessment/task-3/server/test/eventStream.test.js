@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { EventStream } = require('../eventStream');
+
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.writeHead = () => res;
+  res.write = (chunk) => res.chunks.push(chunk);
+  return res;
+}
+
+test('a client that disconnects while the snapshot is built is not kept', async () => {
+  let finishSnapshot;
+  const stream = new EventStream(new EventEmitter(), {
+    snapshot: () => new Promise((resolve) => { finishSnapshot = resolve; })
+  });
+  const req = new EventEmitter();
+  const res = fakeResponse();
+
+  const handled = stream.handler()(req, res);
+  req.emit('close');
+  finishSnapshot({ keys: [] });
+  await handled;
+
+  assert.strictEqual(stream.clients.size, 0);
+  assert.strictEqual(stream.heartbeat, null);
+  assert.ok(res.chunks.every((chunk) => !chunk.includes('snapshot')));
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RateLimiter } = require('../rateLimiter');
+const { AccessControl } = require('../accessControl');
+const { FileStore } = require('../stores');
+const { ManualClock } = require('../clock');
+
+function temporaryFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'state.json');
+}
+
+// Simulate a restart: snapshot the old store, let time pass, load a new one from the file
+async function restart(store, clock, downtimeMs, options = {}) {
+  await store.flush();
+  clock.advance(downtimeMs);
+  return new FileStore({ file: store.file, clock, ...options });
+}
+
+test('limits, bans and penalties survive a restart', async (t) => {
+  const clock = new ManualClock(Date.UTC(2024, 0, 1));
+  const file = temporaryFile(t);
+  const penalty = { threshold: 1, periodMs: 60000, durationMs: 600000 };
+
+  let store = new FileStore({ file, clock });
+  let limiter = new RateLimiter(2, 60000, { store, clock, algorithm: 'sliding-log' });
+  let access = new AccessControl({ store, clock, penalty });
+  await limiter.checkLimit('user:a');
+  await limiter.checkLimit('user:a');
+  await access.add('ban', 'user:b', { durationMs: 3600000, reason: 'abuse' });
+  await access.recordRejection({ key: 'user:c' });
+
+  store = await restart(store, clock, 10000);
+  limiter = new RateLimiter(2, 60000, { store, clock, algorithm: 'sliding-log' });
+  access = new AccessControl({ store, clock, penalty });
+
+  assert.strictEqual((await limiter.checkLimit('user:a')).allowed, false);
+  assert.strictEqual((await access.check({ key: 'user:b' })).type, 'ban');
+  assert.strictEqual((await access.check({ key: 'user:c' })).type, 'penalty');
+});
+
+test('windows that ended during the downtime are dropped on load', async (t) => {
+  const clock = new ManualClock(0);
+  const store = new FileStore({ file: temporaryFile(t), clock });
+  store.increment('short:user:a', 1000, clock.now());
+  store.increment('long:user:a', 60000, clock.now());
+
+  const reloaded = await restart(store, clock, 5000);
+  assert.strictEqual(reloaded.loaded, 1);
+  assert.deepStrictEqual(reloaded.keys('', clock.now()), ['long:user:a']);
+  assert.strictEqual(reloaded.get('long:user:a', clock.now()).count, 1);
+});
+
+test('changes are snapshotted once per interval', async (t) => {
+  const clock = new ManualClock(0);
+  const store = new FileStore({ file: temporaryFile(t), clock, flushIntervalMs: 5000 });
+  for (let i = 0; i < 10; i++) {
+    store.increment('data-read:user:a', 60000, clock.now());
+  }
+  assert.strictEqual(clock.pending(), 1);
+
+  clock.advance(5000);
+  await store.writing;
+  assert.strictEqual(store.stats().snapshots, 1);
+  assert.strictEqual(store.stats().lastSnapshotAt, 5000);
+  assert.strictEqual(JSON.parse(fs.readFileSync(store.file, 'utf8')).entries[0][1].count, 10);
+  assert.strictEqual(fs.existsSync(`${store.file}.tmp`), false);
+});
+
+test('an unreadable snapshot is moved aside and the store starts empty', (t) => {
+  const clock = new ManualClock(1234);
+  const file = temporaryFile(t);
+  fs.writeFileSync(file, '{"version":1,"entries":[["data-read:user:a",');
+  fs.writeFileSync(`${file}.tmp`, 'left over from a crash');
+
+  const errors = [];
+  t.mock.method(console, 'error', (message) => errors.push(message));
+  const store = new FileStore({ file, clock });
+
+  assert.strictEqual(store.stats().keys, 0);
+  assert.strictEqual(fs.existsSync(file), false);
+  assert.strictEqual(fs.existsSync(`${file}.corrupt-1234`), true);
+  assert.match(errors[0], /Cannot load rate limit state/);
+});
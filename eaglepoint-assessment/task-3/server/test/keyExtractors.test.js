@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AuthenticationError, signToken, verifyToken } = require('../keyExtractors');
+
+const SECRET = 'test-secret';
+const segment = (json) => Buffer.from(json).toString('base64url');
+const header = segment(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+const payload = segment(JSON.stringify({ sub: 'alice' }));
+
+test('a signed token verifies to its claims', () => {
+  const token = signToken({ sub: 'alice', tier: 'pro' }, SECRET);
+  assert.strictEqual(verifyToken(token, SECRET).sub, 'alice');
+  assert.throws(() => verifyToken(token, 'other-secret'), AuthenticationError);
+});
+
+for (const [name, json] of [['null', 'null'], ['array', '[1,2]'], ['number', '42'], ['string', '"x"']]) {
+  test(`a ${name} header or payload is an authentication error`, () => {
+    assert.throws(() => verifyToken(`${segment(json)}.${payload}.x`, SECRET),
+      { name: 'AuthenticationError', message: 'Malformed token' });
+    assert.throws(() => verifyToken(`${header}.${segment(json)}.x`, SECRET),
+      { name: 'AuthenticationError', message: 'Malformed token' });
+  });
+}
+
+test('inherited property names are not accepted as algorithms', () => {
+  for (const alg of ['constructor', 'toString', '__proto__']) {
+    const forged = `${segment(JSON.stringify({ alg }))}.${payload}.x`;
+    assert.throws(() => verifyToken(forged, SECRET), AuthenticationError);
+  }
+});
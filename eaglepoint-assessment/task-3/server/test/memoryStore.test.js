@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryStore } = require('../stores');
+const { ExpiryHeap } = require('../stores/expiryHeap');
+const { RateLimiter } = require('../rateLimiter');
+const { PolicySet } = require('../policies');
+const { AccessControl, STORE_PREFIXES } = require('../accessControl');
+const { ManualClock } = require('../clock');
+
+test('the expiry heap pops keys in expiry order, including rescheduled and removed ones', () => {
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+
+  const heap = new ExpiryHeap();
+  const expected = new Map();
+  for (let i = 0; i < 2000; i++) {
+    const key = `k${Math.floor(random() * 300)}`;
+    if (random() < 0.2) {
+      heap.remove(key);
+      expected.delete(key);
+    } else {
+      const at = Math.floor(random() * 10000);
+      heap.schedule(key, at);
+      expected.set(key, at);
+    }
+  }
+  assert.strictEqual(heap.size, expected.size);
+
+  let previous = -Infinity;
+  for (let now = 0; now <= 10000; now += 500) {
+    for (const key of heap.popExpired(now)) {
+      const at = expected.get(key);
+      assert.ok(at <= now && at >= previous, `${key} expired at ${at}, popped at ${now}`);
+      previous = at;
+      expected.delete(key);
+    }
+  }
+  assert.strictEqual(expected.size, 0);
+});
+
+test('cleanup only removes expired entries', () => {
+  const store = new MemoryStore();
+  store.increment('a', 1000, 0);
+  store.increment('b', 5000, 0);
+  store.update('c', () => ({ state: { tokens: 1 }, ttlMs: 2000, result: null }), 0);
+
+  assert.strictEqual(store.cleanup(1999), 1);
+  assert.deepStrictEqual([...store.entries.keys()].sort(), ['b', 'c']);
+
+  // Updating moves the expiry time
+  store.update('c', () => ({ state: { tokens: 0 }, ttlMs: 10000, result: null }), 1999);
+  assert.strictEqual(store.cleanup(5000), 1);
+  assert.deepStrictEqual([...store.entries.keys()], ['c']);
+  assert.strictEqual(store.stats().expired, 2);
+});
+
+test('beyond maxKeys the least recently written key is evicted', () => {
+  const store = new MemoryStore({ maxKeys: 3 });
+  store.increment('a', 60000, 0);
+  store.increment('b', 60000, 0);
+  store.increment('c', 60000, 0);
+  store.increment('a', 60000, 1); // 'a' is now the most recent
+
+  store.increment('d', 60000, 2);
+  assert.deepStrictEqual([...store.entries.keys()], ['c', 'a', 'd']);
+  assert.strictEqual(store.get('b', 2), null);
+  assert.strictEqual(store.stats().evictions, 1);
+});
+
+test('expired entries make room before live ones are evicted', () => {
+  const store = new MemoryStore({ maxKeys: 2 });
+  store.increment('short', 100, 0);
+  store.increment('long', 60000, 0);
+  store.increment('new', 60000, 200);
+
+  assert.deepStrictEqual([...store.entries.keys()].sort(), ['long', 'new']);
+  assert.deepStrictEqual({ evictions: store.stats().evictions, expired: store.stats().expired }, { evictions: 0, expired: 1 });
+});
+
+test('pinned keys are never evicted', () => {
+  const store = new MemoryStore({ maxKeys: 2, pinnedPrefixes: ['access:'] });
+  store.update('access:ban:user:x', () => ({ state: { type: 'ban' }, ttlMs: 60000, result: null }), 0);
+  for (let i = 0; i < 10; i++) {
+    store.increment(`ip:10.0.0.${i}`, 60000, i);
+  }
+
+  assert.deepStrictEqual(store.load('access:ban:user:x', 10), { type: 'ban' });
+  assert.strictEqual(store.entries.size, 2);
+  assert.strictEqual(store.stats().pinnedKeys, 1);
+  assert.strictEqual(store.stats().evictions, 9);
+});
+
+test('a penalty box lockout survives a flood of distinct keys', async () => {
+  const clock = new ManualClock();
+  const store = new MemoryStore({ maxKeys: 10, pinnedPrefixes: STORE_PREFIXES });
+  const limiter = new RateLimiter(5, 60000, { store, clock });
+  const access = new AccessControl({ store, clock, penalty: { threshold: 2, periodMs: 60000, durationMs: 600000 } });
+  await access.recordRejection({ key: 'user:mallory' });
+  await access.recordRejection({ key: 'user:mallory' });
+
+  for (let i = 0; i < 5000; i++) {
+    await limiter.checkLimit(`user:random-${i}`);
+  }
+
+  assert.ok(store.stats().evictions > 0);
+  assert.strictEqual((await access.check({ key: 'user:mallory' })).type, 'penalty');
+});
+
+test('a flood of distinct keys stays within maxKeys', async () => {
+  const clock = new ManualClock();
+  const store = new MemoryStore({ maxKeys: 1000 });
+  const limiter = new RateLimiter(5, 60000, { store, clock });
+
+  for (let i = 0; i < 20000; i++) {
+    await limiter.checkLimit(`user:random-${i}`);
+  }
+
+  const stats = (await limiter.getStats()).store;
+  assert.strictEqual(stats.keys, 1000);
+  assert.strictEqual(stats.evictions, 19000);
+  assert.ok(stats.memoryBytes > 0);
+  assert.strictEqual(store.expiry.size, 1000);
+});
+
+test('a flood of distinct callers keeps all tracked state bounded', async () => {
+  const clock = new ManualClock();
+  const store = new MemoryStore({ maxKeys: 10 });
+  const policySet = new PolicySet([{ name: 'data-read', path: '/api/data', maxRequests: 5, windowMs: 60000 }], { store, clock });
+
+  for (let i = 0; i < 5000; i++) {
+    const { limiter } = await policySet.limitsFor({ method: 'GET', path: '/api/data' }, { key: `user:random-${i}` });
+    await limiter.checkLimit(`user:random-${i}`);
+  }
+
+  assert.strictEqual(store.entries.size, 10);
+  assert.strictEqual(store.expiry.size, 10);
+  assert.strictEqual(policySet.keyTiers.size, 10);
+  assert.ok(policySet.keyTiers.has('user:random-4999'));
+  assert.strictEqual(policySet.limiters.size, 1);
+});
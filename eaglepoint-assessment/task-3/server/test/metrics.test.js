@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { MetricsRegistry, createRateLimitMetrics } = require('../metrics');
+const { ManualClock } = require('../clock');
+
+test('store gauges are collected at most once per gaugeMaxAgeMs, however often scraped', async () => {
+  const clock = new ManualClock();
+  let walks = 0;
+  const registry = createRateLimitMetrics(new EventEmitter(), {
+    registry: new MetricsRegistry({ clock }),
+    gaugeMaxAgeMs: 1000,
+    trackedKeys: async () => {
+      walks++;
+      return { api: walks };
+    }
+  });
+
+  const scrapes = await Promise.all([registry.render(), registry.render(), registry.render()]);
+  assert.strictEqual(walks, 1);
+  assert.ok(scrapes.every((text) => text.includes('rate_limit_tracked_keys{policy="api"} 1')));
+
+  clock.advance(999);
+  await registry.render();
+  assert.strictEqual(walks, 1);
+
+  clock.advance(1);
+  assert.match(await registry.render(), /rate_limit_tracked_keys\{policy="api"\} 2/);
+});
+
+test('without a max age every scrape collects', async () => {
+  let runs = 0;
+  const registry = new MetricsRegistry();
+  registry.onCollect(async () => { runs++; });
+  await registry.render();
+  await registry.render();
+  assert.strictEqual(runs, 2);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { PolicySet, createPolicyMiddleware } = require('../policies');
+const { AccessControl } = require('../accessControl');
+const { MemoryStore } = require('../stores');
+const { ManualClock } = require('../clock');
+
+// Express app with one limited route, on an ephemeral port
+async function startApp(t, options = {}) {
+  const clock = new ManualClock(Date.UTC(2024, 0, 1));
+  const store = new MemoryStore();
+  const policySet = new PolicySet([
+    { name: 'data-read', path: '/api/data', methods: ['GET'], maxRequests: 2, windowMs: 60000 }
+  ], { store, clock });
+  const accessControl = new AccessControl({ store, clock, ...options.access });
+
+  const app = express();
+  app.use(createPolicyMiddleware(policySet, { accessControl, headers: 'both' }));
+  app.get('/api/data', (req, res) => res.json({ ok: true }));
+  app.get('/health', (req, res) => res.json({ ok: true }));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return { clock, policySet, accessControl, get: (path) => fetch(baseUrl + path) };
+}
+
+test('allowed responses carry legacy and draft rate limit headers', async (t) => {
+  const { clock, get } = await startApp(t);
+  const response = await get('/api/data');
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('x-ratelimit-policy'), 'data-read');
+  assert.strictEqual(response.headers.get('x-ratelimit-limit'), '2');
+  assert.strictEqual(response.headers.get('x-ratelimit-remaining'), '1');
+  assert.strictEqual(response.headers.get('x-ratelimit-reset'), new Date(clock.now() + 60000).toISOString());
+  assert.strictEqual(response.headers.get('ratelimit-policy'), '"data-read";q=2;w=60');
+  assert.strictEqual(response.headers.get('ratelimit'), '"data-read";r=1;t=60');
+});
+
+test('over the limit answers 429 problem details until the window resets', async (t) => {
+  const { clock, get } = await startApp(t);
+  await get('/api/data');
+  await get('/api/data');
+  clock.advance(15000);
+
+  const response = await get('/api/data');
+  assert.strictEqual(response.status, 429);
+  assert.strictEqual(response.headers.get('content-type'), 'application/problem+json; charset=utf-8');
+  assert.strictEqual(response.headers.get('retry-after'), '45');
+  const problem = await response.json();
+  assert.strictEqual(problem.status, 429);
+  assert.strictEqual(problem.policy, 'data-read');
+  assert.strictEqual(problem.reason, 'rate-limit-exceeded');
+  assert.strictEqual(problem.retryAfter, 45);
+
+  clock.advance(45000);
+  assert.strictEqual((await get('/api/data')).status, 200);
+});
+
+test('routes without a policy are not limited', async (t) => {
+  const { get } = await startApp(t);
+  for (let i = 0; i < 5; i++) {
+    const response = await get('/health');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('x-ratelimit-limit'), null);
+  }
+});
+
+test('repeated rejections put a key in the penalty box, for longer each time', async (t) => {
+  const { clock, get } = await startApp(t, {
+    access: { penalty: { threshold: 2, periodMs: 10000, durationMs: 30000, multiplier: 2 } }
+  });
+
+  const offend = async () => {
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+      statuses.push((await get('/api/data')).status);
+    }
+    return statuses;
+  };
+
+  assert.deepStrictEqual(await offend(), [200, 200, 429, 429]);
+  const locked = await get('/api/data');
+  assert.strictEqual(locked.status, 429);
+  assert.strictEqual((await locked.json()).reason, 'penalty-box');
+  assert.strictEqual(locked.headers.get('retry-after'), '30');
+
+  // The window resets after 60s, the lockout ended before that
+  clock.advance(60000);
+  assert.deepStrictEqual(await offend(), [200, 200, 429, 429]);
+  const relocked = await get('/api/data');
+  assert.strictEqual((await relocked.json()).reason, 'penalty-box');
+  assert.strictEqual(relocked.headers.get('retry-after'), '60');
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { PolicySet, createPolicyMiddleware } = require('../policies');
+const { RateLimiter } = require('../rateLimiter');
+const { chargeAll, validateQuota } = require('../quotas');
+const { MemoryStore } = require('../stores');
+const { ManualClock } = require('../clock');
+
+const POLICIES = [
+  { name: 'data-read', path: '/api/data', methods: ['GET'], maxRequests: 100, windowMs: 60000 },
+  { name: 'data-write', path: '/api/data', methods: ['POST'], maxRequests: 100, windowMs: 60000, cost: 3 }
+];
+
+// Callers are picked by the X-User header; users a and b belong to organisation acme
+function userExtractor(req) {
+  const userId = req.get('x-user');
+  return { key: `user:${userId}`, userId, orgId: ['a', 'b'].includes(userId) ? 'acme' : undefined };
+}
+
+async function startApp(t, quotas) {
+  const clock = new ManualClock(Date.UTC(2024, 0, 1));
+  const policySet = new PolicySet(POLICIES, { store: new MemoryStore(), clock, quotas });
+
+  const app = express();
+  app.use(createPolicyMiddleware(policySet, { keyExtractor: userExtractor }));
+  app.get('/api/data', (req, res) => res.json({ ok: true }));
+  app.post('/api/data', (req, res) => res.json({ ok: true }));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const send = (method, user) => fetch(`${baseUrl}/api/data`, { method, headers: { 'X-User': user } });
+  return { clock, policySet, send };
+}
+
+test('users of one organisation share its quota', async (t) => {
+  const { send } = await startApp(t, [{ name: 'org-units', scope: 'organisation', maxRequests: 3, windowMs: 60000 }]);
+
+  assert.strictEqual((await send('GET', 'a')).status, 200);
+  assert.strictEqual((await send('GET', 'b')).status, 200);
+  assert.strictEqual((await send('GET', 'a')).status, 200);
+
+  const response = await send('GET', 'b');
+  assert.strictEqual(response.status, 429);
+  const problem = await response.json();
+  assert.strictEqual(problem.policy, 'org-units');
+  assert.strictEqual(problem.scope, 'organisation');
+  assert.strictEqual(problem.reason, 'quota-exceeded');
+  assert.strictEqual(problem.cost, 1);
+
+  // Callers without an organisation are not charged to any organisation quota
+  assert.strictEqual((await send('GET', 'c')).status, 200);
+});
+
+test('weighted requests take their cost from the quotas but count once against the policy', async (t) => {
+  const { policySet, send } = await startApp(t, [{ name: 'global-units', scope: 'global', maxRequests: 7, windowMs: 60000 }]);
+
+  assert.strictEqual((await send('POST', 'a')).status, 200);
+  assert.strictEqual((await send('POST', 'c')).status, 200);
+  const response = await send('POST', 'a');
+  assert.strictEqual(response.status, 429);
+  assert.strictEqual((await response.json()).cost, 3);
+
+  // One unit is left, enough for a read but not for a write
+  assert.strictEqual((await send('GET', 'c')).status, 200);
+  const statuses = await policySet.getStatus({ key: 'user:a' });
+  assert.strictEqual(statuses.find((status) => status.policy === 'data-write').remaining, 99);
+  assert.strictEqual(statuses.find((status) => status.policy === 'global-units').remaining, 0);
+});
+
+test('a request rejected by a later bucket is refunded to the earlier ones', async (t) => {
+  const { clock, policySet, send } = await startApp(t, [
+    { name: 'user-units', scope: 'user', maxRequests: 10, windowMs: 60000 },
+    { name: 'global-units', scope: 'global', maxRequests: 3, windowMs: 60000 }
+  ]);
+
+  assert.strictEqual((await send('GET', 'a')).status, 200);
+  assert.strictEqual((await send('GET', 'c')).status, 200);
+  assert.strictEqual((await send('GET', 'c')).status, 200);
+  for (let i = 0; i < 3; i++) {
+    const response = await send('GET', 'a');
+    assert.strictEqual(response.status, 429);
+    assert.strictEqual((await response.json()).policy, 'global-units');
+  }
+
+  const statuses = await policySet.getStatus({ key: 'user:a' });
+  assert.strictEqual(statuses.find((status) => status.policy === 'data-read').remaining, 99);
+  assert.strictEqual(statuses.find((status) => status.policy === 'user-units').remaining, 9);
+  assert.strictEqual(statuses.find((status) => status.policy === 'global-units').remaining, 0);
+
+  clock.advance(60000);
+  assert.strictEqual((await send('GET', 'a')).status, 200);
+});
+
+test('chargeAll refunds every algorithm to where it was', async () => {
+  const clock = new ManualClock(0);
+  const store = new MemoryStore();
+  for (const algorithm of ['fixed-window', 'sliding-log', 'sliding-window-counter', 'token-bucket', 'leaky-bucket']) {
+    const limiter = new RateLimiter(5, 10000, { algorithm, store, clock, name: `units-${algorithm}` });
+    const full = new RateLimiter(1, 10000, { store, clock, name: `full-${algorithm}` });
+    await full.checkLimit('k');
+    const before = await limiter.getStatus('k');
+
+    const { rejectedBy } = await chargeAll([
+      { limiter, key: 'k', cost: 4 },
+      { limiter: full, key: 'k' }
+    ], { now: clock.now() });
+
+    assert.strictEqual(rejectedBy, 1);
+    assert.strictEqual((await limiter.getStatus('k')).remaining, before.remaining, algorithm);
+  }
+});
+
+test('costs outside what a bucket can hold are refused', async () => {
+  const limiter = new RateLimiter(5, 10000, { clock: new ManualClock(0) });
+  await assert.rejects(limiter.checkLimit('k', { cost: 6 }), RangeError);
+  await assert.rejects(limiter.checkLimit('k', { cost: 0 }), RangeError);
+
+  const quotas = [{ name: 'org-units', scope: 'organisation', maxRequests: 2, windowMs: 60000 }];
+  assert.throws(() => new PolicySet(POLICIES, { store: new MemoryStore(), quotas }), /costs 3 units/);
+  assert.throws(() => validateQuota({ name: 'x', scope: 'galaxy', maxRequests: 1, windowMs: 1 }), /needs a scope/);
+  assert.throws(() => validateQuota({ name: 'x', scope: 'global', maxRequests: 1, windowMs: 1, tiers: {} }), /tiers/);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RateLimiter } = require('../rateLimiter');
+const { PolicySet } = require('../policies');
+const { ManualClock } = require('../clock');
+
+test('a fixed window allows maxRequests, then rejects until it resets', async () => {
+  const clock = new ManualClock(10000);
+  const limiter = new RateLimiter(3, 1000, { clock });
+
+  for (let i = 0; i < 3; i++) {
+    const result = await limiter.checkLimit('user:a');
+    assert.strictEqual(result.allowed, true);
+    assert.strictEqual(result.remaining, 2 - i);
+    assert.strictEqual(result.resetTime, 11000);
+  }
+  assert.strictEqual((await limiter.checkLimit('user:a')).allowed, false);
+
+  clock.advance(999);
+  assert.strictEqual((await limiter.checkLimit('user:a')).allowed, false);
+  clock.advance(1);
+  const result = await limiter.checkLimit('user:a');
+  assert.strictEqual(result.allowed, true);
+  assert.strictEqual(result.resetTime, 12000);
+});
+
+test('keys are counted separately', async () => {
+  const limiter = new RateLimiter(1, 1000, { clock: new ManualClock() });
+  assert.strictEqual((await limiter.checkLimit('user:a')).allowed, true);
+  assert.strictEqual((await limiter.checkLimit('user:a')).allowed, false);
+  assert.strictEqual((await limiter.checkLimit('user:b')).allowed, true);
+});
+
+test('getStatus does not count a request', async () => {
+  const clock = new ManualClock(500);
+  const limiter = new RateLimiter(2, 1000, { clock });
+  assert.deepStrictEqual(await limiter.getStatus('user:a'), { remaining: 2, resetTime: 1500 });
+  await limiter.checkLimit('user:a');
+  assert.deepStrictEqual(await limiter.getStatus('user:a'), { remaining: 1, resetTime: 1500 });
+  assert.deepStrictEqual(await limiter.getStatus('user:a'), { remaining: 1, resetTime: 1500 });
+});
+
+test('events carry the clock time', async () => {
+  const clock = new ManualClock(42000);
+  const limiter = new RateLimiter(1, 1000, { name: 'test', clock });
+  const events = [];
+  for (const name of ['allowed', 'rejected', 'reset']) {
+    limiter.on(name, (details) => events.push([name, details]));
+  }
+
+  await limiter.checkLimit('user:a', { route: '/x' });
+  await limiter.checkLimit('user:a', { route: '/x' });
+  await limiter.reset('user:a');
+
+  assert.deepStrictEqual(events.map(([name]) => name), ['allowed', 'rejected', 'reset']);
+  const [, rejected] = events[1];
+  assert.strictEqual(rejected.policy, 'test');
+  assert.strictEqual(rejected.route, '/x');
+  assert.strictEqual(rejected.reason, 'rate-limit-exceeded');
+  assert.strictEqual(rejected.timestamp, 42000);
+  assert.strictEqual(events[2][1].timestamp, 42000);
+  assert.strictEqual((await limiter.checkLimit('user:a')).allowed, true);
+});
+
+test('startCleanup removes expired entries on the clock', async () => {
+  const clock = new ManualClock();
+  const limiter = new RateLimiter(5, 1000, { clock });
+  const runs = [];
+  limiter.on('cleanup', (details) => runs.push(details));
+
+  await limiter.checkLimit('user:a');
+  limiter.startCleanup(5000);
+  clock.advance(5000);
+  await new Promise(setImmediate);
+
+  assert.deepStrictEqual(runs, [{ policy: 'default', removed: 1, timestamp: 5000 }]);
+  assert.strictEqual(limiter.store.entries.size, 0);
+
+  limiter.stopCleanup();
+  assert.strictEqual(clock.pending(), 0);
+});
+
+test('a policy set runs every limiter on its clock', async () => {
+  const clock = new ManualClock(0);
+  const policySet = new PolicySet([
+    { name: 'read', path: '/data', methods: ['GET'], maxRequests: 2, windowMs: 1000, algorithm: 'sliding-log' }
+  ], { clock });
+  const limiter = policySet.limiterFor(policySet.get('read'), 'free');
+
+  await limiter.checkLimit('ip:1');
+  clock.advance(400);
+  await limiter.checkLimit('ip:1');
+  assert.strictEqual((await limiter.checkLimit('ip:1')).allowed, false);
+  clock.advance(600);
+  assert.strictEqual((await limiter.checkLimit('ip:1')).allowed, true);
+  assert.deepStrictEqual(await policySet.trackedKeys(), ['ip:1']);
+
+  const cleanups = [];
+  policySet.on('cleanup', (details) => cleanups.push(details));
+  policySet.startCleanup(10000);
+  clock.advance(10000);
+  await new Promise(setImmediate);
+  policySet.stopCleanup();
+
+  assert.deepStrictEqual(cleanups, [{ policy: null, removed: 1, timestamp: 11000 }]);
+  assert.deepStrictEqual(await policySet.trackedKeys(), []);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { once } = require('events');
+const { RedisClient, RedisError, encodeCommand, parseReply } = require('../stores/redisClient');
+const { RedisStore, FakeRedis } = require('../stores');
+
+const parse = (text) => parseReply(Buffer.from(text));
+
+test('commands are encoded as RESP arrays of bulk strings', () => {
+  assert.strictEqual(encodeCommand(['SET', 'café', 1]), '*3\r\n$3\r\nSET\r\n$5\r\ncafé\r\n$1\r\n1\r\n');
+});
+
+test('the parser reads simple, integer, bulk, null, error and array replies', () => {
+  assert.deepStrictEqual(parse('+OK\r\n'), { value: 'OK', offset: 5 });
+  assert.deepStrictEqual(parse(':-42\r\n'), { value: -42, offset: 6 });
+  assert.deepStrictEqual(parse('$5\r\nhe\r\no\r\n'), { value: 'he\r\no', offset: 11 });
+  assert.deepStrictEqual(parse('$0\r\n\r\n'), { value: '', offset: 6 });
+  assert.deepStrictEqual(parse('$-1\r\n'), { value: null, offset: 5 });
+  assert.deepStrictEqual(parse('*-1\r\n'), { value: null, offset: 5 });
+
+  const error = parse('-ERR wrong type\r\n').value;
+  assert.ok(error instanceof RedisError);
+  assert.strictEqual(error.message, 'ERR wrong type');
+
+  const { value } = parse('*4\r\n:1\r\n$3\r\nabc\r\n*2\r\n+a\r\n$-1\r\n-ERR no\r\n');
+  assert.strictEqual(value.length, 4);
+  assert.deepStrictEqual(value.slice(0, 3), [1, 'abc', ['a', null]]);
+  assert.ok(value[3] instanceof RedisError);
+});
+
+test('the parser waits for replies split across chunks', () => {
+  const reply = '*2\r\n$5\r\nhello\r\n:7\r\n';
+  for (let cut = 1; cut < reply.length; cut++) {
+    assert.strictEqual(parse(reply.slice(0, cut)), null, `complete after ${cut} bytes`);
+  }
+  assert.deepStrictEqual(parse(reply).value, ['hello', 7]);
+  assert.throws(() => parse('?what\r\n'), RedisError);
+});
+
+// A TCP server answering every chunk it receives with the next scripted reply, in pieces
+async function scriptedServer(t, replies, options = {}) {
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('data', () => {
+      const reply = replies.shift();
+      if (reply !== undefined) {
+        socket.write(reply.slice(0, 3));
+        setTimeout(() => socket.write(reply.slice(3)), 5);
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => new Promise((resolve) => {
+    sockets.forEach((socket) => socket.destroy());
+    server.close(resolve);
+  }));
+  return new RedisClient({ host: '127.0.0.1', port: server.address().port, ...options });
+}
+
+test('the client resolves replies that arrive in pieces and rejects error replies', async (t) => {
+  const client = await scriptedServer(t, ['$5\r\nhello\r\n', '-ERR nope\r\n']);
+
+  assert.strictEqual(await client.sendCommand(['GET', 'greeting']), 'hello');
+  await assert.rejects(client.sendCommand(['GET', 'x']), { name: 'RedisError', message: 'ERR nope' });
+});
+
+test('an unknown reply type rejects pending commands instead of crashing', async (t) => {
+  const client = await scriptedServer(t, ['?garbage\r\n']);
+
+  await assert.rejects(client.sendCommand(['GET', 'x']), /Unexpected reply type/);
+  assert.strictEqual(client.socket, null);
+  assert.strictEqual(client.pending.length, 0);
+});
+
+test('a failed AUTH rejects the commands queued behind it with its own error', async (t) => {
+  const client = await scriptedServer(t, ['-WRONGPASS invalid password\r\n-NOAUTH Authentication required.\r\n'], { password: 'wrong' });
+
+  await assert.rejects(client.sendCommand(['GET', 'x']), { name: 'RedisError', message: 'AUTH failed: WRONGPASS invalid password' });
+  assert.strictEqual(client.socket, null);
+  assert.strictEqual(client.pending.length, 0);
+});
+
+test('a failed SELECT rejects the commands queued behind it', async (t) => {
+  const client = await scriptedServer(t, ['-ERR DB index is out of range\r\n+OK\r\n'], { db: 99 });
+
+  await assert.rejects(client.sendCommand(['SET', 'x', 1]), { message: 'SELECT failed: ERR DB index is out of range' });
+});
+
+test('an unreachable server fails pending commands after connectTimeoutMs', async (t) => {
+  // A socket that never connects, as for a host that drops the connection attempt
+  t.mock.method(net, 'createConnection', () => Object.assign(new net.Socket(), { connecting: true }));
+  const client = new RedisClient({ host: '192.0.2.1', connectTimeoutMs: 50 });
+
+  await assert.rejects(client.sendCommand(['PING']), { name: 'RedisError', message: 'Could not connect to 192.0.2.1:6379 within 50 ms' });
+  assert.strictEqual(client.socket, null);
+});
+
+test('the Redis store rejects aborted transactions and failed commands', async () => {
+  const aborted = new RedisStore({ multi: async () => null });
+  await assert.rejects(aborted.increment('k', 1000, 0), /transaction was aborted/);
+
+  const failing = new RedisStore({ multi: async () => ['OK', new RedisError('WRONGTYPE'), 1000] });
+  await assert.rejects(failing.increment('k', 1000, 0), { message: 'WRONGTYPE' });
+  await assert.rejects(failing.get('k', 0), { message: 'WRONGTYPE' });
+});
+
+test('the Redis store gives units back only to a running window', async () => {
+  let now = 0;
+  const redis = new FakeRedis({ now: () => now });
+  const store = new RedisStore(redis);
+
+  assert.deepStrictEqual(await store.increment('k', 1000, now, -1), { count: 0, resetTime: 1000 });
+  assert.strictEqual(await store.get('k', now), null);
+
+  await store.increment('k', 1000, now, 3);
+  assert.deepStrictEqual(await store.increment('k', 1000, now, -2), { count: 1, resetTime: 1000 });
+
+  now = 1500;
+  assert.deepStrictEqual(await store.increment('k', 1000, now, -1), { count: 0, resetTime: 2500 });
+  assert.strictEqual(await store.get('k', now), null);
+});
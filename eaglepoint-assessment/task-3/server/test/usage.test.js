@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PolicySet } = require('../policies');
+const { MemoryStore, FileStore } = require('../stores');
+const { ManualClock } = require('../clock');
+const { periodBounds } = require('../calendar');
+
+const POLICIES = [{ name: 'data-read', path: '/api/data', maxRequests: 100, windowMs: 60000 }];
+const MONTHLY = { name: 'monthly-calls', scope: 'user', period: 'month', timeZone: 'Europe/Berlin', maxRequests: 3 };
+
+function temporaryFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'usage.json');
+}
+
+test('calendar periods follow the wall clock of the time zone', () => {
+  // 23:30 UTC on January 31st is already February 1st in Berlin
+  const { start, end } = periodBounds(Date.UTC(2024, 0, 31, 23, 30), 'month', 'Europe/Berlin');
+  assert.strictEqual(new Date(start).toISOString(), '2024-01-31T23:00:00.000Z');
+  assert.strictEqual(new Date(end).toISOString(), '2024-02-29T23:00:00.000Z');
+
+  // The day DST starts has 23 hours
+  const day = periodBounds(Date.UTC(2024, 2, 31, 12), 'day', 'Europe/Berlin');
+  assert.strictEqual(day.end - day.start, 23 * 3600000);
+});
+
+test('a monthly quota resets at the start of the next month, not a window later', async () => {
+  const clock = new ManualClock(Date.UTC(2024, 0, 31, 22, 0)); // 23:00 in Berlin
+  const policySet = new PolicySet(POLICIES, { clock, quotas: [MONTHLY] });
+  const limiter = policySet.limiterFor(policySet.getQuota('monthly-calls'), 'free');
+
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual((await limiter.checkLimit('user:a')).allowed, true);
+  }
+  const rejected = await limiter.checkLimit('user:a');
+  assert.strictEqual(rejected.allowed, false);
+  assert.strictEqual(new Date(rejected.resetTime).toISOString(), '2024-01-31T23:00:00.000Z');
+
+  clock.advance(3600000);
+  assert.strictEqual((await limiter.checkLimit('user:a')).allowed, true);
+});
+
+test('usage reports consumed and allotted units per period', async () => {
+  const clock = new ManualClock(Date.UTC(2024, 5, 15, 12));
+  const quotas = [MONTHLY, { name: 'org-daily', scope: 'organisation', period: 'day', maxRequests: 10 }];
+  const policySet = new PolicySet(POLICIES, { clock, quotas });
+  const identity = { key: 'user:a', userId: 'a', orgId: 'acme' };
+  const tier = policySet.tierOf(identity);
+  policySet.rememberTier(identity.key, tier);
+
+  for (const bucket of policySet.quotaBucketsFor(identity, tier)) {
+    await bucket.limiter.checkLimit(bucket.key, { cost: 2 });
+  }
+
+  const usage = await policySet.getUsage(identity);
+  assert.deepStrictEqual(usage.map(({ quota, key, used, limit, remaining }) => ({ quota, key, used, limit, remaining })), [
+    { quota: 'monthly-calls', key: 'user:a', used: 2, limit: 3, remaining: 1 },
+    { quota: 'org-daily', key: 'org:acme', used: 2, limit: 10, remaining: 8 }
+  ]);
+  assert.strictEqual(new Date(usage[1].periodStart).toISOString(), '2024-06-15T00:00:00.000Z');
+  assert.strictEqual(new Date(usage[1].periodEnd).toISOString(), '2024-06-16T00:00:00.000Z');
+
+  const report = await policySet.usageReport();
+  assert.deepStrictEqual(report.map(({ quota, key, tier: keyTier, used }) => [quota, key, keyTier, used]), [
+    ['monthly-calls', 'user:a', 'free', 2],
+    ['org-daily', 'org:acme', null, 2]
+  ]);
+});
+
+test('calendar quotas keep their counters in the usage store', async (t) => {
+  const clock = new ManualClock(Date.UTC(2024, 5, 15, 12));
+  const file = temporaryFile(t);
+  const store = new MemoryStore();
+  const usageStore = new FileStore({ file, clock });
+  const policySet = new PolicySet(POLICIES, { clock, store, usageStore, quotas: [MONTHLY] });
+
+  const [bucket] = policySet.quotaBucketsFor({ key: 'user:a' }, 'free');
+  await bucket.limiter.checkLimit(bucket.key);
+  await policySet.limiterFor(policySet.get('data-read'), 'free').checkLimit('user:a');
+
+  assert.deepStrictEqual(usageStore.keys('', clock.now()), ['monthly-calls:user:a']);
+  assert.deepStrictEqual(store.keys('', clock.now()), ['data-read:user:a']);
+});
+
+test('the file store survives a restart and drops entries that expired meanwhile', async (t) => {
+  const clock = new ManualClock(Date.UTC(2024, 5, 15, 12));
+  const file = temporaryFile(t);
+
+  const before = new FileStore({ file, clock, flushIntervalMs: 500 });
+  before.increment('monthly-calls:user:a', 30 * 86400000, clock.now(), 5);
+  before.increment('hourly:user:a', 3600000, clock.now(), 2);
+  assert.strictEqual(fs.existsSync(file), false);
+  clock.advance(500); // the pending flush runs
+  await before.writing;
+  assert.strictEqual(fs.existsSync(file), true);
+
+  clock.advance(2 * 3600000);
+  const after = new FileStore({ file, clock });
+  assert.deepStrictEqual(after.get('monthly-calls:user:a', clock.now()), {
+    count: 5,
+    resetTime: Date.UTC(2024, 5, 15, 12) + 30 * 86400000
+  });
+  assert.strictEqual(after.get('hourly:user:a', clock.now()), null);
+  assert.strictEqual(after.stats().keys, 1);
+});
+
+test('closing the file store writes pending changes at once', (t) => {
+  const clock = new ManualClock(0);
+  const file = temporaryFile(t);
+  const store = new FileStore({ file, clock });
+  store.increment('monthly-calls:user:a', 60000, clock.now());
+  store.close();
+
+  assert.strictEqual(clock.pending(), 0);
+  assert.strictEqual(new FileStore({ file, clock }).get('monthly-calls:user:a', clock.now()).count, 1);
+});
+
+test('calendar quotas need a known period and time zone', () => {
+  const build = (quota) => new PolicySet(POLICIES, { quotas: [{ ...MONTHLY, ...quota }] });
+  assert.throws(() => build({ period: 'week' }), /Unknown quota period/);
+  assert.throws(() => build({ timeZone: 'Mars/Olympus' }), /Unknown time zone/);
+  assert.throws(() => build({ algorithm: 'token-bucket' }), /cannot use the token-bucket algorithm/);
+});
@@ -0,0 +1,199 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { RateLimiter } = require('../rateLimiter');
+const { AccessControl } = require('../accessControl');
+const { WebSocketRateLimiter, CLOSE_CODES } = require('../webSocketLimiter');
+const { MemoryStore } = require('../stores');
+const { ManualClock } = require('../clock');
+
+// Callers are picked by the X-User header
+function userExtractor(req) {
+  const userId = req.headers['x-user'];
+  return userId ? { key: `user:${userId}`, userId } : null;
+}
+
+// Open a connection; a refused upgrade rejects with the status, headers and body of the response
+function connectWebSocket(url, options) {
+  const ws = new WebSocket(url, options);
+  return new Promise((resolve, reject) => {
+    ws.on('open', () => resolve(ws));
+    ws.on('error', reject);
+    ws.on('unexpected-response', (req, res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => {
+        reject(Object.assign(new Error(`WebSocket upgrade refused with ${res.statusCode}`), {
+          status: res.statusCode, headers: res.headers, body
+        }));
+        req.destroy();
+      });
+    });
+  });
+}
+
+// Echo server behind a WebSocketRateLimiter; limits are { upgrade, perConnection, perUser } maxRequests
+async function startServer(t, limits, options = {}) {
+  const clock = new ManualClock(Date.UTC(2024, 0, 1));
+  const store = new MemoryStore();
+  const limiter = (name, maxRequests) => maxRequests && new RateLimiter(maxRequests, 60000, { name, store, clock });
+  const wsLimiter = new WebSocketRateLimiter({
+    keyExtractor: userExtractor,
+    upgrade: limiter('ws-upgrades', limits.upgrade),
+    perConnection: limiter('ws-connection', limits.perConnection),
+    perUser: limiter('ws-user', limits.perUser),
+    clock,
+    ...options
+  });
+
+  // Upgraded sockets are no longer the HTTP server's to close
+  const sockets = new Set();
+  const server = http.createServer((req, res) => res.end());
+  server.on('upgrade', (req, socket, head) => {
+    sockets.add(socket);
+    wsLimiter.handleUpgrade(req, socket, head, (ws) => ws.on('message', (data) => ws.send(`echo ${data}`)));
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => new Promise((resolve) => {
+    for (const socket of sockets) {
+      socket.destroy();
+    }
+    server.close(resolve);
+  }));
+
+  const url = `ws://127.0.0.1:${server.address().port}/ws`;
+  const connect = async (user) => {
+    const ws = await connectWebSocket(url, { headers: { 'X-User': user } });
+    const received = [];
+    ws.on('message', (data) => received.push(String(data)));
+    ws.closedWith = once(ws, 'close').then(([code, reason]) => [code, String(reason)]);
+    return { ws, received };
+  };
+  return { clock, connect, url };
+}
+
+// Send messages, then wait until `count` frames have come back
+async function exchange(client, messages, count = messages.length) {
+  for (const message of messages) {
+    client.ws.send(message);
+  }
+  while (client.received.length < count && client.ws.readyState === 1) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+test('messages travel both ways, fragmented or not', async (t) => {
+  const { connect } = await startServer(t, {});
+  const client = await connect('a');
+  const long = 'x'.repeat(70000); // 64-bit length field
+  await exchange(client, ['hello', long]);
+  client.ws.send('frag', { fin: false });
+  client.ws.ping(); // allowed in between
+  client.ws.send('ments', { fin: true });
+  await exchange(client, [], 3);
+  assert.deepStrictEqual(client.received, ['echo hello', `echo ${long}`, 'echo fragments']);
+
+  client.ws.close(CLOSE_CODES.normal);
+  const [code] = await client.ws.closedWith;
+  assert.strictEqual(code, CLOSE_CODES.normal);
+});
+
+test('upgrade attempts over the limit are refused with 429 and rate limit headers', async (t) => {
+  const { connect, url } = await startServer(t, { upgrade: 2 }, { headers: 'both' });
+  await connect('a');
+  await connect('a');
+
+  const error = await connectWebSocket(url, { headers: { 'X-User': 'a' } }).catch((refused) => refused);
+  assert.strictEqual(error.status, 429);
+  assert.strictEqual(error.headers['retry-after'], '60');
+  assert.strictEqual(error.headers['x-ratelimit-policy'], 'ws-upgrades');
+  assert.strictEqual(error.headers.ratelimit, '"ws-upgrades";r=0;t=60');
+  const problem = JSON.parse(error.body);
+  assert.strictEqual(problem.type, '/problems/rate-limit-exceeded');
+  assert.strictEqual(problem.reason, 'rate-limit-exceeded');
+
+  // Other callers have their own budget
+  await connect('b');
+});
+
+test('over-limit messages get an error frame by default', async (t) => {
+  const { connect } = await startServer(t, { perConnection: 2 });
+  const client = await connect('a');
+  await exchange(client, ['1', '2', '3']);
+
+  assert.deepStrictEqual(client.received.slice(0, 2), ['echo 1', 'echo 2']);
+  const problem = JSON.parse(client.received[2]);
+  assert.strictEqual(problem.status, 429);
+  assert.strictEqual(problem.policy, 'ws-connection');
+  assert.strictEqual(problem.retryAfter, 60);
+  assert.strictEqual(client.ws.readyState, 1);
+
+  // A new connection starts with a fresh per-connection budget
+  const second = await connect('a');
+  await exchange(second, ['4']);
+  assert.deepStrictEqual(second.received, ['echo 4']);
+});
+
+test('the per-user limit spans connections and can drop messages silently', async (t) => {
+  const { clock, connect } = await startServer(t, { perUser: 3 }, { onLimit: 'drop' });
+  const first = await connect('a');
+  const second = await connect('a');
+  await exchange(first, ['1', '2']);
+  await exchange(second, ['3', '4', '5'], 1);
+  assert.deepStrictEqual(second.received, ['echo 3']);
+
+  clock.advance(60000);
+  await exchange(second, ['6'], 2);
+  assert.deepStrictEqual(second.received, ['echo 3', 'echo 6']);
+});
+
+test('closing on the limit uses the policy violation code', async (t) => {
+  const { connect } = await startServer(t, { perUser: 1 }, { onLimit: 'close' });
+  const client = await connect('a');
+  client.ws.send('1');
+  client.ws.send('2');
+  const [code, reason] = await client.ws.closedWith;
+  assert.strictEqual(code, CLOSE_CODES.policyViolation);
+  assert.strictEqual(reason, 'Rate limit exceeded');
+  assert.deepStrictEqual(client.received, ['echo 1']);
+});
+
+test('banned callers are refused and disconnected', async (t) => {
+  const store = new MemoryStore();
+  const accessControl = new AccessControl({ store, blocklist: { userIds: ['mallory'] } });
+  const { connect, url } = await startServer(t, {}, { accessControl });
+
+  const error = await connectWebSocket(url, { headers: { 'X-User': 'mallory' } }).catch((refused) => refused);
+  assert.strictEqual(error.status, 403);
+  assert.strictEqual(JSON.parse(error.body).reason, 'blocklisted');
+
+  const client = await connect('a');
+  await accessControl.add('ban', 'user:a', { durationMs: 60000 });
+  client.ws.send('hello');
+  const [code, reason] = await client.ws.closedWith;
+  assert.strictEqual(code, CLOSE_CODES.policyViolation);
+  assert.strictEqual(reason, 'banned');
+});
+
+test('oversized messages close the connection with 1009', { timeout: 1000 }, async (t) => {
+  const { connect } = await startServer(t, {}, { maxPayload: 10 });
+  const client = await connect('a');
+  client.ws.send('more than ten bytes');
+  const [code] = await client.ws.closedWith;
+  assert.strictEqual(code, CLOSE_CODES.messageTooBig);
+  assert.deepStrictEqual(client.received, []);
+});
+
+test('invalid handshakes are refused by the WebSocket server', async (t) => {
+  const { url } = await startServer(t, {});
+  const req = http.get(url.replace('ws:', 'http:'), {
+    headers: { 'X-User': 'a', Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Version': '13' } // no key
+  });
+  const [response] = await once(req, 'response');
+  response.resume();
+  assert.strictEqual(response.statusCode, 400);
+});
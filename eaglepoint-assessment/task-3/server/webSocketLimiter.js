@@ -0,0 +1,290 @@
+/**
+ * WebSocket Rate Limiting
+ * Applies RateLimiter policies to a WebSocket endpoint, where Express middleware cannot reach:
+ *
+ *   - upgrade attempts, per caller: refused with the same 401/403/429 responses and headers as
+ *     HTTP requests, before the handshake completes
+ *   - inbound messages, per connection and per caller across all their connections
+ *
+ * A message over a limit is, depending on `onLimit`:
+ *   'drop'  - discarded silently
+ *   'error' - discarded, and the sender gets a problem details text frame (see problems.js)
+ *   'close' - the connection is closed with 1008 (policy violation)
+ *
+ * Limiters may be given as a RateLimiter or as (identity) => RateLimiter, e.g. to pick the
+ * caller's tier from a PolicySet. Allow/block lists, bans and the penalty box apply to upgrades
+ * and messages alike; a caller banned while connected is disconnected with 1008.
+ *
+ * The protocol is left to the `ws` package: accepted upgrades are completed by a noServer
+ * WebSocketServer, and connections are `ws` WebSockets whose 'message' events pass the limits first.
+ */
+
+const http = require('http');
+const { WebSocket, WebSocketServer } = require('ws');
+
+const { ipExtractor, AuthenticationError } = require('./keyExtractors');
+const { buildRateLimitHeaders, checkHeaderMode, secondsUntil } = require('./headers');
+const { PROBLEM_TYPES, PROBLEM_CONTENT_TYPE, REASONS, buildProblem } = require('./problems');
+const { chargeAll } = require('./quotas');
+const { systemClock } = require('./clock');
+
+const ON_LIMIT_ACTIONS = ['drop', 'error', 'close'];
+
+// Close codes, RFC 6455 section 7.4.1
+const CLOSE_CODES = { normal: 1000, policyViolation: 1008, messageTooBig: 1009, internalError: 1011 };
+
+const DEFAULT_MAX_PAYLOAD = 1024 * 1024; // 1 MiB per message
+const MAX_PENDING_MESSAGES = 64; // stop reading the socket while this many messages wait for the limits
+
+const fallbackExtractor = ipExtractor();
+
+/**
+ * Validate an over-limit action
+ * @param {string} action - One of ON_LIMIT_ACTIONS
+ * @returns {string} - The action
+ */
+function checkOnLimit(action) {
+  if (!ON_LIMIT_ACTIONS.includes(action)) {
+    throw new Error(`Unknown WebSocket over-limit action: ${action}. Expected one of: ${ON_LIMIT_ACTIONS.join(', ')}`);
+  }
+  return action;
+}
+
+/**
+ * Answer an upgrade request with a plain HTTP response and close the socket
+ * @param {net.Socket} socket - Socket of the 'upgrade' event
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Extra response headers (optional)
+ * @param {string} body - Response body (optional)
+ */
+function rejectUpgrade(socket, status, headers = {}, body = '') {
+  if (socket.destroyed) {
+    return;
+  }
+  const lines = [
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status] || ''}`,
+    'Connection: close',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`)
+  ];
+  socket.end(`${lines.join('\r\n')}\r\n\r\n${body}`);
+}
+
+// A `ws` WebSocket whose inbound messages go through an async filter before they are emitted:
+// one at a time and in order, and a flood waits in the socket, not in memory
+class FilteredWebSocket extends WebSocket {
+  constructor(...args) {
+    super(...args);
+    this.filter = null; // async (data, isBinary) => boolean, refused messages are not emitted
+    this.delivering = Promise.resolve();
+    this.pending = 0;
+  }
+
+  emit(event, ...args) {
+    if (event !== 'message' || !this.filter) {
+      return super.emit(event, ...args);
+    }
+    if (++this.pending >= MAX_PENDING_MESSAGES) {
+      this.pause();
+    }
+    this.delivering = this.delivering.then(async () => {
+      // Once closing, messages still in flight are discarded
+      const accepted = this.readyState === WebSocket.OPEN && await this.filter(...args);
+      if (accepted && this.readyState === WebSocket.OPEN) {
+        super.emit('message', ...args);
+      }
+    }).catch((error) => {
+      super.emit('error', error);
+      this.close(CLOSE_CODES.internalError, 'Internal error');
+    }).finally(() => {
+      if (--this.pending === MAX_PENDING_MESSAGES - 1) {
+        this.resume();
+      }
+    });
+    return true;
+  }
+}
+
+class WebSocketRateLimiter {
+  /**
+   * @param {Object} options - {
+   *   keyExtractor: (req) => identity, defaults to the client IP
+   *   accessControl: AccessControl with allow/block lists, bans and the penalty box (optional)
+   *   upgrade: limiter for connection attempts per caller (optional)
+   *   perConnection: limiter for messages on one connection (optional)
+   *   perUser: limiter for messages of one caller over all their connections (optional)
+   *   onLimit: 'drop', 'error' (default) or 'close'
+   *   headers: header mode of refused upgrades, see headers.js (default 'legacy')
+   *   maxPayload: largest message in bytes (default 1 MiB); larger ones close the connection with 1009
+   *   clock: time source, see clock.js (default systemClock)
+   * }
+   */
+  constructor(options = {}) {
+    this.keyExtractor = options.keyExtractor || fallbackExtractor;
+    this.accessControl = options.accessControl || null;
+    this.limiters = {
+      upgrade: options.upgrade || null,
+      perConnection: options.perConnection || null,
+      perUser: options.perUser || null
+    };
+    this.clock = options.clock || systemClock;
+    this.connections = 0; // numbers connections for their per-connection keys
+    this.configure(options);
+  }
+
+  /**
+   * Change the over-limit action, header mode and message size, e.g. on a configuration reload
+   * The message size applies to new connections
+   * @param {Object} options - { onLimit, headers, maxPayload }
+   */
+  configure(options) {
+    this.onLimit = checkOnLimit(options.onLimit || 'error');
+    this.headers = checkHeaderMode(options.headers || 'legacy');
+    const maxPayload = options.maxPayload || DEFAULT_MAX_PAYLOAD;
+    if (this.server?.options.maxPayload !== maxPayload) {
+      this.server = new WebSocketServer({ noServer: true, clientTracking: false, maxPayload, WebSocket: FilteredWebSocket });
+    }
+  }
+
+  limiterOf(name, identity) {
+    const limiter = this.limiters[name];
+    return typeof limiter === 'function' ? limiter(identity) : limiter;
+  }
+
+  /**
+   * Handle an 'upgrade' event: check the caller, then complete the handshake
+   * Refused upgrades are answered with an HTTP error response
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @param {net.Socket} socket - Its socket
+   * @param {Buffer} head - Bytes read past the request
+   * @param {Function} onConnection - (ws, identity, req) for each accepted connection, ws is a
+   *   `ws` WebSocket that emits only the messages within the limits
+   * @returns {Promise<void>}
+   */
+  async handleUpgrade(req, socket, head, onConnection) {
+    // The socket has no error listener of its own until the handshake completes
+    socket.on('error', () => {});
+    const route = new URL(req.url, 'http://localhost').pathname;
+
+    let identity;
+    try {
+      identity = this.keyExtractor(req) || fallbackExtractor(req);
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        return refuse(socket, buildProblem(PROBLEM_TYPES.unauthorized, error.message, route));
+      }
+      throw error;
+    }
+
+    const access = this.accessControl && await this.accessControl.check(identity);
+    if (access && access.type !== 'allow') {
+      return this.refuseAccess(socket, access, route);
+    }
+
+    const limiter = !access && this.limiterOf('upgrade', identity);
+    if (limiter) {
+      const now = this.clock.now();
+      const result = await limiter.checkLimit(identity.key, { route, now });
+      if (!result.allowed) {
+        await this.accessControl?.recordRejection(identity);
+        const decision = { policy: limiter.name, limit: limiter.maxRequests, windowMs: limiter.windowMs, ...result };
+        return refuse(socket, buildProblem(PROBLEM_TYPES.rateLimited,
+          `Too many connection attempts. Maximum ${limiter.maxRequests} per ${limiter.windowMs / 1000} seconds.`, route, {
+            policy: limiter.name,
+            reason: REASONS.rateLimited,
+            resetTime: new Date(result.resetTime).toISOString(),
+            retryAfter: secondsUntil(result.resetTime, now)
+          }), buildRateLimitHeaders(decision, this.headers, now));
+      }
+    }
+
+    if (socket.destroyed) {
+      return;
+    }
+    // Invalid handshakes are answered by `ws` (400, or 426 for other protocol versions)
+    this.server.handleUpgrade(req, socket, head, (ws) => {
+      const connectionKey = `${identity.key}#${++this.connections}`;
+      ws.filter = () => this.checkMessage(ws, identity, connectionKey, route);
+      // Protocol errors (e.g. 1009 for oversized messages) close the connection by themselves
+      ws.on('error', () => {});
+      onConnection(ws, identity, req);
+    });
+  }
+
+  refuseAccess(socket, access, route) {
+    if (access.type === 'penalty') {
+      const now = this.clock.now();
+      return refuse(socket, buildProblem(PROBLEM_TYPES.rateLimited,
+        'Too many rejected requests. This client is locked out until the penalty expires.', route, {
+          reason: access.reason,
+          resetTime: new Date(access.expiresAt).toISOString(),
+          retryAfter: secondsUntil(access.expiresAt, now)
+        }), { 'Retry-After': String(secondsUntil(access.expiresAt, now)) });
+    }
+    return refuse(socket, buildProblem(PROBLEM_TYPES.banned, 'This client is banned.', route, {
+      reason: access.reason,
+      note: access.note || undefined,
+      until: access.expiresAt ? new Date(access.expiresAt).toISOString() : undefined
+    }));
+  }
+
+  /**
+   * Charge an inbound message to the per-connection and per-user limits
+   * @returns {Promise<boolean>} - Whether the message is delivered
+   */
+  async checkMessage(ws, identity, connectionKey, route) {
+    const access = this.accessControl && await this.accessControl.check(identity);
+    if (access?.type === 'allow') {
+      return true;
+    }
+    if (access && access.type !== 'penalty') {
+      ws.close(CLOSE_CODES.policyViolation, access.reason);
+      return false;
+    }
+
+    if (access) {
+      this.limited(ws, access.reason, null, access.expiresAt,
+        'Too many rejected requests. This client is locked out until the penalty expires.', route);
+      return false;
+    }
+
+    const buckets = [
+      { limiter: this.limiterOf('perConnection', identity), key: connectionKey },
+      { limiter: this.limiterOf('perUser', identity), key: identity.key }
+    ].filter((bucket) => bucket.limiter);
+    const { results, rejectedBy } = await chargeAll(buckets, { route, now: this.clock.now() });
+    if (rejectedBy === -1) {
+      return true;
+    }
+    const { limiter } = buckets[rejectedBy];
+    await this.accessControl?.recordRejection(identity);
+    this.limited(ws, REASONS.rateLimited, limiter.name, results[rejectedBy].resetTime,
+      `Message rate limit exceeded. Maximum ${limiter.maxRequests} messages per ${limiter.windowMs / 1000} seconds.`, route);
+    return false;
+  }
+
+  // Apply the over-limit action to a refused message
+  limited(ws, reason, policy, resetTime, detail, route) {
+    if (this.onLimit === 'close') {
+      ws.close(CLOSE_CODES.policyViolation, 'Rate limit exceeded');
+    } else if (this.onLimit === 'error') {
+      const now = this.clock.now();
+      ws.send(JSON.stringify(buildProblem(PROBLEM_TYPES.rateLimited, detail, route, {
+        policy: policy || undefined,
+        reason,
+        resetTime: new Date(resetTime).toISOString(),
+        retryAfter: secondsUntil(resetTime, now)
+      })));
+    }
+  }
+}
+
+// Answer an upgrade with a problem details response
+function refuse(socket, problem, headers = {}) {
+  rejectUpgrade(socket, problem.status, {
+    ...headers,
+    'Content-Type': PROBLEM_CONTENT_TYPE
+  }, JSON.stringify(problem));
+}
+
+module.exports = { WebSocketRateLimiter, ON_LIMIT_ACTIONS, CLOSE_CODES, checkOnLimit, rejectUpgrade };